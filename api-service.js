@@ -8,7 +8,16 @@ const API_BASE_URL = window.API_BASE_URL || 'http://localhost:3001/api';
 let departmentDataCache = {
     data: null,
     timestamp: null,
-    ttl: 5 * 60 * 1000 // 5 minutes in milliseconds
+    ttl: 5 * 60 * 1000, // 5 minutes in milliseconds
+    etag: null, // ETag of the last full listing, for conditional requests
+    complete: false // false while only single departments have been fetched
+};
+
+// Cache for the research area taxonomy (changes rarely)
+let researchAreasCache = {
+    data: null,
+    timestamp: null,
+    ttl: 30 * 60 * 1000 // 30 minutes in milliseconds
 };
 
 /**
@@ -17,7 +26,7 @@ let departmentDataCache = {
  */
 async function getAllDepartmentsData() {
     // Check cache first
-    if (departmentDataCache.data && departmentDataCache.timestamp) {
+    if (departmentDataCache.complete && departmentDataCache.timestamp) {
         const age = Date.now() - departmentDataCache.timestamp;
         if (age < departmentDataCache.ttl) {
             return departmentDataCache.data;
@@ -28,16 +37,27 @@ async function getAllDepartmentsData() {
         const controller = new AbortController();
         const timeoutId = setTimeout(() => controller.abort(), 5000); // 5 second timeout
         
+        const headers = {
+            'Content-Type': 'application/json'
+        };
+        // Ask the server to skip the body if nothing changed since the last download
+        if (departmentDataCache.complete && departmentDataCache.etag) {
+            headers['If-None-Match'] = departmentDataCache.etag;
+        }
+        
         const response = await fetch(`${API_BASE_URL}/departments`, {
             method: 'GET',
-            headers: {
-                'Content-Type': 'application/json'
-            },
+            headers,
             signal: controller.signal
         });
         
         clearTimeout(timeoutId);
         
+        if (response.status === 304) {
+            departmentDataCache.timestamp = Date.now();
+            return departmentDataCache.data;
+        }
+        
         if (!response.ok) {
             throw new Error(`API error: ${response.status}`);
         }
@@ -48,6 +68,8 @@ async function getAllDepartmentsData() {
         // Update cache
         departmentDataCache.data = departments;
         departmentDataCache.timestamp = Date.now();
+        departmentDataCache.etag = response.headers.get('ETag');
+        departmentDataCache.complete = true;
         
         return departments;
     } catch (error) {
@@ -163,12 +185,228 @@ async function getDepartmentList() {
     }
 }
 
+/**
+ * Search professors on the backend (ranked, typo-tolerant, with highlighted matches)
+ * Unlike the other helpers this throws on failure, so the search UI can show the error.
+ * @param {string} query - Search query
+ * @param {AbortSignal} signal - Optional signal to cancel the request
+ * @returns {Promise<Object>} { results, corrections, matchedAllWords }
+ */
+async function searchProfessors(query, signal = null) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), 5000); // 5 second timeout
+    if (signal) {
+        signal.addEventListener('abort', () => controller.abort());
+    }
+    
+    try {
+        const response = await fetch(`${API_BASE_URL}/search?q=${encodeURIComponent(query)}`, {
+            method: 'GET',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            signal: controller.signal
+        });
+        
+        if (!response.ok) {
+            throw new Error(`API error: ${response.status}`);
+        }
+        
+        const data = await response.json();
+        return {
+            results: data.results || [],
+            corrections: data.corrections || {},
+            matchedAllWords: data.matchedAllWords !== false
+        };
+    } catch (error) {
+        if (error.name === 'AbortError' && !(signal && signal.aborted)) {
+            console.error('[API Service] Request timeout - backend may not be running');
+            throw new Error('Search request timed out');
+        }
+        throw error;
+    } finally {
+        clearTimeout(timeoutId);
+    }
+}
+
+/**
+ * Get the research area taxonomy from backend
+ * @returns {Promise<Array<Object>>} Areas with name, parent (name or null) and aliases
+ */
+async function getResearchAreas() {
+    if (researchAreasCache.data && Date.now() - researchAreasCache.timestamp < researchAreasCache.ttl) {
+        return researchAreasCache.data;
+    }
+    
+    try {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), 5000); // 5 second timeout
+        
+        const response = await fetch(`${API_BASE_URL}/research-areas`, {
+            method: 'GET',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            signal: controller.signal
+        });
+        
+        clearTimeout(timeoutId);
+        
+        if (!response.ok) {
+            throw new Error(`API error: ${response.status}`);
+        }
+        
+        const data = await response.json();
+        researchAreasCache.data = data.researchAreas || [];
+        researchAreasCache.timestamp = Date.now();
+        
+        return researchAreasCache.data;
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            console.error('[API Service] Request timeout - backend may not be running');
+        } else {
+            console.error('[API Service] Error fetching research areas:', error);
+        }
+        return [];
+    }
+}
+
+// The batch stats endpoint accepts at most this many professors per request
+const STATS_BATCH_SIZE = 200;
+
+/**
+ * Get stats for many professors with one request per 200 IDs
+ * @param {Array<number|string>} professorIds - Professor IDs
+ * @returns {Promise<Object>} { stats, provenance } keyed by professor ID; professors that failed to load are missing
+ */
+async function getProfessorsStats(professorIds) {
+    const statsById = {};
+    
+    for (let start = 0; start < professorIds.length; start += STATS_BATCH_SIZE) {
+        try {
+            const controller = new AbortController();
+            const timeoutId = setTimeout(() => controller.abort(), 5000); // 5 second timeout
+            
+            const response = await fetch(`${API_BASE_URL}/professors/stats`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    ids: professorIds.slice(start, start + STATS_BATCH_SIZE)
+                }),
+                signal: controller.signal
+            });
+            
+            clearTimeout(timeoutId);
+            
+            if (!response.ok) {
+                throw new Error(`API error: ${response.status}`);
+            }
+            
+            const data = await response.json();
+            (data.results || []).forEach(result => {
+                statsById[result.professor.id] = {
+                    stats: result.stats,
+                    provenance: result.provenance || {}
+                };
+            });
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                console.error('[API Service] Request timeout - backend may not be running');
+            } else {
+                console.error('[API Service] Error fetching professor stats:', error);
+            }
+        }
+    }
+    
+    return statsById;
+}
+
+/**
+ * Get a professor's publications, newest first
+ * @param {number|string} professorId - Professor ID
+ * @param {number} limit - How many to return
+ * @returns {Promise<Object|null>} { total, publications } or null if the request failed
+ */
+async function getProfessorPublications(professorId, limit = 5) {
+    try {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), 5000); // 5 second timeout
+        
+        const response = await fetch(`${API_BASE_URL}/professors/${encodeURIComponent(professorId)}/publications?limit=${limit}`, {
+            method: 'GET',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            signal: controller.signal
+        });
+        
+        clearTimeout(timeoutId);
+        
+        if (!response.ok) {
+            throw new Error(`API error: ${response.status}`);
+        }
+        
+        const data = await response.json();
+        return { total: data.total, publications: data.publications || [] };
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            console.error('[API Service] Request timeout - backend may not be running');
+        } else {
+            console.error('[API Service] Error fetching publications:', error);
+        }
+        return null;
+    }
+}
+
+/**
+ * Get a lab page: the lab, its professors and its active openings
+ * @param {number|string} labId - Lab ID
+ * @returns {Promise<Object|null>} { lab, professors, openings }, or null if the lab doesn't exist or the request failed
+ */
+async function getLab(labId) {
+    try {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), 5000); // 5 second timeout
+        
+        const response = await fetch(`${API_BASE_URL}/labs/${encodeURIComponent(labId)}`, {
+            method: 'GET',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            signal: controller.signal
+        });
+        
+        clearTimeout(timeoutId);
+        
+        if (response.status === 404) {
+            return null;
+        }
+        if (!response.ok) {
+            throw new Error(`API error: ${response.status}`);
+        }
+        
+        const data = await response.json();
+        return { lab: data.lab, professors: data.professors || [], openings: data.openings || [] };
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            console.error('[API Service] Request timeout - backend may not be running');
+        } else {
+            console.error('[API Service] Error fetching lab:', error);
+        }
+        return null;
+    }
+}
+
 /**
  * Clear the department data cache
  */
 function clearDepartmentCache() {
     departmentDataCache.data = null;
     departmentDataCache.timestamp = null;
+    departmentDataCache.etag = null;
+    departmentDataCache.complete = false;
 }
 
 // Export for use in other files
@@ -177,6 +415,11 @@ if (typeof module !== 'undefined' && module.exports) {
         getAllDepartmentsData, 
         getDepartmentData, 
         getDepartmentList,
+        searchProfessors,
+        getResearchAreas,
+        getProfessorsStats,
+        getProfessorPublications,
+        getLab,
         clearDepartmentCache
     };
 }
@@ -10,6 +10,9 @@ function getApiBaseUrl() {
 let currentUser = null;
 let authToken = null;
 
+// Reset token from a password reset link, until the new password is submitted
+let resetToken = null;
+
 // Initialize auth on page load
 document.addEventListener('DOMContentLoaded', () => {
     // Check for OAuth callback parameters
@@ -20,6 +23,12 @@ document.addEventListener('DOMContentLoaded', () => {
     const oauthName = urlParams.get('name');
     const authError = urlParams.get('auth_error');
     
+    if (urlParams.get('reset_token')) {
+        // Password reset link - keep the token out of the address bar and history
+        resetToken = urlParams.get('reset_token');
+        window.history.replaceState({}, document.title, window.location.pathname);
+    }
+    
     if (oauthToken && oauthUserId && oauthEmail) {
         // OAuth callback - save token and user
         authToken = oauthToken;
@@ -62,15 +71,57 @@ document.addEventListener('DOMContentLoaded', () => {
     
     setupAuthModal();
     updateUI();
+    
+    if (resetToken) {
+        showAuthForm('reset');
+        document.getElementById('authModal').style.display = 'flex';
+    }
 });
 
+// Modal screens: the login and signup tabs, and the forgot and reset password screens
+const AUTH_FORMS = {
+    login: 'loginForm',
+    signup: 'signupForm',
+    forgot: 'forgotPasswordForm',
+    reset: 'resetPasswordForm'
+};
+let activeAuthForm = 'login';
+
+// Show one screen of the auth modal, clearing messages left on the others
+function showAuthForm(name) {
+    activeAuthForm = name;
+    Object.entries(AUTH_FORMS).forEach(([formName, id]) => {
+        document.getElementById(id).style.display = formName === name ? 'block' : 'none';
+    });
+    ['loginError', 'signupError', 'forgotError', 'forgotMessage', 'resetError'].forEach(id => {
+        const element = document.getElementById(id);
+        element.textContent = '';
+        element.style.display = 'none';
+    });
+    
+    // The tabs only switch between login and signup
+    document.querySelector('.auth-tabs').style.display = name === 'login' || name === 'signup' ? '' : 'none';
+    document.querySelectorAll('.auth-tab').forEach(tab => {
+        tab.classList.toggle('active', tab.getAttribute('data-tab') === name);
+    });
+}
+
+// Save the token and user from a successful login, signup or password reset
+function completeLogin(data) {
+    authToken = data.token;
+    currentUser = data.user;
+    localStorage.setItem('authToken', authToken);
+    localStorage.setItem('user', JSON.stringify(currentUser));
+    document.getElementById('authModal').style.display = 'none';
+    updateUI();
+    window.dispatchEvent(new CustomEvent('userLoggedIn'));
+}
+
 function setupAuthModal() {
     const modal = document.getElementById('authModal');
     const loginButton = document.getElementById('loginButton');
     const closeButton = document.querySelector('.auth-modal-close');
     const authTabs = document.querySelectorAll('.auth-tab');
-    const loginForm = document.getElementById('loginForm');
-    const signupForm = document.getElementById('signupForm');
     const loginSubmit = document.getElementById('loginSubmit');
     const signupSubmit = document.getElementById('signupSubmit');
     const googleLogin = document.getElementById('googleLogin');
@@ -78,17 +129,8 @@ function setupAuthModal() {
     
     // Open modal
     loginButton.addEventListener('click', () => {
-        // Clear any errors when opening modal
-        const loginError = document.getElementById('loginError');
-        const signupError = document.getElementById('signupError');
-        if (loginError) {
-            loginError.textContent = '';
-            loginError.style.display = 'none';
-        }
-        if (signupError) {
-            signupError.textContent = '';
-            signupError.style.display = 'none';
-        }
+        // Clear any errors when opening modal, and leave the password reset screens
+        showAuthForm(activeAuthForm === 'signup' ? 'signup' : 'login');
         modal.style.display = 'flex';
     });
     
@@ -103,33 +145,92 @@ function setupAuthModal() {
         }
     });
     
-    // Switch between login and signup
+    // Switch between login and signup (clears errors)
     authTabs.forEach(tab => {
         tab.addEventListener('click', () => {
-            const tabName = tab.getAttribute('data-tab');
-            authTabs.forEach(t => t.classList.remove('active'));
-            tab.classList.add('active');
+            showAuthForm(tab.getAttribute('data-tab'));
+        });
+    });
+    
+    // Forgot password
+    document.getElementById('forgotPasswordLink').addEventListener('click', () => {
+        document.getElementById('forgotEmail').value = document.getElementById('loginEmail').value;
+        showAuthForm('forgot');
+    });
+    document.querySelectorAll('.auth-back-to-login').forEach(button => {
+        button.addEventListener('click', () => showAuthForm('login'));
+    });
+    
+    document.getElementById('forgotSubmit').addEventListener('click', async () => {
+        const email = document.getElementById('forgotEmail').value;
+        const messageDiv = document.getElementById('forgotMessage');
+        const errorDiv = document.getElementById('forgotError');
+        
+        messageDiv.textContent = '';
+        messageDiv.style.display = 'none';
+        errorDiv.textContent = '';
+        errorDiv.style.display = 'none';
+        
+        try {
+            const response = await fetch(`${getApiBaseUrl()}/auth/forgot-password`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ email })
+            });
             
-            // Clear errors when switching tabs
-            const loginError = document.getElementById('loginError');
-            const signupError = document.getElementById('signupError');
-            if (loginError) {
-                loginError.textContent = '';
-                loginError.style.display = 'none';
-            }
-            if (signupError) {
-                signupError.textContent = '';
-                signupError.style.display = 'none';
+            const data = await response.json();
+            
+            if (response.ok) {
+                messageDiv.textContent = data.message;
+                messageDiv.style.display = 'block';
+            } else {
+                errorDiv.textContent = data.error || 'Could not send a reset link';
+                errorDiv.style.display = 'block';
             }
+        } catch (error) {
+            errorDiv.textContent = 'Network error. Please try again.';
+            errorDiv.style.display = 'block';
+        }
+    });
+    
+    // Reset password (from the emailed link)
+    document.getElementById('resetSubmit').addEventListener('click', async () => {
+        const password = document.getElementById('resetPassword').value;
+        const confirmPassword = document.getElementById('resetPasswordConfirm').value;
+        const errorDiv = document.getElementById('resetError');
+        
+        errorDiv.textContent = '';
+        errorDiv.style.display = 'none';
+        
+        if (password !== confirmPassword) {
+            errorDiv.textContent = 'Passwords do not match';
+            errorDiv.style.display = 'block';
+            return;
+        }
+        
+        try {
+            const response = await fetch(`${getApiBaseUrl()}/auth/reset-password`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ token: resetToken, password })
+            });
+            
+            const data = await response.json();
             
-            if (tabName === 'login') {
-                loginForm.style.display = 'block';
-                signupForm.style.display = 'none';
+            if (response.ok) {
+                resetToken = null;
+                document.getElementById('resetPassword').value = '';
+                document.getElementById('resetPasswordConfirm').value = '';
+                showAuthForm('login');
+                completeLogin(data);
             } else {
-                loginForm.style.display = 'none';
-                signupForm.style.display = 'block';
+                errorDiv.textContent = data.error || 'Password reset failed';
+                errorDiv.style.display = 'block';
             }
-        });
+        } catch (error) {
+            errorDiv.textContent = 'Network error. Please try again.';
+            errorDiv.style.display = 'block';
+        }
     });
     
     // Login
@@ -151,14 +252,8 @@ function setupAuthModal() {
             const data = await response.json();
             
             if (response.ok) {
-                authToken = data.token;
-                currentUser = data.user;
-                localStorage.setItem('authToken', authToken);
-                localStorage.setItem('user', JSON.stringify(currentUser));
-                modal.style.display = 'none';
-                updateUI();
-                // Trigger custom event for starred professors
-                window.dispatchEvent(new CustomEvent('userLoggedIn'));
+                // Also triggers the custom event for starred professors
+                completeLogin(data);
             } else {
                 errorDiv.textContent = data.error || 'Login failed';
                 errorDiv.style.display = 'block';
@@ -189,13 +284,7 @@ function setupAuthModal() {
             const data = await response.json();
             
             if (response.ok) {
-                authToken = data.token;
-                currentUser = data.user;
-                localStorage.setItem('authToken', authToken);
-                localStorage.setItem('user', JSON.stringify(currentUser));
-                modal.style.display = 'none';
-                updateUI();
-                window.dispatchEvent(new CustomEvent('userLoggedIn'));
+                completeLogin(data);
             } else {
                 errorDiv.textContent = data.error || 'Signup failed';
                 errorDiv.style.display = 'block';
@@ -0,0 +1,53 @@
+/**
+ * Application Validation
+ * Validates the application tracker fields and notes users keep on their starred professors
+ */
+
+const { validateFields } = require('./professor-validation');
+
+// Pipeline order, from first contact to an outcome
+const APPLICATION_STATUSES = ['interested', 'emailed', 'replied', 'interviewing', 'joined', 'declined'];
+
+/**
+ * Field rules keyed by the camelCase names the API accepts (see professor-validation for the types)
+ * `followUpOn` is the date to be reminded to follow up; null clears it.
+ */
+const APPLICATION_FIELD_RULES = {
+    status: { type: 'enum', values: APPLICATION_STATUSES, nullable: false },
+    followUpOn: { type: 'day' }
+};
+
+const MAX_NOTE_LENGTH = 5000;
+
+// A note on a starred professor is just its text
+const NOTE_FIELD_RULES = {
+    text: { type: 'text', required: true, nullable: false, maxLength: MAX_NOTE_LENGTH }
+};
+
+/**
+ * Validate application tracker input (every field is optional, but at least one is required)
+ * @param {Object} input - Request body
+ * @returns {{ errors: Object|null, application: Object }} Field errors keyed by field name, and the normalized values
+ */
+function validateApplicationInput(input) {
+    const { errors, values } = validateFields(input, APPLICATION_FIELD_RULES, { partial: true });
+    return { errors, application: values };
+}
+
+/**
+ * Validate a note on a starred professor (used to create and to edit one)
+ * @param {Object} input - Request body
+ * @returns {{ errors: Object|null, note: Object }} Field errors keyed by field name, and the normalized values
+ */
+function validateNoteInput(input) {
+    const { errors, values } = validateFields(input, NOTE_FIELD_RULES);
+    return { errors, note: values };
+}
+
+module.exports = {
+    APPLICATION_STATUSES,
+    APPLICATION_FIELD_RULES,
+    NOTE_FIELD_RULES,
+    validateApplicationInput,
+    validateNoteInput
+};
@@ -4,11 +4,15 @@
  */
 
 const bcrypt = require('bcrypt');
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
+const db = require('./database');
 
 require('dotenv').config();
 const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
 const JWT_EXPIRES_IN = '7d'; // Token expires in 7 days
+const RESET_TOKEN_TTL_MINUTES = 60; // Password reset links work for an hour
+const MIN_PASSWORD_LENGTH = 8; // For passwords set through a reset link
 
 /**
  * Hash a password
@@ -27,15 +31,33 @@ async function comparePassword(password, hash) {
 
 /**
  * Generate JWT token for user
+ * `sessionVersion` is the user's session_version; resetting their password bumps it,
+ * which invalidates tokens issued before.
  */
-function generateToken(userId, email) {
+function generateToken(userId, email, sessionVersion = 0) {
     return jwt.sign(
-        { userId, email },
+        { userId, email, sessionVersion },
         JWT_SECRET,
         { expiresIn: JWT_EXPIRES_IN }
     );
 }
 
+/**
+ * Hash a password reset token for storage (tokens are random, so a fast hash is enough)
+ */
+function hashResetToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Generate a password reset token
+ * @returns {{ token: string, tokenHash: string }} The token for the emailed link and the hash to store
+ */
+function generateResetToken() {
+    const token = crypto.randomBytes(32).toString('hex');
+    return { token, tokenHash: hashResetToken(token) };
+}
+
 /**
  * Verify JWT token
  */
@@ -52,8 +74,9 @@ function verifyToken(token) {
 
 /**
  * Middleware to authenticate requests
+ * Tokens issued before the user's last password reset are rejected, like expired ones.
  */
-function authenticateToken(req, res, next) {
+async function authenticateToken(req, res, next) {
     const authHeader = req.headers['authorization'];
     const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
 
@@ -70,16 +93,71 @@ function authenticateToken(req, res, next) {
         return res.status(403).json({ error: 'Invalid or expired token' });
     }
 
+    try {
+        const user = await db.getUserById(decoded.userId);
+        // Tokens from before session versions count as version 0
+        if (!user || user.session_version !== (decoded.sessionVersion || 0)) {
+            console.log('Auth middleware: Session no longer valid for userId:', decoded.userId);
+            return res.status(403).json({ error: 'Invalid or expired token' });
+        }
+    } catch (error) {
+        console.error('Auth middleware: Error checking session:', error);
+        return res.status(500).json({ error: 'Internal server error' });
+    }
+
     console.log('Auth middleware: Token verified, userId:', decoded.userId);
     req.user = decoded;
     next();
 }
 
+/**
+ * Build middleware that restricts requests to users with one of the given roles
+ * Must run after authenticateToken. The role is read from the database rather than
+ * the token so that revoking access takes effect immediately.
+ */
+function requireRole(allowedRoles, errorMessage) {
+    return async function (req, res, next) {
+        if (!req.user) {
+            return res.status(401).json({ error: 'No token provided' });
+        }
+
+        try {
+            const user = await db.getUserById(req.user.userId);
+            if (!user || !allowedRoles.includes(user.role)) {
+                console.log('Role middleware: Access denied for userId:', req.user.userId);
+                return res.status(403).json({ error: errorMessage });
+            }
+
+            req.user.role = user.role;
+            next();
+        } catch (error) {
+            console.error('Role middleware: Error checking role:', error);
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    };
+}
+
+/**
+ * Middleware to restrict requests to admin users
+ */
+const requireAdmin = requireRole(['admin'], 'Admin access required');
+
+/**
+ * Middleware to restrict requests to users who may edit professor data (editors and admins)
+ */
+const requireEditor = requireRole(['editor', 'admin'], 'Editor access required');
+
 module.exports = {
+    RESET_TOKEN_TTL_MINUTES,
+    MIN_PASSWORD_LENGTH,
     hashPassword,
     comparePassword,
     generateToken,
+    hashResetToken,
+    generateResetToken,
     verifyToken,
-    authenticateToken
+    authenticateToken,
+    requireAdmin,
+    requireEditor
 };
 
@@ -1,30 +1,29 @@
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
+const crypto = require('crypto');
+const migrationRunner = require('./migration-runner');
 
-const DB_PATH = path.join(__dirname, 'database.db');
+// DATABASE_PATH points elsewhere, e.g. at a scratch copy for tests
+const DB_PATH = process.env.DATABASE_PATH ? path.resolve(process.env.DATABASE_PATH) : path.join(__dirname, 'database.db');
 
 let db = null;
 
 /**
- * Initialize the database
+ * Open the database file without touching the schema
+ * Pass { readOnly: true } for tools that must not write (e.g. import dry runs).
+ * Read-only connections cannot apply migrations, so they refuse an outdated schema.
  */
-function initDatabase() {
-    return new Promise((resolve, reject) => {
-        console.log(`💾 Opening database at: ${DB_PATH}`);
+async function openDatabase({ readOnly = false } = {}) {
+    await new Promise((resolve, reject) => {
+        console.log(`💾 Opening database at: ${DB_PATH}${readOnly ? ' (read-only)' : ''}`);
         try {
-            db = new sqlite3.Database(DB_PATH, (err) => {
+            const mode = readOnly ? sqlite3.OPEN_READONLY : sqlite3.OPEN_READWRITE | sqlite3.OPEN_CREATE;
+            db = new sqlite3.Database(DB_PATH, mode, (err) => {
                 if (err) {
                     console.error('❌ Database open error:', err);
                     reject(err);
                 } else {
-                    console.log('📂 Database file opened, creating tables...');
-                    createTables().then(() => {
-                        console.log('✅ Database initialized');
-                        resolve();
-                    }).catch((tableErr) => {
-                        console.error('❌ Table creation error:', tableErr);
-                        reject(tableErr);
-                    });
+                    resolve(db);
                 }
             });
         } catch (error) {
@@ -32,155 +31,32 @@ function initDatabase() {
             reject(error);
         }
     });
+
+    if (readOnly) {
+        const pending = await migrationRunner.getPendingMigrations(db);
+        if (pending.length > 0) {
+            throw new Error(`Database has ${pending.length} pending migration(s) (${pending.join(', ')}). Run "npm run migrate" first.`);
+        }
+    }
+    return db;
 }
 
 /**
- * Create database tables
+ * Initialize the database (open it and apply any pending migrations)
  */
-function createTables() {
-    return new Promise((resolve, reject) => {
-        db.serialize(() => {
-            // Departments table
-            db.run(`
-                CREATE TABLE IF NOT EXISTS departments (
-                    id INTEGER PRIMARY KEY AUTOINCREMENT,
-                    name TEXT UNIQUE NOT NULL,
-                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-                )
-            `);
-
-            // Professors/Labs table
-            db.run(`
-                CREATE TABLE IF NOT EXISTS professors (
-                    id INTEGER PRIMARY KEY AUTOINCREMENT,
-                    department_id INTEGER NOT NULL,
-                    name TEXT NOT NULL,
-                    title TEXT,
-                    lab TEXT,
-                    lab_website TEXT,
-                    email TEXT,
-                    research_area TEXT,
-                    num_undergrad_researchers INTEGER,
-                    num_lab_members INTEGER,
-                    num_published_papers INTEGER,
-                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                    FOREIGN KEY (department_id) REFERENCES departments(id)
-                )
-            `);
-
-            // Trending labs table
-            db.run(`
-                CREATE TABLE IF NOT EXISTS trending_labs (
-                    id INTEGER PRIMARY KEY AUTOINCREMENT,
-                    department_id INTEGER NOT NULL,
-                    lab_name TEXT NOT NULL,
-                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                    FOREIGN KEY (department_id) REFERENCES departments(id),
-                    UNIQUE(department_id, lab_name)
-                )
-            `);
-
-            // Analytics: View tracking
-            db.run(`
-                CREATE TABLE IF NOT EXISTS professor_views (
-                    id INTEGER PRIMARY KEY AUTOINCREMENT,
-                    professor_id INTEGER NOT NULL,
-                    viewed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                    ip_address TEXT,
-                    user_agent TEXT,
-                    FOREIGN KEY (professor_id) REFERENCES professors(id)
-                )
-            `);
-
-            // Analytics: Click tracking
-            db.run(`
-                CREATE TABLE IF NOT EXISTS professor_clicks (
-                    id INTEGER PRIMARY KEY AUTOINCREMENT,
-                    professor_id INTEGER NOT NULL,
-                    click_type TEXT NOT NULL,
-                    clicked_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                    ip_address TEXT,
-                    user_agent TEXT,
-                    FOREIGN KEY (professor_id) REFERENCES professors(id)
-                )
-            `);
-
-            // Analytics: Department views
-            db.run(`
-                CREATE TABLE IF NOT EXISTS department_views (
-                    id INTEGER PRIMARY KEY AUTOINCREMENT,
-                    department_id INTEGER NOT NULL,
-                    viewed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                    ip_address TEXT,
-                    user_agent TEXT,
-                    FOREIGN KEY (department_id) REFERENCES departments(id)
-                )
-            `);
-
-            // Users table
-            db.run(`
-                CREATE TABLE IF NOT EXISTS users (
-                    id INTEGER PRIMARY KEY AUTOINCREMENT,
-                    email TEXT UNIQUE NOT NULL,
-                    password_hash TEXT,
-                    name TEXT,
-                    google_id TEXT UNIQUE,
-                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-                )
-            `);
-
-            // Starred professors table
-            db.run(`
-                CREATE TABLE IF NOT EXISTS starred_professors (
-                    id INTEGER PRIMARY KEY AUTOINCREMENT,
-                    user_id INTEGER NOT NULL,
-                    professor_id INTEGER NOT NULL,
-                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                    FOREIGN KEY (user_id) REFERENCES users(id),
-                    FOREIGN KEY (professor_id) REFERENCES professors(id),
-                    UNIQUE(user_id, professor_id)
-                )
-            `, (err) => {
-                if (err) reject(err);
-                else {
-                    // Add new columns to professors table if they don't exist (migration)
-                    // SQLite doesn't support IF NOT EXISTS for ALTER TABLE, so we'll try and ignore errors
-                    db.run(`ALTER TABLE professors ADD COLUMN num_undergrad_researchers INTEGER`, (err1) => {
-                        // Ignore error if column already exists
-                        db.run(`ALTER TABLE professors ADD COLUMN num_lab_members INTEGER`, (err2) => {
-                            // Ignore error if column already exists
-                            db.run(`ALTER TABLE professors ADD COLUMN num_published_papers INTEGER`, (err3) => {
-                                // Ignore error if column already exists
-                                db.run(`ALTER TABLE professors ADD COLUMN is_recruiting INTEGER DEFAULT 0`, (err4) => {
-                                    // Ignore error if column already exists
-                                    db.run(`ALTER TABLE professors ADD COLUMN is_translucent INTEGER DEFAULT 0`, (err5) => {
-                                        // Ignore error if column already exists
-                                        db.run(`ALTER TABLE professors ADD COLUMN personal_website TEXT`, (err6) => {
-                                            // Ignore error if column already exists
-                                            // Create indexes
-                                            db.run(`CREATE INDEX IF NOT EXISTS idx_professors_department ON professors(department_id)`, () => {
-                                                db.run(`CREATE INDEX IF NOT EXISTS idx_views_professor ON professor_views(professor_id)`, () => {
-                                                    db.run(`CREATE INDEX IF NOT EXISTS idx_clicks_professor ON professor_clicks(professor_id)`, () => {
-                                                        db.run(`CREATE INDEX IF NOT EXISTS idx_views_department ON department_views(department_id)`, () => {
-                                                            db.run(`CREATE INDEX IF NOT EXISTS idx_starred_user ON starred_professors(user_id)`, () => {
-                                                                db.run(`CREATE INDEX IF NOT EXISTS idx_starred_professor ON starred_professors(professor_id)`, () => {
-                                                                    resolve();
-                                                                });
-                                                            });
-                                                        });
-                                                    });
-                                                });
-                                            });
-                                        });
-                                    });
-                                });
-                            });
-                        });
-                    });
-                }
-            });
-        });
-    });
+async function initDatabase() {
+    await openDatabase();
+    console.log('📂 Database file opened, running migrations...');
+    try {
+        const applied = await migrationRunner.migrateUp(db);
+        if (applied.length > 0) {
+            console.log(`✅ Applied ${applied.length} migration(s)`);
+        }
+    } catch (migrationErr) {
+        console.error('❌ Migration error:', migrationErr.message);
+        throw migrationErr;
+    }
+    console.log('✅ Database initialized');
 }
 
 /**
@@ -193,6 +69,51 @@ function getDatabase() {
     return db;
 }
 
+/**
+ * Promise wrappers for operations that run several statements in sequence (e.g. merges)
+ */
+function runStatement(sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.run(sql, params, function(err) {
+            if (err) reject(err);
+            else resolve({ lastID: this.lastID, changes: this.changes });
+        });
+    });
+}
+
+function getRow(sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.get(sql, params, (err, row) => {
+            if (err) reject(err);
+            else resolve(row || null);
+        });
+    });
+}
+
+function getRows(sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.all(sql, params, (err, rows) => {
+            if (err) reject(err);
+            else resolve(rows);
+        });
+    });
+}
+
+/**
+ * Run fn inside a transaction, rolling back if it throws
+ */
+async function inTransaction(fn) {
+    await runStatement('BEGIN TRANSACTION');
+    try {
+        const result = await fn();
+        await runStatement('COMMIT');
+        return result;
+    } catch (error) {
+        await runStatement('ROLLBACK').catch(() => {});
+        throw error;
+    }
+}
+
 /**
  * Get all departments
  */
@@ -236,7 +157,143 @@ async function createOrGetDepartment(name) {
 }
 
 /**
- * Get professors by department
+ * Convert a professors row into the camelCase shape returned by the API
+ */
+function formatProfessor(prof) {
+    return {
+        id: prof.id,
+        name: prof.name,
+        title: prof.title,
+        lab: prof.lab,
+        labWebsite: prof.lab_website,
+        personalWebsite: prof.personal_website,
+        email: prof.email,
+        researchArea: prof.research_area,
+        numUndergradResearchers: prof.num_undergrad_researchers,
+        numLabMembers: prof.num_lab_members,
+        numPublishedPapers: prof.num_published_papers,
+        // Recruiting means the professor (or one of their labs) has an active opening
+        isRecruiting: parseOpeningLinks(prof).length > 0,
+        isTranslucent: prof.is_translucent === 1 || prof.is_translucent === true,
+        department: prof.department,
+        departments: parseDepartmentNames(prof),
+        researchAreas: prof.research_area_names ? JSON.parse(prof.research_area_names) : [],
+        labs: prof.lab_links ? JSON.parse(prof.lab_links) : [],
+        openings: parseOpeningLinks(prof),
+        publicationCount: prof.publication_count || 0,
+        statsProvenance: formatStatsProvenance(prof)
+    };
+}
+
+// Stat fields in the API and the professors columns that hold them
+const STAT_COLUMNS = {
+    numUndergradResearchers: 'num_undergrad_researchers',
+    numLabMembers: 'num_lab_members',
+    numPublishedPapers: 'num_published_papers'
+};
+
+// Stats last verified longer ago than this are flagged as stale
+const STATS_STALE_AFTER_DAYS = 365;
+
+/**
+ * Source, source URL and verification time of each stat the professor has
+ * A stat without a matching professor_stat_sources row (see migration 010) has an
+ * unknown source. Unknown and old values are marked `stale`.
+ */
+function formatStatsProvenance(prof) {
+    const sources = prof.stat_sources ? JSON.parse(prof.stat_sources) : [];
+    const staleBefore = Date.now() - STATS_STALE_AFTER_DAYS * 24 * 60 * 60 * 1000;
+    const provenance = {};
+
+    Object.entries(STAT_COLUMNS).forEach(([field, column]) => {
+        if (prof[column] === null || prof[column] === undefined) return;
+        const source = sources.find(row => row.stat === column && row.value === prof[column]);
+        provenance[field] = {
+            source: source ? source.source : null,
+            sourceUrl: source ? source.sourceUrl : null,
+            verifiedAt: source ? source.verifiedAt : null,
+            stale: !source || new Date(source.verifiedAt).getTime() < staleBefore
+        };
+    });
+
+    return provenance;
+}
+
+/**
+ * SQL condition for an active opening (alias `o`): open, with a deadline that has not passed
+ * Deadlines are dates, so an opening is active through its deadline day (UTC).
+ */
+const ACTIVE_OPENING_SQL = "(o.status = 'open' AND (o.deadline IS NULL OR o.deadline >= date('now')))";
+
+// SQL condition on `o` for openings that count for professor `p`: their own and their labs'
+const PROFESSOR_OPENING_SQL = '(o.professor_id = p.id OR o.lab_id IN (SELECT lab_id FROM professor_labs WHERE professor_id = p.id))';
+
+/**
+ * Columns to select alongside p.* for a professor's departments and research areas:
+ * `department` is the primary department, `department_names` is every department they
+ * are listed in (primary first) and `research_area_names` their canonical research
+ * area tags in order, both as JSON arrays. Jointly appointed professors are one row
+ * with several professor_departments links. `lab_links` lists their labs ({ id, name },
+ * first lab first), `opening_links` their active openings (their own and their labs',
+ * earliest deadline first) and `publication_count` counts their publications.
+ */
+const PROFESSOR_LINK_COLUMNS = `
+    (SELECT name FROM departments WHERE id = p.department_id) as department,
+    (
+        SELECT json_group_array(d.name ORDER BY pd.is_primary DESC, d.name)
+        FROM professor_departments pd
+        JOIN departments d ON pd.department_id = d.id
+        WHERE pd.professor_id = p.id
+    ) as department_names,
+    (
+        SELECT json_group_array(ra.name ORDER BY pra.position)
+        FROM professor_research_areas pra
+        JOIN research_areas ra ON pra.research_area_id = ra.id
+        WHERE pra.professor_id = p.id
+    ) as research_area_names,
+    (
+        SELECT json_group_array(json_object('id', id, 'name', name)) FROM (
+            SELECT l.id, l.name
+            FROM professor_labs pl
+            JOIN labs l ON pl.lab_id = l.id
+            WHERE pl.professor_id = p.id
+            ORDER BY pl.position
+        )
+    ) as lab_links,
+    (
+        SELECT json_group_array(json_object(
+            'id', id, 'role', role, 'spots', spots, 'quarter', quarter,
+            'deadline', deadline, 'applyUrl', apply_url, 'labId', lab_id
+        )) FROM (
+            SELECT o.*
+            FROM openings o
+            WHERE ${PROFESSOR_OPENING_SQL} AND ${ACTIVE_OPENING_SQL}
+            ORDER BY o.deadline IS NULL, o.deadline, o.id
+        )
+    ) as opening_links,
+    (
+        SELECT json_group_array(json_object(
+            'stat', s.stat, 'value', s.value, 'source', s.source,
+            'sourceUrl', s.source_url, 'verifiedAt', s.verified_at
+        ))
+        FROM professor_stat_sources s
+        WHERE s.professor_id = p.id
+    ) as stat_sources,
+    (SELECT COUNT(*) FROM publications WHERE professor_id = p.id) as publication_count`;
+
+function parseOpeningLinks(row) {
+    return row.opening_links ? JSON.parse(row.opening_links) : [];
+}
+
+function parseDepartmentNames(row) {
+    if (row.department_names) {
+        return JSON.parse(row.department_names);
+    }
+    return row.department ? [row.department] : [];
+}
+
+/**
+ * Get professors listed in a department (including joint appointments from other departments)
  */
 function getProfessorsByDepartment(departmentName) {
     return new Promise((resolve, reject) => {
@@ -247,141 +304,390 @@ function getProfessorsByDepartment(departmentName) {
             }
             
             db.all(`
-                SELECT * FROM professors 
-                WHERE department_id = ? 
-                ORDER BY name
+                SELECT p.*, ${PROFESSOR_LINK_COLUMNS}
+                FROM professors p
+                JOIN professor_departments listing ON listing.professor_id = p.id
+                WHERE listing.department_id = ?
+                ORDER BY p.name
             `, [dept.id], (err, rows) => {
                 if (err) {
                     reject(err);
                 } else {
-                    const results = rows.map(prof => ({
-                        name: prof.name,
-                        title: prof.title,
-                        lab: prof.lab,
-                        labWebsite: prof.lab_website,
-                        personalWebsite: prof.personal_website,
-                        email: prof.email,
-                        researchArea: prof.research_area,
-                        numUndergradResearchers: prof.num_undergrad_researchers,
-                        numLabMembers: prof.num_lab_members,
-                        numPublishedPapers: prof.num_published_papers,
-                        isRecruiting: prof.is_recruiting === 1 || prof.is_recruiting === true,
-                        isTranslucent: prof.is_translucent === 1 || prof.is_translucent === true
-                    }));
-                    resolve(results);
+                    resolve(rows.map(formatProfessor));
                 }
             });
         }).catch(reject);
     });
 }
 
+// Sort names accepted by queryDepartmentProfessors → columns
+const LISTING_SORT_COLUMNS = {
+    name: 'p.name COLLATE NOCASE',
+    undergrads: 'p.num_undergrad_researchers',
+    papers: 'p.num_published_papers',
+    labMembers: 'p.num_lab_members'
+};
+
+// Seniority from the free-text title; emeritus and assistant/associate are checked before plain "professor"
+const TITLE_RANK_SQL = `
+    CASE
+        WHEN LOWER(COALESCE(p.title, '')) LIKE '%emerit%' THEN 'emeritus'
+        WHEN LOWER(p.title) LIKE '%assistant professor%' THEN 'assistant'
+        WHEN LOWER(p.title) LIKE '%associate professor%' THEN 'associate'
+        WHEN LOWER(p.title) LIKE '%professor%' THEN 'professor'
+        WHEN LOWER(p.title) LIKE '%lecturer%' OR LOWER(p.title) LIKE '%instructor%' THEN 'lecturer'
+        ELSE 'other'
+    END`;
+
+/**
+ * SQL conditions on `p` (professors) for the listing filters parsed by listing-query.js
+ * filters.researchArea (a name or alias) also matches areas nested under it.
+ * @returns {Promise<{conditions: Array<string>, params: Array}|null>} null when nothing can match
+ */
+async function buildListingConditions(filters = {}) {
+    const conditions = [];
+    const params = [];
+    if (filters.recruiting !== undefined) {
+        const hasOpening = `EXISTS (SELECT 1 FROM openings o WHERE ${PROFESSOR_OPENING_SQL} AND ${ACTIVE_OPENING_SQL})`;
+        conditions.push(filters.recruiting ? hasOpening : `NOT ${hasOpening}`);
+    }
+    if (filters.hasWebsite !== undefined) {
+        const hasWebsite = "(TRIM(COALESCE(p.lab_website, '')) != '' OR TRIM(COALESCE(p.personal_website, '')) != '')";
+        conditions.push(filters.hasWebsite ? hasWebsite : `NOT ${hasWebsite}`);
+    }
+    if (filters.titleRanks) {
+        conditions.push(`${TITLE_RANK_SQL} IN (${placeholders(filters.titleRanks)})`);
+        params.push(...filters.titleRanks);
+    }
+    if (filters.researchArea) {
+        const area = await findResearchArea(filters.researchArea);
+        if (!area) {
+            return null;
+        }
+        conditions.push(`p.id IN (
+            WITH RECURSIVE area_tree(id) AS (
+                SELECT ?
+                UNION
+                SELECT ra.id FROM research_areas ra JOIN area_tree ON ra.parent_id = area_tree.id
+            )
+            SELECT professor_id FROM professor_research_areas WHERE research_area_id IN (SELECT id FROM area_tree)
+        )`);
+        params.push(area.id);
+    }
+    return { conditions, params };
+}
+
+function listingOrderBy(sort, order) {
+    const direction = order === 'desc' ? 'DESC' : 'ASC';
+    return `${LISTING_SORT_COLUMNS[sort]} ${direction} NULLS LAST, p.name COLLATE NOCASE, p.id`;
+}
+
+/**
+ * Get one page of a department's professors
+ * @param {string} departmentName
+ * @param {Object} options - { sort, order, limit, offset, filters } as parsed by listing-query.js
+ * @returns {Promise<{professors: Array, total: number}>} `total` counts every professor matching the filters
+ */
+async function queryDepartmentProfessors(departmentName, { sort = 'name', order = 'asc', limit = null, offset = 0, filters = {} } = {}) {
+    const dept = await getDepartmentByName(departmentName);
+    const filter = await buildListingConditions(filters);
+    if (!dept || !filter) {
+        return { professors: [], total: 0 };
+    }
+
+    const from = `
+        FROM professors p
+        JOIN professor_departments listing ON listing.professor_id = p.id
+        WHERE ${['listing.department_id = ?', ...filter.conditions].join(' AND ')}`;
+    const params = [dept.id, ...filter.params];
+    const { total } = await getRow(`SELECT COUNT(*) as total ${from}`, params);
+
+    const rows = await getRows(`
+        SELECT p.*, ${PROFESSOR_LINK_COLUMNS}
+        ${from}
+        ORDER BY ${listingOrderBy(sort, order)}
+        LIMIT ? OFFSET ?
+    `, [...params, limit === null ? -1 : limit, offset]);
+
+    return { professors: rows.map(formatProfessor), total };
+}
+
+/**
+ * Get one page of every department's professors
+ * Replaces one queryDepartmentProfessors call per department: totals come from one
+ * grouped query and the professors from one windowed query, whatever the number of departments.
+ * @param {Object} options - Same as queryDepartmentProfessors; paging applies within each department
+ * @returns {Promise<Object>} { departmentName: { professors, total } } for every department
+ */
+async function getDepartmentListings({ sort = 'name', order = 'asc', limit = null, offset = 0, filters = {} } = {}) {
+    const filter = await buildListingConditions(filters);
+    const listings = {};
+
+    const where = filter && filter.conditions.length > 0 ? `AND ${filter.conditions.join(' AND ')}` : '';
+    const params = filter ? filter.params : [];
+    const totals = await getRows(`
+        SELECT d.name, COUNT(p.id) as total
+        FROM departments d
+        LEFT JOIN (
+            professor_departments listing
+            JOIN professors p ON p.id = listing.professor_id ${where}
+        ) ON listing.department_id = d.id
+        GROUP BY d.id
+        ORDER BY d.name
+    `, params);
+    totals.forEach(row => {
+        listings[row.name] = { professors: [], total: filter ? row.total : 0 };
+    });
+    if (!filter) {
+        return listings;
+    }
+
+    const rows = await getRows(`
+        SELECT ranked.listing_department, p.*, ${PROFESSOR_LINK_COLUMNS}
+        FROM (
+            SELECT p.id, d.name as listing_department,
+                ROW_NUMBER() OVER (PARTITION BY d.id ORDER BY ${listingOrderBy(sort, order)}) as listing_position
+            FROM departments d
+            JOIN professor_departments listing ON listing.department_id = d.id
+            JOIN professors p ON p.id = listing.professor_id
+            ${filter.conditions.length > 0 ? `WHERE ${filter.conditions.join(' AND ')}` : ''}
+        ) ranked
+        JOIN professors p ON p.id = ranked.id
+        WHERE ranked.listing_position > ? AND (? IS NULL OR ranked.listing_position <= ?)
+        ORDER BY ranked.listing_department, ranked.listing_position
+    `, [...params, offset, limit, offset + (limit || 0)]);
+    rows.forEach(row => {
+        listings[row.listing_department].professors.push(formatProfessor(row));
+    });
+
+    return listings;
+}
+
+/**
+ * Current version and last change time of a dataset in data_versions (see migration 009)
+ * @returns {Promise<{version: number, updatedAt: string}>}
+ */
+async function getDataVersion(name) {
+    const row = await getRow('SELECT version, updated_at FROM data_versions WHERE name = ?', [name]);
+    return row ? { version: row.version, updatedAt: row.updated_at } : { version: 0, updatedAt: null };
+}
+
 /**
  * Add professor
+ * `departmentName` becomes the primary department; professor.departments may list
+ * further departments for a joint appointment. Research areas are tagged from
+ * professor.researchAreas, or else from the researchArea text, and labs likewise come
+ * from professor.labIds or the lab text.
  */
 async function addProfessor(departmentName, professor) {
     const dept = await createOrGetDepartment(departmentName);
     
-    return new Promise((resolve, reject) => {
-        db.run(`
-            INSERT INTO professors 
-            (department_id, name, title, lab, lab_website, personal_website, email, research_area, num_undergrad_researchers, num_lab_members, num_published_papers, is_recruiting, is_translucent)
-            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-        `, [
-            dept.id,
-            professor.name,
-            professor.title || null,
-            professor.lab || null,
-            professor.labWebsite || null,
-            professor.personalWebsite || null,
-            professor.email || null,
-            professor.researchArea || null,
-            professor.numUndergradResearchers !== undefined && professor.numUndergradResearchers !== null ? professor.numUndergradResearchers : null,
-            professor.numLabMembers !== undefined && professor.numLabMembers !== null ? professor.numLabMembers : null,
-            professor.numPublishedPapers !== undefined && professor.numPublishedPapers !== null ? professor.numPublishedPapers : null,
-            professor.isRecruiting ? 1 : 0,
-            professor.isTranslucent ? 1 : 0
-        ], function(err) {
-            if (err) reject(err);
-            else resolve(this.lastID);
-        });
+    const result = await runStatement(`
+        INSERT INTO professors 
+        (department_id, name, title, lab, lab_website, personal_website, email, research_area, num_undergrad_researchers, num_lab_members, num_published_papers, is_translucent)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+        dept.id,
+        professor.name,
+        professor.title || null,
+        professor.lab || null,
+        professor.labWebsite || null,
+        professor.personalWebsite || null,
+        professor.email || null,
+        professor.researchArea || null,
+        professor.numUndergradResearchers !== undefined && professor.numUndergradResearchers !== null ? professor.numUndergradResearchers : null,
+        professor.numLabMembers !== undefined && professor.numLabMembers !== null ? professor.numLabMembers : null,
+        professor.numPublishedPapers !== undefined && professor.numPublishedPapers !== null ? professor.numPublishedPapers : null,
+        professor.isTranslucent ? 1 : 0
+    ]);
+    
+    await runStatement(
+        'INSERT INTO professor_departments (professor_id, department_id, is_primary) VALUES (?, ?, 1)',
+        [result.lastID, dept.id]
+    );
+    for (const name of professor.departments || []) {
+        await addProfessorDepartment(result.lastID, name);
+    }
+    if (professor.researchAreas !== undefined) {
+        await setProfessorResearchAreas(result.lastID, professor.researchAreas);
+    } else {
+        await setProfessorResearchAreaIds(result.lastID, await resolveResearchAreaText(professor.researchArea));
+    }
+    if (professor.labIds !== undefined) {
+        await setProfessorLabIds(result.lastID, professor.labIds);
+    } else if (professor.lab) {
+        await linkProfessorLab(result.lastID, { lab: professor.lab });
+    }
+    await recordStatSources(result.lastID, professor, statsProvenance(professor));
+    
+    return result.lastID;
+}
+
+/**
+ * List a professor in another (non-primary) department
+ * @returns {Promise<boolean>} false if they were already listed there
+ */
+async function addProfessorDepartment(professorId, departmentName) {
+    const dept = await createOrGetDepartment(departmentName);
+    const result = await runStatement(
+        'INSERT OR IGNORE INTO professor_departments (professor_id, department_id, is_primary) VALUES (?, ?, 0)',
+        [professorId, dept.id]
+    );
+    return result.changes > 0;
+}
+
+/**
+ * Stop listing a professor in a department
+ * Removing the primary department promotes another one; a professor's only
+ * department cannot be removed (delete the professor instead).
+ * @returns {Promise<boolean>} false if they were not listed there
+ */
+async function removeProfessorDepartment(professorId, departmentName) {
+    const dept = await getDepartmentByName(departmentName);
+    if (!dept) return false;
+
+    return inTransaction(async () => {
+        const links = await getRows(
+            'SELECT * FROM professor_departments WHERE professor_id = ? ORDER BY is_primary DESC, department_id',
+            [professorId]
+        );
+        const link = links.find(l => l.department_id === dept.id);
+        if (!link) return false;
+        if (links.length === 1) {
+            throw new Error(`${departmentName} is the professor's only department`);
+        }
+
+        await runStatement(
+            'DELETE FROM professor_departments WHERE professor_id = ? AND department_id = ?',
+            [professorId, dept.id]
+        );
+        if (link.is_primary) {
+            const next = links.find(l => l.department_id !== dept.id);
+            await setPrimaryDepartment(professorId, next.department_id);
+        }
+        return true;
     });
 }
 
+/**
+ * Make a department the professor's primary one, keeping professors.department_id in sync
+ * The old primary link is replaced; secondary links are left alone.
+ */
+async function setPrimaryDepartment(professorId, departmentId) {
+    await runStatement(
+        'DELETE FROM professor_departments WHERE professor_id = ? AND is_primary = 1 AND department_id != ?',
+        [professorId, departmentId]
+    );
+    await runStatement(`
+        INSERT INTO professor_departments (professor_id, department_id, is_primary) VALUES (?, ?, 1)
+        ON CONFLICT (professor_id, department_id) DO UPDATE SET is_primary = 1
+    `, [professorId, departmentId]);
+    await runStatement('UPDATE professors SET department_id = ? WHERE id = ?', [departmentId, professorId]);
+}
+
+/**
+ * Replace a professor's secondary departments (the primary department is kept)
+ */
+async function setSecondaryDepartments(professorId, departmentNames) {
+    const keep = [];
+    for (const name of departmentNames) {
+        const dept = await createOrGetDepartment(name);
+        keep.push(dept.id);
+    }
+
+    await runStatement(
+        `DELETE FROM professor_departments WHERE professor_id = ? AND is_primary = 0 AND department_id NOT IN (${placeholders(keep)})`,
+        [professorId, ...keep]
+    );
+    for (const departmentId of keep) {
+        await runStatement(
+            'INSERT OR IGNORE INTO professor_departments (professor_id, department_id, is_primary) VALUES (?, ?, 0)',
+            [professorId, departmentId]
+        );
+    }
+}
+
+// How many labs getTrendingLabs returns
+const TRENDING_LABS_LIMIT = 3;
+
 /**
  * Get trending labs for a department based on weighted average of clicks and undergraduate researchers
- * Returns top 3 labs/professors by weighted score (70% undergrads, 30% clicks)
+ * Returns the top 3 labs by weighted score (70% undergrads, 30% clicks) as
+ * { labId, name, professorIds }. A lab with several PIs in the department is scored once,
+ * from its PIs' clicks combined; professors without a lab are entries of their own
+ * (labId null, their name as the name).
  */
-function getTrendingLabs(departmentName) {
-    return new Promise((resolve, reject) => {
-        getDepartmentByName(departmentName).then(dept => {
-            if (!dept) {
-                resolve([]);
-                return;
-            }
-            
-            // Get professors with clicks and undergrad counts
-            db.all(`
-                SELECT 
-                    p.id,
-                    p.lab,
-                    p.name,
-                    COALESCE(COUNT(DISTINCT pc.id), 0) as click_count,
-                    COALESCE(p.num_undergrad_researchers, 0) as undergrad_count
-                FROM professors p
-                LEFT JOIN professor_clicks pc ON p.id = pc.professor_id 
-                    AND pc.clicked_at >= datetime('now', '-30 days')
-                WHERE p.department_id = ?
-                GROUP BY p.id, p.lab, p.name, p.num_undergrad_researchers
-            `, [dept.id], (err, rows) => {
-                if (err) {
-                    reject(err);
-                    return;
-                }
-                
-                if (rows.length === 0) {
-                    resolve([]);
-                    return;
-                }
-                
-                // Normalize values for weighted average
-                // Find max values for normalization
-                const maxClicks = Math.max(...rows.map(r => r.click_count), 1);
-                const maxUndergrads = Math.max(...rows.map(r => r.undergrad_count), 1);
-                
-                // Calculate weighted score for each professor
-                // Weight: 70% undergrads, 30% clicks
-                const UNDERGRAD_WEIGHT = 0.7;
-                const CLICK_WEIGHT = 0.3;
-                
-                const scored = rows.map(r => {
-                    // Normalize to 0-1 scale
-                    const normalizedClicks = maxClicks > 0 ? r.click_count / maxClicks : 0;
-                    const normalizedUndergrads = maxUndergrads > 0 ? r.undergrad_count / maxUndergrads : 0;
-                    
-                    // Weighted average
-                    const score = (normalizedUndergrads * UNDERGRAD_WEIGHT) + (normalizedClicks * CLICK_WEIGHT);
-                    
-                    return {
-                        ...r,
-                        score: score
-                    };
-                });
-                
-                // Sort by score (descending), then by name
-                scored.sort((a, b) => {
-                    if (Math.abs(a.score - b.score) < 0.0001) {
-                        // If scores are very close, sort by name
-                        return (a.lab || a.name).localeCompare(b.lab || b.name);
-                    }
-                    return b.score - a.score;
-                });
-                
-                // Return top 3 lab names (or professor names if no lab)
-                const trending = scored.slice(0, 3).map(r => r.lab || r.name);
-                resolve(trending);
-            });
-        }).catch(reject);
+async function getTrendingLabs(departmentName) {
+    const dept = await getDepartmentByName(departmentName);
+    if (!dept) {
+        return [];
+    }
+
+    // Get professors with clicks, undergrad counts and labs
+    const rows = await getRows(`
+        SELECT
+            p.id,
+            p.name,
+            COALESCE(p.num_undergrad_researchers, 0) as undergrad_count,
+            (
+                SELECT COUNT(*) FROM professor_clicks pc
+                WHERE pc.professor_id = p.id AND pc.clicked_at >= datetime('now', '-30 days')
+            ) as click_count,
+            (
+                SELECT json_group_array(json_object('id', l.id, 'name', l.name))
+                FROM professor_labs pl
+                JOIN labs l ON pl.lab_id = l.id
+                WHERE pl.professor_id = p.id
+            ) as labs
+        FROM professors p
+        JOIN professor_departments listing ON listing.professor_id = p.id
+        WHERE listing.department_id = ?
+    `, [dept.id]);
+
+    const entries = new Map();
+    rows.forEach(row => {
+        const labs = JSON.parse(row.labs);
+        const keys = labs.length > 0
+            ? labs.map(lab => ({ key: `lab:${lab.id}`, labId: lab.id, name: lab.name }))
+            : [{ key: `professor:${row.id}`, labId: null, name: row.name }];
+        keys.forEach(({ key, labId, name }) => {
+            const entry = entries.get(key) || { labId, name, professorIds: [], click_count: 0, undergrad_count: 0 };
+            entry.professorIds.push(row.id);
+            entry.click_count += row.click_count;
+            // PIs of a shared lab usually report the same undergrads, so take the largest count
+            entry.undergrad_count = Math.max(entry.undergrad_count, row.undergrad_count);
+            entries.set(key, entry);
+        });
+    });
+
+    if (entries.size === 0) {
+        return [];
+    }
+
+    // Normalize values for weighted average
+    // Find max values for normalization
+    const labs = [...entries.values()];
+    const maxClicks = Math.max(...labs.map(r => r.click_count), 1);
+    const maxUndergrads = Math.max(...labs.map(r => r.undergrad_count), 1);
+
+    // Weight: 70% undergrads, 30% clicks
+    const UNDERGRAD_WEIGHT = 0.7;
+    const CLICK_WEIGHT = 0.3;
+
+    const scored = labs.map(r => ({
+        ...r,
+        score: (r.undergrad_count / maxUndergrads) * UNDERGRAD_WEIGHT + (r.click_count / maxClicks) * CLICK_WEIGHT
+    }));
+
+    // Sort by score (descending), then by name
+    scored.sort((a, b) => {
+        if (Math.abs(a.score - b.score) < 0.0001) {
+            return a.name.localeCompare(b.name);
+        }
+        return b.score - a.score;
     });
+
+    return scored.slice(0, TRENDING_LABS_LIMIT).map(({ labId, name, professorIds }) => ({ labId, name, professorIds }));
 }
 
 /**
@@ -458,7 +764,7 @@ async function trackDepartmentView(departmentName, ipAddress = null, userAgent =
 }
 
 /**
- * Get professor by name and department
+ * Get professor by name and any department they are listed in
  */
 function getProfessorByNameAndDepartment(professorName, departmentName) {
     return new Promise((resolve, reject) => {
@@ -469,8 +775,10 @@ function getProfessorByNameAndDepartment(professorName, departmentName) {
             }
             
             db.get(`
-                SELECT * FROM professors 
-                WHERE department_id = ? AND name = ?
+                SELECT p.*, ${PROFESSOR_LINK_COLUMNS}
+                FROM professors p
+                JOIN professor_departments listing ON listing.professor_id = p.id
+                WHERE listing.department_id = ? AND p.name = ?
             `, [dept.id, professorName], (err, row) => {
                 if (err) reject(err);
                 else resolve(row || null);
@@ -479,6 +787,42 @@ function getProfessorByNameAndDepartment(professorName, departmentName) {
     });
 }
 
+/**
+ * Get professor by ID (includes the primary department name and all department names)
+ */
+function getProfessorById(professorId) {
+    return new Promise((resolve, reject) => {
+        db.get(`
+            SELECT p.*, ${PROFESSOR_LINK_COLUMNS}
+            FROM professors p
+            WHERE p.id = ?
+        `, [professorId], (err, row) => {
+            if (err) reject(err);
+            else resolve(row || null);
+        });
+    });
+}
+
+/**
+ * Get several professors by ID in one query (same columns as getProfessorById)
+ * IDs with no professor are left out
+ */
+function getProfessorsByIds(professorIds) {
+    if (professorIds.length === 0) {
+        return Promise.resolve([]);
+    }
+    return new Promise((resolve, reject) => {
+        db.all(`
+            SELECT p.*, ${PROFESSOR_LINK_COLUMNS}
+            FROM professors p
+            WHERE p.id IN (${professorIds.map(() => '?').join(', ')})
+        `, professorIds, (err, rows) => {
+            if (err) reject(err);
+            else resolve(rows);
+        });
+    });
+}
+
 /**
  * Get analytics for a professor
  */
@@ -518,11 +862,11 @@ function getAllAnalytics() {
                 p.id,
                 p.name,
                 p.lab,
-                d.name as department,
+                p.department_id,
+                ${PROFESSOR_LINK_COLUMNS},
                 (SELECT COUNT(*) FROM professor_views WHERE professor_id = p.id) as views,
                 (SELECT COUNT(*) FROM professor_clicks WHERE professor_id = p.id) as clicks
             FROM professors p
-            JOIN departments d ON p.department_id = d.id
             ORDER BY views DESC, clicks DESC
         `, (err, professors) => {
             if (err) {
@@ -570,6 +914,7 @@ function getAllAnalytics() {
                                     name: p.name,
                                     lab: p.lab,
                                     department: p.department,
+                                    departments: parseDepartmentNames(p),
                                     views: p.views,
                                     clicks: p.clicks
                                 })),
@@ -591,64 +936,1269 @@ function getAllAnalytics() {
 /**
  * Update professor stats
  */
-async function updateProfessorStats(professorName, departmentName, stats) {
+async function updateProfessorStats(professorName, departmentName, stats, provenance = null) {
     const prof = await getProfessorByNameAndDepartment(professorName, departmentName);
     if (!prof) {
         throw new Error('Professor not found');
     }
     
-    return new Promise((resolve, reject) => {
-        db.run(`
-            UPDATE professors 
-            SET num_undergrad_researchers = ?,
-                num_lab_members = ?,
-                num_published_papers = ?
-            WHERE id = ?
-        `, [
-            stats.numUndergradResearchers !== undefined && stats.numUndergradResearchers !== null ? stats.numUndergradResearchers : null,
-            stats.numLabMembers !== undefined && stats.numLabMembers !== null ? stats.numLabMembers : null,
-            stats.numPublishedPapers !== undefined && stats.numPublishedPapers !== null ? stats.numPublishedPapers : null,
-            prof.id
-        ], function(err) {
-            if (err) reject(err);
-            else resolve(this.changes);
-        });
-    });
+    return updateProfessorStatsById(prof.id, stats, provenance);
 }
 
 /**
- * Update professor research area
+ * Drop stats that are derived for this professor and can't be set directly:
+ * numPublishedPapers once they have publications (see migration 011)
  */
-async function updateProfessorResearchArea(professorName, departmentName, researchArea) {
-    const prof = await getProfessorByNameAndDepartment(professorName, departmentName);
-    if (!prof) {
-        throw new Error('Professor not found');
+async function withoutDerivedStats(professorId, stats) {
+    if (stats.numPublishedPapers === undefined) {
+        return stats;
+    }
+    const { count } = await getRow('SELECT COUNT(*) as count FROM publications WHERE professor_id = ?', [professorId]);
+    if (count === 0) {
+        return stats;
+    }
+    const { numPublishedPapers, ...rest } = stats;
+    return rest;
+}
+
+/**
+ * Update professor stats by professor ID
+ * Stats left out of `stats` keep their current value; null clears one. The paper count
+ * of a professor with publications is left alone, since it is counted from them.
+ * With `provenance` ({ source, sourceUrl, verifiedAt }), the source of every given stat is recorded too.
+ */
+async function updateProfessorStatsById(professorId, requestedStats, provenance = null) {
+    const stats = await withoutDerivedStats(professorId, requestedStats);
+    const fields = Object.keys(STAT_COLUMNS).filter(field => stats[field] !== undefined);
+    if (fields.length === 0) {
+        return 0;
     }
+
+    const result = await runStatement(`
+        UPDATE professors 
+        SET ${fields.map(field => `${STAT_COLUMNS[field]} = ?`).join(',\n            ')}
+        WHERE id = ?
+    `, [...fields.map(field => stats[field]), professorId]);
     
-    return new Promise((resolve, reject) => {
-        db.run(`
-            UPDATE professors 
-            SET research_area = ?
-            WHERE id = ?
-        `, [researchArea, prof.id], function(err) {
-            if (err) reject(err);
-            else resolve(this.changes);
-        });
-    });
+    if (provenance) {
+        await recordStatSources(professorId, stats, provenance);
+    }
+    return result.changes;
 }
 
 /**
- * User management functions
+ * Provenance for stats in professor API input; values typed into the API or a script
+ * count as "manual" unless the request says otherwise
  */
+function statsProvenance(fields) {
+    return {
+        source: fields.statsSource || 'manual',
+        sourceUrl: fields.statsSourceUrl || null,
+        verifiedAt: fields.statsVerifiedAt || null
+    };
+}
 
-// Create or get user by email
-function getUserByEmail(email) {
-    return new Promise((resolve, reject) => {
-        db.get('SELECT * FROM users WHERE email = ?', [email], (err, row) => {
-            if (err) reject(err);
-            else resolve(row || null);
-        });
-    });
+/**
+ * Put back a professor_stat_sources row (e.g. when undoing a merge); existing rows win
+ */
+function insertStatSource(row) {
+    return runStatement(`
+        INSERT OR IGNORE INTO professor_stat_sources (professor_id, stat, value, source, source_url, verified_at)
+        VALUES (?, ?, ?, ?, ?, ?)
+    `, [row.professor_id, row.stat, row.value, row.source, row.source_url, row.verified_at]);
+}
+
+/**
+ * Record where the given stat values came from
+ * Only stat fields present in `stats` are touched; a null stat clears its source.
+ * @param {Object} provenance - { source, sourceUrl, verifiedAt } (verifiedAt defaults to now)
+ */
+async function recordStatSources(professorId, stats, { source, sourceUrl = null, verifiedAt = null }) {
+    const verified = verifiedAt || new Date().toISOString();
+    for (const [field, column] of Object.entries(STAT_COLUMNS)) {
+        const value = stats[field];
+        if (value === undefined) continue;
+        if (value === null) {
+            await runStatement('DELETE FROM professor_stat_sources WHERE professor_id = ? AND stat = ?', [professorId, column]);
+        } else {
+            await runStatement(`
+                INSERT OR REPLACE INTO professor_stat_sources (professor_id, stat, value, source, source_url, verified_at)
+                VALUES (?, ?, ?, ?, ?, ?)
+            `, [professorId, column, value, source, sourceUrl, verified]);
+        }
+    }
+}
+
+/**
+ * Update professor research area
+ */
+async function updateProfessorResearchArea(professorName, departmentName, researchArea) {
+    const prof = await getProfessorByNameAndDepartment(professorName, departmentName);
+    if (!prof) {
+        throw new Error('Professor not found');
+    }
+    
+    return updateProfessorResearchAreaById(prof.id, researchArea);
+}
+
+/**
+ * Update professor research area by professor ID
+ * The free text is also split into canonical research area tags (see resolveResearchAreaText).
+ */
+async function updateProfessorResearchAreaById(professorId, researchArea) {
+    const result = await runStatement('UPDATE professors SET research_area = ? WHERE id = ?', [researchArea, professorId]);
+    await setProfessorResearchAreaIds(professorId, await resolveResearchAreaText(researchArea));
+    return result.changes;
+}
+
+/**
+ * Research area taxonomy
+ * research_areas holds canonical names (with an optional parent area), and
+ * research_area_aliases maps other spellings such as "ML" onto them.
+ */
+
+/**
+ * Find a research area by its canonical name or an alias (case-insensitive)
+ */
+async function findResearchArea(nameOrAlias) {
+    const name = nameOrAlias.trim();
+    const area = await getRow('SELECT * FROM research_areas WHERE name = ?', [name]);
+    if (area) return area;
+    return getRow(`
+        SELECT ra.*
+        FROM research_area_aliases a
+        JOIN research_areas ra ON a.research_area_id = ra.id
+        WHERE a.alias = ?
+    `, [name]);
+}
+
+/**
+ * Turn free-text research areas into research area IDs
+ * Comma/semicolon parts are tried whole first ("Security & Privacy"), then split on
+ * "&"/"and" ("Computer Vision & Machine Learning"). Parts that match no name or alias
+ * become new top-level areas.
+ */
+async function resolveResearchAreaText(text) {
+    const ids = [];
+    const parts = (text || '').split(/[,;/]/).map(part => part.trim()).filter(Boolean);
+
+    for (const part of parts) {
+        const area = await findResearchArea(part);
+        if (area) {
+            ids.push(area.id);
+            continue;
+        }
+        for (const piece of part.split(/\s+(?:&|and)\s+/i).map(p => p.trim()).filter(Boolean)) {
+            const found = await findResearchArea(piece);
+            ids.push(found ? found.id : (await runStatement('INSERT INTO research_areas (name) VALUES (?)', [piece])).lastID);
+        }
+    }
+
+    return [...new Set(ids)];
+}
+
+/**
+ * Replace a professor's research area tags, keeping the given order
+ */
+async function setProfessorResearchAreaIds(professorId, areaIds) {
+    await runStatement('DELETE FROM professor_research_areas WHERE professor_id = ?', [professorId]);
+    const ids = [...new Set(areaIds)];
+    for (let position = 0; position < ids.length; position++) {
+        await runStatement(
+            'INSERT INTO professor_research_areas (professor_id, research_area_id, position) VALUES (?, ?, ?)',
+            [professorId, ids[position], position]
+        );
+    }
+}
+
+/**
+ * Tag a professor with research areas given by canonical name or alias
+ * research_area is rewritten to the canonical names so the two stay in step.
+ * Unknown names are rejected rather than created.
+ */
+async function setProfessorResearchAreas(professorId, names) {
+    const areas = [];
+    for (const name of names) {
+        const area = await findResearchArea(name);
+        if (!area) {
+            throw new Error(`Unknown research area "${name}"`);
+        }
+        if (!areas.some(a => a.id === area.id)) areas.push(area);
+    }
+
+    await setProfessorResearchAreaIds(professorId, areas.map(area => area.id));
+    await runStatement(
+        'UPDATE professors SET research_area = ? WHERE id = ?',
+        [areas.length > 0 ? areas.map(area => area.name).join(', ') : null, professorId]
+    );
+}
+
+/**
+ * Get every research area with its parent, aliases and number of tagged professors
+ */
+async function getResearchAreas() {
+    const rows = await getRows(`
+        SELECT
+            ra.id,
+            ra.name,
+            parent.name as parent,
+            (SELECT json_group_array(alias ORDER BY alias) FROM research_area_aliases WHERE research_area_id = ra.id) as aliases,
+            (SELECT COUNT(*) FROM professor_research_areas WHERE research_area_id = ra.id) as professor_count
+        FROM research_areas ra
+        LEFT JOIN research_areas parent ON ra.parent_id = parent.id
+        ORDER BY ra.name
+    `);
+    return rows.map(row => ({
+        id: row.id,
+        name: row.name,
+        parent: row.parent,
+        aliases: JSON.parse(row.aliases),
+        professorCount: row.professor_count
+    }));
+}
+
+/**
+ * Add another spelling for a research area
+ * @returns {Promise<boolean>} false if the alias already pointed at this area
+ */
+async function addResearchAreaAlias(areaName, alias) {
+    const area = await findResearchArea(areaName);
+    if (!area) {
+        throw new Error(`Unknown research area "${areaName}"`);
+    }
+    const existing = await findResearchArea(alias);
+    if (existing) {
+        if (existing.id !== area.id) {
+            throw new Error(`"${alias}" already refers to ${existing.name}`);
+        }
+        return false;
+    }
+
+    await runStatement('INSERT INTO research_area_aliases (alias, research_area_id) VALUES (?, ?)', [alias.trim(), area.id]);
+    return true;
+}
+
+/**
+ * Fold one research area into another
+ * Tagged professors, aliases and child areas move to `intoName`, and the old name
+ * becomes an alias so text that used it still resolves.
+ * @returns {Promise<number>} Number of professors whose tags moved
+ */
+async function mergeResearchAreas(fromName, intoName) {
+    return inTransaction(async () => {
+        const from = await findResearchArea(fromName);
+        const into = await findResearchArea(intoName);
+        if (!from || !into) {
+            throw new Error(`Unknown research area "${from ? intoName : fromName}"`);
+        }
+        if (from.id === into.id) {
+            throw new Error(`"${fromName}" and "${intoName}" are already the same research area`);
+        }
+
+        const tagged = await getRows('SELECT professor_id FROM professor_research_areas WHERE research_area_id = ?', [from.id]);
+        await runStatement(`
+            INSERT OR IGNORE INTO professor_research_areas (professor_id, research_area_id, position)
+            SELECT professor_id, ?, position FROM professor_research_areas WHERE research_area_id = ?
+        `, [into.id, from.id]);
+        await runStatement('DELETE FROM professor_research_areas WHERE research_area_id = ?', [from.id]);
+
+        // Merging a parent into its own child lifts the child to the parent's level
+        if (into.parent_id === from.id) {
+            await runStatement('UPDATE research_areas SET parent_id = ? WHERE id = ?', [from.parent_id, into.id]);
+        }
+        await runStatement('UPDATE research_areas SET parent_id = ? WHERE parent_id = ?', [into.id, from.id]);
+        await runStatement('UPDATE research_area_aliases SET research_area_id = ? WHERE research_area_id = ?', [into.id, from.id]);
+        await runStatement('DELETE FROM research_areas WHERE id = ?', [from.id]);
+        await runStatement('INSERT OR REPLACE INTO research_area_aliases (alias, research_area_id) VALUES (?, ?)', [from.name, into.id]);
+
+        return tagged.length;
+    });
+}
+
+/**
+ * Move a research area under another one, or to the top level when parentName is null
+ */
+async function setResearchAreaParent(areaName, parentName) {
+    const area = await findResearchArea(areaName);
+    if (!area) {
+        throw new Error(`Unknown research area "${areaName}"`);
+    }
+
+    let parentId = null;
+    if (parentName) {
+        const parent = await findResearchArea(parentName);
+        if (!parent) {
+            throw new Error(`Unknown research area "${parentName}"`);
+        }
+        // Walk up from the new parent so an area never ends up inside itself
+        for (let current = parent; current; current = current.parent_id ? await getRow('SELECT * FROM research_areas WHERE id = ?', [current.parent_id]) : null) {
+            if (current.id === area.id) {
+                throw new Error(`${parent.name} is inside ${area.name}, so it cannot be its parent`);
+            }
+        }
+        parentId = parent.id;
+    }
+
+    await runStatement('UPDATE research_areas SET parent_id = ? WHERE id = ?', [parentId, area.id]);
+}
+
+/**
+ * Update professor profile fields and departments by professor ID
+ * Only the fields present in `fields` are changed. Stats and research areas have
+ * their own update functions.
+ */
+async function updateProfessorDetailsById(professorId, fields) {
+    const columns = {
+        name: 'name',
+        title: 'title',
+        lab: 'lab',
+        labWebsite: 'lab_website',
+        personalWebsite: 'personal_website',
+        email: 'email'
+    };
+    const assignments = [];
+    const params = [];
+
+    Object.entries(columns).forEach(([field, column]) => {
+        if (fields[field] !== undefined) {
+            assignments.push(`${column} = ?`);
+            params.push(fields[field]);
+        }
+    });
+
+    if (fields.isTranslucent !== undefined) {
+        assignments.push('is_translucent = ?');
+        params.push(fields.isTranslucent ? 1 : 0);
+    }
+
+    let changes = 0;
+    if (assignments.length > 0) {
+        const result = await runStatement(`UPDATE professors SET ${assignments.join(', ')} WHERE id = ?`, [...params, professorId]);
+        changes = result.changes;
+    }
+
+    // `department` moves the primary department; `departments` replaces the other ones
+    if (fields.department !== undefined) {
+        const dept = await createOrGetDepartment(fields.department);
+        await setPrimaryDepartment(professorId, dept.id);
+        changes = 1;
+    }
+    if (fields.departments !== undefined) {
+        await setSecondaryDepartments(professorId, fields.departments);
+        changes = 1;
+    }
+
+    return changes;
+}
+
+/**
+ * Update any professor fields by professor ID
+ * Routes profile fields, stats, research areas and labs to their update functions.
+ * Stats not present in `fields` keep their current values.
+ */
+async function updateProfessorById(professorId, fields) {
+    const existing = await getProfessorById(professorId);
+    if (!existing) {
+        throw new Error('Professor not found');
+    }
+
+    await updateProfessorDetailsById(professorId, fields);
+
+    const stats = {};
+    Object.keys(STAT_COLUMNS).forEach(field => {
+        if (fields[field] !== undefined) stats[field] = fields[field];
+    });
+    if (Object.keys(stats).length > 0) {
+        // Only the stats in `fields` were (re)verified
+        await updateProfessorStatsById(professorId, stats, statsProvenance(fields));
+    }
+
+    // `researchAreas` (canonical names or aliases) takes precedence over free text
+    if (fields.researchAreas !== undefined) {
+        await setProfessorResearchAreas(professorId, fields.researchAreas);
+    } else if (fields.researchArea !== undefined) {
+        await updateProfessorResearchAreaById(professorId, fields.researchArea);
+    }
+
+    // `labIds` likewise takes precedence over the lab text and website
+    if (fields.labIds !== undefined) {
+        await setProfessorLabIds(professorId, fields.labIds);
+    } else if (fields.lab !== undefined || fields.labWebsite !== undefined) {
+        await linkProfessorLab(professorId, fields);
+    }
+}
+
+/**
+ * Key that identifies a paper on one professor's list (publications.match_key):
+ * its DOI, or its normalized title and year when it has none
+ */
+function publicationMatchKey({ doi = null, title, year = null }) {
+    if (doi) {
+        return `doi:${doi.toLowerCase()}`;
+    }
+    const normalizedTitle = (title || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+    return `title:${normalizedTitle}|${year || ''}`;
+}
+
+function formatPublication(row) {
+    return {
+        id: row.id,
+        title: row.title,
+        venue: row.venue,
+        year: row.year,
+        authors: JSON.parse(row.authors),
+        url: row.url,
+        doi: row.doi
+    };
+}
+
+/**
+ * Get a professor's publications, newest first (see migrations/011_publications.js)
+ * @param {Object} options - { limit, offset }
+ * @returns {Promise<{total: number, publications: Array}>}
+ */
+async function getPublicationsByProfessor(professorId, { limit = null, offset = 0 } = {}) {
+    const { total } = await getRow('SELECT COUNT(*) as total FROM publications WHERE professor_id = ?', [professorId]);
+    const rows = await getRows(`
+        SELECT * FROM publications
+        WHERE professor_id = ?
+        ORDER BY year IS NULL, year DESC, id DESC
+        LIMIT ? OFFSET ?
+    `, [professorId, limit === null ? -1 : limit, offset]);
+    return { total, publications: rows.map(formatPublication) };
+}
+
+/**
+ * Add a publication to a professor's list
+ * @param {Object} publication - { title, venue, year, authors, url, doi }
+ * @returns {Promise<number>} The new publication's ID
+ */
+async function addPublication(professorId, publication) {
+    const result = await runStatement(`
+        INSERT INTO publications (professor_id, title, venue, year, authors, url, doi, match_key)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+        professorId,
+        publication.title,
+        publication.venue || null,
+        publication.year || null,
+        JSON.stringify(publication.authors || []),
+        publication.url || null,
+        publication.doi || null,
+        publicationMatchKey(publication)
+    ]);
+    return result.lastID;
+}
+
+/**
+ * Replace a publication's details
+ */
+async function updatePublicationById(publicationId, publication) {
+    const result = await runStatement(`
+        UPDATE publications
+        SET title = ?, venue = ?, year = ?, authors = ?, url = ?, doi = ?, match_key = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+    `, [
+        publication.title,
+        publication.venue || null,
+        publication.year || null,
+        JSON.stringify(publication.authors || []),
+        publication.url || null,
+        publication.doi || null,
+        publicationMatchKey(publication),
+        publicationId
+    ]);
+    return result.changes;
+}
+
+async function deletePublicationById(publicationId) {
+    const result = await runStatement('DELETE FROM publications WHERE id = ?', [publicationId]);
+    return result.changes;
+}
+
+/**
+ * Labs
+ * Each lab is one labs row however many PIs it has, and professor_labs links professors
+ * to their labs in order (see migration 012). professors.lab and lab_website mirror the
+ * name and website of each professor's first lab.
+ */
+
+// Columns to select alongside l.* for a lab's professors, their departments and the lab's stars
+const LAB_LINK_COLUMNS = `
+    (
+        SELECT json_group_array(json_object('id', id, 'name', name)) FROM (
+            SELECT p.id, p.name
+            FROM professor_labs pl
+            JOIN professors p ON pl.professor_id = p.id
+            WHERE pl.lab_id = l.id
+            ORDER BY p.name
+        )
+    ) as professor_links,
+    (
+        SELECT json_group_array(name) FROM (
+            SELECT DISTINCT d.name
+            FROM professor_labs pl
+            JOIN professor_departments pd ON pd.professor_id = pl.professor_id
+            JOIN departments d ON pd.department_id = d.id
+            WHERE pl.lab_id = l.id
+            ORDER BY d.name
+        )
+    ) as department_names,
+    (SELECT COUNT(*) FROM starred_labs WHERE lab_id = l.id) as star_count`;
+
+/**
+ * Convert a labs row (selected with LAB_LINK_COLUMNS) into the camelCase shape returned by the API
+ */
+function formatLab(lab) {
+    return {
+        id: lab.id,
+        name: lab.name,
+        website: lab.website,
+        description: lab.description,
+        memberCount: lab.member_count,
+        professors: lab.professor_links ? JSON.parse(lab.professor_links) : [],
+        departments: lab.department_names ? JSON.parse(lab.department_names) : [],
+        starCount: lab.star_count || 0
+    };
+}
+
+function getLabById(labId) {
+    return getRow(`SELECT l.*, ${LAB_LINK_COLUMNS} FROM labs l WHERE l.id = ?`, [labId]);
+}
+
+/**
+ * Get labs by name, optionally only those with a professor listed in `department`
+ */
+async function getLabs({ department = null } = {}) {
+    const rows = department
+        ? await getRows(`
+            SELECT l.*, ${LAB_LINK_COLUMNS}
+            FROM labs l
+            WHERE l.id IN (
+                SELECT pl.lab_id
+                FROM professor_labs pl
+                JOIN professor_departments pd ON pd.professor_id = pl.professor_id
+                JOIN departments d ON pd.department_id = d.id
+                WHERE d.name = ?
+            )
+            ORDER BY l.name COLLATE NOCASE, l.id
+        `, [department])
+        : await getRows(`SELECT l.*, ${LAB_LINK_COLUMNS} FROM labs l ORDER BY l.name COLLATE NOCASE, l.id`);
+    return rows.map(formatLab);
+}
+
+/**
+ * Get a lab's professors (API shape), ordered by name
+ */
+async function getLabProfessors(labId) {
+    const rows = await getRows(`
+        SELECT p.*, ${PROFESSOR_LINK_COLUMNS}
+        FROM professor_labs pl
+        JOIN professors p ON pl.professor_id = p.id
+        WHERE pl.lab_id = ?
+        ORDER BY p.name
+    `, [labId]);
+    return rows.map(formatProfessor);
+}
+
+/**
+ * Bring professors.lab and lab_website in line with each professor's first lab
+ * Applies to `professorIds` and every professor in `labIds`. Professors left without a
+ * lab get no lab name and keep their website.
+ */
+async function syncProfessorLabColumns({ professorIds = [], labIds = [] }) {
+    if (professorIds.length === 0 && labIds.length === 0) return;
+
+    const firstLab = column => `(
+        SELECT l.${column}
+        FROM professor_labs pl
+        JOIN labs l ON pl.lab_id = l.id
+        WHERE pl.professor_id = p.id
+        ORDER BY pl.position
+        LIMIT 1
+    )`;
+    await runStatement(`
+        UPDATE professors
+        SET lab = first_lab.name,
+            lab_website = CASE WHEN first_lab.id IS NULL THEN professors.lab_website ELSE first_lab.website END
+        FROM (
+            SELECT p.id as professor_id, ${firstLab('id')} as id, ${firstLab('name')} as name, ${firstLab('website')} as website
+            FROM professors p
+            WHERE p.id IN (${placeholders(professorIds)})
+               OR p.id IN (SELECT professor_id FROM professor_labs WHERE lab_id IN (${placeholders(labIds)}))
+        ) first_lab
+        WHERE professors.id = first_lab.professor_id
+          AND (professors.lab IS NOT first_lab.name
+               OR (first_lab.id IS NOT NULL AND professors.lab_website IS NOT first_lab.website))
+    `, [...professorIds, ...labIds]);
+}
+
+/**
+ * Replace a professor's labs, keeping the given order (the first is the one shown on their card)
+ */
+async function setProfessorLabIds(professorId, labIds) {
+    await runStatement('DELETE FROM professor_labs WHERE professor_id = ?', [professorId]);
+    const ids = [...new Set(labIds)];
+    for (let position = 0; position < ids.length; position++) {
+        await runStatement(
+            'INSERT INTO professor_labs (professor_id, lab_id, position) VALUES (?, ?, ?)',
+            [professorId, ids[position], position]
+        );
+    }
+    await syncProfessorLabColumns({ professorIds: [professorId] });
+}
+
+/**
+ * Re-link a professor after their lab text or website was written
+ * The lab text names their first lab: the current first lab is kept if it has that name,
+ * then a lab with the same name and website is used, then a lab only this professor is in
+ * is renamed, and otherwise a new lab is created. Blank lab text removes all their labs.
+ * `fields.labWebsite` becomes the first lab's website (for every PI of a shared lab).
+ */
+async function linkProfessorLab(professorId, fields) {
+    const prof = await getRow('SELECT lab, lab_website FROM professors WHERE id = ?', [professorId]);
+    const labs = await getRows(`
+        SELECT l.*, (SELECT COUNT(*) FROM professor_labs WHERE lab_id = l.id) as professor_count
+        FROM professor_labs pl
+        JOIN labs l ON pl.lab_id = l.id
+        WHERE pl.professor_id = ?
+        ORDER BY pl.position
+    `, [professorId]);
+    const [first, ...others] = labs;
+    const name = (prof.lab || '').trim();
+
+    if (fields.lab !== undefined && name === '') {
+        await setProfessorLabIds(professorId, []);
+        return;
+    }
+
+    if (fields.lab !== undefined && (!first || first.name !== name)) {
+        const match = prof.lab_website
+            ? await getRow(
+                'SELECT id FROM labs WHERE name = ? COLLATE NOCASE AND website = ? ORDER BY id LIMIT 1',
+                [name, prof.lab_website]
+            )
+            : null;
+
+        let labId;
+        if (match) {
+            labId = match.id;
+        } else if (first && first.professor_count === 1) {
+            await runStatement('UPDATE labs SET name = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?', [name, first.id]);
+            labId = first.id;
+        } else if (first && first.name.toLowerCase() === name.toLowerCase()) {
+            labId = first.id;
+        } else {
+            labId = (await runStatement('INSERT INTO labs (name, website) VALUES (?, ?)', [name, prof.lab_website || null])).lastID;
+        }
+        await setProfessorLabIds(professorId, [labId, ...others.map(lab => lab.id)]);
+    }
+
+    if (fields.labWebsite !== undefined) {
+        const link = await getRow(
+            'SELECT lab_id FROM professor_labs WHERE professor_id = ? ORDER BY position LIMIT 1',
+            [professorId]
+        );
+        if (link) {
+            await runStatement(
+                'UPDATE labs SET website = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND website IS NOT ?',
+                [fields.labWebsite, link.lab_id, fields.labWebsite]
+            );
+            await syncProfessorLabColumns({ labIds: [link.lab_id] });
+        }
+    }
+}
+
+/**
+ * Replace a lab's professors
+ * Professors joining the lab get it after their other labs (as their first if they had none).
+ */
+async function setLabProfessors(labId, professorIds) {
+    const current = await getRows('SELECT professor_id FROM professor_labs WHERE lab_id = ?', [labId]);
+    const removed = current.map(row => row.professor_id).filter(id => !professorIds.includes(id));
+
+    await runStatement(
+        `DELETE FROM professor_labs WHERE lab_id = ? AND professor_id NOT IN (${placeholders(professorIds)})`,
+        [labId, ...professorIds]
+    );
+    for (const professorId of professorIds) {
+        await runStatement(`
+            INSERT OR IGNORE INTO professor_labs (professor_id, lab_id, position)
+            SELECT ?, ?, COALESCE(MAX(position) + 1, 0) FROM professor_labs WHERE professor_id = ?
+        `, [professorId, labId, professorId]);
+    }
+    await syncProfessorLabColumns({ professorIds: removed, labIds: [labId] });
+}
+
+/**
+ * Add a lab
+ * @param {Object} lab - { name, website, description, memberCount, professorIds }
+ * @returns {Promise<number>} The new lab's ID
+ */
+async function addLab(lab) {
+    const result = await runStatement(
+        'INSERT INTO labs (name, website, description, member_count) VALUES (?, ?, ?, ?)',
+        [
+            lab.name,
+            lab.website || null,
+            lab.description || null,
+            lab.memberCount !== undefined ? lab.memberCount : null
+        ]
+    );
+    if (lab.professorIds !== undefined) {
+        await setLabProfessors(result.lastID, lab.professorIds);
+    }
+    return result.lastID;
+}
+
+/**
+ * Update lab fields by ID
+ * Only the fields present in `fields` are changed; `professorIds` replaces the lab's professors.
+ */
+async function updateLabById(labId, fields) {
+    const columns = {
+        name: 'name',
+        website: 'website',
+        description: 'description',
+        memberCount: 'member_count'
+    };
+    const assignments = [];
+    const params = [];
+
+    Object.entries(columns).forEach(([field, column]) => {
+        if (fields[field] !== undefined) {
+            assignments.push(`${column} = ?`);
+            params.push(fields[field]);
+        }
+    });
+
+    if (assignments.length > 0) {
+        await runStatement(
+            `UPDATE labs SET ${assignments.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+            [...params, labId]
+        );
+    }
+    if (fields.professorIds !== undefined) {
+        await setLabProfessors(labId, fields.professorIds);
+    } else {
+        await syncProfessorLabColumns({ labIds: [labId] });
+    }
+}
+
+/**
+ * Delete a lab along with its professor links, stars and openings
+ * Its professors' next lab becomes their first. Openings a professor posted for the lab
+ * are kept as the professor's.
+ */
+async function deleteLabById(labId) {
+    return inTransaction(async () => {
+        const members = await getRows('SELECT professor_id FROM professor_labs WHERE lab_id = ?', [labId]);
+        await runStatement('DELETE FROM openings WHERE lab_id = ? AND professor_id IS NULL', [labId]);
+        await runStatement('UPDATE openings SET lab_id = NULL WHERE lab_id = ?', [labId]);
+        await runStatement('DELETE FROM starred_labs WHERE lab_id = ?', [labId]);
+        await runStatement('DELETE FROM professor_labs WHERE lab_id = ?', [labId]);
+        const result = await runStatement('DELETE FROM labs WHERE id = ?', [labId]);
+        await syncProfessorLabColumns({ professorIds: members.map(row => row.professor_id) });
+        return result.changes;
+    });
+}
+
+/**
+ * Get a user's starred labs, most recently starred first
+ */
+async function getStarredLabs(userId) {
+    const rows = await getRows(`
+        SELECT l.*, ${LAB_LINK_COLUMNS}
+        FROM starred_labs sl
+        JOIN labs l ON sl.lab_id = l.id
+        WHERE sl.user_id = ?
+        ORDER BY sl.created_at DESC, sl.id DESC
+    `, [userId]);
+    return rows.map(formatLab);
+}
+
+async function getStarredLabIds(userId) {
+    const rows = await getRows('SELECT lab_id FROM starred_labs WHERE user_id = ?', [userId]);
+    return rows.map(row => row.lab_id);
+}
+
+/**
+ * Star a lab
+ * @returns {Promise<boolean>} false if the user had already starred it
+ */
+async function starLabById(userId, labId) {
+    const result = await runStatement('INSERT OR IGNORE INTO starred_labs (user_id, lab_id) VALUES (?, ?)', [userId, labId]);
+    return result.changes > 0;
+}
+
+async function unstarLabById(userId, labId) {
+    const result = await runStatement('DELETE FROM starred_labs WHERE user_id = ? AND lab_id = ?', [userId, labId]);
+    return result.changes > 0;
+}
+
+/**
+ * Research openings
+ * Positions posted by a professor, a lab or both (see migration 013). An opening is
+ * active while it is open and before the end of its deadline day; closeExpiredOpenings
+ * marks expired ones closed.
+ */
+
+// How getOpenings filters by status
+const OPENING_STATUS_FILTERS = ['active', 'open', 'closed', 'all'];
+
+const OPENING_COLUMNS = `
+    o.*,
+    ${ACTIVE_OPENING_SQL} as is_active,
+    (SELECT name FROM professors WHERE id = o.professor_id) as professor_name,
+    (SELECT name FROM labs WHERE id = o.lab_id) as lab_name`;
+
+/**
+ * Convert an openings row (selected with OPENING_COLUMNS) into the camelCase shape returned by the API
+ */
+function formatOpening(row) {
+    return {
+        id: row.id,
+        role: row.role,
+        spots: row.spots,
+        quarter: row.quarter,
+        deadline: row.deadline,
+        requirements: row.requirements,
+        applyUrl: row.apply_url,
+        status: row.status,
+        isActive: row.is_active === 1,
+        professor: row.professor_id ? { id: row.professor_id, name: row.professor_name } : null,
+        lab: row.lab_id ? { id: row.lab_id, name: row.lab_name } : null,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+    };
+}
+
+async function getOpeningById(openingId) {
+    const row = await getRow(`SELECT ${OPENING_COLUMNS} FROM openings o WHERE o.id = ?`, [openingId]);
+    return row ? formatOpening(row) : null;
+}
+
+/**
+ * Get openings, earliest deadline first (no deadline last)
+ * @param {Object} options - { professorId: theirs and their labs', labId, department: openings of
+ *   professors (or PIs of labs) listed there, status: one of OPENING_STATUS_FILTERS (default active) }
+ */
+async function getOpenings({ professorId = null, labId = null, department = null, status = 'active' } = {}) {
+    const conditions = [];
+    const params = [];
+    if (status === 'active') {
+        conditions.push(ACTIVE_OPENING_SQL);
+    } else if (status !== 'all') {
+        conditions.push('o.status = ?');
+        params.push(status);
+    }
+    if (professorId) {
+        conditions.push('(o.professor_id = ? OR o.lab_id IN (SELECT lab_id FROM professor_labs WHERE professor_id = ?))');
+        params.push(professorId, professorId);
+    }
+    if (labId) {
+        conditions.push('o.lab_id = ?');
+        params.push(labId);
+    }
+    if (department) {
+        conditions.push(`(
+            o.professor_id IN (SELECT pd.professor_id FROM professor_departments pd JOIN departments d ON pd.department_id = d.id WHERE d.name = ?)
+            OR o.lab_id IN (
+                SELECT pl.lab_id FROM professor_labs pl
+                JOIN professor_departments pd ON pd.professor_id = pl.professor_id
+                JOIN departments d ON pd.department_id = d.id
+                WHERE d.name = ?
+            )
+        )`);
+        params.push(department, department);
+    }
+
+    const rows = await getRows(`
+        SELECT ${OPENING_COLUMNS}
+        FROM openings o
+        ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+        ORDER BY o.deadline IS NULL, o.deadline, o.id
+    `, params);
+    return rows.map(formatOpening);
+}
+
+// Opening fields in the API and the openings columns that hold them
+const OPENING_FIELD_COLUMNS = {
+    professorId: 'professor_id',
+    labId: 'lab_id',
+    role: 'role',
+    spots: 'spots',
+    quarter: 'quarter',
+    deadline: 'deadline',
+    requirements: 'requirements',
+    applyUrl: 'apply_url',
+    status: 'status'
+};
+
+/**
+ * Add an opening
+ * @param {Object} opening - Fields validated by opening-validation.js (status defaults to open)
+ * @returns {Promise<number>} The new opening's ID
+ */
+async function addOpening(opening) {
+    const fields = Object.keys(OPENING_FIELD_COLUMNS).filter(field => opening[field] !== undefined);
+    const result = await runStatement(
+        `INSERT INTO openings (${fields.map(field => OPENING_FIELD_COLUMNS[field]).join(', ')}) VALUES (${placeholders(fields)})`,
+        fields.map(field => opening[field])
+    );
+    return result.lastID;
+}
+
+/**
+ * Update opening fields by ID (only the fields present in `fields` are changed)
+ */
+async function updateOpeningById(openingId, fields) {
+    const changed = Object.keys(OPENING_FIELD_COLUMNS).filter(field => fields[field] !== undefined);
+    if (changed.length === 0) return 0;
+
+    const result = await runStatement(
+        `UPDATE openings SET ${changed.map(field => `${OPENING_FIELD_COLUMNS[field]} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+        [...changed.map(field => fields[field]), openingId]
+    );
+    return result.changes;
+}
+
+async function deleteOpeningById(openingId) {
+    const result = await runStatement('DELETE FROM openings WHERE id = ?', [openingId]);
+    return result.changes;
+}
+
+/**
+ * Close open openings whose deadline has passed
+ * Run on a timer by the server, so listings (cached by data version) drop them too.
+ * @returns {Promise<number>} How many openings were closed
+ */
+async function closeExpiredOpenings() {
+    const result = await runStatement(`
+        UPDATE openings SET status = 'closed', updated_at = CURRENT_TIMESTAMP
+        WHERE status = 'open' AND deadline < date('now')
+    `);
+    return result.changes;
+}
+
+/**
+ * Outreach email templates (see migrations/016_email_templates.js)
+ * Templates belong to a user; every lookup is scoped to the user so nobody reaches another user's templates.
+ */
+
+function formatEmailTemplate(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        subject: row.subject,
+        body: row.body,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+    };
+}
+
+// Get a user's email templates by name
+async function getEmailTemplates(userId) {
+    const rows = await getRows('SELECT * FROM email_templates WHERE user_id = ? ORDER BY name COLLATE NOCASE, id', [userId]);
+    return rows.map(formatEmailTemplate);
+}
+
+// Get one of a user's email templates, or null
+async function getEmailTemplateById(userId, templateId) {
+    const row = await getRow('SELECT * FROM email_templates WHERE id = ? AND user_id = ?', [templateId, userId]);
+    return row ? formatEmailTemplate(row) : null;
+}
+
+/**
+ * Save a new email template for a user
+ * @param {Object} template - { name, subject, body }
+ */
+async function addEmailTemplate(userId, template) {
+    const result = await runStatement(
+        'INSERT INTO email_templates (user_id, name, subject, body) VALUES (?, ?, ?, ?)',
+        [userId, template.name, template.subject, template.body]
+    );
+    return getEmailTemplateById(userId, result.lastID);
+}
+
+/**
+ * Update the provided fields of one of a user's email templates
+ * @returns {Promise<Object|null>} The updated template, or null when the user has no such template
+ */
+async function updateEmailTemplateById(userId, templateId, fields) {
+    const columns = ['name', 'subject', 'body'].filter(field => fields[field] !== undefined);
+    const result = await runStatement(
+        `UPDATE email_templates SET ${columns.map(column => `${column} = ?, `).join('')}updated_at = CURRENT_TIMESTAMP
+         WHERE id = ? AND user_id = ?`,
+        [...columns.map(column => fields[column]), templateId, userId]
+    );
+    return result.changes > 0 ? getEmailTemplateById(userId, templateId) : null;
+}
+
+// Delete one of a user's email templates; resolves false when there is no such template
+async function deleteEmailTemplateById(userId, templateId) {
+    const result = await runStatement('DELETE FROM email_templates WHERE id = ? AND user_id = ?', [templateId, userId]);
+    return result.changes > 0;
+}
+
+/**
+ * Opening alerts (see migrations/017_opening_alerts.js)
+ * Users opt into emails about their starred professors' openings; opening-alerts.js
+ * queues the alerts here and sends them.
+ */
+
+// Alert settings for users who never changed them (alerts are opt-in)
+const DEFAULT_NOTIFICATION_PREFERENCES = {
+    frequency: 'off',
+    recruiting: true,
+    newOpenings: true,
+    deadlines: true,
+    deadlineDays: 7
+};
+
+// Preference fields in the API and the notification_preferences columns that hold them
+const PREFERENCE_COLUMNS = {
+    frequency: 'frequency',
+    recruiting: 'notify_recruiting',
+    newOpenings: 'notify_new_openings',
+    deadlines: 'notify_deadlines',
+    deadlineDays: 'deadline_days'
+};
+
+function formatNotificationPreferences(row) {
+    if (!row) return { ...DEFAULT_NOTIFICATION_PREFERENCES };
+    return {
+        frequency: row.frequency,
+        recruiting: row.notify_recruiting === 1,
+        newOpenings: row.notify_new_openings === 1,
+        deadlines: row.notify_deadlines === 1,
+        deadlineDays: row.deadline_days
+    };
+}
+
+async function getNotificationPreferences(userId) {
+    const row = await getRow('SELECT * FROM notification_preferences WHERE user_id = ?', [userId]);
+    return formatNotificationPreferences(row);
+}
+
+// Get the alert preferences an unsubscribe link's token belongs to, or null
+async function getNotificationPreferencesByToken(token) {
+    const row = await getRow('SELECT * FROM notification_preferences WHERE unsubscribe_token = ?', [token]);
+    return row ? formatNotificationPreferences(row) : null;
+}
+
+/**
+ * Update the provided alert preferences of a user (the row and its unsubscribe token are created on first use)
+ * Turning alerts off drops the user's unsent alerts; switching to a digest starts its period now.
+ */
+async function updateNotificationPreferences(userId, fields) {
+    await runStatement(
+        'INSERT OR IGNORE INTO notification_preferences (user_id, unsubscribe_token) VALUES (?, ?)',
+        [userId, crypto.randomBytes(24).toString('hex')]
+    );
+    const current = await getRow('SELECT frequency FROM notification_preferences WHERE user_id = ?', [userId]);
+
+    const changed = Object.keys(PREFERENCE_COLUMNS).filter(field => fields[field] !== undefined);
+    const values = changed.map(field => (typeof fields[field] === 'boolean' ? (fields[field] ? 1 : 0) : fields[field]));
+    await runStatement(
+        `UPDATE notification_preferences SET ${changed.map(field => `${PREFERENCE_COLUMNS[field]} = ?, `).join('')}updated_at = CURRENT_TIMESTAMP
+         WHERE user_id = ?`,
+        [...values, userId]
+    );
+
+    if (fields.frequency && fields.frequency !== current.frequency) {
+        if (fields.frequency === 'off') {
+            await runStatement('DELETE FROM opening_alerts WHERE user_id = ? AND sent_at IS NULL', [userId]);
+        } else if (fields.frequency !== 'immediate') {
+            await runStatement('UPDATE notification_preferences SET last_digest_at = CURRENT_TIMESTAMP WHERE user_id = ?', [userId]);
+        }
+    }
+    return getNotificationPreferences(userId);
+}
+
+/**
+ * Turn off alerts for the user an unsubscribe link belongs to
+ * @returns {Promise<boolean>} false when no user has the token
+ */
+async function unsubscribeByToken(token) {
+    const row = await getRow('SELECT user_id FROM notification_preferences WHERE unsubscribe_token = ?', [token]);
+    if (!row) return false;
+
+    await updateNotificationPreferences(row.user_id, { frequency: 'off' });
+    return true;
+}
+
+// SQL condition on `sp` for stars that an opening `o` concerns: its professor, or a PI of its lab
+const STAR_OPENING_SQL = '(sp.professor_id = o.professor_id OR sp.professor_id IN (SELECT professor_id FROM professor_labs WHERE lab_id = o.lab_id))';
+
+/**
+ * Users who want alerts about an opening because they starred its professor or a PI of its lab
+ * `wasRecruiting` is false when none of those starred professors had another active opening,
+ * i.e. this opening is what started them recruiting.
+ * @returns {Promise<Array<{ userId, recruiting, newOpenings, wasRecruiting }>>} Empty unless the opening is active
+ */
+async function getOpeningAlertRecipients(openingId) {
+    const rows = await getRows(`
+        SELECT np.user_id, np.notify_recruiting, np.notify_new_openings,
+            MIN(EXISTS (
+                SELECT 1 FROM openings other
+                WHERE other.id != o.id
+                  AND other.status = 'open' AND (other.deadline IS NULL OR other.deadline >= date('now'))
+                  AND (other.professor_id = sp.professor_id
+                       OR other.lab_id IN (SELECT lab_id FROM professor_labs WHERE professor_id = sp.professor_id))
+            )) as was_recruiting
+        FROM openings o
+        JOIN starred_professors sp ON ${STAR_OPENING_SQL}
+        JOIN notification_preferences np ON np.user_id = sp.user_id
+        WHERE o.id = ? AND ${ACTIVE_OPENING_SQL} AND np.frequency != 'off'
+        GROUP BY np.user_id
+    `, [openingId]);
+    return rows.map(row => ({
+        userId: row.user_id,
+        recruiting: row.notify_recruiting === 1,
+        newOpenings: row.notify_new_openings === 1,
+        wasRecruiting: row.was_recruiting === 1
+    }));
+}
+
+/**
+ * Queue alerts; a user gets each kind of alert about an opening once, so repeats are ignored
+ * @param {Array<{ userId, openingId, kind }>} alerts
+ * @returns {Promise<number>} How many alerts were queued
+ */
+async function addOpeningAlerts(alerts) {
+    let queued = 0;
+    for (const alert of alerts) {
+        const result = await runStatement(
+            'INSERT OR IGNORE INTO opening_alerts (user_id, opening_id, kind) VALUES (?, ?, ?)',
+            [alert.userId, alert.openingId, alert.kind]
+        );
+        queued += result.changes;
+    }
+    return queued;
+}
+
+/**
+ * Queue deadline reminders for active openings whose deadline is within each user's reminder window
+ * Users alerted about an opening once its deadline was already that close get no separate reminder.
+ * @returns {Promise<number>} How many alerts were queued
+ */
+async function queueDeadlineAlerts() {
+    const result = await runStatement(`
+        INSERT OR IGNORE INTO opening_alerts (user_id, opening_id, kind)
+        SELECT DISTINCT np.user_id, o.id, 'deadline'
+        FROM openings o
+        JOIN starred_professors sp ON ${STAR_OPENING_SQL}
+        JOIN notification_preferences np ON np.user_id = sp.user_id
+        WHERE ${ACTIVE_OPENING_SQL} AND o.deadline IS NOT NULL
+          AND o.deadline <= date('now', '+' || np.deadline_days || ' days')
+          AND np.frequency != 'off' AND np.notify_deadlines = 1
+          AND NOT EXISTS (
+              SELECT 1 FROM opening_alerts earlier
+              WHERE earlier.user_id = np.user_id AND earlier.opening_id = o.id
+                AND date(earlier.created_at) >= date(o.deadline, '-' || np.deadline_days || ' days')
+          )
+    `);
+    return result.changes;
+}
+
+/**
+ * Drop alerts about deleted openings, and unsent alerts that no longer apply: the opening
+ * closed or expired, or the user unstarred the professors it concerns
+ */
+async function deleteStaleAlerts() {
+    const result = await runStatement(`
+        DELETE FROM opening_alerts
+        WHERE opening_id NOT IN (SELECT id FROM openings)
+           OR (sent_at IS NULL AND NOT EXISTS (
+                SELECT 1 FROM openings o
+                JOIN starred_professors sp ON ${STAR_OPENING_SQL}
+                WHERE o.id = opening_alerts.opening_id AND sp.user_id = opening_alerts.user_id
+                  AND ${ACTIVE_OPENING_SQL}
+           ))
+    `);
+    return result.changes;
+}
+
+/**
+ * Get the alerts waiting to be emailed, oldest first, with their opening and recipient
+ * `starredNames` are the recipient's starred professors the opening concerns.
+ */
+async function getPendingAlerts() {
+    const rows = await getRows(`
+        SELECT a.id as alert_id, a.kind, a.user_id as recipient_id, a.created_at as alert_created_at,
+            u.email as recipient_email, u.name as recipient_name,
+            np.frequency, np.unsubscribe_token,
+            (
+                SELECT json_group_array(p.name)
+                FROM starred_professors sp
+                JOIN professors p ON p.id = sp.professor_id
+                WHERE sp.user_id = a.user_id AND ${STAR_OPENING_SQL}
+            ) as starred_names,
+            ${OPENING_COLUMNS}
+        FROM opening_alerts a
+        JOIN users u ON u.id = a.user_id
+        JOIN notification_preferences np ON np.user_id = a.user_id
+        JOIN openings o ON o.id = a.opening_id
+        WHERE a.sent_at IS NULL AND np.frequency != 'off'
+        ORDER BY a.user_id, a.created_at, a.id
+    `);
+    return rows.map(row => ({
+        id: row.alert_id,
+        kind: row.kind,
+        createdAt: row.alert_created_at,
+        user: {
+            id: row.recipient_id,
+            email: row.recipient_email,
+            name: row.recipient_name,
+            frequency: row.frequency,
+            unsubscribeToken: row.unsubscribe_token
+        },
+        starredNames: JSON.parse(row.starred_names),
+        opening: formatOpening(row)
+    }));
+}
+
+// Users on a daily or weekly digest, with when their last digest went out
+async function getDigestSubscribers() {
+    const rows = await getRows(`
+        SELECT user_id, frequency, last_digest_at FROM notification_preferences
+        WHERE frequency IN ('daily', 'weekly')
+    `);
+    return rows.map(row => ({ userId: row.user_id, frequency: row.frequency, lastDigestAt: row.last_digest_at }));
+}
+
+async function markAlertsSent(alertIds) {
+    if (alertIds.length === 0) return 0;
+    const result = await runStatement(
+        `UPDATE opening_alerts SET sent_at = CURRENT_TIMESTAMP WHERE id IN (${placeholders(alertIds)})`,
+        alertIds
+    );
+    return result.changes;
+}
+
+// Start a digest user's next period
+async function markDigestSent(userId) {
+    await runStatement('UPDATE notification_preferences SET last_digest_at = CURRENT_TIMESTAMP WHERE user_id = ?', [userId]);
+}
+
+/**
+ * User management functions
+ */
+
+// Create or get user by email
+function getUserByEmail(email) {
+    return new Promise((resolve, reject) => {
+        db.get('SELECT * FROM users WHERE email = ?', [email], (err, row) => {
+            if (err) reject(err);
+            else resolve(row || null);
+        });
+    });
 }
 
 // Create user
@@ -667,7 +2217,7 @@ function createUser(email, passwordHash, name, googleId = null) {
 // Get user by ID
 function getUserById(userId) {
     return new Promise((resolve, reject) => {
-        db.get('SELECT id, email, name, google_id, created_at FROM users WHERE id = ?', [userId], (err, row) => {
+        db.get('SELECT id, email, name, google_id, role, session_version, created_at FROM users WHERE id = ?', [userId], (err, row) => {
             if (err) reject(err);
             else resolve(row || null);
         });
@@ -684,55 +2234,257 @@ function getUserByGoogleId(googleId) {
     });
 }
 
+// Set a user's role ('user' or 'admin')
+function setUserRole(userId, role) {
+    return new Promise((resolve, reject) => {
+        db.run('UPDATE users SET role = ? WHERE id = ?', [role, userId], function(err) {
+            if (err) reject(err);
+            else resolve(this.changes);
+        });
+    });
+}
+
+/**
+ * Password resets (see migrations/018_password_resets.js)
+ * Tokens are looked up by their hash; the token itself is only ever in the emailed link.
+ */
+
+/**
+ * Save a reset token for a user, replacing any earlier unused ones so only the latest link works
+ * @param {number} ttlMinutes - How long the token is valid
+ */
+async function createPasswordResetToken(userId, tokenHash, ttlMinutes) {
+    await runStatement('DELETE FROM password_reset_tokens WHERE user_id = ? AND used_at IS NULL', [userId]);
+    await runStatement(
+        `INSERT INTO password_reset_tokens (user_id, token_hash, expires_at) VALUES (?, ?, datetime('now', ?))`,
+        [userId, tokenHash, `+${ttlMinutes} minutes`]
+    );
+}
+
+/**
+ * Use up a reset token: marks it used if it is unused and unexpired
+ * The check and the update are one statement, so a token can't be used twice.
+ * @returns {Promise<number|null>} The user the token belongs to, or null when it is invalid, used or expired
+ */
+async function consumePasswordResetToken(tokenHash) {
+    const result = await runStatement(`
+        UPDATE password_reset_tokens SET used_at = CURRENT_TIMESTAMP
+        WHERE token_hash = ? AND used_at IS NULL AND expires_at > datetime('now')
+    `, [tokenHash]);
+    if (result.changes === 0) return null;
+
+    const row = await getRow('SELECT user_id FROM password_reset_tokens WHERE token_hash = ?', [tokenHash]);
+    return row.user_id;
+}
+
+/**
+ * Set a user's password and sign out their existing sessions (by bumping session_version)
+ * Any other unused reset links stop working too.
+ */
+async function resetUserPassword(userId, passwordHash) {
+    await runStatement(
+        'UPDATE users SET password_hash = ?, session_version = session_version + 1 WHERE id = ?',
+        [passwordHash, userId]
+    );
+    await runStatement('DELETE FROM password_reset_tokens WHERE user_id = ? AND used_at IS NULL', [userId]);
+}
+
 /**
  * Starred professors functions
  */
 
-// Get starred professors for a user
+// Star columns shown with a starred professor, as star_* so they don't clash with professor columns
+const STAR_COLUMNS = `
+    sp.id as star_id, sp.created_at as star_created_at, sp.status as star_status,
+    sp.status_changed_at as star_status_changed_at, sp.follow_up_on as star_follow_up_on,
+    (SELECT json_group_array(json_object('status', h.status, 'changedAt', h.changed_at))
+     FROM (SELECT status, changed_at FROM star_status_changes
+           WHERE star_id = sp.id ORDER BY changed_at, id) h) as star_history,
+    (SELECT json_group_array(json_object('id', n.id, 'text', n.text, 'createdAt', n.created_at, 'updatedAt', n.updated_at))
+     FROM (SELECT id, text, created_at, updated_at FROM star_notes
+           WHERE star_id = sp.id ORDER BY created_at, id) n) as star_notes`;
+
+/**
+ * Format a star's application tracker fields
+ * `followUpDue` is true once the follow-up date is today or earlier (UTC).
+ */
+function formatApplication(row) {
+    const today = new Date().toISOString().slice(0, 10);
+    return {
+        status: row.star_status,
+        statusChangedAt: row.star_status_changed_at,
+        followUpOn: row.star_follow_up_on || null,
+        followUpDue: Boolean(row.star_follow_up_on) && row.star_follow_up_on <= today,
+        starredAt: row.star_created_at,
+        history: row.star_history ? JSON.parse(row.star_history) : []
+    };
+}
+
+// Get starred professors for a user, each with its application tracker fields and notes (oldest first)
 function getStarredProfessors(userId) {
     return new Promise((resolve, reject) => {
         db.all(`
-            SELECT 
-                p.id,
-                p.name,
-                p.title,
-                p.lab,
-                p.lab_website,
-                p.personal_website,
-                p.email,
-                p.research_area,
-                p.num_undergrad_researchers,
-                p.num_lab_members,
-                p.num_published_papers,
-                d.name as department
+            SELECT p.*, ${PROFESSOR_LINK_COLUMNS}, ${STAR_COLUMNS}
             FROM starred_professors sp
             JOIN professors p ON sp.professor_id = p.id
-            JOIN departments d ON p.department_id = d.id
             WHERE sp.user_id = ?
             ORDER BY sp.created_at DESC
         `, [userId], (err, rows) => {
             if (err) {
                 reject(err);
             } else {
-                const results = rows.map(prof => ({
-                    name: prof.name,
-                    title: prof.title,
-                    lab: prof.lab,
-                    labWebsite: prof.lab_website,
-                    personalWebsite: prof.personal_website,
-                    email: prof.email,
-                    researchArea: prof.research_area,
-                    numUndergradResearchers: prof.num_undergrad_researchers,
-                    numLabMembers: prof.num_lab_members,
-                    numPublishedPapers: prof.num_published_papers,
-                    department: prof.department
-                }));
-                resolve(results);
+                resolve(rows.map(row => ({
+                    ...formatProfessor(row),
+                    application: formatApplication(row),
+                    notes: JSON.parse(row.star_notes)
+                })));
             }
         });
     });
 }
 
+/**
+ * Get the application tracker fields of a user's star on a professor
+ * @returns {Promise<Object|null>} Null when the user hasn't starred the professor
+ */
+async function getStarredApplication(userId, professorId) {
+    const row = await getRow(`
+        SELECT ${STAR_COLUMNS}
+        FROM starred_professors sp
+        WHERE sp.user_id = ? AND sp.professor_id = ?
+    `, [userId, professorId]);
+    return row ? formatApplication(row) : null;
+}
+
+/**
+ * Update the application status and/or follow-up date of a user's star on a professor
+ * A status change is timestamped and added to the star's history; setting the current status again is a no-op.
+ * @param {Object} fields - { status, followUpOn } (followUpOn null clears the reminder)
+ * @returns {Promise<Object|null>} The updated application fields, or null when the professor isn't starred
+ */
+async function updateStarredApplication(userId, professorId, fields) {
+    const star = await getRow(
+        'SELECT id, status FROM starred_professors WHERE user_id = ? AND professor_id = ?',
+        [userId, professorId]
+    );
+    if (!star) {
+        return null;
+    }
+
+    if (fields.status !== undefined && fields.status !== star.status) {
+        await runStatement(
+            'UPDATE starred_professors SET status = ?, status_changed_at = CURRENT_TIMESTAMP WHERE id = ?',
+            [fields.status, star.id]
+        );
+        await runStatement('INSERT INTO star_status_changes (star_id, status) VALUES (?, ?)', [star.id, fields.status]);
+    }
+    if (fields.followUpOn !== undefined) {
+        await runStatement('UPDATE starred_professors SET follow_up_on = ? WHERE id = ?', [fields.followUpOn, star.id]);
+    }
+
+    return getStarredApplication(userId, professorId);
+}
+
+/**
+ * Get a user's starred professors whose follow-up date is today or earlier, soonest first
+ */
+async function getDueFollowUps(userId) {
+    const rows = await getRows(`
+        SELECT p.id, p.name, sp.status, sp.follow_up_on
+        FROM starred_professors sp
+        JOIN professors p ON sp.professor_id = p.id
+        WHERE sp.user_id = ? AND sp.follow_up_on IS NOT NULL AND sp.follow_up_on <= date('now')
+        ORDER BY sp.follow_up_on, p.name
+    `, [userId]);
+    return rows.map(row => ({
+        professorId: row.id,
+        name: row.name,
+        status: row.status,
+        followUpOn: row.follow_up_on
+    }));
+}
+
+/**
+ * Notes on starred professors (see migrations/015_star_notes.js)
+ * Notes are reached through the user's star, so users only ever see and edit their own.
+ */
+
+function formatStarNote(row) {
+    return {
+        id: row.id,
+        text: row.text,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+    };
+}
+
+// The user's star on a professor, or null
+function getStar(userId, professorId) {
+    return getRow('SELECT id FROM starred_professors WHERE user_id = ? AND professor_id = ?', [userId, professorId]);
+}
+
+// Get a user's note on a starred professor, or null
+async function getStarNote(userId, professorId, noteId) {
+    const row = await getRow(`
+        SELECT n.* FROM star_notes n
+        JOIN starred_professors sp ON n.star_id = sp.id
+        WHERE n.id = ? AND sp.user_id = ? AND sp.professor_id = ?
+    `, [noteId, userId, professorId]);
+    return row ? formatStarNote(row) : null;
+}
+
+/**
+ * Get a user's notes on a starred professor, oldest first
+ * @returns {Promise<Array|null>} Null when the user hasn't starred the professor
+ */
+async function getStarNotes(userId, professorId) {
+    const star = await getStar(userId, professorId);
+    if (!star) {
+        return null;
+    }
+    const rows = await getRows('SELECT * FROM star_notes WHERE star_id = ? ORDER BY created_at, id', [star.id]);
+    return rows.map(formatStarNote);
+}
+
+/**
+ * Add a note to a user's star on a professor
+ * @returns {Promise<Object|null>} The new note, or null when the user hasn't starred the professor
+ */
+async function addStarNote(userId, professorId, text) {
+    const star = await getStar(userId, professorId);
+    if (!star) {
+        return null;
+    }
+    const result = await runStatement('INSERT INTO star_notes (star_id, text) VALUES (?, ?)', [star.id, text]);
+    return getStarNote(userId, professorId, result.lastID);
+}
+
+/**
+ * Replace the text of a user's note on a starred professor
+ * @returns {Promise<Object|null>} The updated note, or null when there is no such note
+ */
+async function updateStarNote(userId, professorId, noteId, text) {
+    const note = await getStarNote(userId, professorId, noteId);
+    if (!note) {
+        return null;
+    }
+    await runStatement(
+        'UPDATE star_notes SET text = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [text, noteId]
+    );
+    return getStarNote(userId, professorId, noteId);
+}
+
+// Delete a user's note on a starred professor; resolves false when there is no such note
+async function deleteStarNote(userId, professorId, noteId) {
+    const note = await getStarNote(userId, professorId, noteId);
+    if (!note) {
+        return false;
+    }
+    await runStatement('DELETE FROM star_notes WHERE id = ?', [noteId]);
+    return true;
+}
+
 // Check if professor is starred by user
 function isProfessorStarred(userId, professorId) {
     return new Promise((resolve, reject) => {
@@ -753,15 +2505,20 @@ async function starProfessor(userId, professorName, departmentName) {
         throw new Error('Professor not found');
     }
     
-    return new Promise((resolve, reject) => {
-        db.run(`
-            INSERT OR IGNORE INTO starred_professors (user_id, professor_id)
-            VALUES (?, ?)
-        `, [userId, prof.id], function(err) {
-            if (err) reject(err);
-            else resolve(this.changes > 0);
-        });
-    });
+    return starProfessorById(userId, prof.id);
+}
+
+// Star a professor by professor ID (a new star starts the application tracker at "interested")
+async function starProfessorById(userId, professorId) {
+    const result = await runStatement(`
+        INSERT OR IGNORE INTO starred_professors (user_id, professor_id, status_changed_at)
+        VALUES (?, ?, CURRENT_TIMESTAMP)
+    `, [userId, professorId]);
+    if (result.changes === 0) {
+        return false;
+    }
+    await runStatement("INSERT INTO star_status_changes (star_id, status) VALUES (?, 'interested')", [result.lastID]);
+    return true;
 }
 
 // Unstar a professor
@@ -771,15 +2528,24 @@ async function unstarProfessor(userId, professorName, departmentName) {
         throw new Error('Professor not found');
     }
     
-    return new Promise((resolve, reject) => {
-        db.run(`
-            DELETE FROM starred_professors 
-            WHERE user_id = ? AND professor_id = ?
-        `, [userId, prof.id], function(err) {
-            if (err) reject(err);
-            else resolve(this.changes > 0);
-        });
-    });
+    return unstarProfessorById(userId, prof.id);
+}
+
+/**
+ * Delete the stars matching a starred_professors condition, with their status history and notes
+ * @returns {Promise<{changes: number}>} How many stars were deleted
+ */
+async function deleteStars(where, params) {
+    const starIds = `SELECT id FROM starred_professors WHERE ${where}`;
+    await runStatement(`DELETE FROM star_notes WHERE star_id IN (${starIds})`, params);
+    await runStatement(`DELETE FROM star_status_changes WHERE star_id IN (${starIds})`, params);
+    return runStatement(`DELETE FROM starred_professors WHERE ${where}`, params);
+}
+
+// Unstar a professor by professor ID, dropping its application history and notes
+async function unstarProfessorById(userId, professorId) {
+    const result = await deleteStars('user_id = ? AND professor_id = ?', [userId, professorId]);
+    return result.changes > 0;
 }
 
 // Get starred professor IDs for a user (for checking which are starred)
@@ -789,13 +2555,15 @@ async function getStarredProfessorIds(userId) {
             SELECT p.id, p.name, d.name as department
             FROM starred_professors sp
             JOIN professors p ON sp.professor_id = p.id
-            JOIN departments d ON p.department_id = d.id
+            JOIN professor_departments pd ON pd.professor_id = p.id
+            JOIN departments d ON pd.department_id = d.id
             WHERE sp.user_id = ?
         `, [userId], (err, rows) => {
             if (err) {
                 reject(err);
             } else {
                 // Return a map of professor name + department to professor ID for quick lookup
+                // (a jointly appointed professor has one entry per department)
                 const starredMap = {};
                 rows.forEach(row => {
                     const key = `${row.name}|${row.department}`;
@@ -816,60 +2584,649 @@ async function deleteProfessor(professorName, departmentName) {
         throw new Error('Professor not found');
     }
     
+    return deleteProfessorById(prof.id);
+}
+
+/**
+ * Delete professor by ID, along with their stars (with application history and notes), views, clicks, department links,
+ * research area tags, publications, lab links (their labs are kept) and openings
+ */
+function deleteProfessorById(professorId) {
     return new Promise((resolve, reject) => {
-        // First delete related records (starred_professors, views, clicks)
-        db.run('DELETE FROM starred_professors WHERE professor_id = ?', [prof.id], (err1) => {
-            if (err1) {
-                reject(err1);
-                return;
-            }
-            db.run('DELETE FROM professor_views WHERE professor_id = ?', [prof.id], (err2) => {
+        // First delete related records (stars with their history and notes, views, clicks, publications)
+        deleteStars('professor_id = ?', [professorId]).then(() => {
+            db.run('DELETE FROM professor_views WHERE professor_id = ?', [professorId], (err2) => {
                 if (err2) {
                     reject(err2);
                     return;
                 }
-                db.run('DELETE FROM professor_clicks WHERE professor_id = ?', [prof.id], (err3) => {
+                db.run('DELETE FROM professor_clicks WHERE professor_id = ?', [professorId], (err3) => {
                     if (err3) {
                         reject(err3);
                         return;
                     }
-                    // Finally delete the professor
-                    db.run('DELETE FROM professors WHERE id = ?', [prof.id], function(err4) {
-                        if (err4) reject(err4);
-                        else resolve(this.changes);
+                    db.run('DELETE FROM professor_departments WHERE professor_id = ?', [professorId], (err4) => {
+                        if (err4) {
+                            reject(err4);
+                            return;
+                        }
+                        db.run('DELETE FROM professor_research_areas WHERE professor_id = ?', [professorId], (err5) => {
+                            if (err5) {
+                                reject(err5);
+                                return;
+                            }
+                            db.run('DELETE FROM publications WHERE professor_id = ?', [professorId], (err6) => {
+                                if (err6) {
+                                    reject(err6);
+                                    return;
+                                }
+                                db.run('DELETE FROM professor_stat_sources WHERE professor_id = ?', [professorId], (err7) => {
+                                    if (err7) {
+                                        reject(err7);
+                                        return;
+                                    }
+                                    db.run('DELETE FROM professor_labs WHERE professor_id = ?', [professorId], (err8) => {
+                                        if (err8) {
+                                            reject(err8);
+                                            return;
+                                        }
+                                        // Their openings go too, except ones posted for a lab, which stay with the lab
+                                        db.run('DELETE FROM openings WHERE professor_id = ? AND lab_id IS NULL', [professorId], (err9) => {
+                                            if (err9) {
+                                                reject(err9);
+                                                return;
+                                            }
+                                            db.run('UPDATE openings SET professor_id = NULL WHERE professor_id = ?', [professorId], (err10) => {
+                                                if (err10) {
+                                                    reject(err10);
+                                                    return;
+                                                }
+                                                // Finally delete the professor
+                                                db.run('DELETE FROM professors WHERE id = ?', [professorId], function(err11) {
+                                                    if (err11) reject(err11);
+                                                    else resolve(this.changes);
+                                                });
+                                            });
+                                        });
+                                    });
+                                });
+                            });
+                        });
                     });
                 });
             });
+        }, reject);
+    });
+}
+
+/**
+ * Get every professor with their department names (used for duplicate detection)
+ */
+function getAllProfessors() {
+    return getRows(`
+        SELECT p.*, ${PROFESSOR_LINK_COLUMNS}
+        FROM professors p
+        ORDER BY p.id
+    `);
+}
+
+/**
+ * Search the professor_search full-text index (see migrations/008_professor_search.js)
+ * @param {string} matchExpression - FTS5 MATCH expression
+ * @param {Object} options - { department, limit, highlightStart, highlightEnd }
+ * @returns {Promise<Array>} Professor rows, best first, with a bm25 `score` (lower is better)
+ *   and *_highlight columns where matches are wrapped in the highlight markers
+ */
+function searchProfessors(matchExpression, { department = null, limit = 50, highlightStart = '[', highlightEnd = ']' } = {}) {
+    const departmentFilter = department
+        ? `AND p.id IN (
+            SELECT pd.professor_id FROM professor_departments pd
+            JOIN departments d ON pd.department_id = d.id
+            WHERE d.name = ?
+        )`
+        : '';
+    const marks = [highlightStart, highlightEnd];
+
+    // Column weights: name, title, lab, research areas, their aliases/parents, departments
+    return getRows(`
+        SELECT p.*, ${PROFESSOR_LINK_COLUMNS},
+            bm25(professor_search, 10.0, 2.0, 6.0, 5.0, 2.0, 3.0) as score,
+            highlight(professor_search, 0, ?, ?) as name_highlight,
+            highlight(professor_search, 1, ?, ?) as title_highlight,
+            highlight(professor_search, 2, ?, ?) as lab_highlight,
+            highlight(professor_search, 3, ?, ?) as research_areas_highlight
+        FROM professor_search
+        JOIN professors p ON p.id = professor_search.rowid
+        WHERE professor_search MATCH ? ${departmentFilter}
+        ORDER BY score, p.name
+        LIMIT ?
+    `, [...marks, ...marks, ...marks, ...marks, matchExpression, ...(department ? [department] : []), limit]);
+}
+
+/**
+ * Every word in the search index with the number of professors it appears for
+ * @returns {Promise<Map<string, number>>}
+ */
+async function getSearchTerms() {
+    const rows = await getRows('SELECT term, doc FROM professor_search_terms');
+    return new Map(rows.map(row => [row.term, row.doc]));
+}
+
+// Profile columns a merge copies onto the survivor when the survivor's value is blank
+const MERGE_FILL_COLUMNS = ['title', 'lab', 'lab_website', 'personal_website', 'email', 'research_area'];
+// Stat columns a merge sets to the larger of the two values
+const MERGE_MAX_COLUMNS = ['num_undergrad_researchers', 'num_lab_members', 'num_published_papers'];
+
+function placeholders(values) {
+    return values.map(() => '?').join(', ');
+}
+
+/**
+ * Merge a duplicate professor into the surviving record
+ * Fills the survivor's blank fields, moves views, clicks, stars, publications and openings onto it, lists the
+ * survivor in the duplicate's departments, research areas and labs, deletes the duplicate and records
+ * everything needed to undo the merge in professor_merges.
+ * @returns {Promise<Object>} The merge record (see getProfessorMerge)
+ */
+async function mergeProfessors(survivorId, mergedId, mergedBy = null) {
+    if (survivorId === mergedId) {
+        throw new Error('Cannot merge a professor into itself');
+    }
+
+    const mergeId = await inTransaction(async () => {
+        const survivor = await getRow('SELECT * FROM professors WHERE id = ?', [survivorId]);
+        const merged = await getRow('SELECT * FROM professors WHERE id = ?', [mergedId]);
+        if (!survivor || !merged) {
+            throw new Error('Professor not found');
+        }
+
+        const blank = value => value === null || value === undefined || String(value).trim() === '';
+        const filled = {};
+        MERGE_FILL_COLUMNS.forEach(column => {
+            if (blank(survivor[column]) && !blank(merged[column])) {
+                filled[column] = { from: survivor[column], to: merged[column] };
+            }
+        });
+        MERGE_MAX_COLUMNS.forEach(column => {
+            if (merged[column] !== null && (survivor[column] === null || merged[column] > survivor[column])) {
+                filled[column] = { from: survivor[column], to: merged[column] };
+            }
         });
+
+        const columns = Object.keys(filled);
+        if (columns.length > 0) {
+            await runStatement(
+                `UPDATE professors SET ${columns.map(c => `${c} = ?`).join(', ')} WHERE id = ?`,
+                [...columns.map(c => filled[c].to), survivorId]
+            );
+        }
+
+        const views = await getRows('SELECT id FROM professor_views WHERE professor_id = ?', [mergedId]);
+        await runStatement('UPDATE professor_views SET professor_id = ? WHERE professor_id = ?', [survivorId, mergedId]);
+
+        const clicks = await getRows('SELECT id FROM professor_clicks WHERE professor_id = ?', [mergedId]);
+        await runStatement('UPDATE professor_clicks SET professor_id = ? WHERE professor_id = ?', [survivorId, mergedId]);
+
+        // Users who starred both keep a single star (and its application status) on the survivor;
+        // the other star's status history stays in star_status_changes for undo, and its notes join the survivor's
+        const stars = await getRows('SELECT * FROM starred_professors WHERE professor_id = ?', [mergedId]);
+        const movedStars = [];
+        const deletedStars = [];
+        const movedStarNotes = {};
+        for (const star of stars) {
+            const alreadyStarred = await getRow(
+                'SELECT id FROM starred_professors WHERE user_id = ? AND professor_id = ?',
+                [star.user_id, survivorId]
+            );
+            if (alreadyStarred) {
+                const notes = await getRows('SELECT id FROM star_notes WHERE star_id = ?', [star.id]);
+                if (notes.length > 0) {
+                    await runStatement('UPDATE star_notes SET star_id = ? WHERE star_id = ?', [alreadyStarred.id, star.id]);
+                    movedStarNotes[star.id] = notes.map(note => note.id);
+                }
+                await runStatement('DELETE FROM starred_professors WHERE id = ?', [star.id]);
+                deletedStars.push(star);
+            } else {
+                await runStatement('UPDATE starred_professors SET professor_id = ? WHERE id = ?', [survivorId, star.id]);
+                movedStars.push(star.id);
+            }
+        }
+
+        // A duplicate filed under another department makes the survivor a joint appointment
+        const departmentLinks = await getRows('SELECT * FROM professor_departments WHERE professor_id = ?', [mergedId]);
+        const addedDepartments = [];
+        for (const link of departmentLinks) {
+            const result = await runStatement(
+                'INSERT OR IGNORE INTO professor_departments (professor_id, department_id, is_primary) VALUES (?, ?, 0)',
+                [survivorId, link.department_id]
+            );
+            if (result.changes > 0) addedDepartments.push(link.department_id);
+        }
+        await runStatement('DELETE FROM professor_departments WHERE professor_id = ?', [mergedId]);
+
+        // The survivor keeps its own research areas first and gains the duplicate's
+        const researchAreaLinks = await getRows(
+            'SELECT * FROM professor_research_areas WHERE professor_id = ? ORDER BY position',
+            [mergedId]
+        );
+        const { next } = await getRow(
+            'SELECT COALESCE(MAX(position) + 1, 0) as next FROM professor_research_areas WHERE professor_id = ?',
+            [survivorId]
+        );
+        const addedResearchAreas = [];
+        for (const link of researchAreaLinks) {
+            const result = await runStatement(
+                'INSERT OR IGNORE INTO professor_research_areas (professor_id, research_area_id, position) VALUES (?, ?, ?)',
+                [survivorId, link.research_area_id, next + addedResearchAreas.length]
+            );
+            if (result.changes > 0) addedResearchAreas.push(link.research_area_id);
+        }
+        await runStatement('DELETE FROM professor_research_areas WHERE professor_id = ?', [mergedId]);
+
+        // The survivor likewise keeps its own labs first and joins the duplicate's
+        const labLinks = await getRows('SELECT * FROM professor_labs WHERE professor_id = ? ORDER BY position', [mergedId]);
+        const { nextLab } = await getRow(
+            'SELECT COALESCE(MAX(position) + 1, 0) as nextLab FROM professor_labs WHERE professor_id = ?',
+            [survivorId]
+        );
+        const addedLabs = [];
+        for (const link of labLinks) {
+            const result = await runStatement(
+                'INSERT OR IGNORE INTO professor_labs (professor_id, lab_id, position) VALUES (?, ?, ?)',
+                [survivorId, link.lab_id, nextLab + addedLabs.length]
+            );
+            if (result.changes > 0) addedLabs.push(link.lab_id);
+        }
+        await runStatement('DELETE FROM professor_labs WHERE professor_id = ?', [mergedId]);
+        await syncProfessorLabColumns({ professorIds: [survivorId] });
+
+        // Stats taken from the duplicate keep the duplicate's source
+        const mergedStatSources = await getRows('SELECT * FROM professor_stat_sources WHERE professor_id = ?', [mergedId]);
+        const takenStats = Object.values(STAT_COLUMNS).filter(column => filled[column]);
+        const replacedStatSources = takenStats.length > 0
+            ? await getRows(
+                `SELECT * FROM professor_stat_sources WHERE professor_id = ? AND stat IN (${placeholders(takenStats)})`,
+                [survivorId, ...takenStats]
+            )
+            : [];
+        for (const column of takenStats) {
+            await runStatement('DELETE FROM professor_stat_sources WHERE professor_id = ? AND stat = ?', [survivorId, column]);
+            const source = mergedStatSources.find(row => row.stat === column);
+            if (source) {
+                await insertStatSource({ ...source, professor_id: survivorId });
+            }
+        }
+        await runStatement('DELETE FROM professor_stat_sources WHERE professor_id = ?', [mergedId]);
+
+        // Publications move over unless the survivor already lists the same paper; the
+        // publications triggers then recount the survivor's papers
+        const publications = await getRows('SELECT id FROM publications WHERE professor_id = ?', [mergedId]);
+        await runStatement('UPDATE OR IGNORE publications SET professor_id = ? WHERE professor_id = ?', [survivorId, mergedId]);
+        const deletedPublications = await getRows('SELECT * FROM publications WHERE professor_id = ?', [mergedId]);
+        await runStatement('DELETE FROM publications WHERE professor_id = ?', [mergedId]);
+        const movedPublications = publications
+            .map(row => row.id)
+            .filter(id => !deletedPublications.some(row => row.id === id));
+
+        const openings = await getRows('SELECT id FROM openings WHERE professor_id = ?', [mergedId]);
+        await runStatement('UPDATE openings SET professor_id = ? WHERE professor_id = ?', [survivorId, mergedId]);
+
+        await runStatement('DELETE FROM professors WHERE id = ?', [mergedId]);
+
+        const movedRows = {
+            views: views.map(row => row.id),
+            clicks: clicks.map(row => row.id),
+            stars: movedStars,
+            deletedStars,
+            starNotes: movedStarNotes,
+            departments: addedDepartments,
+            departmentLinks,
+            researchAreas: addedResearchAreas,
+            researchAreaLinks,
+            labs: addedLabs,
+            labLinks,
+            statSources: mergedStatSources,
+            replacedStatSources,
+            publications: movedPublications,
+            deletedPublications,
+            openings: openings.map(row => row.id)
+        };
+        const result = await runStatement(`
+            INSERT INTO professor_merges (survivor_id, merged_id, merged_professor, filled_fields, moved_rows, merged_by)
+            VALUES (?, ?, ?, ?, ?, ?)
+        `, [survivorId, mergedId, JSON.stringify(merged), JSON.stringify(filled), JSON.stringify(movedRows), mergedBy]);
+
+        return result.lastID;
+    });
+
+    return getProfessorMerge(mergeId);
+}
+
+/**
+ * Undo a merge: restore the deleted professor, move its views, clicks, stars,
+ * publications, openings, departments, research areas and labs back, and revert survivor fields the merge filled in (unless they were edited since)
+ * @returns {Promise<Object>} The updated merge record
+ */
+async function undoProfessorMerge(mergeId, undoneBy = null) {
+    await inTransaction(async () => {
+        const merge = await getRow('SELECT * FROM professor_merges WHERE id = ?', [mergeId]);
+        if (!merge) {
+            throw new Error('Merge not found');
+        }
+        if (merge.undone_at) {
+            throw new Error('Merge has already been undone');
+        }
+        if (!await getRow('SELECT id FROM professors WHERE id = ?', [merge.survivor_id])) {
+            throw new Error('The surviving professor no longer exists, so this merge cannot be undone');
+        }
+
+        const professor = JSON.parse(merge.merged_professor);
+        const filled = JSON.parse(merge.filled_fields);
+        const moved = JSON.parse(merge.moved_rows);
+
+        // Restore the duplicate with its original ID so links and analytics line up again.
+        // Columns dropped since the merge (such as is_recruiting, see migration 013) are skipped.
+        const professorColumns = (await getRows('PRAGMA table_info(professors)')).map(row => row.name);
+        const columns = Object.keys(professor).filter(c => professorColumns.includes(c));
+        await runStatement(
+            `INSERT INTO professors (${columns.join(', ')}) VALUES (${placeholders(columns)})`,
+            columns.map(c => professor[c])
+        );
+
+        for (const [column, change] of Object.entries(filled)) {
+            if (!professorColumns.includes(column)) continue;
+            await runStatement(
+                `UPDATE professors SET ${column} = ? WHERE id = ? AND ${column} IS ?`,
+                [change.from, merge.survivor_id, change.to]
+            );
+        }
+
+        if (moved.views.length > 0) {
+            await runStatement(
+                `UPDATE professor_views SET professor_id = ? WHERE professor_id = ? AND id IN (${placeholders(moved.views)})`,
+                [merge.merged_id, merge.survivor_id, ...moved.views]
+            );
+        }
+        if (moved.clicks.length > 0) {
+            await runStatement(
+                `UPDATE professor_clicks SET professor_id = ? WHERE professor_id = ? AND id IN (${placeholders(moved.clicks)})`,
+                [merge.merged_id, merge.survivor_id, ...moved.clicks]
+            );
+        }
+        if (moved.stars.length > 0) {
+            await runStatement(
+                `UPDATE starred_professors SET professor_id = ? WHERE professor_id = ? AND id IN (${placeholders(moved.stars)})`,
+                [merge.merged_id, merge.survivor_id, ...moved.stars]
+            );
+        }
+        // Deleted stars come back with their application status; their status history was kept,
+        // and their notes move back from the survivor's star (unless deleted since)
+        const starColumns = (await getRows('PRAGMA table_info(starred_professors)')).map(row => row.name);
+        for (const star of moved.deletedStars) {
+            const columns = Object.keys(star).filter(c => starColumns.includes(c));
+            await runStatement(
+                `INSERT OR IGNORE INTO starred_professors (${columns.join(', ')}) VALUES (${placeholders(columns)})`,
+                columns.map(c => star[c])
+            );
+        }
+        for (const [starId, noteIds] of Object.entries(moved.starNotes || {})) {
+            await runStatement(
+                `UPDATE star_notes SET star_id = ? WHERE id IN (${placeholders(noteIds)})`,
+                [Number(starId), ...noteIds]
+            );
+        }
+
+        // Merges recorded before professor_departments existed only had the primary department
+        const departmentLinks = moved.departmentLinks || [{ department_id: professor.department_id, is_primary: 1 }];
+        const addedDepartments = moved.departments || [];
+        if (addedDepartments.length > 0) {
+            await runStatement(
+                `DELETE FROM professor_departments WHERE professor_id = ? AND is_primary = 0 AND department_id IN (${placeholders(addedDepartments)})`,
+                [merge.survivor_id, ...addedDepartments]
+            );
+        }
+        for (const link of departmentLinks) {
+            await runStatement(
+                'INSERT OR IGNORE INTO professor_departments (professor_id, department_id, is_primary) VALUES (?, ?, ?)',
+                [merge.merged_id, link.department_id, link.is_primary]
+            );
+        }
+
+        // Merges recorded before research area tags existed are re-tagged from the text
+        const addedResearchAreas = moved.researchAreas || [];
+        if (addedResearchAreas.length > 0) {
+            await runStatement(
+                `DELETE FROM professor_research_areas WHERE professor_id = ? AND research_area_id IN (${placeholders(addedResearchAreas)})`,
+                [merge.survivor_id, ...addedResearchAreas]
+            );
+        }
+        if (moved.researchAreaLinks) {
+            await setProfessorResearchAreaIds(merge.merged_id, moved.researchAreaLinks.map(link => link.research_area_id));
+        } else {
+            await setProfessorResearchAreaIds(merge.merged_id, await resolveResearchAreaText(professor.research_area));
+        }
+
+        // Merges recorded before labs existed have no lab links to restore
+        const addedLabs = moved.labs || [];
+        if (addedLabs.length > 0) {
+            await runStatement(
+                `DELETE FROM professor_labs WHERE professor_id = ? AND lab_id IN (${placeholders(addedLabs)})`,
+                [merge.survivor_id, ...addedLabs]
+            );
+        }
+        for (const link of moved.labLinks || []) {
+            await runStatement(
+                'INSERT OR IGNORE INTO professor_labs (professor_id, lab_id, position) VALUES (?, ?, ?)',
+                [merge.merged_id, link.lab_id, link.position]
+            );
+        }
+        await syncProfessorLabColumns({ professorIds: [merge.survivor_id, merge.merged_id] });
+
+        // Stat sources go back too; a survivor stat edited since the merge keeps its new source
+        for (const [column, change] of Object.entries(filled)) {
+            if (Object.values(STAT_COLUMNS).includes(column)) {
+                await runStatement(
+                    'DELETE FROM professor_stat_sources WHERE professor_id = ? AND stat = ? AND value = ?',
+                    [merge.survivor_id, column, change.to]
+                );
+            }
+        }
+        for (const source of [...(moved.replacedStatSources || []), ...(moved.statSources || [])]) {
+            await insertStatSource(source);
+        }
+
+        const movedPublications = moved.publications || [];
+        if (movedPublications.length > 0) {
+            await runStatement(
+                `UPDATE publications SET professor_id = ? WHERE professor_id = ? AND id IN (${placeholders(movedPublications)})`,
+                [merge.merged_id, merge.survivor_id, ...movedPublications]
+            );
+        }
+        for (const publication of moved.deletedPublications || []) {
+            const columns = Object.keys(publication);
+            await runStatement(
+                `INSERT OR IGNORE INTO publications (${columns.join(', ')}) VALUES (${placeholders(columns)})`,
+                columns.map(c => publication[c])
+            );
+        }
+
+        const movedOpenings = moved.openings || [];
+        if (movedOpenings.length > 0) {
+            await runStatement(
+                `UPDATE openings SET professor_id = ? WHERE professor_id = ? AND id IN (${placeholders(movedOpenings)})`,
+                [merge.merged_id, merge.survivor_id, ...movedOpenings]
+            );
+        }
+
+        await runStatement(
+            'UPDATE professor_merges SET undone_at = CURRENT_TIMESTAMP, undone_by = ? WHERE id = ?',
+            [undoneBy, mergeId]
+        );
     });
+
+    return getProfessorMerge(mergeId);
+}
+
+function formatMerge(row) {
+    const merged = JSON.parse(row.merged_professor);
+    const moved = JSON.parse(row.moved_rows);
+    return {
+        id: row.id,
+        survivorId: row.survivor_id,
+        survivorName: row.survivor_name || null,
+        mergedId: row.merged_id,
+        mergedName: merged.name,
+        filledFields: Object.keys(JSON.parse(row.filled_fields)),
+        moved: {
+            views: moved.views.length,
+            clicks: moved.clicks.length,
+            stars: moved.stars.length + moved.deletedStars.length,
+            publications: (moved.publications || []).length + (moved.deletedPublications || []).length,
+            openings: (moved.openings || []).length
+        },
+        mergedBy: row.merged_by,
+        mergedAt: row.merged_at,
+        undoneBy: row.undone_by,
+        undoneAt: row.undone_at
+    };
+}
+
+/**
+ * Get a single merge record
+ */
+async function getProfessorMerge(mergeId) {
+    const row = await getRow(`
+        SELECT m.*, p.name as survivor_name
+        FROM professor_merges m
+        LEFT JOIN professors p ON m.survivor_id = p.id
+        WHERE m.id = ?
+    `, [mergeId]);
+    return row ? formatMerge(row) : null;
+}
+
+/**
+ * Get recent merges, newest first
+ */
+async function getProfessorMerges(limit = 50) {
+    const rows = await getRows(`
+        SELECT m.*, p.name as survivor_name
+        FROM professor_merges m
+        LEFT JOIN professors p ON m.survivor_id = p.id
+        ORDER BY m.id DESC
+        LIMIT ?
+    `, [limit]);
+    return rows.map(formatMerge);
 }
 
 module.exports = {
+    DB_PATH,
+    openDatabase,
     initDatabase,
     getDatabase,
     getAllDepartments,
     getDepartmentByName,
     createOrGetDepartment,
     getProfessorsByDepartment,
+    queryDepartmentProfessors,
+    getDepartmentListings,
+    getDataVersion,
     addProfessor,
     deleteProfessor,
+    deleteProfessorById,
     getTrendingLabs,
     setTrendingLabs,
+    formatLab,
+    getLabById,
+    getLabs,
+    getLabProfessors,
+    setProfessorLabIds,
+    addLab,
+    updateLabById,
+    deleteLabById,
+    getStarredLabs,
+    getStarredLabIds,
+    starLabById,
+    unstarLabById,
+    OPENING_STATUS_FILTERS,
+    getOpeningById,
+    getOpenings,
+    addOpening,
+    updateOpeningById,
+    deleteOpeningById,
+    closeExpiredOpenings,
+    getEmailTemplates,
+    getEmailTemplateById,
+    addEmailTemplate,
+    updateEmailTemplateById,
+    deleteEmailTemplateById,
+    getNotificationPreferences,
+    getNotificationPreferencesByToken,
+    updateNotificationPreferences,
+    unsubscribeByToken,
+    getOpeningAlertRecipients,
+    addOpeningAlerts,
+    queueDeadlineAlerts,
+    deleteStaleAlerts,
+    getPendingAlerts,
+    getDigestSubscribers,
+    markAlertsSent,
+    markDigestSent,
     trackProfessorView,
     trackProfessorClick,
     trackDepartmentView,
     getProfessorByNameAndDepartment,
+    getProfessorById,
+    getProfessorsByIds,
+    getAllProfessors,
+    formatProfessor,
     getProfessorAnalytics,
     getAllAnalytics,
     updateProfessorStats,
+    updateProfessorStatsById,
     updateProfessorResearchArea,
+    updateProfessorResearchAreaById,
+    updateProfessorDetailsById,
+    updateProfessorById,
+    addProfessorDepartment,
+    removeProfessorDepartment,
+    searchProfessors,
+    getSearchTerms,
+    findResearchArea,
+    getResearchAreas,
+    setProfessorResearchAreas,
+    addResearchAreaAlias,
+    mergeResearchAreas,
+    setResearchAreaParent,
     getUserByEmail,
     createUser,
     getUserById,
     getUserByGoogleId,
+    setUserRole,
+    createPasswordResetToken,
+    consumePasswordResetToken,
+    resetUserPassword,
     getStarredProfessors,
     isProfessorStarred,
     starProfessor,
+    starProfessorById,
     unstarProfessor,
-    getStarredProfessorIds
+    unstarProfessorById,
+    getStarredApplication,
+    updateStarredApplication,
+    getDueFollowUps,
+    getStarNotes,
+    getStarNote,
+    addStarNote,
+    updateStarNote,
+    deleteStarNote,
+    getStarredProfessorIds,
+    publicationMatchKey,
+    getPublicationsByProfessor,
+    addPublication,
+    updatePublicationById,
+    deletePublicationById,
+    mergeProfessors,
+    undoProfessorMerge,
+    getProfessorMerge,
+    getProfessorMerges
 };
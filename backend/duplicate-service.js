@@ -0,0 +1,191 @@
+/**
+ * Duplicate Service
+ * Finds professor records that are likely the same person, using fuzzy name
+ * matching, shared emails and shared lab websites
+ */
+
+const db = require('./database');
+
+const DEFAULT_MIN_SCORE = 0.75;
+
+// Confidence contributed by each kind of evidence (combined with a noisy-OR)
+const SIGNAL_WEIGHTS = {
+    sameEmail: 0.95,
+    sameLabWebsite: 0.7
+};
+
+/**
+ * Normalize a name for comparison: lowercase, strip accents and punctuation, collapse spaces
+ */
+function normalizeName(name) {
+    return (name || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[.,'\u2019-]/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Normalize a URL for comparison: drop protocol, www., query string and trailing slash
+ */
+function normalizeUrl(url) {
+    return (url || '')
+        .trim()
+        .toLowerCase()
+        .replace(/^https?:\/\//, '')
+        .replace(/^www\./, '')
+        .replace(/[?#].*$/, '')
+        .replace(/\/+$/, '');
+}
+
+/**
+ * Calculate Levenshtein distance between two strings
+ */
+function levenshteinDistance(a, b) {
+    const previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        let diagonal = previous[0];
+        previous[0] = i;
+        for (let j = 1; j <= b.length; j++) {
+            const above = previous[j];
+            previous[j] = a[i - 1] === b[j - 1]
+                ? diagonal
+                : 1 + Math.min(diagonal, previous[j], previous[j - 1]);
+            diagonal = above;
+        }
+    }
+    return previous[b.length];
+}
+
+/**
+ * Score how likely two names belong to the same person
+ * @returns {{ score: number, reason: string }|null}
+ */
+function compareNames(nameA, nameB) {
+    const a = normalizeName(nameA);
+    const b = normalizeName(nameB);
+    if (!a || !b) return null;
+
+    if (a === b) {
+        return { score: 1, reason: 'same name' };
+    }
+
+    const tokensA = a.split(' ');
+    const tokensB = b.split(' ');
+    if ([...tokensA].sort().join(' ') === [...tokensB].sort().join(' ')) {
+        return { score: 0.95, reason: 'same name in a different order' };
+    }
+
+    const firstA = tokensA[0];
+    const firstB = tokensB[0];
+    const lastA = tokensA[tokensA.length - 1];
+    const lastB = tokensB[tokensB.length - 1];
+
+    if (tokensA.length > 1 && tokensB.length > 1 && lastA === lastB) {
+        // "John E. Carlstrom" vs "John Carlstrom"
+        if (firstA === firstB) {
+            return { score: 0.9, reason: 'same first and last name' };
+        }
+        // "J. Carlstrom" vs "John Carlstrom"
+        if ((firstA.length === 1 || firstB.length === 1) && firstA[0] === firstB[0]) {
+            return { score: 0.8, reason: 'matching initial and last name' };
+        }
+    }
+
+    // Typos such as "Jonh Smith"
+    const longest = Math.max(a.length, b.length);
+    if (Math.abs(a.length - b.length) <= 3) {
+        const similarity = 1 - levenshteinDistance(a, b) / longest;
+        if (similarity >= 0.8) {
+            return { score: Math.round(similarity * 0.9 * 100) / 100, reason: `similar name (${Math.round(similarity * 100)}% match)` };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Score a pair of professor rows
+ * @returns {{ score: number, reasons: string[] }|null} null if there is no evidence at all
+ */
+function scorePair(a, b) {
+    const signals = [];
+
+    const nameMatch = compareNames(a.name, b.name);
+    if (nameMatch) signals.push(nameMatch);
+
+    const emailA = (a.email || '').trim().toLowerCase();
+    if (emailA && emailA === (b.email || '').trim().toLowerCase()) {
+        signals.push({ score: SIGNAL_WEIGHTS.sameEmail, reason: 'same email' });
+    }
+
+    const labA = normalizeUrl(a.lab_website);
+    if (labA && labA === normalizeUrl(b.lab_website)) {
+        signals.push({ score: SIGNAL_WEIGHTS.sameLabWebsite, reason: 'same lab website' });
+    }
+
+    if (signals.length === 0) return null;
+
+    // Noisy-OR: independent pieces of evidence reinforce each other
+    const score = 1 - signals.reduce((remaining, signal) => remaining * (1 - signal.score), 1);
+    return {
+        score: Math.round(score * 100) / 100,
+        reasons: signals.map(signal => signal.reason)
+    };
+}
+
+/**
+ * Rank how complete a record is, to suggest which one should survive a merge
+ */
+function completeness(prof) {
+    const filled = ['title', 'lab', 'lab_website', 'personal_website', 'email', 'research_area']
+        .filter(column => prof[column] && String(prof[column]).trim() !== '').length;
+    const stats = (prof.num_undergrad_researchers || 0) + (prof.num_lab_members || 0) + (prof.num_published_papers || 0);
+    return filled * 1000 + stats;
+}
+
+/**
+ * Find likely duplicate pairs
+ * @param {Object} options - minScore (0-1), crossDepartment (also compare professors who share no department)
+ * @returns {Promise<Array>} Pairs sorted by score, each with a suggested survivor
+ */
+async function findDuplicates({ minScore = DEFAULT_MIN_SCORE, crossDepartment = false } = {}) {
+    const professors = await db.getAllProfessors();
+    const departments = new Map(professors.map(prof => [prof.id, db.formatProfessor(prof).departments]));
+    const shareDepartment = (a, b) => departments.get(a.id).some(name => departments.get(b.id).includes(name));
+    const candidates = [];
+
+    for (let i = 0; i < professors.length; i++) {
+        for (let j = i + 1; j < professors.length; j++) {
+            const a = professors[i];
+            const b = professors[j];
+            // Records in unrelated departments are usually different people with similar names
+            if (!crossDepartment && !shareDepartment(a, b)) continue;
+
+            const match = scorePair(a, b);
+            if (!match || match.score < minScore) continue;
+
+            const [survivor, duplicate] = completeness(b) > completeness(a) ? [b, a] : [a, b];
+            candidates.push({
+                score: match.score,
+                reasons: match.reasons,
+                suggestedSurvivorId: survivor.id,
+                suggestedMergedId: duplicate.id,
+                professors: [db.formatProfessor(a), db.formatProfessor(b)]
+            });
+        }
+    }
+
+    return candidates.sort((x, y) => y.score - x.score);
+}
+
+module.exports = {
+    DEFAULT_MIN_SCORE,
+    findDuplicates,
+    scorePair,
+    compareNames,
+    normalizeName,
+    levenshteinDistance
+};
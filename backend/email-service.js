@@ -9,11 +9,76 @@ require('dotenv').config();
 
 // Email configuration from environment variables
 const EMAIL_HOST = process.env.EMAIL_HOST || 'smtp.gmail.com';
-const EMAIL_PORT = process.env.EMAIL_PORT || 587;
+const EMAIL_PORT = Number(process.env.EMAIL_PORT) || 587;
 const EMAIL_USER = process.env.EMAIL_USER || '';
 const EMAIL_PASSWORD = process.env.EMAIL_PASSWORD || '';
 const EMAIL_FROM = process.env.EMAIL_FROM || EMAIL_USER || 'noreply@uchicago-research-board.com';
 const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
+// Where the API is reachable from an inbox (unsubscribe links point here)
+const PUBLIC_API_URL = process.env.PUBLIC_API_URL || `${FRONTEND_URL}/api`;
+
+// Styles shared by the HTML emails
+const EMAIL_STYLES = `
+    body {
+        font-family: Arial, sans-serif;
+        line-height: 1.6;
+        color: #333;
+        max-width: 600px;
+        margin: 0 auto;
+        padding: 20px;
+    }
+    .header {
+        background-color: #800020;
+        color: white;
+        padding: 20px;
+        text-align: center;
+        border-radius: 5px 5px 0 0;
+    }
+    .content {
+        background-color: #f9f9f9;
+        padding: 30px;
+        border-radius: 0 0 5px 5px;
+    }
+    .button {
+        display: inline-block;
+        padding: 12px 24px;
+        background-color: #800020;
+        color: white;
+        text-decoration: none;
+        border-radius: 5px;
+        margin: 20px 0;
+    }
+    .footer {
+        margin-top: 30px;
+        padding-top: 20px;
+        border-top: 1px solid #ddd;
+        font-size: 12px;
+        color: #666;
+        text-align: center;
+    }
+    .alert {
+        margin: 0 0 20px;
+        padding: 15px;
+        background-color: white;
+        border-left: 4px solid #800020;
+    }
+    .alert h3 {
+        margin: 0 0 8px;
+        color: #800020;
+    }
+    .alert p {
+        margin: 4px 0;
+    }
+`;
+
+// Escape user-provided text for the HTML emails
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
 
 // Create transporter (reused for all emails)
 let transporter = null;
@@ -23,8 +88,10 @@ function getTransporter() {
         return transporter;
     }
 
-    // Only create transporter if email credentials are configured
-    if (!EMAIL_USER || !EMAIL_PASSWORD) {
+    // Only create transporter if email credentials are configured, or a server that needs
+    // none is set (e.g. the local SMTP stand-in, scripts/smtp-sink.js)
+    const hasCredentials = Boolean(EMAIL_USER && EMAIL_PASSWORD);
+    if (!hasCredentials && !process.env.EMAIL_HOST) {
         console.warn('⚠️  Email credentials not configured. Email sending will be disabled.');
         console.warn('   Set EMAIL_USER and EMAIL_PASSWORD environment variables to enable email.');
         return null;
@@ -34,10 +101,10 @@ function getTransporter() {
         host: EMAIL_HOST,
         port: EMAIL_PORT,
         secure: EMAIL_PORT === 465, // true for 465, false for other ports
-        auth: {
+        auth: hasCredentials ? {
             user: EMAIL_USER,
             pass: EMAIL_PASSWORD
-        }
+        } : undefined
     });
 
     return transporter;
@@ -66,43 +133,7 @@ async function sendSignupConfirmation(email, name) {
             <head>
                 <meta charset="utf-8">
                 <style>
-                    body {
-                        font-family: Arial, sans-serif;
-                        line-height: 1.6;
-                        color: #333;
-                        max-width: 600px;
-                        margin: 0 auto;
-                        padding: 20px;
-                    }
-                    .header {
-                        background-color: #800020;
-                        color: white;
-                        padding: 20px;
-                        text-align: center;
-                        border-radius: 5px 5px 0 0;
-                    }
-                    .content {
-                        background-color: #f9f9f9;
-                        padding: 30px;
-                        border-radius: 0 0 5px 5px;
-                    }
-                    .button {
-                        display: inline-block;
-                        padding: 12px 24px;
-                        background-color: #800020;
-                        color: white;
-                        text-decoration: none;
-                        border-radius: 5px;
-                        margin: 20px 0;
-                    }
-                    .footer {
-                        margin-top: 30px;
-                        padding-top: 20px;
-                        border-top: 1px solid #ddd;
-                        font-size: 12px;
-                        color: #666;
-                        text-align: center;
-                    }
+                    ${EMAIL_STYLES}
                 </style>
             </head>
             <body>
@@ -173,6 +204,239 @@ This is an automated message. Please do not reply to this email.
     }
 }
 
+/**
+ * Send a password reset link
+ * @param {string} token - The reset token (only its hash is stored)
+ * @param {number} expiresInMinutes - How long the link works
+ */
+async function sendPasswordReset(email, name, token, expiresInMinutes) {
+    const emailTransporter = getTransporter();
+
+    if (!emailTransporter) {
+        console.warn('Email transporter not available. Skipping password reset email.');
+        return { success: false, error: 'Email service not configured' };
+    }
+
+    const userName = name || email.split('@')[0];
+    const resetUrl = `${FRONTEND_URL}?reset_token=${encodeURIComponent(token)}`;
+
+    const mailOptions = {
+        from: `"UChicago Research Board" <${EMAIL_FROM}>`,
+        to: email,
+        subject: 'Reset your UChicago Research Board password',
+        html: `
+            <!DOCTYPE html>
+            <html>
+            <head>
+                <meta charset="utf-8">
+                <style>
+                    ${EMAIL_STYLES}
+                </style>
+            </head>
+            <body>
+                <div class="header">
+                    <h1>Reset your password</h1>
+                </div>
+                <div class="content">
+                    <p>Hi ${escapeHtml(userName)},</p>
+
+                    <p>We received a request to reset the password for your UChicago Research Board account. Click below to choose a new one:</p>
+
+                    <p style="text-align: center;">
+                        <a href="${escapeHtml(resetUrl)}" class="button">Reset Password</a>
+                    </p>
+
+                    <p>This link works once and expires in ${expiresInMinutes} minutes. Resetting your password signs you out everywhere you are logged in.</p>
+
+                    <p>If you didn't ask to reset your password, you can ignore this email; your password won't change.</p>
+
+                    <p>Best regards,<br>The UChicago Research Board Team</p>
+                </div>
+                <div class="footer">
+                    <p>This is an automated message. Please do not reply to this email.</p>
+                    <p>&copy; ${new Date().getFullYear()} UChicago Research Board</p>
+                </div>
+            </body>
+            </html>
+        `,
+        text: `
+Reset your password
+
+Hi ${userName},
+
+We received a request to reset the password for your UChicago Research Board account. Open this link to choose a new one:
+
+${resetUrl}
+
+This link works once and expires in ${expiresInMinutes} minutes. Resetting your password signs you out everywhere you are logged in.
+
+If you didn't ask to reset your password, you can ignore this email; your password won't change.
+
+Best regards,
+The UChicago Research Board Team
+
+---
+This is an automated message. Please do not reply to this email.
+© ${new Date().getFullYear()} UChicago Research Board
+        `
+    };
+
+    try {
+        const info = await emailTransporter.sendMail(mailOptions);
+        console.log('✅ Password reset email sent:', info.messageId);
+        return { success: true, messageId: info.messageId };
+    } catch (error) {
+        console.error('❌ Error sending password reset email:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Opening alert emails
+ */
+
+// What each kind of alert says about the starred professors it concerns
+const ALERT_HEADLINES = {
+    recruiting: 'started recruiting',
+    new_opening: 'posted a new opening',
+    deadline: 'has a deadline coming up'
+};
+
+// "Jane Doe", "Jane Doe and John Roe" or "Jane Doe, John Roe and Ann Lee"
+function joinNames(names) {
+    return names.length > 1 ? `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}` : names[0];
+}
+
+// e.g. "Jane Doe started recruiting" (falls back to who posted the opening)
+function alertHeadline(alert) {
+    const { opening } = alert;
+    const names = alert.starredNames.length > 0
+        ? alert.starredNames
+        : [(opening.professor || opening.lab).name];
+    const verb = names.length > 1 && alert.kind === 'deadline' ? 'have a deadline coming up' : ALERT_HEADLINES[alert.kind];
+    return `${joinNames(names)} ${verb}`;
+}
+
+// Label/value pairs describing an opening
+function openingDetails(opening) {
+    return [
+        ['Role', opening.role],
+        ['Lab', opening.lab && opening.lab.name],
+        ['Quarter', opening.quarter],
+        ['Spots', opening.spots],
+        ['Deadline', opening.deadline],
+        ['Apply', opening.applyUrl]
+    ].filter(([, value]) => value !== null && value !== undefined && value !== '');
+}
+
+function unsubscribeUrl(token) {
+    return `${PUBLIC_API_URL}/notifications/unsubscribe?token=${encodeURIComponent(token)}`;
+}
+
+/**
+ * Send opening alerts to a user, one alert or several (a digest, or alerts queued between job runs)
+ * @param {Object} user - { email, name, unsubscribeToken }
+ * @param {Array<Object>} alerts - Pending alerts from db.getPendingAlerts
+ * @param {Object} options - { digest: 'daily' or 'weekly' for a digest }
+ */
+async function sendOpeningAlerts(user, alerts, { digest = null } = {}) {
+    const emailTransporter = getTransporter();
+
+    if (!emailTransporter) {
+        return { success: false, error: 'Email service not configured' };
+    }
+
+    const userName = user.name || user.email.split('@')[0];
+    const unsubscribeLink = unsubscribeUrl(user.unsubscribeToken);
+    let subject;
+    if (digest) {
+        subject = `Your ${digest} research openings digest (${alerts.length} update${alerts.length === 1 ? '' : 's'})`;
+    } else if (alerts.length === 1) {
+        subject = alertHeadline(alerts[0]);
+    } else {
+        subject = `${alerts.length} updates on your starred professors`;
+    }
+
+    const htmlAlerts = alerts.map(alert => `
+                    <div class="alert">
+                        <h3>${escapeHtml(alertHeadline(alert))}</h3>
+                        ${openingDetails(alert.opening).map(([label, value]) => (label === 'Apply'
+                            ? `<p><strong>${label}:</strong> <a href="${escapeHtml(value)}">${escapeHtml(value)}</a></p>`
+                            : `<p><strong>${label}:</strong> ${escapeHtml(value)}</p>`)).join('\n                        ')}
+                    </div>`).join('');
+    const textAlerts = alerts.map(alert => [
+        alertHeadline(alert),
+        ...openingDetails(alert.opening).map(([label, value]) => `  ${label}: ${value}`)
+    ].join('\n')).join('\n\n');
+
+    const mailOptions = {
+        from: `"UChicago Research Board" <${EMAIL_FROM}>`,
+        to: user.email,
+        subject,
+        list: {
+            unsubscribe: unsubscribeLink
+        },
+        headers: {
+            // Lets mail apps unsubscribe in one click (RFC 8058)
+            'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+        },
+        html: `
+            <!DOCTYPE html>
+            <html>
+            <head>
+                <meta charset="utf-8">
+                <style>
+                    ${EMAIL_STYLES}
+                </style>
+            </head>
+            <body>
+                <div class="header">
+                    <h1>${digest ? `Your ${digest} digest` : 'Research openings'}</h1>
+                </div>
+                <div class="content">
+                    <p>Hi ${escapeHtml(userName)},</p>
+
+                    <p>Here ${alerts.length === 1 ? 'is an update' : 'are updates'} on professors you starred:</p>
+                    ${htmlAlerts}
+
+                    <p style="text-align: center;">
+                        <a href="${FRONTEND_URL}" class="button">View your starred professors</a>
+                    </p>
+                </div>
+                <div class="footer">
+                    <p>You get these emails because you turned on opening alerts. Change how often you get them from your starred professors, or <a href="${escapeHtml(unsubscribeLink)}">unsubscribe</a>.</p>
+                    <p>&copy; ${new Date().getFullYear()} UChicago Research Board</p>
+                </div>
+            </body>
+            </html>
+        `,
+        text: `
+${digest ? `Your ${digest} digest` : 'Research openings'}
+
+Hi ${userName},
+
+Here ${alerts.length === 1 ? 'is an update' : 'are updates'} on professors you starred:
+
+${textAlerts}
+
+View your starred professors: ${FRONTEND_URL}
+
+---
+You get these emails because you turned on opening alerts.
+Unsubscribe: ${unsubscribeLink}
+© ${new Date().getFullYear()} UChicago Research Board
+        `
+    };
+
+    try {
+        const info = await emailTransporter.sendMail(mailOptions);
+        return { success: true, messageId: info.messageId };
+    } catch (error) {
+        console.error('❌ Error sending opening alerts:', error);
+        return { success: false, error: error.message };
+    }
+}
+
 /**
  * Verify email transporter configuration
  */
@@ -191,8 +455,16 @@ async function verifyEmailConfig() {
     }
 }
 
+// Whether emails can be sent (credentials or an SMTP host are configured)
+function isEmailConfigured() {
+    return getTransporter() !== null;
+}
+
 module.exports = {
     sendSignupConfirmation,
+    sendPasswordReset,
+    sendOpeningAlerts,
+    isEmailConfigured,
     verifyEmailConfig
 };
 
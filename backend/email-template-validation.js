@@ -0,0 +1,47 @@
+/**
+ * Email Template Validation
+ * Validates outreach email templates users save for drafting emails to professors
+ */
+
+const { validateFields } = require('./professor-validation');
+const { findUnknownPlaceholders } = require('./email-templates');
+
+const MAX_NAME_LENGTH = 100;
+const MAX_SUBJECT_LENGTH = 200;
+const MAX_BODY_LENGTH = 5000;
+
+// Field rules keyed by the camelCase names the API accepts (see professor-validation for the types)
+const TEMPLATE_FIELD_RULES = {
+    name: { type: 'text', required: true, nullable: false, maxLength: MAX_NAME_LENGTH },
+    subject: { type: 'text', required: true, nullable: false, maxLength: MAX_SUBJECT_LENGTH },
+    body: { type: 'text', required: true, nullable: false, maxLength: MAX_BODY_LENGTH }
+};
+
+/**
+ * Validate email template input; the subject and body may only use known placeholders
+ * @param {Object} input - Request body
+ * @param {Object} options - { partial: true } for PATCH (only provided fields are checked)
+ * @returns {{ errors: Object|null, template: Object }} Field errors keyed by field name, and the normalized values
+ */
+function validateTemplateInput(input, { partial = false } = {}) {
+    const { errors, values: template } = validateFields(input, TEMPLATE_FIELD_RULES, { partial });
+    const fieldErrors = errors || {};
+
+    ['subject', 'body'].forEach(field => {
+        if (fieldErrors[field] || typeof template[field] !== 'string') return;
+        const unknown = findUnknownPlaceholders(template[field]);
+        if (unknown.length > 0) {
+            fieldErrors[field] = `uses unknown placeholder${unknown.length > 1 ? 's' : ''} ${unknown.map(key => `{{${key}}}`).join(', ')}`;
+        }
+    });
+
+    return {
+        errors: Object.keys(fieldErrors).length > 0 ? fieldErrors : null,
+        template
+    };
+}
+
+module.exports = {
+    TEMPLATE_FIELD_RULES,
+    validateTemplateInput
+};
@@ -0,0 +1,109 @@
+/**
+ * Email Templates
+ * Mail-merge placeholders for outreach emails: which ones exist, and filling them in for a professor
+ */
+
+// Placeholders a template can use, with what they are filled with
+const PLACEHOLDERS = {
+    'professor.name': "The professor's full name",
+    'professor.lastName': "The professor's last name",
+    'professor.title': "The professor's title",
+    'professor.email': "The professor's email",
+    'lab': "The professor's lab (their first lab)",
+    'researchArea': "The professor's main research area",
+    'department': "The professor's primary department",
+    'user.name': 'Your name (or your email if you have not set a name)',
+    'user.email': 'Your email'
+};
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([\w.]+)\s*\}\}/g;
+
+// Used when the user has no templates of their own (never stored)
+const DEFAULT_TEMPLATE = {
+    id: null,
+    name: 'Default',
+    subject: 'Prospective undergraduate researcher: {{researchArea}}',
+    body: [
+        'Dear Professor {{professor.lastName}},',
+        '',
+        'My name is {{user.name}}, and I am an undergraduate at the University of Chicago. '
+            + 'I have been reading about the work on {{researchArea}} in {{lab}} and would love to learn more.',
+        '',
+        'Would you have time for a short conversation about research opportunities in your group?',
+        '',
+        'Best regards,',
+        '{{user.name}}'
+    ].join('\n')
+};
+
+/**
+ * Placeholders used in text that don't exist, e.g. ['professor.phone']
+ */
+function findUnknownPlaceholders(text) {
+    const unknown = new Set();
+    for (const match of text.matchAll(PLACEHOLDER_PATTERN)) {
+        if (!PLACEHOLDERS[match[1]]) {
+            unknown.add(match[1]);
+        }
+    }
+    return [...unknown];
+}
+
+/**
+ * Values for each placeholder for a professor (as returned by the API) and the user drafting the email
+ * Missing values fall back to wording that still reads naturally ("your lab", "your research").
+ */
+function buildMergeFields(professor, user) {
+    const nameParts = professor.name.trim().split(/\s+/);
+    const lastName = nameParts[nameParts.length - 1];
+    const lab = professor.labs && professor.labs.length > 0 ? professor.labs[0].name : null;
+    const researchArea = professor.researchAreas && professor.researchAreas.length > 0
+        ? professor.researchAreas[0]
+        : professor.researchArea;
+    const department = professor.department
+        ? professor.department.replace(/\b\w/g, letter => letter.toUpperCase())
+        : '';
+
+    return {
+        'professor.name': professor.name,
+        'professor.lastName': lastName,
+        'professor.title': professor.title || '',
+        'professor.email': professor.email || '',
+        'lab': lab || 'your lab',
+        'researchArea': researchArea || 'your research',
+        'department': department,
+        'user.name': user.name || user.email,
+        'user.email': user.email
+    };
+}
+
+/**
+ * Replace each {{placeholder}} in text with its value (unknown placeholders are left as written)
+ */
+function fillTemplate(text, fields) {
+    return text.replace(PLACEHOLDER_PATTERN, (placeholder, key) =>
+        Object.prototype.hasOwnProperty.call(fields, key) ? fields[key] : placeholder
+    );
+}
+
+/**
+ * Fill a template's subject and body for a professor
+ * @returns {{ to: string|null, subject: string, body: string }}
+ */
+function draftEmail(template, professor, user) {
+    const fields = buildMergeFields(professor, user);
+    return {
+        to: professor.email || null,
+        subject: fillTemplate(template.subject, fields),
+        body: fillTemplate(template.body, fields)
+    };
+}
+
+module.exports = {
+    PLACEHOLDERS,
+    DEFAULT_TEMPLATE,
+    findUnknownPlaceholders,
+    buildMergeFields,
+    fillTemplate,
+    draftEmail
+};
@@ -0,0 +1,107 @@
+/**
+ * Export Service
+ * Writes professors as CSV, JSON or XLSX. Column headers are ones the import
+ * configs already recognise, so an exported file can be fed back through
+ * scripts/import-professors.js for the same department.
+ */
+
+const XLSX = require('xlsx');
+
+const FORMATS = {
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+    xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' }
+};
+
+// Lists are joined with this in CSV/XLSX cells (research area names may contain commas)
+const LIST_SEPARATOR = '; ';
+
+/**
+ * Export columns in order: header and the professor field it holds
+ * "ID" is informational; imports match by name and take the department from their
+ * config, skipping rows whose "Department" is another one. "Recruiting" (whether the professor has an active
+ * opening) is informational too, since openings are managed through /api/openings.
+ */
+const COLUMNS = [
+    { header: 'ID', field: 'id' },
+    { header: 'Name', field: 'name' },
+    { header: 'Department', field: 'department' },
+    { header: 'Departments', field: 'departments' },
+    { header: 'Title', field: 'title' },
+    { header: 'Lab Name', field: 'lab' },
+    { header: 'Lab Website', field: 'labWebsite' },
+    { header: 'Personal Website', field: 'personalWebsite' },
+    { header: 'Email', field: 'email' },
+    { header: 'Research Area', field: 'researchArea' },
+    { header: 'Research Area Tags', field: 'researchAreas' },
+    { header: 'Num Undergrad Researchers', field: 'numUndergradResearchers' },
+    { header: 'Num Lab Members', field: 'numLabMembers' },
+    { header: 'Num Published Papers', field: 'numPublishedPapers' },
+    { header: 'Recruiting', field: 'isRecruiting' },
+    { header: 'Translucent', field: 'isTranslucent' }
+];
+
+/**
+ * Flatten formatted professors (db.formatProfessor) into rows keyed by header
+ * @param {Array<Object>} professors
+ * @param {Object} options - { joinLists: true } to turn lists into "a; b" strings
+ */
+function toRows(professors, { joinLists = false } = {}) {
+    return professors.map(professor => {
+        const row = {};
+        COLUMNS.forEach(({ header, field }) => {
+            let value = professor[field];
+            if (Array.isArray(value) && joinLists) {
+                value = value.join(LIST_SEPARATOR);
+            }
+            row[header] = value === undefined || value === null ? '' : value;
+        });
+        return row;
+    });
+}
+
+function toSheet(professors) {
+    return XLSX.utils.json_to_sheet(toRows(professors, { joinLists: true }), {
+        header: COLUMNS.map(column => column.header)
+    });
+}
+
+/**
+ * Serialize professors in one of FORMATS
+ * @param {Array<Object>} professors - Formatted professors
+ * @param {string} format - csv, json or xlsx
+ * @param {Object} meta - Extra top-level fields for JSON (filters, export time, ...)
+ * @returns {Buffer|string}
+ */
+function serialize(professors, format, meta = {}) {
+    if (format === 'json') {
+        return JSON.stringify({ ...meta, count: professors.length, professors: toRows(professors) }, null, 2);
+    }
+    if (format === 'csv') {
+        // The byte order mark tells Excel (and the importer) the file is UTF-8
+        return '\ufeff' + XLSX.utils.sheet_to_csv(toSheet(professors));
+    }
+    if (format === 'xlsx') {
+        const workbook = XLSX.utils.book_new();
+        XLSX.utils.book_append_sheet(workbook, toSheet(professors), 'Professors');
+        return XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+    }
+    throw new Error(`Unknown export format "${format}"`);
+}
+
+/**
+ * Download filename, e.g. uchicago-professors-data-science-2025-01-31.csv
+ */
+function exportFilename(department, format, date = new Date()) {
+    const scope = department ? `-${department.trim().toLowerCase().replace(/\s+/g, '-')}` : '';
+    return `uchicago-professors${scope}-${date.toISOString().slice(0, 10)}.${FORMATS[format].extension}`;
+}
+
+module.exports = {
+    FORMATS,
+    COLUMNS,
+    LIST_SEPARATOR,
+    toRows,
+    serialize,
+    exportFilename
+};
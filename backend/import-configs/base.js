@@ -0,0 +1,31 @@
+/**
+ * Base column mapping shared by the department import configs
+ *
+ * Keys are professor fields (the names the professor API uses); values are the
+ * spreadsheet headers that may hold them, in priority order. Headers match
+ * case-insensitively and ignore spaces/punctuation, so "Lab Website",
+ * "lab_website" and "labWebsite" are the same column. The field names
+ * themselves are included so files exported from the API import cleanly, and
+ * every header GET /api/export writes is listed here.
+ */
+
+module.exports = {
+    columns: {
+        name: ['professor', 'name', 'professor name'],
+        title: ['title'],
+        lab: ['lab', 'lab name'],
+        labWebsite: ['lab website', 'lab url'],
+        personalWebsite: ['personal website', 'website'],
+        email: ['email', 'email address'],
+        researchArea: ['research area', 'research areas'],
+        researchAreas: ['research area tags'],
+        departments: ['departments'],
+        numUndergradResearchers: ['num_undergrads', 'undergrads', 'num undergrad researchers'],
+        numLabMembers: ['num_lab_members', 'lab members'],
+        numPublishedPapers: ['num_publications', 'publications', 'num published papers', 'papers'],
+        isTranslucent: ['translucent', 'is translucent'],
+        statsSource: ['stats source'],
+        statsSourceUrl: ['stats source url'],
+        statsVerifiedAt: ['stats verified at', 'verified at']
+    }
+};
@@ -0,0 +1,19 @@
+/**
+ * Computer Science import config
+ * The "Lab" column holds the lab website; the lab name is its subdomain
+ * (e.g. "airlab.cs.uchicago.edu" -> "Airlab").
+ */
+
+const base = require('./base');
+
+module.exports = {
+    department: 'computer science',
+    columns: {
+        ...base.columns,
+        lab: ['lab name'],
+        labWebsite: ['lab', 'lab website']
+    },
+    derive: {
+        lab: { from: 'labWebsite', transform: 'labNameFromUrl' }
+    }
+};
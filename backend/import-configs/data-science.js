@@ -0,0 +1,20 @@
+/**
+ * Data Science import config
+ * "Website" is the lab website (falling back to "Lab"). Many data science faculty are
+ * listed under another department first, so those records are updated in place.
+ */
+
+const base = require('./base');
+
+module.exports = {
+    department: 'data science',
+    columns: {
+        ...base.columns,
+        lab: ['lab name'],
+        labWebsite: ['website', 'lab', 'lab website'],
+        personalWebsite: ['personal website']
+    },
+    matchOtherDepartments: true,
+    // Only fill these when the database has no value yet
+    preserveExisting: ['email', 'labWebsite']
+};
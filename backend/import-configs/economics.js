@@ -0,0 +1,12 @@
+/**
+ * Economics import config
+ * Rows with no lab members, undergrads or papers are placeholder entries and are skipped.
+ */
+
+const base = require('./base');
+
+module.exports = {
+    department: 'economics',
+    columns: base.columns,
+    skipZeroStats: true
+};
@@ -0,0 +1,16 @@
+/**
+ * Mathematics import config
+ * "Website" is the lab website. Updates existing professors only; unknown names are reported.
+ */
+
+const base = require('./base');
+
+module.exports = {
+    department: 'mathematics',
+    columns: {
+        ...base.columns,
+        labWebsite: ['website', 'lab website'],
+        personalWebsite: ['personal website']
+    },
+    addNew: false
+};
@@ -0,0 +1,24 @@
+/**
+ * Physics import config
+ * The "Lab" column holds the lab website; the lab name is derived from its URL.
+ */
+
+const base = require('./base');
+
+module.exports = {
+    department: 'physics',
+    columns: {
+        ...base.columns,
+        lab: ['lab name'],
+        labWebsite: ['lab', 'lab website']
+    },
+    derive: {
+        lab: { from: 'labWebsite', transform: 'labNameFromUrl', suffix: ' Lab' }
+    },
+    // Match "John Carlstrom" in the sheet to "John E. Carlstrom" in the database (and rename)
+    matchBy: 'baseName',
+    // Applied to new professors only
+    defaults: {
+        title: 'Professor'
+    }
+};
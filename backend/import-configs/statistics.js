@@ -0,0 +1,11 @@
+/**
+ * Statistics import config
+ * Uses the shared headers, which also cover files from GET /api/export.
+ */
+
+const base = require('./base');
+
+module.exports = {
+    department: 'statistics',
+    columns: base.columns
+};
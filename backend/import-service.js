@@ -0,0 +1,609 @@
+/**
+ * Import Service
+ * Reads professor spreadsheets (XLSX/CSV/JSON), maps their columns using a
+ * per-department config from ./import-configs and upserts the rows through database.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const XLSX = require('xlsx');
+const db = require('./database');
+const { FIELD_RULES, STATS_PROVENANCE_FIELDS, validateProfessorInput } = require('./professor-validation');
+
+const CONFIG_DIR = path.join(__dirname, 'import-configs');
+const HEADER_SCAN_ROWS = 10; // Title/notes rows allowed above the header row
+const STAT_FIELDS = ['numUndergradResearchers', 'numLabMembers', 'numPublishedPapers'];
+
+/**
+ * Normalize a column header so "Num Lab Members", "num_lab_members" and "numLabMembers" match
+ */
+function normalizeHeader(header) {
+    return String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Normalize name for matching (lowercase, collapse spaces, drop periods/commas)
+ */
+function normalizeName(name) {
+    if (!name) return '';
+    return name
+        .trim()
+        .replace(/\s+/g, ' ')
+        .toLowerCase()
+        .replace(/[.,]/g, '');
+}
+
+/**
+ * Get base name (first + last) for matching, e.g. "John E. Carlstrom" -> "john carlstrom"
+ */
+function getBaseName(name) {
+    const parts = normalizeName(name).split(' ');
+    if (parts.length < 2) return normalizeName(name);
+    return parts[0] + ' ' + parts[parts.length - 1];
+}
+
+/**
+ * Extract a lab name from a lab website URL
+ * e.g. "https://airlab.cs.uchicago.edu/" -> "Airlab", or "Airlab Lab" with { suffix: ' Lab' }
+ */
+function labNameFromUrl(labValue, { suffix = '' } = {}) {
+    if (!labValue || labValue.trim() === '') {
+        return null;
+    }
+
+    const urlWithoutProtocol = labValue.trim()
+        .replace(/^https?:\/\//, '')
+        .replace(/^www\./, '')
+        .replace(/\/$/, '');
+
+    if (urlWithoutProtocol.includes('.')) {
+        const subdomain = urlWithoutProtocol.split('.')[0];
+        if (subdomain.length > 0) {
+            return subdomain.charAt(0).toUpperCase() + subdomain.slice(1) + suffix;
+        }
+    }
+
+    return null;
+}
+
+// Transforms that configs can reference by name in `derive`
+const TRANSFORMS = {
+    labNameFromUrl
+};
+
+/**
+ * Load an import config by department name (./import-configs/<department>.js) or file path
+ */
+function loadConfig(departmentOrPath) {
+    let configPath;
+    if (departmentOrPath.endsWith('.js') || departmentOrPath.endsWith('.json')) {
+        configPath = path.resolve(departmentOrPath);
+    } else {
+        const slug = departmentOrPath.trim().toLowerCase().replace(/\s+/g, '-');
+        configPath = path.join(CONFIG_DIR, `${slug}.js`);
+    }
+
+    if (!fs.existsSync(configPath)) {
+        throw new Error(`No import config found at ${configPath}. Available: ${listConfigs().join(', ')}`);
+    }
+
+    const config = require(configPath);
+    if (!config.department || !config.columns || !config.columns.name) {
+        throw new Error(`Import config ${configPath} must define "department" and a "columns.name" mapping`);
+    }
+
+    Object.keys(config.columns).forEach(field => {
+        if (!FIELD_RULES[field] || field === 'department') {
+            throw new Error(`Import config ${configPath} maps unknown field "${field}"`);
+        }
+    });
+
+    return config;
+}
+
+/**
+ * List department configs available in ./import-configs
+ */
+function listConfigs() {
+    return fs.readdirSync(CONFIG_DIR)
+        .filter(file => file.endsWith('.js') && file !== 'base.js')
+        .map(file => file.replace(/\.js$/, ''));
+}
+
+/**
+ * Read a file into rows of { rowNumber, values } where values are keyed by normalized header
+ * Spreadsheets may have title rows above the header; the first row containing a name column is used.
+ */
+function readRows(filePath, config) {
+    if (!fs.existsSync(filePath)) {
+        throw new Error(`File not found: ${filePath}`);
+    }
+
+    const extension = path.extname(filePath).toLowerCase();
+    const nameHeaders = toAliasList(config.columns.name).map(normalizeHeader);
+
+    if (extension === '.json') {
+        const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        const records = Array.isArray(parsed) ? parsed : parsed.professors;
+        if (!Array.isArray(records)) {
+            throw new Error('JSON file must contain an array of professors or a { "professors": [...] } object');
+        }
+
+        return rowsFromRecords(records);
+    }
+
+    if (!['.xlsx', '.xls', '.csv'].includes(extension)) {
+        throw new Error(`Unsupported file type "${extension}" (expected .xlsx, .xls, .csv or .json)`);
+    }
+
+    const workbook = XLSX.readFile(filePath);
+    const worksheet = workbook.Sheets[workbook.SheetNames[0]];
+    const matrix = XLSX.utils.sheet_to_json(worksheet, { header: 1, defval: '', blankrows: true });
+
+    const headerIndex = matrix.slice(0, HEADER_SCAN_ROWS).findIndex(cells =>
+        cells.some(cell => nameHeaders.includes(normalizeHeader(cell)))
+    );
+    if (headerIndex === -1) {
+        throw new Error(`Could not find a header row with a name column (looked for: ${toAliasList(config.columns.name).join(', ')})`);
+    }
+
+    const headers = matrix[headerIndex].map(normalizeHeader);
+    const rows = [];
+    for (let i = headerIndex + 1; i < matrix.length; i++) {
+        const cells = matrix[i];
+        if (cells.every(cell => String(cell).trim() === '')) {
+            continue;
+        }
+
+        const values = {};
+        headers.forEach((header, column) => {
+            if (header && values[header] === undefined) {
+                values[header] = cells[column];
+            }
+        });
+        rows.push({ rowNumber: i + 1, values }); // Spreadsheet row numbers are 1-based
+    }
+
+    return rows;
+}
+
+/**
+ * Convert plain objects (e.g. professors from a JSON file) into importer rows
+ */
+function rowsFromRecords(records) {
+    return records.map((record, index) => {
+        const values = {};
+        Object.entries(record || {}).forEach(([key, value]) => {
+            values[normalizeHeader(key)] = value;
+        });
+        return { rowNumber: index + 1, values };
+    });
+}
+
+function toAliasList(aliases) {
+    return Array.isArray(aliases) ? aliases : [aliases];
+}
+
+/**
+ * Convert a raw cell into the type the professor API expects
+ * Values that cannot be converted are returned unchanged so validation reports them.
+ */
+function parseCell(value, type) {
+    if (typeof value === 'string') {
+        value = value.trim();
+    }
+
+    switch (type) {
+        case 'count': {
+            if (typeof value === 'number') {
+                return value;
+            }
+            const cleaned = String(value).replace(/,/g, '');
+            return /^\d+(\.0+)?$/.test(cleaned) ? parseInt(cleaned, 10) : value;
+        }
+        case 'boolean': {
+            if (typeof value === 'boolean') return value;
+            const lowered = String(value).toLowerCase();
+            if (['yes', 'y', 'true', '1', 'x'].includes(lowered)) return true;
+            if (['no', 'n', 'false', '0'].includes(lowered)) return false;
+            return value;
+        }
+        case 'list': {
+            // Spreadsheet cells separate names with semicolons ("Statistics; Data Science")
+            const items = Array.isArray(value) ? value : String(value).split(';');
+            return items.map(item => String(item).trim()).filter(Boolean);
+        }
+        case 'date': {
+            // Excel stores dates as day numbers
+            if (typeof value === 'number') {
+                const { y, m, d } = XLSX.SSF.parse_date_code(value);
+                return `${y}-${String(m).padStart(2, '0')}-${String(d).padStart(2, '0')}`;
+            }
+            return String(value);
+        }
+        case 'url': {
+            const text = String(value);
+            // Spreadsheets often leave off the protocol ("www.lab.uchicago.edu")
+            if (!/^[a-z][a-z0-9+.-]*:\/\//i.test(text) && /^[\w-]+(\.[\w-]+)+(\/.*)?$/.test(text)) {
+                return `https://${text}`;
+            }
+            return text;
+        }
+        default:
+            return String(value);
+    }
+}
+
+/**
+ * Map one row to professor fields using the config
+ * @returns {{ professor: Object|null, errors: Object|null, derived: Array }} professor is null for rows without a name
+ */
+function mapRow(values, config) {
+    const input = {};
+    const derived = [];
+
+    Object.entries(config.columns).forEach(([field, aliases]) => {
+        const header = toAliasList(aliases)
+            .map(normalizeHeader)
+            .find(key => values[key] !== undefined && values[key] !== null && String(values[key]).trim() !== '');
+        if (header) {
+            input[field] = parseCell(values[header], FIELD_RULES[field].type);
+        }
+    });
+
+    if (!input.name) {
+        return { professor: null, errors: null, derived };
+    }
+
+    Object.entries(config.derive || {}).forEach(([field, rule]) => {
+        const transform = TRANSFORMS[rule.transform];
+        if (!transform) {
+            throw new Error(`Unknown transform "${rule.transform}" in import config`);
+        }
+        if (input[field] === undefined && input[rule.from] !== undefined) {
+            const value = transform(String(input[rule.from]), rule);
+            if (value !== null) {
+                input[field] = value;
+                derived.push(field);
+            }
+        }
+    });
+
+    const { errors, professor } = validateProfessorInput(input, { partial: true });
+    return { professor: errors ? null : professor, errors, derived };
+}
+
+/**
+ * The department a row belongs to when it is not the one being imported, as in an
+ * export of every department: its "Department" column names another department and its
+ * "Departments" list (if any) leaves this one out. Only departments that exist count, so
+ * sheets with free-text department cells ("Dept. of Statistics") are imported as before.
+ * @returns {string|null}
+ */
+function otherDepartment(values, department, knownDepartments) {
+    const listed = isBlank(values.department) ? '' : String(values.department).trim().toLowerCase();
+    if (!listed || listed === department || !knownDepartments.has(listed)) {
+        return null;
+    }
+    const departments = isBlank(values.departments) ? [] : parseCell(values.departments, 'list');
+    return departments.some(name => name.toLowerCase() === department) ? null : listed;
+}
+
+function getRawName(values, config) {
+    const header = toAliasList(config.columns.name).map(normalizeHeader).find(key => values[key]);
+    return header ? String(values[header]).trim() : null;
+}
+
+function isBlank(value) {
+    return value === null || value === undefined || value === '';
+}
+
+function isSameValue(before, value) {
+    if (Array.isArray(before) && Array.isArray(value)) {
+        return before.length === value.length && before.every((item, index) => item === value[index]);
+    }
+    return before === value;
+}
+
+/**
+ * Work out what importing the rows would do, without writing anything
+ * With { removeMissing: true }, professors in the department that the file no longer
+ * lists are planned for removal (a full department refresh).
+ * @returns {Promise<Array>} One action per row (add, update, unchanged, skipped or error), plus any removals
+ */
+async function planImport(rows, config, { removeMissing = false } = {}) {
+    const department = config.department;
+    const byDepartment = {};
+    byDepartment[department] = await db.getProfessorsByDepartment(department);
+    const knownDepartments = new Set((await db.getAllDepartments()).map(dept => dept.name));
+
+    if (config.matchOtherDepartments) {
+        const departments = await db.getAllDepartments();
+        for (const dept of departments) {
+            if (!byDepartment[dept.name]) {
+                byDepartment[dept.name] = await db.getProfessorsByDepartment(dept.name);
+            }
+        }
+    }
+
+    const findExisting = (name) => {
+        const normalized = normalizeName(name);
+        const own = byDepartment[department];
+        let match = own.find(prof => normalizeName(prof.name) === normalized);
+        if (!match && config.matchBy === 'baseName') {
+            match = own.find(prof => getBaseName(prof.name) === getBaseName(name));
+        }
+        if (match) {
+            return { professor: match, department };
+        }
+
+        for (const [deptName, professors] of Object.entries(byDepartment)) {
+            if (deptName === department) continue;
+            match = professors.find(prof => normalizeName(prof.name) === normalized);
+            if (match) {
+                return { professor: match, department: deptName };
+            }
+        }
+        return null;
+    };
+
+    const preserve = new Set(config.preserveExisting || []);
+    const seenNames = new Set();
+    const matchedIds = new Set();
+    const failedNames = new Set();
+    const actions = [];
+
+    for (const row of rows) {
+        // Rows for other departments (an export of every department) are left to their own imports
+        const elsewhere = otherDepartment(row.values, department, knownDepartments);
+        if (elsewhere) {
+            const name = getRawName(row.values, config);
+            if (name) {
+                actions.push({ type: 'skipped', rowNumber: row.rowNumber, name, reason: `listed under ${elsewhere}` });
+            }
+            continue;
+        }
+
+        const { professor, errors, derived } = mapRow(row.values, config);
+
+        if (errors) {
+            const name = getRawName(row.values, config);
+            actions.push({ type: 'error', rowNumber: row.rowNumber, name, errors });
+            if (name) failedNames.add(normalizeName(name));
+            continue;
+        }
+        if (!professor) {
+            continue; // Blank name - not a professor row
+        }
+
+        const base = { rowNumber: row.rowNumber, name: professor.name };
+
+        // A department list always includes the department being imported
+        if (professor.departments && !professor.departments.includes(department)) {
+            professor.departments.push(department);
+        }
+
+        // First occurrence wins when a file lists someone twice
+        if (seenNames.has(normalizeName(professor.name))) {
+            actions.push({ ...base, type: 'skipped', reason: 'duplicate row in file' });
+            continue;
+        }
+        seenNames.add(normalizeName(professor.name));
+
+        // Stats from a file are credited to the spreadsheet unless a column says otherwise
+        const provenance = {};
+        STATS_PROVENANCE_FIELDS.forEach(field => {
+            if (professor[field] !== undefined) {
+                provenance[field] = professor[field];
+                delete professor[field];
+            }
+        });
+        provenance.statsSource = provenance.statsSource || 'spreadsheet';
+        const hasStats = STAT_FIELDS.some(field => !isBlank(professor[field]));
+
+        if (config.skipZeroStats && STAT_FIELDS.every(field => !professor[field])) {
+            actions.push({ ...base, type: 'skipped', reason: 'no lab members, undergrads or papers' });
+            continue;
+        }
+
+        const existing = findExisting(professor.name);
+        if (!existing) {
+            if (config.addNew === false) {
+                actions.push({ ...base, type: 'skipped', reason: `not found in ${department}` });
+            } else {
+                actions.push({
+                    ...base,
+                    type: 'add',
+                    department,
+                    professor: { ...(config.defaults || {}), ...professor, ...(hasStats ? provenance : {}) }
+                });
+            }
+            continue;
+        }
+        matchedIds.add(existing.professor.id);
+
+        const changes = {};
+        // Matched under another department: list them in this one too (a joint appointment)
+        if (existing.department !== department) {
+            const departments = existing.professor.departments;
+            changes.departments = { from: departments, to: [...departments, department] };
+        }
+        Object.entries(professor).forEach(([field, value]) => {
+            const before = existing.professor[field];
+            // Derived values (e.g. a lab name guessed from its URL) never replace real ones
+            if ((preserve.has(field) || derived.includes(field)) && !isBlank(before)) {
+                return;
+            }
+            // Professors with publications have their papers counted (see migration 011)
+            if (field === 'numPublishedPapers' && existing.professor.publicationCount > 0) {
+                return;
+            }
+            if ((isBlank(before) && isBlank(value)) || isSameValue(before, value)) {
+                return;
+            }
+            changes[field] = { from: isBlank(before) ? null : before, to: value };
+        });
+
+        if (STAT_FIELDS.some(field => changes[field])) {
+            Object.entries(provenance).forEach(([field, value]) => {
+                changes[field] = { from: null, to: value };
+            });
+        }
+
+        actions.push({
+            ...base,
+            type: Object.keys(changes).length > 0 ? 'update' : 'unchanged',
+            professorId: existing.professor.id,
+            existingName: existing.professor.name,
+            department: existing.department,
+            changes
+        });
+    }
+
+    if (removeMissing) {
+        // Rows that failed to parse still protect their professor from removal.
+        // Professors also listed elsewhere are only taken off this department.
+        byDepartment[department]
+            .filter(prof => !matchedIds.has(prof.id) && !failedNames.has(normalizeName(prof.name)))
+            .forEach(prof => {
+                const otherDepartments = prof.departments.filter(name => name !== department);
+                actions.push({ type: 'remove', professorId: prof.id, name: prof.name, department, otherDepartments });
+            });
+    }
+
+    return actions;
+}
+
+/**
+ * Write planned add/update/remove actions to the database
+ * @returns {Promise<Array>} Errors as { name, error } for actions that failed
+ */
+async function applyPlan(actions) {
+    const failures = [];
+
+    for (const action of actions) {
+        try {
+            if (action.type === 'add') {
+                await db.addProfessor(action.department, action.professor);
+            } else if (action.type === 'update') {
+                const fields = {};
+                Object.entries(action.changes).forEach(([field, change]) => {
+                    fields[field] = change.to;
+                });
+                await db.updateProfessorById(action.professorId, fields);
+            } else if (action.type === 'remove') {
+                if (action.otherDepartments.length > 0) {
+                    await db.removeProfessorDepartment(action.professorId, action.department);
+                } else {
+                    await db.deleteProfessorById(action.professorId);
+                }
+            }
+        } catch (error) {
+            failures.push({ name: action.name, error: error.message });
+        }
+    }
+
+    return failures;
+}
+
+const REPORT_SECTIONS = {
+    add: 'added',
+    update: 'updated',
+    remove: 'removed',
+    unchanged: 'unchanged',
+    skipped: 'skipped',
+    error: 'failed'
+};
+
+/**
+ * Build a JSON-serializable report of planned actions, for review before applying
+ * @param {Array} actions - From planImport
+ * @param {Object} meta - Extra top-level fields (source file, department, dryRun, ...)
+ */
+function buildReport(actions, meta = {}) {
+    const report = {
+        generatedAt: new Date().toISOString(),
+        ...meta,
+        summary: {}
+    };
+
+    Object.values(REPORT_SECTIONS).forEach(section => {
+        report[section] = [];
+    });
+
+    actions.forEach(action => {
+        const { type, ...details } = action;
+        report[REPORT_SECTIONS[type]].push(details);
+    });
+
+    Object.values(REPORT_SECTIONS).forEach(section => {
+        report.summary[section] = report[section].length;
+    });
+
+    return report;
+}
+
+function formatValue(value) {
+    if (isBlank(value)) return '(empty)';
+    if (Array.isArray(value)) return value.map(formatValue).join(', ');
+    return typeof value === 'string' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Format planned actions as terminal lines, one block per professor
+ */
+function formatReport(actions) {
+    const lines = [];
+    const rowLabel = action => action.rowNumber ? `row ${action.rowNumber}` : null;
+
+    actions.forEach(action => {
+        const where = [rowLabel(action), action.professorId ? `id ${action.professorId}` : null, action.department]
+            .filter(Boolean)
+            .join(', ');
+
+        if (action.type === 'add') {
+            lines.push(`   ➕ Add: ${action.name} (${where})`);
+            Object.entries(action.professor)
+                .filter(([field, value]) => field !== 'name' && !isBlank(value))
+                .forEach(([field, value]) => lines.push(`         ${field}: ${formatValue(value)}`));
+        } else if (action.type === 'update') {
+            const renamed = action.existingName !== action.name ? ` (was ${action.existingName})` : '';
+            lines.push(`   ✏️  Update: ${action.name}${renamed} (${where})`);
+            Object.entries(action.changes).forEach(([field, change]) => {
+                lines.push(`         ${field}: ${formatValue(change.from)} → ${formatValue(change.to)}`);
+            });
+        } else if (action.type === 'remove') {
+            const stillListed = action.otherDepartments.length > 0
+                ? ` - still listed in ${action.otherDepartments.join(', ')}`
+                : '';
+            lines.push(`   🗑️  Remove: ${action.name} (${where})${stillListed}`);
+        } else if (action.type === 'skipped') {
+            lines.push(`   ⏭️  Skip: ${action.name} (${where}): ${action.reason}`);
+        } else if (action.type === 'error') {
+            const details = Object.entries(action.errors).map(([field, msg]) => `${field} ${msg}`).join('; ');
+            lines.push(`   ❌ Failed to parse ${rowLabel(action) || 'record'}${action.name ? ` (${action.name})` : ''}: ${details}`);
+        }
+    });
+
+    const summary = buildReport(actions).summary;
+    lines.push('');
+    lines.push(`📊 Summary: ${summary.added} to add, ${summary.updated} to update, ${summary.removed} to remove, ` +
+        `${summary.unchanged} unchanged, ${summary.skipped} skipped, ${summary.failed} failed to parse`);
+
+    return lines;
+}
+
+module.exports = {
+    loadConfig,
+    listConfigs,
+    readRows,
+    rowsFromRecords,
+    mapRow,
+    planImport,
+    applyPlan,
+    buildReport,
+    formatReport,
+    labNameFromUrl,
+    normalizeName,
+    getBaseName
+};
@@ -0,0 +1,35 @@
+/**
+ * Lab Validation
+ * Validates and normalizes lab fields sent to the editor API
+ */
+
+const { validateFields } = require('./professor-validation');
+
+const MAX_DESCRIPTION_LENGTH = 2000;
+
+/**
+ * Field rules keyed by the camelCase names the API accepts (see professor-validation for the types)
+ */
+const LAB_FIELD_RULES = {
+    name: { type: 'text', required: true, nullable: false },
+    website: { type: 'url' },
+    description: { type: 'text', maxLength: MAX_DESCRIPTION_LENGTH },
+    memberCount: { type: 'count' },
+    professorIds: { type: 'ids', label: 'professor IDs' }
+};
+
+/**
+ * Validate lab input
+ * @param {Object} input - Request body
+ * @param {Object} options - { partial: true } for PATCH (only provided fields are checked)
+ * @returns {{ errors: Object|null, lab: Object }} Field errors keyed by field name, and the normalized values
+ */
+function validateLabInput(input, { partial = false } = {}) {
+    const { errors, values } = validateFields(input, LAB_FIELD_RULES, { partial });
+    return { errors, lab: values };
+}
+
+module.exports = {
+    LAB_FIELD_RULES,
+    validateLabInput
+};
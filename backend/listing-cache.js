@@ -0,0 +1,45 @@
+/**
+ * Listing Cache
+ * In-process cache for GET /api/departments, keyed by the listing options and
+ * dropped whenever the department_listings data version changes (see migration 009)
+ */
+
+const db = require('./database');
+
+const DATASET = 'department_listings';
+// Filter combinations are open-ended, so only the most recent ones are kept
+const MAX_ENTRIES = 50;
+
+let cachedVersion = null;
+const entries = new Map();
+
+/**
+ * Get every department's listing, from the cache when nothing has changed
+ * @param {Object} options - Listing options parsed by listing-query.js
+ * @returns {Promise<{listings: Object, version: number, lastModified: Date}>}
+ */
+async function getDepartmentListings(options) {
+    const { version, updatedAt } = await db.getDataVersion(DATASET);
+    if (version !== cachedVersion) {
+        entries.clear();
+        cachedVersion = version;
+    }
+
+    const key = JSON.stringify(options);
+    let listings = entries.get(key);
+    if (!listings) {
+        listings = await db.getDepartmentListings(options);
+        if (entries.size >= MAX_ENTRIES) {
+            entries.delete(entries.keys().next().value);
+        }
+        entries.set(key, listings);
+    }
+
+    // SQLite timestamps are UTC without a zone
+    const lastModified = updatedAt ? new Date(`${updatedAt.replace(' ', 'T')}Z`) : new Date(0);
+    return { listings, version, lastModified };
+}
+
+module.exports = {
+    getDepartmentListings
+};
@@ -0,0 +1,166 @@
+/**
+ * Listing Query
+ * Parses and validates the paging, sorting and filter parameters accepted by the
+ * department listing endpoints
+ */
+
+const MAX_LIMIT = 200;
+
+// Sort names and title ranks the API accepts
+const SORT_FIELDS = ['name', 'undergrads', 'papers', 'labMembers'];
+const TITLE_RANKS = ['professor', 'associate', 'assistant', 'emeritus', 'lecturer', 'other'];
+
+function parseBoolean(value) {
+    if (value === 'true' || value === '1') return true;
+    if (value === 'false' || value === '0') return false;
+    return undefined;
+}
+
+function parsePositiveInteger(value) {
+    const number = Number(value);
+    return Number.isInteger(number) && number > 0 ? number : undefined;
+}
+
+/**
+ * Cursors are opaque to clients; they encode the offset of the next page
+ */
+function encodeCursor(offset) {
+    return Buffer.from(JSON.stringify({ offset })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+    try {
+        const { offset } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        return Number.isInteger(offset) && offset >= 0 ? offset : undefined;
+    } catch (error) {
+        return undefined;
+    }
+}
+
+/**
+ * Validate listing parameters from a query string
+ * Without `limit` every matching professor is returned (the original behaviour).
+ * @param {Object} query - req.query
+ * @returns {{ errors: Object|null, options: Object }} Field errors keyed by parameter, and
+ *   { sort, order, limit, offset, page, filters: { recruiting, titleRanks, researchArea, hasWebsite } }
+ */
+function parseListingQuery(query) {
+    const errors = {};
+    const options = { sort: 'name', order: null, limit: null, offset: 0, page: null, filters: {} };
+
+    if (query.sort !== undefined) {
+        if (SORT_FIELDS.includes(query.sort)) {
+            options.sort = query.sort;
+        } else {
+            errors.sort = `must be one of ${SORT_FIELDS.join(', ')}`;
+        }
+    }
+    if (query.order !== undefined) {
+        if (query.order === 'asc' || query.order === 'desc') {
+            options.order = query.order;
+        } else {
+            errors.order = 'must be asc or desc';
+        }
+    }
+    // Names read A-Z by default, counts largest first
+    options.order = options.order || (options.sort === 'name' ? 'asc' : 'desc');
+
+    if (query.limit !== undefined) {
+        const limit = parsePositiveInteger(query.limit);
+        if (limit && limit <= MAX_LIMIT) {
+            options.limit = limit;
+        } else {
+            errors.limit = `must be an integer between 1 and ${MAX_LIMIT}`;
+        }
+    }
+    if (query.page !== undefined && query.cursor !== undefined) {
+        errors.cursor = 'cannot be combined with page';
+    } else if (query.page !== undefined) {
+        const page = parsePositiveInteger(query.page);
+        if (!page) {
+            errors.page = 'must be a positive integer';
+        } else if (!query.limit) {
+            errors.page = 'requires limit';
+        } else {
+            options.page = page;
+            options.offset = (page - 1) * (options.limit || 0);
+        }
+    } else if (query.cursor !== undefined) {
+        const offset = decodeCursor(query.cursor);
+        if (offset === undefined) {
+            errors.cursor = 'is not a valid cursor';
+        } else if (!query.limit) {
+            errors.cursor = 'requires limit';
+        } else {
+            options.offset = offset;
+        }
+    }
+
+    if (query.recruiting !== undefined) {
+        const recruiting = parseBoolean(query.recruiting);
+        if (recruiting === undefined) {
+            errors.recruiting = 'must be true or false';
+        } else {
+            options.filters.recruiting = recruiting;
+        }
+    }
+    if (query.hasWebsite !== undefined) {
+        const hasWebsite = parseBoolean(query.hasWebsite);
+        if (hasWebsite === undefined) {
+            errors.hasWebsite = 'must be true or false';
+        } else {
+            options.filters.hasWebsite = hasWebsite;
+        }
+    }
+    if (query.titleRank !== undefined) {
+        const ranks = String(query.titleRank).split(',').map(rank => rank.trim().toLowerCase()).filter(Boolean);
+        const unknown = ranks.filter(rank => !TITLE_RANKS.includes(rank));
+        if (ranks.length === 0 || unknown.length > 0) {
+            errors.titleRank = `must be one or more of ${TITLE_RANKS.join(', ')}`;
+        } else {
+            options.filters.titleRanks = [...new Set(ranks)];
+        }
+    }
+    if (query.researchArea !== undefined) {
+        if (typeof query.researchArea !== 'string' || query.researchArea.trim() === '') {
+            errors.researchArea = 'must be a research area name';
+        } else {
+            options.filters.researchArea = query.researchArea.trim();
+        }
+    }
+
+    return {
+        errors: Object.keys(errors).length > 0 ? errors : null,
+        options
+    };
+}
+
+/**
+ * Paging metadata for a response
+ * @param {Object} options - Parsed listing options
+ * @param {number} total - Number of professors matching the filters
+ * @param {number} returned - Number of professors in this page
+ */
+function pageInfo(options, total, returned) {
+    if (!options.limit) {
+        return { total, returned };
+    }
+    const nextOffset = options.offset + returned;
+    return {
+        total,
+        returned,
+        limit: options.limit,
+        offset: options.offset,
+        page: options.page || Math.floor(options.offset / options.limit) + 1,
+        totalPages: Math.ceil(total / options.limit),
+        nextCursor: nextOffset < total ? encodeCursor(nextOffset) : null
+    };
+}
+
+module.exports = {
+    MAX_LIMIT,
+    SORT_FIELDS,
+    TITLE_RANKS,
+    parseListingQuery,
+    pageInfo
+};
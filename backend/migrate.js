@@ -1,62 +1,75 @@
-const fs = require('fs').promises;
-const path = require('path');
+#!/usr/bin/env node
+
+/**
+ * Schema migration CLI
+ * Usage: node migrate.js <up|status|rollback> [steps]
+ *
+ * Examples:
+ * node migrate.js up            # apply all pending migrations
+ * node migrate.js status        # list applied and pending migrations
+ * node migrate.js rollback      # undo the most recent migration
+ * node migrate.js rollback 2    # undo the two most recent migrations
+ *
+ * Migrations live in ./migrations as NNN_description.js files exporting up(db) and down(db).
+ * To import the legacy database.json data, use scripts/migrate.js instead.
+ */
+
 const db = require('./database');
+const migrationRunner = require('./migration-runner');
 
-async function migrate() {
-    console.log('🔄 Starting migration from JSON to SQLite...');
-    
-    // Initialize database
-    await db.initDatabase();
-    
-    // Read JSON database
-    const jsonPath = path.join(__dirname, 'database.json');
-    const jsonData = JSON.parse(await fs.readFile(jsonPath, 'utf8'));
-    
-    // Migrate departments and professors
-    console.log('📦 Migrating departments and professors...');
-    const departments = jsonData.departments || {};
-    
-    for (const [deptName, professors] of Object.entries(departments)) {
-        console.log(`  - Migrating ${deptName}: ${professors.length} professors`);
-        
-        for (const prof of professors) {
-            try {
-                await db.addProfessor(deptName, prof);
-            } catch (err) {
-                console.error(`    Error adding professor ${prof.name}:`, err.message);
-            }
-        }
+function printUsage() {
+    console.log('Usage: node migrate.js <up|status|rollback> [steps]');
+    console.log('\nExamples:');
+    console.log('  node migrate.js up');
+    console.log('  node migrate.js status');
+    console.log('  node migrate.js rollback 2');
+}
+
+async function main() {
+    const [command = 'up', stepsArg] = process.argv.slice(2);
+
+    if (!['up', 'status', 'rollback'].includes(command)) {
+        printUsage();
+        process.exit(1);
     }
-    
-    // Migrate trending labs
-    console.log('🔥 Migrating trending labs...');
-    const trendingLabs = jsonData.trendingLabs || {};
-    
-    for (const [deptName, labs] of Object.entries(trendingLabs)) {
-        if (labs.length > 0) {
-            console.log(`  - ${deptName}: ${labs.length} trending labs`);
-            try {
-                await db.setTrendingLabs(deptName, labs);
-            } catch (err) {
-                console.error(`    Error setting trending labs for ${deptName}:`, err.message);
-            }
+
+    const database = await db.openDatabase();
+
+    if (command === 'up') {
+        const applied = await migrationRunner.migrateUp(database);
+        if (applied.length === 0) {
+            console.log('✅ Database is up to date');
+        } else {
+            console.log(`✅ Applied ${applied.length} migration(s)`);
+        }
+    } else if (command === 'status') {
+        const status = await migrationRunner.getStatus(database);
+        console.log(`\n📋 Migrations (${db.DB_PATH}):\n`);
+        status.forEach(m => {
+            const state = m.applied ? `✅ applied ${m.appliedAt}` : '⏳ pending';
+            console.log(`   ${m.version}  ${m.name.padEnd(32)} ${state}`);
+        });
+        const pendingCount = status.filter(m => !m.applied).length;
+        console.log(`\n   ${status.length - pendingCount} applied, ${pendingCount} pending\n`);
+    } else {
+        const steps = stepsArg ? parseInt(stepsArg, 10) : 1;
+        if (!Number.isInteger(steps) || steps < 1) {
+            console.error(`❌ Invalid number of steps: ${stepsArg}`);
+            process.exit(1);
+        }
+
+        const rolledBack = await migrationRunner.rollback(database, steps);
+        if (rolledBack.length === 0) {
+            console.log('⚠️  No applied migrations to roll back');
+        } else {
+            console.log(`✅ Rolled back ${rolledBack.length} migration(s)`);
         }
     }
-    
-    console.log('✅ Migration complete!');
-    console.log(`📊 Database saved to: ${path.join(__dirname, 'database.db')}`);
-    
-    // Verify migration
-    const allDepts = await db.getAllDepartments();
-    console.log(`\n📈 Verification:`);
-    console.log(`   - Departments: ${allDepts.length}`);
-    
-    for (const dept of allDepts) {
-        const profs = await db.getProfessorsByDepartment(dept.name);
-        console.log(`   - ${dept.name}: ${profs.length} professors`);
-    }
-}
 
-// Run migration
-migrate().catch(console.error);
+    database.close();
+}
 
+main().catch(error => {
+    console.error('❌ Migration failed:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,207 @@
+/**
+ * Migration Runner
+ * Applies the numbered schema migrations in ./migrations and records them in schema_migrations
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+
+/**
+ * Wrap a sqlite3 database in the small promise-based API migrations use
+ */
+function createMigrationContext(db) {
+    const context = {
+        run(sql, params = []) {
+            return new Promise((resolve, reject) => {
+                db.run(sql, params, function(err) {
+                    if (err) reject(err);
+                    else resolve({ lastID: this.lastID, changes: this.changes });
+                });
+            });
+        },
+
+        get(sql, params = []) {
+            return new Promise((resolve, reject) => {
+                db.get(sql, params, (err, row) => {
+                    if (err) reject(err);
+                    else resolve(row || null);
+                });
+            });
+        },
+
+        all(sql, params = []) {
+            return new Promise((resolve, reject) => {
+                db.all(sql, params, (err, rows) => {
+                    if (err) reject(err);
+                    else resolve(rows);
+                });
+            });
+        },
+
+        async hasColumn(table, column) {
+            const columns = await context.all(`PRAGMA table_info(${table})`);
+            return columns.some(col => col.name === column);
+        },
+
+        // SQLite has no ADD COLUMN IF NOT EXISTS, so check the table first.
+        // Databases created before the migration framework already have some of these columns.
+        async addColumnIfMissing(table, column, definition) {
+            if (!(await context.hasColumn(table, column))) {
+                await context.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+            }
+        },
+
+        async dropColumnIfExists(table, column) {
+            if (await context.hasColumn(table, column)) {
+                await context.run(`ALTER TABLE ${table} DROP COLUMN ${column}`);
+            }
+        }
+    };
+
+    return context;
+}
+
+/**
+ * Load migration modules from disk, sorted by version
+ */
+function loadMigrations() {
+    return fs.readdirSync(MIGRATIONS_DIR)
+        .map(file => {
+            const match = file.match(MIGRATION_FILE_PATTERN);
+            if (!match) return null;
+
+            const migration = require(path.join(MIGRATIONS_DIR, file));
+            if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+                throw new Error(`Migration ${file} must export up() and down() functions`);
+            }
+
+            return {
+                version: match[1],
+                name: match[2],
+                file,
+                up: migration.up,
+                down: migration.down
+            };
+        })
+        .filter(Boolean)
+        .sort((a, b) => a.version.localeCompare(b.version));
+}
+
+async function ensureMigrationsTable(context) {
+    await context.run(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            version TEXT PRIMARY KEY,
+            name TEXT NOT NULL,
+            applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+}
+
+async function getAppliedMigrations(context) {
+    await ensureMigrationsTable(context);
+    return context.all('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+}
+
+/**
+ * Run one migration step inside a transaction so a failure leaves the schema untouched
+ */
+async function runInTransaction(context, migration, direction) {
+    await context.run('BEGIN TRANSACTION');
+    try {
+        await migration[direction](context);
+
+        if (direction === 'up') {
+            await context.run('INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+        } else {
+            await context.run('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+        }
+
+        await context.run('COMMIT');
+    } catch (error) {
+        await context.run('ROLLBACK').catch(() => {});
+        const wrapped = new Error(`Migration ${migration.file} (${direction}) failed: ${error.message}`);
+        wrapped.cause = error;
+        throw wrapped;
+    }
+}
+
+/**
+ * Apply all pending migrations
+ * @returns {Promise<Array<string>>} Files of the migrations that were applied
+ */
+async function migrateUp(db) {
+    const context = createMigrationContext(db);
+    const applied = new Set((await getAppliedMigrations(context)).map(m => m.version));
+    const pending = loadMigrations().filter(m => !applied.has(m.version));
+
+    for (const migration of pending) {
+        console.log(`⬆️  Applying migration ${migration.file}`);
+        await runInTransaction(context, migration, 'up');
+    }
+
+    return pending.map(m => m.file);
+}
+
+/**
+ * Roll back the most recently applied migrations
+ * @param {number} steps - How many migrations to roll back (default 1)
+ * @returns {Promise<Array<string>>} Files of the migrations that were rolled back
+ */
+async function rollback(db, steps = 1) {
+    const context = createMigrationContext(db);
+    const migrations = loadMigrations();
+    const applied = (await getAppliedMigrations(context)).reverse().slice(0, steps);
+    const rolledBack = [];
+
+    for (const record of applied) {
+        const migration = migrations.find(m => m.version === record.version);
+        if (!migration) {
+            throw new Error(`Cannot roll back migration ${record.version}_${record.name}: file not found in ${MIGRATIONS_DIR}`);
+        }
+
+        console.log(`⬇️  Rolling back migration ${migration.file}`);
+        await runInTransaction(context, migration, 'down');
+        rolledBack.push(migration.file);
+    }
+
+    return rolledBack;
+}
+
+/**
+ * List every known migration with whether (and when) it was applied
+ */
+async function getStatus(db) {
+    const context = createMigrationContext(db);
+    const applied = new Map((await getAppliedMigrations(context)).map(m => [m.version, m]));
+
+    return loadMigrations().map(migration => ({
+        version: migration.version,
+        name: migration.name,
+        file: migration.file,
+        applied: applied.has(migration.version),
+        appliedAt: applied.has(migration.version) ? applied.get(migration.version).applied_at : null
+    }));
+}
+
+/**
+ * List migrations that have not been applied yet, without writing anything
+ * (safe on a read-only connection)
+ */
+async function getPendingMigrations(db) {
+    const context = createMigrationContext(db);
+    const table = await context.get("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'schema_migrations'");
+    const applied = new Set(table ? (await context.all('SELECT version FROM schema_migrations')).map(m => m.version) : []);
+
+    return loadMigrations().filter(m => !applied.has(m.version)).map(m => m.file);
+}
+
+module.exports = {
+    migrateUp,
+    rollback,
+    getStatus,
+    getPendingMigrations,
+    loadMigrations
+};
@@ -0,0 +1,121 @@
+/**
+ * Migration 001: initial schema
+ * Departments, professors, trending labs, analytics, users and starred professors
+ */
+
+module.exports = {
+    async up(db) {
+        // Departments table
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS departments (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name TEXT UNIQUE NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        // Professors/Labs table
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS professors (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                department_id INTEGER NOT NULL,
+                name TEXT NOT NULL,
+                title TEXT,
+                lab TEXT,
+                lab_website TEXT,
+                email TEXT,
+                research_area TEXT,
+                num_undergrad_researchers INTEGER,
+                num_lab_members INTEGER,
+                num_published_papers INTEGER,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (department_id) REFERENCES departments(id)
+            )
+        `);
+
+        // Trending labs table
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS trending_labs (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                department_id INTEGER NOT NULL,
+                lab_name TEXT NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (department_id) REFERENCES departments(id),
+                UNIQUE(department_id, lab_name)
+            )
+        `);
+
+        // Analytics: View tracking
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS professor_views (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                professor_id INTEGER NOT NULL,
+                viewed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                ip_address TEXT,
+                user_agent TEXT,
+                FOREIGN KEY (professor_id) REFERENCES professors(id)
+            )
+        `);
+
+        // Analytics: Click tracking
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS professor_clicks (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                professor_id INTEGER NOT NULL,
+                click_type TEXT NOT NULL,
+                clicked_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                ip_address TEXT,
+                user_agent TEXT,
+                FOREIGN KEY (professor_id) REFERENCES professors(id)
+            )
+        `);
+
+        // Analytics: Department views
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS department_views (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                department_id INTEGER NOT NULL,
+                viewed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                ip_address TEXT,
+                user_agent TEXT,
+                FOREIGN KEY (department_id) REFERENCES departments(id)
+            )
+        `);
+
+        // Users table
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS users (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                email TEXT UNIQUE NOT NULL,
+                password_hash TEXT,
+                name TEXT,
+                google_id TEXT UNIQUE,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        // Starred professors table
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS starred_professors (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL,
+                professor_id INTEGER NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users(id),
+                FOREIGN KEY (professor_id) REFERENCES professors(id),
+                UNIQUE(user_id, professor_id)
+            )
+        `);
+    },
+
+    async down(db) {
+        await db.run('DROP TABLE IF EXISTS starred_professors');
+        await db.run('DROP TABLE IF EXISTS users');
+        await db.run('DROP TABLE IF EXISTS department_views');
+        await db.run('DROP TABLE IF EXISTS professor_clicks');
+        await db.run('DROP TABLE IF EXISTS professor_views');
+        await db.run('DROP TABLE IF EXISTS trending_labs');
+        await db.run('DROP TABLE IF EXISTS professors');
+        await db.run('DROP TABLE IF EXISTS departments');
+    }
+};
@@ -0,0 +1,22 @@
+/**
+ * Migration 002: recruiting/translucent flags and personal websites on professors
+ * Also backfills the stats columns for databases created before they were part of the professors table.
+ */
+
+module.exports = {
+    async up(db) {
+        await db.addColumnIfMissing('professors', 'num_undergrad_researchers', 'INTEGER');
+        await db.addColumnIfMissing('professors', 'num_lab_members', 'INTEGER');
+        await db.addColumnIfMissing('professors', 'num_published_papers', 'INTEGER');
+        await db.addColumnIfMissing('professors', 'is_recruiting', 'INTEGER DEFAULT 0');
+        await db.addColumnIfMissing('professors', 'is_translucent', 'INTEGER DEFAULT 0');
+        await db.addColumnIfMissing('professors', 'personal_website', 'TEXT');
+    },
+
+    async down(db) {
+        // The stats columns belong to the initial schema, so only the columns introduced here are dropped
+        await db.dropColumnIfExists('professors', 'personal_website');
+        await db.dropColumnIfExists('professors', 'is_translucent');
+        await db.dropColumnIfExists('professors', 'is_recruiting');
+    }
+};
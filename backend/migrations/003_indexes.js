@@ -0,0 +1,23 @@
+/**
+ * Migration 003: indexes for department listings, analytics and stars
+ */
+
+module.exports = {
+    async up(db) {
+        await db.run('CREATE INDEX IF NOT EXISTS idx_professors_department ON professors(department_id)');
+        await db.run('CREATE INDEX IF NOT EXISTS idx_views_professor ON professor_views(professor_id)');
+        await db.run('CREATE INDEX IF NOT EXISTS idx_clicks_professor ON professor_clicks(professor_id)');
+        await db.run('CREATE INDEX IF NOT EXISTS idx_views_department ON department_views(department_id)');
+        await db.run('CREATE INDEX IF NOT EXISTS idx_starred_user ON starred_professors(user_id)');
+        await db.run('CREATE INDEX IF NOT EXISTS idx_starred_professor ON starred_professors(professor_id)');
+    },
+
+    async down(db) {
+        await db.run('DROP INDEX IF EXISTS idx_starred_professor');
+        await db.run('DROP INDEX IF EXISTS idx_starred_user');
+        await db.run('DROP INDEX IF EXISTS idx_views_department');
+        await db.run('DROP INDEX IF EXISTS idx_clicks_professor');
+        await db.run('DROP INDEX IF EXISTS idx_views_professor');
+        await db.run('DROP INDEX IF EXISTS idx_professors_department');
+    }
+};
@@ -0,0 +1,13 @@
+/**
+ * Migration 004: role column on users ('user' or 'admin')
+ */
+
+module.exports = {
+    async up(db) {
+        await db.addColumnIfMissing('users', 'role', "TEXT NOT NULL DEFAULT 'user'");
+    },
+
+    async down(db) {
+        await db.dropColumnIfExists('users', 'role');
+    }
+};
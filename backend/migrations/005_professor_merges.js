@@ -0,0 +1,30 @@
+/**
+ * Migration 005: professor_merges table, so duplicate merges can be undone
+ */
+
+module.exports = {
+    async up(db) {
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS professor_merges (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                survivor_id INTEGER NOT NULL,
+                merged_id INTEGER NOT NULL,
+                merged_professor TEXT NOT NULL,
+                filled_fields TEXT NOT NULL,
+                moved_rows TEXT NOT NULL,
+                merged_by INTEGER,
+                merged_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                undone_by INTEGER,
+                undone_at DATETIME,
+                FOREIGN KEY (survivor_id) REFERENCES professors(id),
+                FOREIGN KEY (merged_by) REFERENCES users(id),
+                FOREIGN KEY (undone_by) REFERENCES users(id)
+            )
+        `);
+        await db.run('CREATE INDEX IF NOT EXISTS idx_professor_merges_survivor ON professor_merges(survivor_id)');
+    },
+
+    async down(db) {
+        await db.run('DROP TABLE IF EXISTS professor_merges');
+    }
+};
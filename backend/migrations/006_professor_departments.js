@@ -0,0 +1,158 @@
+/**
+ * Migration 006: professor_departments join table for joint appointments
+ *
+ * Every professor gets a primary link to professors.department_id (which stays as the
+ * primary department). Joint appointments used to be stored as one row per department;
+ * those rows (same name or same email, different departments) are folded into the
+ * oldest row, which keeps the other departments as secondary links. Each fold is
+ * recorded in professor_merges, so `node scripts/duplicates.js undo <id>` can split a
+ * professor back apart. down() only drops the join table - undo folded professors first.
+ */
+
+// Same rules as mergeProfessors in database.js at the time of writing
+const FILL_COLUMNS = ['title', 'lab', 'lab_website', 'personal_website', 'email', 'research_area'];
+const MAX_COLUMNS = ['num_undergrad_researchers', 'num_lab_members', 'num_published_papers', 'is_recruiting'];
+
+const blank = value => value === null || value === undefined || String(value).trim() === '';
+
+/**
+ * Group professors in different departments that share a name or an email
+ */
+function findJointAppointments(professors) {
+    const groupOf = new Map();
+    const keyOwner = new Map();
+
+    for (const prof of professors) {
+        const keys = [`name:${prof.name.trim().toLowerCase()}`];
+        if (!blank(prof.email)) keys.push(`email:${prof.email.trim().toLowerCase()}`);
+
+        for (const key of keys) {
+            const owner = keyOwner.get(key);
+            if (!owner) {
+                keyOwner.set(key, prof);
+                continue;
+            }
+            const survivor = groupOf.get(owner.id) || owner;
+            // Same-department duplicates are left for the admin duplicate review
+            if (survivor.department_id !== prof.department_id && !groupOf.has(prof.id)) {
+                groupOf.set(prof.id, survivor);
+            }
+        }
+    }
+
+    return [...groupOf.entries()].map(([mergedId, survivor]) => ({
+        survivor,
+        merged: professors.find(prof => prof.id === mergedId)
+    }));
+}
+
+async function foldIntoSurvivor(db, survivorId, merged) {
+    const survivor = await db.get('SELECT * FROM professors WHERE id = ?', [survivorId]);
+
+    const filled = {};
+    FILL_COLUMNS.forEach(column => {
+        if (blank(survivor[column]) && !blank(merged[column])) {
+            filled[column] = { from: survivor[column], to: merged[column] };
+        }
+    });
+    MAX_COLUMNS.forEach(column => {
+        if (merged[column] !== null && (survivor[column] === null || merged[column] > survivor[column])) {
+            filled[column] = { from: survivor[column], to: merged[column] };
+        }
+    });
+    const columns = Object.keys(filled);
+    if (columns.length > 0) {
+        await db.run(
+            `UPDATE professors SET ${columns.map(c => `${c} = ?`).join(', ')} WHERE id = ?`,
+            [...columns.map(c => filled[c].to), survivorId]
+        );
+    }
+
+    const departmentLinks = await db.all('SELECT * FROM professor_departments WHERE professor_id = ?', [merged.id]);
+    const addedDepartments = [];
+    for (const link of departmentLinks) {
+        const result = await db.run(
+            'INSERT OR IGNORE INTO professor_departments (professor_id, department_id, is_primary) VALUES (?, ?, 0)',
+            [survivorId, link.department_id]
+        );
+        if (result.changes > 0) addedDepartments.push(link.department_id);
+    }
+    await db.run('DELETE FROM professor_departments WHERE professor_id = ?', [merged.id]);
+
+    const views = await db.all('SELECT id FROM professor_views WHERE professor_id = ?', [merged.id]);
+    await db.run('UPDATE professor_views SET professor_id = ? WHERE professor_id = ?', [survivorId, merged.id]);
+    const clicks = await db.all('SELECT id FROM professor_clicks WHERE professor_id = ?', [merged.id]);
+    await db.run('UPDATE professor_clicks SET professor_id = ? WHERE professor_id = ?', [survivorId, merged.id]);
+
+    const stars = await db.all('SELECT * FROM starred_professors WHERE professor_id = ?', [merged.id]);
+    const movedStars = [];
+    const deletedStars = [];
+    for (const star of stars) {
+        const alreadyStarred = await db.get(
+            'SELECT id FROM starred_professors WHERE user_id = ? AND professor_id = ?',
+            [star.user_id, survivorId]
+        );
+        if (alreadyStarred) {
+            await db.run('DELETE FROM starred_professors WHERE id = ?', [star.id]);
+            deletedStars.push(star);
+        } else {
+            await db.run('UPDATE starred_professors SET professor_id = ? WHERE id = ?', [survivorId, star.id]);
+            movedStars.push(star.id);
+        }
+    }
+
+    await db.run('DELETE FROM professors WHERE id = ?', [merged.id]);
+
+    const movedRows = {
+        views: views.map(row => row.id),
+        clicks: clicks.map(row => row.id),
+        stars: movedStars,
+        deletedStars,
+        departments: addedDepartments,
+        departmentLinks
+    };
+    await db.run(`
+        INSERT INTO professor_merges (survivor_id, merged_id, merged_professor, filled_fields, moved_rows)
+        VALUES (?, ?, ?, ?, ?)
+    `, [survivorId, merged.id, JSON.stringify(merged), JSON.stringify(filled), JSON.stringify(movedRows)]);
+}
+
+module.exports = {
+    async up(db) {
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS professor_departments (
+                professor_id INTEGER NOT NULL,
+                department_id INTEGER NOT NULL,
+                is_primary INTEGER NOT NULL DEFAULT 0,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (professor_id, department_id),
+                FOREIGN KEY (professor_id) REFERENCES professors(id),
+                FOREIGN KEY (department_id) REFERENCES departments(id)
+            )
+        `);
+        await db.run('CREATE INDEX IF NOT EXISTS idx_professor_departments_department ON professor_departments(department_id)');
+        // At most one primary department per professor
+        await db.run(`
+            CREATE UNIQUE INDEX IF NOT EXISTS idx_professor_departments_primary
+            ON professor_departments(professor_id) WHERE is_primary = 1
+        `);
+
+        await db.run(`
+            INSERT OR IGNORE INTO professor_departments (professor_id, department_id, is_primary)
+            SELECT id, department_id, 1 FROM professors WHERE department_id IS NOT NULL
+        `);
+
+        const professors = await db.all('SELECT * FROM professors ORDER BY id');
+        const folds = findJointAppointments(professors);
+        for (const { survivor, merged } of folds) {
+            await foldIntoSurvivor(db, survivor.id, merged);
+        }
+        if (folds.length > 0) {
+            console.log(`   Folded ${folds.length} joint appointment(s) into single professors`);
+        }
+    },
+
+    async down(db) {
+        await db.run('DROP TABLE IF EXISTS professor_departments');
+    }
+};
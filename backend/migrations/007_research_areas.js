@@ -0,0 +1,199 @@
+/**
+ * Migration 007: research area taxonomy
+ *
+ * research_areas holds canonical names with an optional parent area,
+ * research_area_aliases maps other spellings ("ML", "Privacy & Security") onto them, and
+ * professor_research_areas tags professors with any number of areas (position 0 first).
+ * Existing free-text research_area values are split and tagged; parts that match no
+ * canonical name or alias become new top-level areas.
+ */
+
+// Parents come before their children
+const SEED_AREAS = [
+    { name: 'Artificial Intelligence', aliases: ['AI'] },
+    { name: 'Machine Learning', parent: 'Artificial Intelligence', aliases: ['ML', 'Machine Learning & AI', 'Deep Learning'] },
+    { name: 'Natural Language Processing', parent: 'Artificial Intelligence', aliases: ['NLP'] },
+    { name: 'Computer Vision', parent: 'Artificial Intelligence', aliases: ['CV', 'Vision'] },
+    { name: 'Robotics', parent: 'Artificial Intelligence' },
+    { name: 'Human-AI Interaction', parent: 'Artificial Intelligence' },
+
+    { name: 'Computer Systems', aliases: ['Systems'] },
+    { name: 'Computer Architecture', parent: 'Computer Systems', aliases: ['Architecture'] },
+    { name: 'Distributed Systems', parent: 'Computer Systems', aliases: ['Distributed Systems & Data', 'Large-Scale Systems'] },
+    { name: 'Cloud Computing', parent: 'Computer Systems' },
+    { name: 'Networked Systems', parent: 'Computer Systems', aliases: ['Networking'] },
+    { name: 'Data Systems', parent: 'Computer Systems', aliases: ['Database Systems', 'Databases', 'Data Management'] },
+    { name: 'Programming Languages', parent: 'Computer Systems', aliases: ['PL'] },
+
+    { name: 'Security & Privacy', aliases: ['Privacy & Security', 'Security', 'Privacy'] },
+    { name: 'Network Security', parent: 'Security & Privacy' },
+
+    { name: 'Theory of Computing', aliases: ['Theoretical Computer Science', 'TCS'] },
+    { name: 'Computational Complexity', parent: 'Theory of Computing', aliases: ['Complexity Theory'] },
+    { name: 'Optimization', parent: 'Theory of Computing' },
+    { name: 'Quantum Computing', parent: 'Theory of Computing' },
+
+    { name: 'Human-Computer Interaction', aliases: ['HCI'] },
+    { name: 'Computer Graphics', aliases: ['Graphics'] },
+    { name: 'Computing Education' },
+
+    { name: 'Statistics' },
+    { name: 'Statistical Methods', parent: 'Statistics' },
+    { name: 'Computational Statistics', parent: 'Statistics' },
+    { name: 'Bayesian Methods', parent: 'Statistics', aliases: ['Bayesian Statistics', 'Bayesian Inference'] },
+    { name: 'Statistical Inference', parent: 'Statistics' },
+    { name: 'Causal Inference', parent: 'Statistics', aliases: ['Causality'] },
+    { name: 'High-Dimensional Statistics', parent: 'Statistics' },
+    { name: 'Applied Statistics', parent: 'Statistics' },
+    { name: 'Time Series', parent: 'Statistics' },
+    { name: 'Network Analysis', parent: 'Statistics' },
+    { name: 'Probability Theory', parent: 'Statistics', aliases: ['Probability'] },
+
+    { name: 'Data Science' },
+    { name: 'Research Data Management', parent: 'Data Science' },
+    { name: 'Computational Social Science', parent: 'Data Science' },
+
+    { name: 'Mathematics', aliases: ['Math'] },
+    { name: 'Geometry', parent: 'Mathematics' },
+    { name: 'Differential Geometry', parent: 'Geometry' },
+    { name: 'Symplectic Geometry', parent: 'Geometry' },
+    { name: 'Geometric Measure Theory', parent: 'Geometry' },
+    { name: 'Algebraic Geometry', parent: 'Geometry' },
+    { name: 'Topology', parent: 'Mathematics' },
+    { name: 'Algebraic Topology', parent: 'Topology' },
+    { name: 'Geometric Topology', parent: 'Topology' },
+    { name: 'Group Theory', parent: 'Mathematics' },
+    { name: 'Geometric Group Theory', parent: 'Group Theory' },
+    { name: 'Representation Theory', parent: 'Mathematics' },
+    { name: 'Number Theory', parent: 'Mathematics' },
+    { name: 'Logic', parent: 'Mathematics' },
+    { name: 'Analysis', parent: 'Mathematics' },
+    { name: 'Partial Differential Equations', parent: 'Analysis', aliases: ['PDEs', 'PDE'] },
+    { name: 'Dynamical Systems', parent: 'Mathematics' },
+    { name: 'Ergodic Theory', parent: 'Dynamical Systems' },
+    { name: 'Applied Mathematics', parent: 'Mathematics', aliases: ['Applied Math'] },
+    { name: 'Financial Mathematics', parent: 'Applied Mathematics' },
+
+    { name: 'Physics' },
+    { name: 'Particle Physics', parent: 'Physics', aliases: ['High Energy Physics', 'HEP'] },
+    { name: 'Condensed Matter Physics', parent: 'Physics', aliases: ['Condensed Matter'] },
+    { name: 'Soft Matter Physics', parent: 'Condensed Matter Physics', aliases: ['Soft Matter'] },
+    { name: 'Nuclear Physics', parent: 'Physics' },
+    { name: 'Astrophysics', parent: 'Physics' },
+    { name: 'Cosmology', parent: 'Astrophysics' },
+    { name: 'Atomic Physics', parent: 'Physics', aliases: ['AMO Physics'] },
+    { name: 'Quantum Physics', parent: 'Physics' },
+    { name: 'Biophysics', parent: 'Physics' },
+    { name: 'Theoretical Physics', parent: 'Physics' },
+    { name: 'General Relativity', parent: 'Theoretical Physics' },
+    { name: 'Physics Education', parent: 'Physics' },
+
+    { name: 'Economics' },
+    { name: 'Labor Economics', parent: 'Economics' },
+    { name: 'Macroeconomics', parent: 'Economics', aliases: ['Macro'] },
+    { name: 'Microeconomic Theory', parent: 'Economics', aliases: ['Micro Theory', 'Microeconomics'] },
+    { name: 'Applied Microeconomics', parent: 'Economics' },
+    { name: 'Econometrics', parent: 'Economics' },
+    { name: 'Development Economics', parent: 'Economics' },
+    { name: 'Public Economics', parent: 'Economics' },
+    { name: 'Industrial Organization', parent: 'Economics', aliases: ['IO'] },
+    { name: 'Environmental Economics', parent: 'Economics' },
+    { name: 'Game Theory', parent: 'Economics' },
+
+    { name: 'Education & Evaluation' },
+    { name: 'Program Administration' }
+];
+
+/**
+ * Split free text into area names: comma/semicolon parts are tried whole first
+ * ("Security & Privacy"), then split on "&"/"and" ("Computer Vision & Machine Learning")
+ */
+async function resolveAreaIds(db, text) {
+    const ids = [];
+    const parts = (text || '').split(/[,;/]/).map(part => part.trim()).filter(Boolean);
+
+    for (const part of parts) {
+        let found = await findArea(db, part);
+        if (found) {
+            ids.push(found);
+            continue;
+        }
+        for (const piece of part.split(/\s+(?:&|and)\s+/i).map(p => p.trim()).filter(Boolean)) {
+            found = await findArea(db, piece);
+            if (!found) {
+                found = (await db.run('INSERT INTO research_areas (name) VALUES (?)', [piece])).lastID;
+            }
+            ids.push(found);
+        }
+    }
+
+    return [...new Set(ids)];
+}
+
+async function findArea(db, name) {
+    const area = await db.get('SELECT id FROM research_areas WHERE name = ?', [name]);
+    if (area) return area.id;
+    const alias = await db.get('SELECT research_area_id FROM research_area_aliases WHERE alias = ?', [name]);
+    return alias ? alias.research_area_id : null;
+}
+
+module.exports = {
+    async up(db) {
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS research_areas (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+                parent_id INTEGER,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (parent_id) REFERENCES research_areas(id)
+            )
+        `);
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS research_area_aliases (
+                alias TEXT PRIMARY KEY COLLATE NOCASE,
+                research_area_id INTEGER NOT NULL,
+                FOREIGN KEY (research_area_id) REFERENCES research_areas(id)
+            )
+        `);
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS professor_research_areas (
+                professor_id INTEGER NOT NULL,
+                research_area_id INTEGER NOT NULL,
+                position INTEGER NOT NULL DEFAULT 0,
+                PRIMARY KEY (professor_id, research_area_id),
+                FOREIGN KEY (professor_id) REFERENCES professors(id),
+                FOREIGN KEY (research_area_id) REFERENCES research_areas(id)
+            )
+        `);
+        await db.run('CREATE INDEX IF NOT EXISTS idx_professor_research_areas_area ON professor_research_areas(research_area_id)');
+
+        for (const area of SEED_AREAS) {
+            const parent = area.parent ? await db.get('SELECT id FROM research_areas WHERE name = ?', [area.parent]) : null;
+            await db.run(
+                'INSERT OR IGNORE INTO research_areas (name, parent_id) VALUES (?, ?)',
+                [area.name, parent ? parent.id : null]
+            );
+            const { id } = await db.get('SELECT id FROM research_areas WHERE name = ?', [area.name]);
+            for (const alias of area.aliases || []) {
+                await db.run('INSERT OR IGNORE INTO research_area_aliases (alias, research_area_id) VALUES (?, ?)', [alias, id]);
+            }
+        }
+
+        const professors = await db.all("SELECT id, research_area FROM professors WHERE TRIM(COALESCE(research_area, '')) != ''");
+        for (const prof of professors) {
+            const ids = await resolveAreaIds(db, prof.research_area);
+            for (let position = 0; position < ids.length; position++) {
+                await db.run(
+                    'INSERT OR IGNORE INTO professor_research_areas (professor_id, research_area_id, position) VALUES (?, ?, ?)',
+                    [prof.id, ids[position], position]
+                );
+            }
+        }
+    },
+
+    async down(db) {
+        await db.run('DROP TABLE IF EXISTS professor_research_areas');
+        await db.run('DROP TABLE IF EXISTS research_area_aliases');
+        await db.run('DROP TABLE IF EXISTS research_areas');
+    }
+};
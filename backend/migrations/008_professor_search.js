@@ -0,0 +1,112 @@
+/**
+ * Migration 008: full-text search index for GET /api/search
+ *
+ * professor_search is an FTS5 table with one row per professor (rowid = professor id).
+ * research_areas holds the canonical tags shown on cards; research_area_terms holds
+ * their aliases and parent areas, so "ML" or "Artificial Intelligence" find machine
+ * learning labs. Triggers keep it in step with professors, their departments and
+ * research areas, so scripts that write with plain SQL stay searchable.
+ * professor_search_terms (fts5vocab) lists every indexed word for typo correction.
+ */
+
+const INDEX_COLUMNS = `
+    p.id,
+    p.name,
+    p.title,
+    p.lab,
+    COALESCE((
+        SELECT group_concat(name, ', ') FROM (
+            SELECT ra.name
+            FROM professor_research_areas pra
+            JOIN research_areas ra ON pra.research_area_id = ra.id
+            WHERE pra.professor_id = p.id
+            ORDER BY pra.position
+        )
+    ), p.research_area),
+    (
+        SELECT group_concat(term, ' ') FROM (
+            SELECT a.alias as term
+            FROM professor_research_areas pra
+            JOIN research_area_aliases a ON a.research_area_id = pra.research_area_id
+            WHERE pra.professor_id = p.id
+            UNION
+            SELECT parent.name
+            FROM professor_research_areas pra
+            JOIN research_areas ra ON pra.research_area_id = ra.id
+            JOIN research_areas parent ON ra.parent_id = parent.id
+            WHERE pra.professor_id = p.id
+        )
+    ),
+    (
+        SELECT group_concat(d.name, ' ')
+        FROM professor_departments pd
+        JOIN departments d ON pd.department_id = d.id
+        WHERE pd.professor_id = p.id
+    )`;
+
+/**
+ * Statements that re-index the professors whose ids match `ids` (a SQL list, e.g. "NEW.id")
+ */
+function reindex(ids) {
+    return `
+        DELETE FROM professor_search WHERE rowid IN (${ids});
+        INSERT INTO professor_search (rowid, name, title, lab, research_areas, research_area_terms, departments)
+        SELECT ${INDEX_COLUMNS}
+        FROM professors p
+        WHERE p.id IN (${ids});`;
+}
+
+// Professors tagged with an area, or with one of its child areas
+const taggedWith = area => `
+    SELECT professor_id FROM professor_research_areas
+    WHERE research_area_id = ${area}
+       OR research_area_id IN (SELECT id FROM research_areas WHERE parent_id = ${area})`;
+
+const TRIGGERS = {
+    professor_search_professor_insert: `AFTER INSERT ON professors BEGIN ${reindex('NEW.id')} END`,
+    professor_search_professor_update: `AFTER UPDATE OF name, title, lab, research_area ON professors BEGIN
+        DELETE FROM professor_search WHERE rowid = OLD.id; ${reindex('NEW.id')} END`,
+    professor_search_professor_delete: 'AFTER DELETE ON professors BEGIN DELETE FROM professor_search WHERE rowid = OLD.id; END',
+    professor_search_area_tag_insert: `AFTER INSERT ON professor_research_areas BEGIN ${reindex('NEW.professor_id')} END`,
+    professor_search_area_tag_update: `AFTER UPDATE ON professor_research_areas BEGIN ${reindex('OLD.professor_id, NEW.professor_id')} END`,
+    professor_search_area_tag_delete: `AFTER DELETE ON professor_research_areas BEGIN ${reindex('OLD.professor_id')} END`,
+    professor_search_department_insert: `AFTER INSERT ON professor_departments BEGIN ${reindex('NEW.professor_id')} END`,
+    professor_search_department_delete: `AFTER DELETE ON professor_departments BEGIN ${reindex('OLD.professor_id')} END`,
+    professor_search_area_update: `AFTER UPDATE OF name, parent_id ON research_areas BEGIN ${reindex(taggedWith('NEW.id'))} END`,
+    professor_search_alias_insert: `AFTER INSERT ON research_area_aliases BEGIN ${reindex(taggedWith('NEW.research_area_id'))} END`,
+    professor_search_alias_update: `AFTER UPDATE ON research_area_aliases BEGIN
+        ${reindex(taggedWith('OLD.research_area_id'))} ${reindex(taggedWith('NEW.research_area_id'))} END`,
+    professor_search_alias_delete: `AFTER DELETE ON research_area_aliases BEGIN ${reindex(taggedWith('OLD.research_area_id'))} END`
+};
+
+module.exports = {
+    async up(db) {
+        // remove_diacritics lets "cordova" find "Córdova"
+        await db.run(`
+            CREATE VIRTUAL TABLE IF NOT EXISTS professor_search USING fts5(
+                name, title, lab, research_areas, research_area_terms, departments,
+                tokenize = 'unicode61 remove_diacritics 2'
+            )
+        `);
+        await db.run('CREATE VIRTUAL TABLE IF NOT EXISTS professor_search_terms USING fts5vocab(professor_search, row)');
+
+        for (const [name, body] of Object.entries(TRIGGERS)) {
+            await db.run(`CREATE TRIGGER IF NOT EXISTS ${name} ${body}`);
+        }
+
+        await db.run('DELETE FROM professor_search');
+        await db.run(`
+            INSERT INTO professor_search (rowid, name, title, lab, research_areas, research_area_terms, departments)
+            SELECT ${INDEX_COLUMNS}
+            FROM professors p
+        `);
+    },
+
+    async down(db) {
+        for (const name of Object.keys(TRIGGERS)) {
+            await db.run(`DROP TRIGGER IF EXISTS ${name}`);
+        }
+        await db.run('DROP TABLE IF EXISTS professor_search_terms');
+        await db.run('DROP TABLE IF EXISTS professor_search');
+    }
+};
@@ -0,0 +1,51 @@
+/**
+ * Migration 009: change counter for department listings
+ *
+ * data_versions holds a version number and timestamp per cached dataset. Triggers bump
+ * the `department_listings` row whenever professors, their departments or research areas
+ * change - including writes from scripts in other processes - so the server's
+ * GET /api/departments cache and its ETag/Last-Modified headers know when to refresh.
+ */
+
+const DATASET = 'department_listings';
+
+// Tables whose changes show up in department listings
+const WATCHED_TABLES = ['professors', 'departments', 'professor_departments', 'professor_research_areas', 'research_areas'];
+const EVENTS = ['insert', 'update', 'delete'];
+
+const triggerName = (table, event) => `data_versions_${table}_${event}`;
+
+module.exports = {
+    async up(db) {
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS data_versions (
+                name TEXT PRIMARY KEY,
+                version INTEGER NOT NULL DEFAULT 1,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        await db.run('INSERT OR IGNORE INTO data_versions (name) VALUES (?)', [DATASET]);
+
+        for (const table of WATCHED_TABLES) {
+            for (const event of EVENTS) {
+                await db.run(`
+                    CREATE TRIGGER IF NOT EXISTS ${triggerName(table, event)}
+                    AFTER ${event.toUpperCase()} ON ${table}
+                    BEGIN
+                        UPDATE data_versions SET version = version + 1, updated_at = CURRENT_TIMESTAMP
+                        WHERE name = '${DATASET}';
+                    END
+                `);
+            }
+        }
+    },
+
+    async down(db) {
+        for (const table of WATCHED_TABLES) {
+            for (const event of EVENTS) {
+                await db.run(`DROP TRIGGER IF EXISTS ${triggerName(table, event)}`);
+            }
+        }
+        await db.run('DROP TABLE IF EXISTS data_versions');
+    }
+};
@@ -0,0 +1,31 @@
+/**
+ * Migration 010: where each professor stat came from
+ *
+ * professor_stat_sources has one row per professor and stat column
+ * (num_undergrad_researchers, num_lab_members, num_published_papers) with the source,
+ * source URL and verification time of the value it describes. The value is stored too:
+ * a row only applies while it matches the professors column, so numbers changed by
+ * scripts that write plain SQL show up as unverified instead of keeping an old source.
+ * Existing values have no known source and are not backfilled.
+ */
+
+module.exports = {
+    async up(db) {
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS professor_stat_sources (
+                professor_id INTEGER NOT NULL,
+                stat TEXT NOT NULL,
+                value INTEGER NOT NULL,
+                source TEXT NOT NULL,
+                source_url TEXT,
+                verified_at DATETIME NOT NULL,
+                PRIMARY KEY (professor_id, stat),
+                FOREIGN KEY (professor_id) REFERENCES professors(id)
+            )
+        `);
+    },
+
+    async down(db) {
+        await db.run('DROP TABLE IF EXISTS professor_stat_sources');
+    }
+};
@@ -0,0 +1,80 @@
+/**
+ * Migration 011: publications
+ *
+ * One row per paper on a professor's publication list. `authors` is a JSON array of
+ * names in order, `doi` is stored bare and lowercase ("10.1000/xyz"), and `match_key`
+ * (the DOI, or the normalized title and year when there is none) keeps a professor
+ * from having the same paper twice.
+ *
+ * For professors with publications, num_published_papers is derived from this table:
+ * triggers keep it equal to their publication count and record 'publications' as its
+ * source in professor_stat_sources. Professors without any keep their existing count.
+ * The triggers also bump the department listings version (see migration 009), since
+ * listings include each professor's publication count.
+ */
+
+const EVENTS = {
+    insert: { when: 'INSERT', professors: ['NEW'] },
+    delete: { when: 'DELETE', professors: ['OLD'] },
+    move: { when: 'UPDATE OF professor_id', professors: ['OLD', 'NEW'] }
+};
+
+const triggerName = event => `publications_count_${event}`;
+
+// Statements that bring one professor's num_published_papers in line with their publications
+function recountStatements(row) {
+    const professorId = `${row}.professor_id`;
+    const count = `(SELECT COUNT(*) FROM publications WHERE professor_id = ${professorId})`;
+    return `
+        UPDATE professors SET num_published_papers = ${count}
+        WHERE id = ${professorId} AND ${count} > 0;
+        INSERT OR REPLACE INTO professor_stat_sources (professor_id, stat, value, source, source_url, verified_at)
+        SELECT ${professorId}, 'num_published_papers', ${count}, 'publications', NULL, strftime('%Y-%m-%dT%H:%M:%fZ', 'now')
+        WHERE ${count} > 0;
+        DELETE FROM professor_stat_sources
+        WHERE professor_id = ${professorId} AND stat = 'num_published_papers' AND source = 'publications' AND ${count} = 0;`;
+}
+
+module.exports = {
+    async up(db) {
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS publications (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                professor_id INTEGER NOT NULL,
+                title TEXT NOT NULL,
+                venue TEXT,
+                year INTEGER,
+                authors TEXT NOT NULL DEFAULT '[]',
+                url TEXT,
+                doi TEXT,
+                match_key TEXT NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE (professor_id, match_key),
+                FOREIGN KEY (professor_id) REFERENCES professors(id)
+            )
+        `);
+        await db.run('CREATE INDEX IF NOT EXISTS idx_publications_professor_year ON publications(professor_id, year DESC)');
+
+        for (const [event, { when, professors }] of Object.entries(EVENTS)) {
+            await db.run(`
+                CREATE TRIGGER IF NOT EXISTS ${triggerName(event)}
+                AFTER ${when} ON publications
+                BEGIN
+                    ${professors.map(recountStatements).join('\n')}
+                    UPDATE data_versions SET version = version + 1, updated_at = CURRENT_TIMESTAMP
+                    WHERE name = 'department_listings';
+                END
+            `);
+        }
+    },
+
+    async down(db) {
+        for (const event of Object.keys(EVENTS)) {
+            await db.run(`DROP TRIGGER IF EXISTS ${triggerName(event)}`);
+        }
+        await db.run(`DELETE FROM professor_stat_sources WHERE stat = 'num_published_papers' AND source = 'publications'`);
+        await db.run('DROP INDEX IF EXISTS idx_publications_professor_year');
+        await db.run('DROP TABLE IF EXISTS publications');
+    }
+};
@@ -0,0 +1,113 @@
+/**
+ * Migration 012: labs
+ *
+ * labs holds each lab once, with its own website, description and member count, and
+ * professor_labs links professors to any number of labs (position 0 first) so a lab
+ * with several PIs is a single record. starred_labs lets users star a lab.
+ *
+ * Existing lab text is turned into labs: professors whose lab has the same name and
+ * the same website share one lab, and every other lab gets its own record (two
+ * unrelated "Li Lab"s stay separate). The member count starts as the largest
+ * num_lab_members among the lab's professors. Lab names are not unique.
+ *
+ * professors.lab and lab_website are kept as the name and website of the professor's
+ * first lab. Changes to labs bump the department listings version (see migration 009),
+ * since listings include each professor's labs.
+ */
+
+const DATASET = 'department_listings';
+
+// Tables whose changes show up in department listings
+const WATCHED_TABLES = ['labs', 'professor_labs'];
+const EVENTS = ['insert', 'update', 'delete'];
+
+const triggerName = (table, event) => `data_versions_${table}_${event}`;
+
+module.exports = {
+    async up(db) {
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS labs (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name TEXT NOT NULL,
+                website TEXT,
+                description TEXT,
+                member_count INTEGER,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        await db.run('CREATE INDEX IF NOT EXISTS idx_labs_name ON labs(name COLLATE NOCASE)');
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS professor_labs (
+                professor_id INTEGER NOT NULL,
+                lab_id INTEGER NOT NULL,
+                position INTEGER NOT NULL DEFAULT 0,
+                PRIMARY KEY (professor_id, lab_id),
+                FOREIGN KEY (professor_id) REFERENCES professors(id),
+                FOREIGN KEY (lab_id) REFERENCES labs(id)
+            )
+        `);
+        await db.run('CREATE INDEX IF NOT EXISTS idx_professor_labs_lab ON professor_labs(lab_id)');
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS starred_labs (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL,
+                lab_id INTEGER NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE (user_id, lab_id),
+                FOREIGN KEY (user_id) REFERENCES users(id),
+                FOREIGN KEY (lab_id) REFERENCES labs(id)
+            )
+        `);
+        await db.run('CREATE INDEX IF NOT EXISTS idx_starred_labs_lab ON starred_labs(lab_id)');
+
+        const professors = await db.all(`
+            SELECT id, TRIM(lab) as lab, NULLIF(TRIM(COALESCE(lab_website, '')), '') as website, num_lab_members
+            FROM professors
+            WHERE TRIM(COALESCE(lab, '')) != ''
+            ORDER BY id
+        `);
+        const labIds = new Map();
+        for (const prof of professors) {
+            const key = prof.website ? `${prof.lab.toLowerCase()}|${prof.website}` : `professor:${prof.id}`;
+            let labId = labIds.get(key);
+            if (labId) {
+                await db.run(
+                    'UPDATE labs SET member_count = MAX(COALESCE(member_count, 0), ?) WHERE id = ? AND ? IS NOT NULL',
+                    [prof.num_lab_members, labId, prof.num_lab_members]
+                );
+            } else {
+                labId = (await db.run(
+                    'INSERT INTO labs (name, website, member_count) VALUES (?, ?, ?)',
+                    [prof.lab, prof.website, prof.num_lab_members]
+                )).lastID;
+                labIds.set(key, labId);
+            }
+            await db.run('INSERT OR IGNORE INTO professor_labs (professor_id, lab_id, position) VALUES (?, ?, 0)', [prof.id, labId]);
+        }
+
+        for (const table of WATCHED_TABLES) {
+            for (const event of EVENTS) {
+                await db.run(`
+                    CREATE TRIGGER IF NOT EXISTS ${triggerName(table, event)}
+                    AFTER ${event.toUpperCase()} ON ${table}
+                    BEGIN
+                        UPDATE data_versions SET version = version + 1, updated_at = CURRENT_TIMESTAMP
+                        WHERE name = '${DATASET}';
+                    END
+                `);
+            }
+        }
+    },
+
+    async down(db) {
+        for (const table of WATCHED_TABLES) {
+            for (const event of EVENTS) {
+                await db.run(`DROP TRIGGER IF EXISTS ${triggerName(table, event)}`);
+            }
+        }
+        await db.run('DROP TABLE IF EXISTS starred_labs');
+        await db.run('DROP TABLE IF EXISTS professor_labs');
+        await db.run('DROP TABLE IF EXISTS labs');
+    }
+};
@@ -0,0 +1,93 @@
+/**
+ * Migration 013: research openings
+ *
+ * openings replaces professors.is_recruiting: each row is one position posted by a
+ * professor, a lab or both, with its role, number of spots, quarter, application
+ * deadline, requirements, apply link and open/closed status. An opening is active while
+ * it is open and its deadline (a YYYY-MM-DD date, inclusive) has not passed; the server
+ * closes expired openings on a timer. A lab's openings count for every PI of the lab.
+ *
+ * Professors flagged as recruiting, and the three the frontend used to hardcode as
+ * recruiting, get an open "Undergraduate researcher" opening with no deadline. Changes
+ * to openings bump the department listings version (see migration 009), since listings
+ * include each professor's active openings.
+ */
+
+const DATASET = 'department_listings';
+const EVENTS = ['insert', 'update', 'delete'];
+
+// Recruiting professors the frontend recognised by name before openings existed
+const FORMERLY_HARDCODED = ['claire donnat', 'dacheng xiu', 'mihai anitescu'];
+const BACKFILLED_ROLE = 'Undergraduate researcher';
+
+const triggerName = event => `data_versions_openings_${event}`;
+
+module.exports = {
+    async up(db) {
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS openings (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                professor_id INTEGER,
+                lab_id INTEGER,
+                role TEXT NOT NULL,
+                spots INTEGER,
+                quarter TEXT,
+                deadline TEXT,
+                requirements TEXT,
+                apply_url TEXT,
+                status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'closed')),
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                CHECK (professor_id IS NOT NULL OR lab_id IS NOT NULL),
+                FOREIGN KEY (professor_id) REFERENCES professors(id),
+                FOREIGN KEY (lab_id) REFERENCES labs(id)
+            )
+        `);
+        await db.run('CREATE INDEX IF NOT EXISTS idx_openings_professor ON openings(professor_id)');
+        await db.run('CREATE INDEX IF NOT EXISTS idx_openings_lab ON openings(lab_id)');
+        await db.run('CREATE INDEX IF NOT EXISTS idx_openings_status_deadline ON openings(status, deadline)');
+
+        if (await db.hasColumn('professors', 'is_recruiting')) {
+            await db.run(`
+                INSERT INTO openings (professor_id, role, status)
+                SELECT id, ?, 'open'
+                FROM professors
+                WHERE is_recruiting = 1 OR LOWER(TRIM(name)) IN (${FORMERLY_HARDCODED.map(() => '?').join(', ')})
+                ORDER BY id
+            `, [BACKFILLED_ROLE, ...FORMERLY_HARDCODED]);
+        }
+        await db.dropColumnIfExists('professors', 'is_recruiting');
+
+        for (const event of EVENTS) {
+            await db.run(`
+                CREATE TRIGGER IF NOT EXISTS ${triggerName(event)}
+                AFTER ${event.toUpperCase()} ON openings
+                BEGIN
+                    UPDATE data_versions SET version = version + 1, updated_at = CURRENT_TIMESTAMP
+                    WHERE name = '${DATASET}';
+                END
+            `);
+        }
+    },
+
+    async down(db) {
+        // Professors with an active opening (their own or a lab's) are flagged as recruiting again
+        await db.addColumnIfMissing('professors', 'is_recruiting', 'INTEGER DEFAULT 0');
+        await db.run(`
+            UPDATE professors SET is_recruiting = 1
+            WHERE id IN (
+                SELECT o.professor_id FROM openings o
+                WHERE o.status = 'open' AND (o.deadline IS NULL OR o.deadline >= date('now'))
+                UNION
+                SELECT pl.professor_id FROM openings o
+                JOIN professor_labs pl ON pl.lab_id = o.lab_id
+                WHERE o.status = 'open' AND (o.deadline IS NULL OR o.deadline >= date('now'))
+            )
+        `);
+
+        for (const event of EVENTS) {
+            await db.run(`DROP TRIGGER IF EXISTS ${triggerName(event)}`);
+        }
+        await db.run('DROP TABLE IF EXISTS openings');
+    }
+};
@@ -0,0 +1,42 @@
+/**
+ * Migration 014: application tracker on starred professors
+ *
+ * Each star gets an application status (interested, emailed, replied, interviewing,
+ * joined or declined), when it last changed and an optional follow-up date
+ * (YYYY-MM-DD). star_status_changes keeps every status a star has had with its time,
+ * starting with "interested" when the professor was starred; existing stars get that
+ * first entry at their star time.
+ */
+
+module.exports = {
+    async up(db) {
+        await db.addColumnIfMissing('starred_professors', 'status', "TEXT NOT NULL DEFAULT 'interested'");
+        await db.addColumnIfMissing('starred_professors', 'status_changed_at', 'DATETIME');
+        await db.addColumnIfMissing('starred_professors', 'follow_up_on', 'TEXT');
+        await db.run('UPDATE starred_professors SET status_changed_at = created_at WHERE status_changed_at IS NULL');
+        await db.run('CREATE INDEX IF NOT EXISTS idx_starred_follow_up ON starred_professors(user_id, follow_up_on)');
+
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS star_status_changes (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                star_id INTEGER NOT NULL,
+                status TEXT NOT NULL,
+                changed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (star_id) REFERENCES starred_professors(id)
+            )
+        `);
+        await db.run('CREATE INDEX IF NOT EXISTS idx_star_status_changes_star ON star_status_changes(star_id)');
+        await db.run(`
+            INSERT INTO star_status_changes (star_id, status, changed_at)
+            SELECT id, 'interested', COALESCE(created_at, CURRENT_TIMESTAMP) FROM starred_professors
+        `);
+    },
+
+    async down(db) {
+        await db.run('DROP TABLE IF EXISTS star_status_changes');
+        await db.run('DROP INDEX IF EXISTS idx_starred_follow_up');
+        await db.dropColumnIfExists('starred_professors', 'follow_up_on');
+        await db.dropColumnIfExists('starred_professors', 'status_changed_at');
+        await db.dropColumnIfExists('starred_professors', 'status');
+    }
+};
@@ -0,0 +1,27 @@
+/**
+ * Migration 015: private notes on starred professors
+ *
+ * A user can keep any number of notes on each of their stars (what they read,
+ * questions to ask, the email they sent). Notes belong to the star, so only the
+ * user who starred the professor sees them, and unstarring deletes them.
+ */
+
+module.exports = {
+    async up(db) {
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS star_notes (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                star_id INTEGER NOT NULL,
+                text TEXT NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (star_id) REFERENCES starred_professors(id)
+            )
+        `);
+        await db.run('CREATE INDEX IF NOT EXISTS idx_star_notes_star ON star_notes(star_id)');
+    },
+
+    async down(db) {
+        await db.run('DROP TABLE IF EXISTS star_notes');
+    }
+};
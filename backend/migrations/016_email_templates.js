@@ -0,0 +1,29 @@
+/**
+ * Migration 016: outreach email templates
+ *
+ * Each user keeps their own templates for emailing professors. Subjects and bodies
+ * use {{placeholders}} that are filled in for a professor when drafting an email
+ * (see email-templates.js).
+ */
+
+module.exports = {
+    async up(db) {
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS email_templates (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL,
+                name TEXT NOT NULL,
+                subject TEXT NOT NULL,
+                body TEXT NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users(id)
+            )
+        `);
+        await db.run('CREATE INDEX IF NOT EXISTS idx_email_templates_user ON email_templates(user_id)');
+    },
+
+    async down(db) {
+        await db.run('DROP TABLE IF EXISTS email_templates');
+    }
+};
@@ -0,0 +1,50 @@
+/**
+ * Migration 017: email alerts about starred professors' openings
+ *
+ * notification_preferences holds each user's alert settings: how often to email
+ * (off, immediately, or a daily or weekly digest), which alerts they want and the
+ * token their unsubscribe links carry. Users without a row get no alerts.
+ *
+ * opening_alerts queues alerts until they are emailed: a starred professor starts
+ * recruiting, posts a new opening, or has a deadline coming up. A user gets each
+ * kind of alert about an opening once.
+ */
+
+module.exports = {
+    async up(db) {
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS notification_preferences (
+                user_id INTEGER PRIMARY KEY,
+                frequency TEXT NOT NULL DEFAULT 'off' CHECK (frequency IN ('off', 'immediate', 'daily', 'weekly')),
+                notify_recruiting INTEGER NOT NULL DEFAULT 1,
+                notify_new_openings INTEGER NOT NULL DEFAULT 1,
+                notify_deadlines INTEGER NOT NULL DEFAULT 1,
+                deadline_days INTEGER NOT NULL DEFAULT 7,
+                unsubscribe_token TEXT NOT NULL UNIQUE,
+                last_digest_at DATETIME,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users(id)
+            )
+        `);
+
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS opening_alerts (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL,
+                opening_id INTEGER NOT NULL,
+                kind TEXT NOT NULL CHECK (kind IN ('recruiting', 'new_opening', 'deadline')),
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                sent_at DATETIME,
+                UNIQUE(user_id, opening_id, kind),
+                FOREIGN KEY (user_id) REFERENCES users(id),
+                FOREIGN KEY (opening_id) REFERENCES openings(id)
+            )
+        `);
+        await db.run('CREATE INDEX IF NOT EXISTS idx_opening_alerts_pending ON opening_alerts(sent_at, user_id)');
+    },
+
+    async down(db) {
+        await db.run('DROP TABLE IF EXISTS opening_alerts');
+        await db.run('DROP TABLE IF EXISTS notification_preferences');
+    }
+};
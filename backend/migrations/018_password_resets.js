@@ -0,0 +1,32 @@
+/**
+ * Migration 018: password reset tokens and session versions
+ *
+ * password_reset_tokens holds the links sent by "forgot password": only a SHA-256
+ * hash of each token is stored, with when it expires and when it was used (a token
+ * works once). users.session_version is copied into every login token; resetting a
+ * password bumps it, which signs out every existing session.
+ */
+
+module.exports = {
+    async up(db) {
+        await db.run(`
+            CREATE TABLE IF NOT EXISTS password_reset_tokens (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL,
+                token_hash TEXT NOT NULL UNIQUE,
+                expires_at DATETIME NOT NULL,
+                used_at DATETIME,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users(id)
+            )
+        `);
+        await db.run('CREATE INDEX IF NOT EXISTS idx_password_reset_tokens_user ON password_reset_tokens(user_id)');
+
+        await db.addColumnIfMissing('users', 'session_version', 'INTEGER NOT NULL DEFAULT 0');
+    },
+
+    async down(db) {
+        await db.dropColumnIfExists('users', 'session_version');
+        await db.run('DROP TABLE IF EXISTS password_reset_tokens');
+    }
+};
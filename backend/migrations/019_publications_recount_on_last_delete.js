@@ -0,0 +1,64 @@
+/**
+ * Migration 019: recount num_published_papers when a professor's last publication goes
+ *
+ * The migration 011 triggers only recounted professors who still had publications, so
+ * deleting (or moving away) a professor's last one left the old count in place. These
+ * replace them: once the count was derived from publications (there is a 'publications'
+ * row in professor_stat_sources), it drops to 0 with the last publication, and the
+ * source row is removed. Counts already left behind can't be told apart from values
+ * entered before stats had sources (the old triggers removed the source row), so they
+ * are not reset here.
+ */
+
+const EVENTS = {
+    insert: { when: 'INSERT', professors: ['NEW'] },
+    delete: { when: 'DELETE', professors: ['OLD'] },
+    move: { when: 'UPDATE OF professor_id', professors: ['OLD', 'NEW'] }
+};
+
+const triggerName = event => `publications_count_${event}`;
+
+// Statements that bring one professor's num_published_papers in line with their publications
+function recountStatements(row) {
+    const professorId = `${row}.professor_id`;
+    const count = `(SELECT COUNT(*) FROM publications WHERE professor_id = ${professorId})`;
+    const fromPublications = `EXISTS (SELECT 1 FROM professor_stat_sources
+            WHERE professor_id = ${professorId} AND stat = 'num_published_papers' AND source = 'publications')`;
+    return `
+        UPDATE professors SET num_published_papers = ${count}
+        WHERE id = ${professorId} AND (${count} > 0 OR ${fromPublications});
+        INSERT OR REPLACE INTO professor_stat_sources (professor_id, stat, value, source, source_url, verified_at)
+        SELECT ${professorId}, 'num_published_papers', ${count}, 'publications', NULL, strftime('%Y-%m-%dT%H:%M:%fZ', 'now')
+        WHERE ${count} > 0;
+        DELETE FROM professor_stat_sources
+        WHERE professor_id = ${professorId} AND stat = 'num_published_papers' AND source = 'publications' AND ${count} = 0;`;
+}
+
+async function dropTriggers(db) {
+    for (const event of Object.keys(EVENTS)) {
+        await db.run(`DROP TRIGGER IF EXISTS ${triggerName(event)}`);
+    }
+}
+
+module.exports = {
+    async up(db) {
+        await dropTriggers(db);
+        for (const [event, { when, professors }] of Object.entries(EVENTS)) {
+            await db.run(`
+                CREATE TRIGGER ${triggerName(event)}
+                AFTER ${when} ON publications
+                BEGIN
+                    ${professors.map(recountStatements).join('\n')}
+                    UPDATE data_versions SET version = version + 1, updated_at = CURRENT_TIMESTAMP
+                    WHERE name = 'department_listings';
+                END
+            `);
+        }
+    },
+
+    async down(db) {
+        // Back to the migration 011 triggers (its up only creates what is missing)
+        await dropTriggers(db);
+        await require('./011_publications').up(db);
+    }
+};
@@ -0,0 +1,37 @@
+/**
+ * Notification Validation
+ * Validates the email alert preferences users set for their starred professors
+ */
+
+const { validateFields } = require('./professor-validation');
+
+// off, an email per alert, or a digest
+const ALERT_FREQUENCIES = ['off', 'immediate', 'daily', 'weekly'];
+// How many days before a deadline to send a reminder
+const DEADLINE_REMINDER_DAYS = [1, 3, 7, 14];
+
+// Field rules keyed by the camelCase names the API accepts (see professor-validation for the types)
+const PREFERENCE_FIELD_RULES = {
+    frequency: { type: 'enum', values: ALERT_FREQUENCIES, nullable: false },
+    recruiting: { type: 'boolean' },
+    newOpenings: { type: 'boolean' },
+    deadlines: { type: 'boolean' },
+    deadlineDays: { type: 'enum', values: DEADLINE_REMINDER_DAYS, nullable: false }
+};
+
+/**
+ * Validate a change to a user's alert preferences (only the fields provided are changed)
+ * @param {Object} input - Request body
+ * @returns {{ errors: Object|null, preferences: Object }} Field errors keyed by field name, and the normalized values
+ */
+function validatePreferencesInput(input) {
+    const { errors, values } = validateFields(input, PREFERENCE_FIELD_RULES, { partial: true });
+    return { errors, preferences: values };
+}
+
+module.exports = {
+    ALERT_FREQUENCIES,
+    DEADLINE_REMINDER_DAYS,
+    PREFERENCE_FIELD_RULES,
+    validatePreferencesInput
+};
@@ -0,0 +1,122 @@
+/**
+ * Opening Alerts
+ * Emails users who opted in when a starred professor starts recruiting, posts a new
+ * opening or has a deadline coming up. Alerts are queued in opening_alerts and sent
+ * right away or in a daily or weekly digest, as each user chose. Run by
+ * scripts/send-alerts.js or on a timer by the server (ALERTS_INTERVAL_MINUTES).
+ */
+
+const db = require('./database');
+const emailService = require('./email-service');
+
+// How long a digest collects alerts before it is sent
+const DIGEST_PERIOD_MS = {
+    daily: 24 * 60 * 60 * 1000,
+    weekly: 7 * 24 * 60 * 60 * 1000
+};
+
+/**
+ * Queue alerts for a newly active opening to the users who starred its professor or a PI of its lab
+ * It is a "recruiting" alert when none of those professors had another active opening, and a
+ * "new opening" alert otherwise (or when the user only wants those).
+ * @returns {Promise<number>} How many alerts were queued
+ */
+async function queueOpeningAlerts(openingId) {
+    const recipients = await db.getOpeningAlertRecipients(openingId);
+    const alerts = [];
+    recipients.forEach(recipient => {
+        if (!recipient.wasRecruiting && recipient.recruiting) {
+            alerts.push({ userId: recipient.userId, openingId, kind: 'recruiting' });
+        } else if (recipient.newOpenings) {
+            alerts.push({ userId: recipient.userId, openingId, kind: 'new_opening' });
+        }
+    });
+    return db.addOpeningAlerts(alerts);
+}
+
+// SQLite timestamps are UTC without a zone
+function parseTimestamp(timestamp) {
+    return new Date(`${timestamp.replace(' ', 'T')}Z`);
+}
+
+function isDigestDue(subscriber, now) {
+    if (!subscriber.lastDigestAt) return true;
+    return now - parseTimestamp(subscriber.lastDigestAt) >= DIGEST_PERIOD_MS[subscriber.frequency];
+}
+
+// Only one run sends at a time (the timer and an opening being posted can overlap)
+let sending = false;
+
+/**
+ * Queue deadline reminders, then email the pending alerts that are due
+ * Users on immediate alerts get theirs now; digest users get theirs once their period is up.
+ * Alerts that fail to send stay queued for the next run.
+ * @param {Object} options - { dryRun: list what would be sent without sending, log: progress callback,
+ *   now: the time digests are due by (default now) }
+ * @returns {Promise<Object>} Summary counts: { queued, emails, alerts, failed, skipped }
+ */
+async function sendAlerts({ dryRun = false, log = () => {}, now = new Date() } = {}) {
+    const summary = { queued: 0, emails: 0, alerts: 0, failed: 0, skipped: false };
+    if (sending) {
+        summary.skipped = true;
+        return summary;
+    }
+
+    sending = true;
+    try {
+        await db.deleteStaleAlerts();
+        summary.queued = await db.queueDeadlineAlerts();
+
+        const pendingByUser = new Map();
+        (await db.getPendingAlerts()).forEach(alert => {
+            if (!pendingByUser.has(alert.user.id)) pendingByUser.set(alert.user.id, []);
+            pendingByUser.get(alert.user.id).push(alert);
+        });
+
+        const deliveries = [];
+        pendingByUser.forEach(alerts => {
+            if (alerts[0].user.frequency === 'immediate') {
+                deliveries.push({ userId: alerts[0].user.id, alerts, digest: null });
+            }
+        });
+        (await db.getDigestSubscribers())
+            .filter(subscriber => isDigestDue(subscriber, now))
+            .forEach(subscriber => {
+                deliveries.push({ userId: subscriber.userId, alerts: pendingByUser.get(subscriber.userId) || [], digest: subscriber.frequency });
+            });
+
+        for (const { userId, alerts, digest } of deliveries) {
+            if (alerts.length > 0) {
+                const { user } = alerts[0];
+                log(`${dryRun ? 'Would email' : 'Emailing'} ${user.email}: ${alerts.length} alert(s)${digest ? ` (${digest} digest)` : ''}`);
+                if (dryRun) {
+                    summary.emails++;
+                    summary.alerts += alerts.length;
+                    continue;
+                }
+
+                const result = await emailService.sendOpeningAlerts(user, alerts, { digest });
+                if (!result.success) {
+                    log(`Failed to email ${user.email}: ${result.error}`);
+                    summary.failed++;
+                    continue;
+                }
+                await db.markAlertsSent(alerts.map(alert => alert.id));
+                summary.emails++;
+                summary.alerts += alerts.length;
+            }
+            // A digest period with nothing to report still ends
+            if (digest && !dryRun) {
+                await db.markDigestSent(userId);
+            }
+        }
+        return summary;
+    } finally {
+        sending = false;
+    }
+}
+
+module.exports = {
+    queueOpeningAlerts,
+    sendAlerts
+};
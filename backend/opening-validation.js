@@ -0,0 +1,76 @@
+/**
+ * Opening Validation
+ * Validates and normalizes research opening fields sent to the editor API
+ */
+
+const { validateFields } = require('./professor-validation');
+
+const OPENING_STATUSES = ['open', 'closed'];
+const MAX_REQUIREMENTS_LENGTH = 2000;
+
+/**
+ * Field rules keyed by the camelCase names the API accepts (see professor-validation for the types)
+ * An opening belongs to a professor, a lab or both.
+ */
+const OPENING_FIELD_RULES = {
+    professorId: { type: 'id', label: 'professor ID' },
+    labId: { type: 'id', label: 'lab ID' },
+    role: { type: 'text', required: true, nullable: false },
+    spots: { type: 'count' },
+    quarter: { type: 'text' },
+    deadline: { type: 'day' },
+    requirements: { type: 'text', maxLength: MAX_REQUIREMENTS_LENGTH },
+    applyUrl: { type: 'url' },
+    status: { type: 'enum', values: OPENING_STATUSES, nullable: false }
+};
+
+/**
+ * Whether a deadline (YYYY-MM-DD) is before today (UTC), i.e. the opening has expired
+ */
+function isPastDeadline(deadline, now = new Date()) {
+    return Boolean(deadline) && deadline < now.toISOString().slice(0, 10);
+}
+
+/**
+ * Validate opening input
+ * @param {Object} input - Request body
+ * @param {Object} options - { partial: true } for PATCH (only provided fields are checked);
+ *   `existing` is the opening being updated, so the result can be checked as a whole
+ * @returns {{ errors: Object|null, opening: Object }} Field errors keyed by field name, and the normalized values
+ */
+function validateOpeningInput(input, { partial = false, existing = null } = {}) {
+    const { errors, values: opening } = validateFields(input, OPENING_FIELD_RULES, { partial });
+    if (errors && errors.body) {
+        return { errors, opening };
+    }
+    const fieldErrors = errors || {};
+
+    // What the opening will look like once saved
+    const result = {
+        professorId: existing && existing.professor ? existing.professor.id : null,
+        labId: existing && existing.lab ? existing.lab.id : null,
+        deadline: existing ? existing.deadline : null,
+        status: existing ? existing.status : 'open',
+        ...opening
+    };
+
+    if (!fieldErrors.professorId && !fieldErrors.labId && !result.professorId && !result.labId) {
+        fieldErrors.professorId = 'is required when there is no labId';
+    }
+    if (!fieldErrors.deadline && result.status === 'open' && isPastDeadline(result.deadline)
+        && (opening.deadline !== undefined || opening.status !== undefined)) {
+        fieldErrors.deadline = 'has passed (set a later deadline or close the opening)';
+    }
+
+    return {
+        errors: Object.keys(fieldErrors).length > 0 ? fieldErrors : null,
+        opening
+    };
+}
+
+module.exports = {
+    OPENING_STATUSES,
+    OPENING_FIELD_RULES,
+    isPastDeadline,
+    validateOpeningInput
+};
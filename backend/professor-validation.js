@@ -0,0 +1,260 @@
+/**
+ * Professor Validation
+ * Validates and normalizes professor fields sent to the editor API
+ */
+
+const MAX_TEXT_LENGTH = 200;
+const MAX_RESEARCH_AREA_LENGTH = 500;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Where a stat value can come from (stored with the value, see migration 010)
+const STAT_SOURCES = ['manual', 'spreadsheet', 'lab-website', 'orcid', 'semantic-scholar'];
+const STAT_FIELDS = ['numUndergradResearchers', 'numLabMembers', 'numPublishedPapers'];
+const STATS_PROVENANCE_FIELDS = ['statsSource', 'statsSourceUrl', 'statsVerifiedAt'];
+
+/**
+ * Field rules keyed by the camelCase names the API accepts
+ * (the same names getProfessorsByDepartment returns)
+ */
+const FIELD_RULES = {
+    name: { type: 'text', required: true, nullable: false },
+    department: { type: 'text', required: true, nullable: false },
+    departments: { type: 'list', label: 'department names', lowercase: true },
+    title: { type: 'text' },
+    lab: { type: 'text' },
+    labWebsite: { type: 'url' },
+    personalWebsite: { type: 'url' },
+    email: { type: 'email' },
+    researchArea: { type: 'text', maxLength: MAX_RESEARCH_AREA_LENGTH },
+    researchAreas: { type: 'list', label: 'research area names' },
+    labIds: { type: 'ids', label: 'lab IDs' },
+    numUndergradResearchers: { type: 'count' },
+    numLabMembers: { type: 'count' },
+    numPublishedPapers: { type: 'count' },
+    isTranslucent: { type: 'boolean' },
+    // Describe the stats sent in the same request
+    statsSource: { type: 'enum', values: STAT_SOURCES },
+    statsSourceUrl: { type: 'url' },
+    statsVerifiedAt: { type: 'date' }
+};
+
+function validateText(value, rule) {
+    if (typeof value !== 'string') {
+        return { error: 'must be a string' };
+    }
+    const trimmed = value.trim();
+    if (trimmed === '') {
+        return rule.nullable === false ? { error: 'cannot be empty' } : { value: null };
+    }
+    const maxLength = rule.maxLength || MAX_TEXT_LENGTH;
+    if (trimmed.length > maxLength) {
+        return { error: `must be at most ${maxLength} characters` };
+    }
+    return { value: trimmed };
+}
+
+function validateUrl(value) {
+    if (typeof value !== 'string') {
+        return { error: 'must be a string' };
+    }
+    const trimmed = value.trim();
+    if (trimmed === '') {
+        return { value: null };
+    }
+    try {
+        const url = new URL(trimmed);
+        if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+            return { error: 'must be an http(s) URL' };
+        }
+    } catch (error) {
+        return { error: 'must be a valid URL (including http:// or https://)' };
+    }
+    return { value: trimmed };
+}
+
+function validateEmail(value) {
+    if (typeof value !== 'string') {
+        return { error: 'must be a string' };
+    }
+    const trimmed = value.trim();
+    if (trimmed === '') {
+        return { value: null };
+    }
+    if (!EMAIL_PATTERN.test(trimmed) || trimmed.length > MAX_TEXT_LENGTH) {
+        return { error: 'must be a valid email address' };
+    }
+    return { value: trimmed };
+}
+
+function validateCount(value) {
+    if (!Number.isInteger(value) || value < 0) {
+        return { error: 'must be a non-negative integer' };
+    }
+    return { value };
+}
+
+function validateBoolean(value) {
+    if (value === true || value === 1) return { value: true };
+    if (value === false || value === 0) return { value: false };
+    return { error: 'must be true or false' };
+}
+
+// Lists of names, e.g. the other departments of a joint appointment (stored lowercase)
+function validateList(value, rule) {
+    if (!Array.isArray(value) || value.some(name => typeof name !== 'string' || name.trim() === '')) {
+        return { error: `must be a list of ${rule.label}` };
+    }
+    if (value.some(name => name.trim().length > MAX_TEXT_LENGTH)) {
+        return { error: `names must be at most ${MAX_TEXT_LENGTH} characters` };
+    }
+    const names = value.map(name => (rule.lowercase ? name.trim().toLowerCase() : name.trim()));
+    return { value: [...new Set(names)] };
+}
+
+// Lists of record IDs, e.g. a professor's labs in order
+function validateIds(value, rule) {
+    if (!Array.isArray(value) || value.some(id => !Number.isInteger(id) || id < 1)) {
+        return { error: `must be a list of ${rule.label}` };
+    }
+    return { value: [...new Set(value)] };
+}
+
+// A single record ID, e.g. the professor an opening belongs to
+function validateId(value, rule) {
+    if (!Number.isInteger(value) || value < 1) {
+        return { error: `must be a ${rule.label}` };
+    }
+    return { value };
+}
+
+function validateEnum(value, rule) {
+    if (!rule.values.includes(value)) {
+        return { error: `must be one of ${rule.values.join(', ')}` };
+    }
+    return { value };
+}
+
+// Dates and times such as "2025-01-31" or "2025-01-31T12:00:00Z", stored as ISO strings
+function validateDate(value) {
+    const date = typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value.trim()) ? new Date(value.trim()) : null;
+    if (!date || isNaN(date.getTime())) {
+        return { error: 'must be a date (YYYY-MM-DD or an ISO timestamp)' };
+    }
+    if (date.getTime() > Date.now()) {
+        return { error: 'cannot be in the future' };
+    }
+    return { value: date.toISOString() };
+}
+
+// Calendar dates such as an application deadline ("2025-01-31"), stored as written
+function validateDay(value) {
+    const trimmed = typeof value === 'string' ? value.trim() : '';
+    const date = /^\d{4}-\d{2}-\d{2}$/.test(trimmed) ? new Date(`${trimmed}T00:00:00Z`) : null;
+    if (!date || isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== trimmed) {
+        return { error: 'must be a date (YYYY-MM-DD)' };
+    }
+    return { value: trimmed };
+}
+
+const VALIDATORS = {
+    text: validateText,
+    url: validateUrl,
+    email: validateEmail,
+    count: validateCount,
+    boolean: validateBoolean,
+    list: validateList,
+    ids: validateIds,
+    id: validateId,
+    enum: validateEnum,
+    date: validateDate,
+    day: validateDay
+};
+
+/**
+ * Check input against field rules such as FIELD_RULES
+ * @param {Object} input - Request body
+ * @param {Object} rules - Field rules keyed by field name
+ * @param {Object} options - { partial: true } for PATCH (only provided fields are checked)
+ * @returns {{ errors: Object|null, values: Object }} Field errors keyed by field name, and the normalized values
+ */
+function validateFields(input, rules, { partial = false } = {}) {
+    const errors = {};
+    const values = {};
+
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { errors: { body: 'must be a JSON object' }, values };
+    }
+
+    Object.keys(input).forEach(field => {
+        if (!rules[field]) {
+            errors[field] = 'is not a recognized field';
+        }
+    });
+
+    Object.entries(rules).forEach(([field, rule]) => {
+        const value = input[field];
+
+        if (value === undefined) {
+            if (rule.required && !partial) {
+                errors[field] = 'is required';
+            }
+            return;
+        }
+
+        if (value === null) {
+            if (rule.nullable === false) {
+                errors[field] = 'cannot be null';
+            } else if (rule.type === 'boolean') {
+                errors[field] = 'must be true or false';
+            } else if (rule.type === 'list' || rule.type === 'ids') {
+                values[field] = [];
+            } else {
+                values[field] = null;
+            }
+            return;
+        }
+
+        const result = VALIDATORS[rule.type](value, rule);
+        if (result.error) {
+            errors[field] = result.error;
+        } else {
+            values[field] = result.value;
+        }
+    });
+
+    if (partial && Object.keys(input).length === 0) {
+        errors.body = 'must include at least one field to update';
+    }
+
+    return {
+        errors: Object.keys(errors).length > 0 ? errors : null,
+        values
+    };
+}
+
+/**
+ * Validate professor input
+ * @param {Object} input - Request body
+ * @param {Object} options - { partial: true } for PATCH (only provided fields are checked)
+ * @returns {{ errors: Object|null, professor: Object }} Field errors keyed by field name, and the normalized values
+ */
+function validateProfessorInput(input, { partial = false } = {}) {
+    const { errors, values: professor } = validateFields(input, FIELD_RULES, { partial });
+
+    if (professor.department) {
+        // Department names are stored lowercase
+        professor.department = professor.department.toLowerCase();
+    }
+
+    return { errors, professor };
+}
+
+module.exports = {
+    FIELD_RULES,
+    STAT_SOURCES,
+    STAT_FIELDS,
+    STATS_PROVENANCE_FIELDS,
+    validateFields,
+    validateProfessorInput,
+    validateUrl
+};
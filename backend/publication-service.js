@@ -0,0 +1,547 @@
+/**
+ * Publication Service
+ * Reads publication lists from BibTeX (.bib) and CSV/XLSX files and adds them to
+ * professors' publications (see migrations/011_publications.js). Papers already on a
+ * professor's list, matched by DOI or by title and year, are updated instead of added.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const XLSX = require('xlsx');
+const db = require('./database');
+const { normalizeName } = require('./duplicate-service');
+const { validateUrl } = require('./professor-validation');
+
+const MAX_TITLE_LENGTH = 500;
+const MAX_VENUE_LENGTH = 300;
+const MIN_YEAR = 1900;
+const DOI_PATTERN = /^10\.\d{4,9}\/\S+$/;
+
+// CSV/XLSX headers for each field, compared after normalizeHeader (Google Scholar's export uses "Publication")
+const CSV_COLUMNS = {
+    title: ['title'],
+    venue: ['venue', 'journal', 'conference', 'booktitle', 'publication'],
+    year: ['year'],
+    authors: ['authors', 'author'],
+    url: ['url', 'link'],
+    doi: ['doi'],
+    professorId: ['professor id', 'professorid'],
+    professor: ['professor', 'professor name']
+};
+
+// BibTeX fields that name where a paper appeared, in order of preference
+const BIBTEX_VENUE_FIELDS = ['journal', 'booktitle', 'series', 'howpublished', 'school', 'institution', 'publisher'];
+
+// LaTeX accent commands and the combining characters they stand for
+const LATEX_ACCENTS = {
+    "'": '\u0301', '`': '\u0300', '^': '\u0302', '"': '\u0308', '~': '\u0303',
+    '=': '\u0304', '.': '\u0307', 'u': '\u0306', 'v': '\u030c', 'H': '\u030b', 'c': '\u0327'
+};
+// Letters written as commands (\i, the dotless i, only appears under an accent as in \'{\i})
+const LATEX_SYMBOLS = { ss: 'ß', o: 'ø', O: 'Ø', ae: 'æ', AE: 'Æ', aa: 'å', AA: 'Å', l: 'ł', L: 'Ł', i: 'i' };
+
+function normalizeHeader(header) {
+    return String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Turn a LaTeX-encoded BibTeX value into plain text
+ * e.g. "Erd{\H{o}}s and {\'E}mile" -> "Erdős and Émile"
+ */
+function latexToText(value) {
+    return value
+        .replace(/\\(ss|ae|AE|aa|AA|o|O|l|L|i)\b\s*/g, (match, symbol) => LATEX_SYMBOLS[symbol])
+        .replace(/\\([`'^"~=.])\s*\{?\s*([A-Za-z])\s*\}?/g, (match, accent, letter) => (letter + LATEX_ACCENTS[accent]).normalize('NFC'))
+        .replace(/\\([uvHc])\s*\{\s*([A-Za-z])\s*\}/g, (match, accent, letter) => (letter + LATEX_ACCENTS[accent]).normalize('NFC'))
+        .replace(/\\([&%$#_{}])/g, '$1')
+        .replace(/---/g, '—')
+        .replace(/--/g, '–')
+        .replace(/~/g, ' ')
+        .replace(/\\[a-zA-Z]+\s*/g, '') // Any other command (\emph, \textit, ...) keeps just its argument
+        .replace(/[{}]/g, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Parse BibTeX into entries of { type, key, fields, line }
+ * Field names are lowercase; values are raw (still LaTeX). @string macros are expanded
+ * and @comment/@preamble blocks are skipped.
+ */
+function parseBibtex(text) {
+    const entries = [];
+    const strings = {};
+    let pos = 0;
+
+    const lineAt = index => text.slice(0, index).split('\n').length;
+    const skipSpace = () => {
+        while (pos < text.length && /[\s,]/.test(text[pos])) pos++;
+    };
+    const fail = message => {
+        throw new Error(`BibTeX line ${lineAt(pos)}: ${message}`);
+    };
+
+    // A {braced} or "quoted" value, or a bare number/macro name, joined with #
+    const readValue = () => {
+        let value = '';
+        for (;;) {
+            skipSpace();
+            if (text[pos] === '{') {
+                let depth = 0;
+                const start = pos + 1;
+                do {
+                    if (text[pos] === '{') depth++;
+                    else if (text[pos] === '}') depth--;
+                    pos++;
+                } while (depth > 0 && pos < text.length);
+                if (depth > 0) fail('unclosed "{"');
+                value += text.slice(start, pos - 1);
+            } else if (text[pos] === '"') {
+                let depth = 0;
+                const start = ++pos;
+                while (pos < text.length && !(text[pos] === '"' && depth === 0)) {
+                    if (text[pos] === '{') depth++;
+                    else if (text[pos] === '}') depth--;
+                    pos++;
+                }
+                if (pos >= text.length) fail('unclosed quote');
+                value += text.slice(start, pos++);
+            } else {
+                const match = /^[^\s,#})]+/.exec(text.slice(pos));
+                if (!match) fail('expected a value');
+                pos += match[0].length;
+                const word = match[0].toLowerCase();
+                value += /^\d+$/.test(word) ? word : (strings[word] !== undefined ? strings[word] : match[0]);
+            }
+            skipSpace();
+            if (text[pos] !== '#') return value;
+            pos++;
+        }
+    };
+
+    while ((pos = text.indexOf('@', pos)) !== -1) {
+        const entryStart = pos;
+        const typeMatch = /^@\s*([a-zA-Z]+)\s*([{(])/.exec(text.slice(pos));
+        if (!typeMatch) {
+            pos++;
+            continue;
+        }
+        const type = typeMatch[1].toLowerCase();
+        const close = typeMatch[2] === '{' ? '}' : ')';
+        pos += typeMatch[0].length;
+
+        if (type === 'comment' || type === 'preamble') {
+            if (close === '}') {
+                pos--; // Back to the "{" so the block is read as one braced value
+                readValue();
+            } else {
+                pos = text.indexOf(')', pos) + 1 || text.length;
+            }
+            continue;
+        }
+
+        if (type === 'string') {
+            skipSpace();
+            const nameMatch = /^([^\s=]+)\s*=/.exec(text.slice(pos)) || fail('expected a @string name');
+            pos += nameMatch[0].length;
+            strings[nameMatch[1].toLowerCase()] = readValue();
+            skipSpace();
+            if (text[pos] === close) pos++;
+            continue;
+        }
+
+        skipSpace();
+        const keyMatch = /^[^\s,]+/.exec(text.slice(pos)) || fail('expected a citation key');
+        const key = keyMatch[0];
+        pos += key.length;
+
+        const fields = {};
+        for (;;) {
+            skipSpace();
+            if (text[pos] === close) {
+                pos++;
+                break;
+            }
+            const fieldMatch = /^([a-zA-Z][\w-]*)\s*=/.exec(text.slice(pos));
+            if (!fieldMatch) fail(`expected a field in @${type}{${key}}`);
+            pos += fieldMatch[0].length;
+            fields[fieldMatch[1].toLowerCase()] = readValue();
+        }
+
+        entries.push({ type, key, fields, line: lineAt(entryStart) });
+    }
+
+    return entries;
+}
+
+/**
+ * Split a BibTeX author list ("Doe, Jane and John Smith and others") into display names
+ */
+function parseBibtexAuthors(value) {
+    return latexToText(value.replace(/\s+/g, ' '))
+        .split(/\s+and\s+/i)
+        .map(name => name.trim())
+        .filter(name => name && name.toLowerCase() !== 'others')
+        .map(name => {
+            const parts = name.split(',').map(part => part.trim());
+            // "Last, First" or "Last, Jr, First"
+            if (parts.length === 2) return `${parts[1]} ${parts[0]}`.trim();
+            if (parts.length === 3) return `${parts[2]} ${parts[0]}, ${parts[1]}`.trim();
+            return name;
+        });
+}
+
+/**
+ * Publication input from a BibTeX entry
+ */
+function bibtexToInput(entry) {
+    const fields = entry.fields;
+    const venueField = BIBTEX_VENUE_FIELDS.find(field => fields[field]);
+    return {
+        title: fields.title !== undefined ? latexToText(fields.title) : undefined,
+        venue: venueField ? latexToText(fields[venueField]) : undefined,
+        year: fields.year,
+        authors: fields.author ? parseBibtexAuthors(fields.author) : undefined,
+        url: fields.url,
+        doi: fields.doi
+    };
+}
+
+/**
+ * Read publication records from a .bib, .csv, .xlsx or .xls file
+ * @returns {Array<{label: string, input: Object}>} `label` says where in the file the record is
+ */
+function readPublicationFile(filePath) {
+    if (!fs.existsSync(filePath)) {
+        throw new Error(`File not found: ${filePath}`);
+    }
+
+    const extension = path.extname(filePath).toLowerCase();
+    if (extension === '.bib') {
+        return parseBibtex(fs.readFileSync(filePath, 'utf8')).map(entry => ({
+            label: `@${entry.type}{${entry.key}} (line ${entry.line})`,
+            input: bibtexToInput(entry)
+        }));
+    }
+
+    if (!['.csv', '.xlsx', '.xls'].includes(extension)) {
+        throw new Error(`Unsupported file type "${extension}" (expected .bib, .csv, .xlsx or .xls)`);
+    }
+
+    // CSVs are read as UTF-8 text; SheetJS would otherwise guess latin1 unless the file starts with a BOM
+    const workbook = extension === '.csv'
+        ? XLSX.read(fs.readFileSync(filePath, 'utf8').replace(/^\ufeff/, ''), { type: 'string' })
+        : XLSX.readFile(filePath);
+    const worksheet = workbook.Sheets[workbook.SheetNames[0]];
+    const records = XLSX.utils.sheet_to_json(worksheet, { defval: '' });
+
+    return records.map((record, index) => {
+        const values = {};
+        Object.entries(record).forEach(([header, value]) => {
+            values[normalizeHeader(header)] = typeof value === 'string' ? value.trim() : value;
+        });
+
+        const input = {};
+        Object.entries(CSV_COLUMNS).forEach(([field, headers]) => {
+            const header = headers.map(normalizeHeader).find(key => values[key] !== undefined && values[key] !== '');
+            if (header) input[field] = values[header];
+        });
+        if (typeof input.authors === 'string') {
+            // "A. Smith; B. Jones" (Google Scholar) or "A. Smith and B. Jones"
+            input.authors = input.authors.split(/;|\s+and\s+/i).map(name => name.trim()).filter(Boolean);
+        }
+
+        return { label: `row ${index + 2}`, input }; // Row 1 is the header
+    }).filter(record => Object.keys(record.input).length > 0);
+}
+
+/**
+ * Bare, lowercase DOI from "10.1000/XYZ", "doi:10.1000/xyz" or "https://doi.org/10.1000/xyz"
+ */
+function normalizeDoi(value) {
+    return String(value).trim().replace(/^(https?:\/\/(dx\.)?doi\.org\/|doi:\s*)/i, '').toLowerCase();
+}
+
+/**
+ * Validate one publication
+ * @returns {{ errors: Object|null, publication: Object }} errors keyed by field, and the normalized values
+ */
+function validatePublication(input) {
+    const errors = {};
+    const publication = { title: null, venue: null, year: null, authors: [], url: null, doi: null };
+
+    const title = input.title === undefined || input.title === null ? '' : String(input.title).trim();
+    if (!title) {
+        errors.title = 'is required';
+    } else if (title.length > MAX_TITLE_LENGTH) {
+        errors.title = `must be at most ${MAX_TITLE_LENGTH} characters`;
+    } else {
+        publication.title = title;
+    }
+
+    if (input.venue !== undefined && input.venue !== null && String(input.venue).trim() !== '') {
+        const venue = String(input.venue).trim();
+        if (venue.length > MAX_VENUE_LENGTH) {
+            errors.venue = `must be at most ${MAX_VENUE_LENGTH} characters`;
+        } else {
+            publication.venue = venue;
+        }
+    }
+
+    if (input.year !== undefined && input.year !== null && String(input.year).trim() !== '') {
+        const year = Number(String(input.year).trim());
+        const maxYear = new Date().getFullYear() + 1; // Accepted papers can carry next year's date
+        if (!Number.isInteger(year) || year < MIN_YEAR || year > maxYear) {
+            errors.year = `must be a year between ${MIN_YEAR} and ${maxYear}`;
+        } else {
+            publication.year = year;
+        }
+    }
+
+    if (input.authors !== undefined && input.authors !== null) {
+        if (!Array.isArray(input.authors) || input.authors.some(name => typeof name !== 'string')) {
+            errors.authors = 'must be a list of names';
+        } else {
+            publication.authors = input.authors.map(name => name.trim()).filter(Boolean);
+        }
+    }
+
+    if (input.url !== undefined && input.url !== null) {
+        const result = validateUrl(String(input.url));
+        if (result.error) {
+            errors.url = result.error;
+        } else {
+            publication.url = result.value;
+        }
+    }
+
+    if (input.doi !== undefined && input.doi !== null && String(input.doi).trim() !== '') {
+        const doi = normalizeDoi(input.doi);
+        if (!DOI_PATTERN.test(doi)) {
+            errors.doi = 'must be a DOI such as 10.1000/xyz123';
+        } else {
+            publication.doi = doi;
+        }
+    }
+
+    // Link to the DOI when the file has no URL
+    if (!publication.url && publication.doi) {
+        publication.url = `https://doi.org/${publication.doi}`;
+    }
+
+    return {
+        errors: Object.keys(errors).length > 0 ? errors : null,
+        publication
+    };
+}
+
+/**
+ * Find the professor a CSV row names with its Professor ID or Professor column
+ * @returns {Promise<{professor: Object|null, error: string|null}>}
+ */
+async function findRowProfessor(input, department, professors) {
+    if (input.professorId !== undefined) {
+        const id = Number(input.professorId);
+        const professor = Number.isInteger(id) ? professors.find(prof => prof.id === id) : null;
+        return professor ? { professor, error: null } : { professor: null, error: `ID ${input.professorId} not found` };
+    }
+    if (input.professor !== undefined) {
+        const name = normalizeName(String(input.professor));
+        const matches = professors.filter(prof => normalizeName(prof.name) === name);
+        if (matches.length === 1) return { professor: matches[0], error: null };
+        const where = department ? ` in ${department}` : '';
+        return {
+            professor: null,
+            error: matches.length === 0
+                ? `"${input.professor}" not found${where}`
+                : `"${input.professor}" matches several professors${where}; use a Professor ID column`
+        };
+    }
+    return { professor: null, error: 'is missing (add a Professor ID or Professor column)' };
+}
+
+function sameAuthors(a, b) {
+    return a.length === b.length && a.every((name, index) => name === b[index]);
+}
+
+/**
+ * Work out what importing the records would do, without writing anything
+ * @param {Array} records - From readPublicationFile
+ * @param {Object} options - { professorId: put every record on this professor's list,
+ *   department: where to look up professors named in the file, replace: also remove
+ *   papers on those professors' lists that the file doesn't have }
+ * @returns {Promise<Array>} Actions: add, update, unchanged, skipped, error and remove
+ */
+async function planPublicationImport(records, { professorId = null, department = null, replace = false } = {}) {
+    let professors;
+    if (professorId !== null) {
+        const row = await db.getProfessorById(professorId);
+        if (!row) {
+            throw new Error(`Professor ${professorId} not found`);
+        }
+        professors = [db.formatProfessor(row)];
+    } else if (department) {
+        professors = await db.getProfessorsByDepartment(department);
+    } else {
+        professors = (await db.getAllProfessors()).map(db.formatProfessor);
+    }
+
+    // Each professor's current list, loaded once
+    const lists = new Map();
+    const listFor = async professor => {
+        if (!lists.has(professor.id)) {
+            const { publications } = await db.getPublicationsByProfessor(professor.id);
+            lists.set(professor.id, { professor, existing: publications, matchedIds: new Set(), addedKeys: new Set() });
+        }
+        return lists.get(professor.id);
+    };
+
+    const actions = [];
+    for (const { label, input } of records) {
+        const { errors, publication } = validatePublication(input);
+        if (errors) {
+            actions.push({ type: 'error', label, title: input.title || null, errors });
+            continue;
+        }
+
+        const { professor, error } = professorId !== null
+            ? { professor: professors[0], error: null }
+            : await findRowProfessor(input, department, professors);
+        if (!professor) {
+            actions.push({ type: 'error', label, title: publication.title, errors: { professor: error } });
+            continue;
+        }
+
+        const list = await listFor(professor);
+        const base = { label, title: publication.title, professorId: professor.id, professorName: professor.name };
+        const titleKey = db.publicationMatchKey({ title: publication.title, year: publication.year });
+        const existing = list.existing.find(paper => publication.doi && paper.doi === publication.doi)
+            || list.existing.find(paper => db.publicationMatchKey({ title: paper.title, year: paper.year }) === titleKey);
+
+        const key = db.publicationMatchKey(publication);
+        if (existing ? list.matchedIds.has(existing.id) : list.addedKeys.has(key)) {
+            actions.push({ ...base, type: 'skipped', reason: 'same paper appears earlier in the file' });
+            continue;
+        }
+        if (!existing) {
+            list.addedKeys.add(key);
+            actions.push({ ...base, type: 'add', publication });
+            continue;
+        }
+        list.matchedIds.add(existing.id);
+
+        const changes = {};
+        const updated = {};
+        Object.keys(publication).forEach(field => {
+            const before = existing[field];
+            const value = publication[field];
+            const changed = field === 'authors' ? !sameAuthors(before, value) : before !== value;
+            // A file without a value doesn't clear one already on the list
+            const blank = value === null || (field === 'authors' && value.length === 0);
+            if (changed && !blank) {
+                changes[field] = { from: before, to: value };
+            }
+            updated[field] = changes[field] ? value : before;
+        });
+
+        actions.push({
+            ...base,
+            type: Object.keys(changes).length > 0 ? 'update' : 'unchanged',
+            publicationId: existing.id,
+            publication: updated,
+            changes
+        });
+    }
+
+    if (replace) {
+        for (const { professor, existing, matchedIds } of lists.values()) {
+            existing
+                .filter(paper => !matchedIds.has(paper.id))
+                .forEach(paper => actions.push({
+                    type: 'remove',
+                    title: paper.title,
+                    professorId: professor.id,
+                    professorName: professor.name,
+                    publicationId: paper.id
+                }));
+        }
+    }
+
+    return actions;
+}
+
+/**
+ * Write planned add/update/remove actions to the database
+ * @returns {Promise<Array>} Errors as { title, error } for actions that failed
+ */
+async function applyPublicationPlan(actions) {
+    const failures = [];
+
+    for (const action of actions) {
+        try {
+            if (action.type === 'add') {
+                await db.addPublication(action.professorId, action.publication);
+            } else if (action.type === 'update') {
+                await db.updatePublicationById(action.publicationId, action.publication);
+            } else if (action.type === 'remove') {
+                await db.deletePublicationById(action.publicationId);
+            }
+        } catch (error) {
+            failures.push({ title: action.title, error: error.message });
+        }
+    }
+
+    return failures;
+}
+
+function formatValue(value) {
+    if (value === null || value === undefined || value === '') return '(empty)';
+    if (Array.isArray(value)) return value.join(', ') || '(empty)';
+    return typeof value === 'string' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Format planned actions as terminal lines
+ */
+function formatPublicationReport(actions) {
+    const lines = [];
+    const counts = { add: 0, update: 0, remove: 0, unchanged: 0, skipped: 0, error: 0 };
+
+    actions.forEach(action => {
+        counts[action.type]++;
+        const who = action.professorName ? ` - ${action.professorName} (#${action.professorId})` : '';
+        if (action.type === 'add') {
+            const { venue, year } = action.publication;
+            lines.push(`   ➕ Add: ${action.title}${who}`);
+            lines.push(`         ${[venue, year].filter(Boolean).join(', ') || 'no venue or year'}`);
+        } else if (action.type === 'update') {
+            lines.push(`   ✏️  Update: ${action.title}${who}`);
+            Object.entries(action.changes).forEach(([field, change]) => {
+                lines.push(`         ${field}: ${formatValue(change.from)} → ${formatValue(change.to)}`);
+            });
+        } else if (action.type === 'remove') {
+            lines.push(`   🗑️  Remove: ${action.title}${who}`);
+        } else if (action.type === 'skipped') {
+            lines.push(`   ⏭️  Skip: ${action.title} (${action.label}): ${action.reason}`);
+        } else if (action.type === 'error') {
+            const details = Object.entries(action.errors).map(([field, msg]) => `${field} ${msg}`).join('; ');
+            lines.push(`   ❌ Failed to read ${action.label}${action.title ? ` (${action.title})` : ''}: ${details}`);
+        }
+    });
+
+    lines.push('');
+    lines.push(`📊 Summary: ${counts.add} to add, ${counts.update} to update, ${counts.remove} to remove, ` +
+        `${counts.unchanged} unchanged, ${counts.skipped} skipped, ${counts.error} failed`);
+
+    return lines;
+}
+
+module.exports = {
+    parseBibtex,
+    latexToText,
+    readPublicationFile,
+    validatePublication,
+    planPublicationImport,
+    applyPublicationPlan,
+    formatPublicationReport
+};
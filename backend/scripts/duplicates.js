@@ -0,0 +1,125 @@
+#!/usr/bin/env node
+
+/**
+ * Script to find and merge duplicate professor records
+ * Usage:
+ *   node scripts/duplicates.js list [--min-score 0.75] [--cross-department]
+ *   node scripts/duplicates.js merge <survivorId> <duplicateId>
+ *   node scripts/duplicates.js undo <mergeId>
+ *   node scripts/duplicates.js history
+ *
+ * Merging copies any fields the survivor is missing, moves the duplicate's views,
+ * clicks, stars and publications onto the survivor, lists the survivor in the duplicate's
+ * departments and deletes the duplicate. Every merge is recorded and can be
+ * reversed with `undo`.
+ *
+ * Example:
+ * node scripts/duplicates.js list
+ * node scripts/duplicates.js merge 196 146
+ */
+
+const db = require('../database');
+const duplicateService = require('../duplicate-service');
+
+function printUsage() {
+    console.log('Usage:');
+    console.log('  node scripts/duplicates.js list [--min-score 0.75] [--cross-department]');
+    console.log('  node scripts/duplicates.js merge <survivorId> <duplicateId>');
+    console.log('  node scripts/duplicates.js undo <mergeId>');
+    console.log('  node scripts/duplicates.js history');
+}
+
+function describe(prof) {
+    const stats = `${prof.numLabMembers ?? 0} lab members, ${prof.numUndergradResearchers ?? 0} undergrads, ${prof.numPublishedPapers ?? 0} papers`;
+    return `#${prof.id} ${prof.name} (${prof.departments.join(', ')}) - ${prof.email || 'no email'}, ${prof.labWebsite || 'no lab website'}, ${stats}`;
+}
+
+function printMerge(merge) {
+    const status = merge.undoneAt ? `undone ${merge.undoneAt}` : 'active';
+    console.log(`   Merge #${merge.id} (${merge.mergedAt}, ${status})`);
+    console.log(`      ${merge.mergedName} (#${merge.mergedId}) → ${merge.survivorName || 'deleted professor'} (#${merge.survivorId})`);
+    console.log(`      Moved ${merge.moved.views} views, ${merge.moved.clicks} clicks, ${merge.moved.stars} stars, ${merge.moved.publications} publications`);
+    if (merge.filledFields.length > 0) {
+        console.log(`      Filled in: ${merge.filledFields.join(', ')}`);
+    }
+}
+
+async function listDuplicates(args) {
+    const minScoreIndex = args.indexOf('--min-score');
+    const minScore = minScoreIndex !== -1 ? parseFloat(args[minScoreIndex + 1]) : duplicateService.DEFAULT_MIN_SCORE;
+    if (Number.isNaN(minScore) || minScore < 0 || minScore > 1) {
+        throw new Error('--min-score must be a number between 0 and 1');
+    }
+
+    const candidates = await duplicateService.findDuplicates({
+        minScore,
+        crossDepartment: args.includes('--cross-department')
+    });
+
+    if (candidates.length === 0) {
+        console.log(`\n✅ No likely duplicates found (min score ${minScore})\n`);
+        return;
+    }
+
+    console.log(`\n🔍 Found ${candidates.length} likely duplicate pair(s):\n`);
+    candidates.forEach((candidate, index) => {
+        console.log(`${index + 1}. Score ${candidate.score.toFixed(2)} - ${candidate.reasons.join(', ')}`);
+        candidate.professors.forEach(prof => console.log(`   ${describe(prof)}`));
+        console.log(`   → node scripts/duplicates.js merge ${candidate.suggestedSurvivorId} ${candidate.suggestedMergedId}`);
+        console.log('');
+    });
+}
+
+async function main() {
+    const [command, ...args] = process.argv.slice(2);
+
+    try {
+        await db.initDatabase();
+
+        if (command === 'list' || command === undefined) {
+            await listDuplicates(args);
+        } else if (command === 'merge') {
+            const survivorId = parseInt(args[0], 10);
+            const mergedId = parseInt(args[1], 10);
+            if (!survivorId || !mergedId) {
+                printUsage();
+                process.exit(1);
+            }
+
+            const merge = await db.mergeProfessors(survivorId, mergedId);
+            console.log('\n✅ Merged:');
+            printMerge(merge);
+            console.log(`\n   To undo: node scripts/duplicates.js undo ${merge.id}\n`);
+        } else if (command === 'undo') {
+            const mergeId = parseInt(args[0], 10);
+            if (!mergeId) {
+                printUsage();
+                process.exit(1);
+            }
+
+            const merge = await db.undoProfessorMerge(mergeId);
+            console.log('\n↩️  Undid merge:');
+            printMerge(merge);
+            console.log('');
+        } else if (command === 'history') {
+            const merges = await db.getProfessorMerges();
+            if (merges.length === 0) {
+                console.log('\nNo merges recorded yet\n');
+            } else {
+                console.log(`\n📋 Recent merges:\n`);
+                merges.forEach(printMerge);
+                console.log('');
+            }
+        } else {
+            printUsage();
+            process.exit(1);
+        }
+
+        process.exit(0);
+    } catch (error) {
+        console.error(`❌ Error: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+main();
@@ -112,7 +112,6 @@ async function importPhysicsFaculty() {
                         numUndergradResearchers: 0,
                         numLabMembers: 0,
                         numPublishedPapers: 0,
-                        isRecruiting: false,
                         isTranslucent: false
                     });
                     console.log(`   ✅ Added: ${faculty.name} (${faculty.title}) - 0 0 0`);
@@ -0,0 +1,119 @@
+#!/usr/bin/env node
+
+/**
+ * Script to import/update professors from an XLSX, CSV or JSON file
+ * Usage: node scripts/import-professors.js <file> <department | config-path> [options]
+ *
+ * Options:
+ *   --dry-run          Print what would change without writing to the database
+ *   --report <file>    Also write the per-professor report as JSON
+ *   --remove-missing   Remove professors in the department that the file no longer lists
+ *
+ * Columns are mapped by the department's config in import-configs/ (see base.js for
+ * the shared header names). To support a new department, add a config file there.
+ *
+ * Examples:
+ * node scripts/import-professors.js "Physics Profs.xlsx" physics --dry-run --report physics-diff.json
+ * node scripts/import-professors.js "Physics Profs.xlsx" physics
+ * node scripts/import-professors.js econ.csv economics --remove-missing
+ */
+
+const fs = require('fs');
+const db = require('../database');
+const importService = require('../import-service');
+
+function printUsage() {
+    console.log('Usage: node scripts/import-professors.js <file> <department | config-path> [--dry-run] [--report <file>] [--remove-missing]');
+    console.log(`\nDepartments with configs: ${importService.listConfigs().join(', ')}`);
+    console.log('\nExample:');
+    console.log('  node scripts/import-professors.js "Physics Profs.xlsx" physics --dry-run');
+}
+
+function parseArgs(argv) {
+    const options = { positional: [], dryRun: false, removeMissing: false, reportPath: null };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--dry-run') {
+            options.dryRun = true;
+        } else if (arg === '--remove-missing') {
+            options.removeMissing = true;
+        } else if (arg === '--report') {
+            options.reportPath = argv[++i];
+            if (!options.reportPath) return null;
+        } else if (arg.startsWith('--')) {
+            return null;
+        } else {
+            options.positional.push(arg);
+        }
+    }
+
+    return options.positional.length === 2 ? options : null;
+}
+
+async function importProfessors() {
+    const options = parseArgs(process.argv.slice(2));
+
+    if (!options) {
+        printUsage();
+        process.exit(1);
+    }
+
+    const [filePath, configName] = options.positional;
+
+    try {
+        const config = importService.loadConfig(configName);
+
+        console.log(`\n📊 Reading ${filePath} (department: ${config.department})\n`);
+        const rows = importService.readRows(filePath, config);
+        if (rows.length === 0) {
+            throw new Error('File has no professor rows');
+        }
+        console.log(`   Found ${rows.length} rows\n`);
+
+        // Dry runs open the database read-only, so nothing (not even a migration) is written
+        if (options.dryRun) {
+            await db.openDatabase({ readOnly: true });
+        } else {
+            await db.initDatabase();
+        }
+
+        const actions = await importService.planImport(rows, config, { removeMissing: options.removeMissing });
+
+        console.log(options.dryRun
+            ? `\n📋 Dry run for ${config.department} - no changes will be written\n`
+            : `\n📋 Changes for ${config.department}\n`);
+        importService.formatReport(actions).forEach(line => console.log(line));
+
+        let failures = [];
+        if (!options.dryRun) {
+            failures = await importService.applyPlan(actions);
+            if (failures.length > 0) {
+                console.log(`\n❌ ${failures.length} change(s) could not be written:`);
+                failures.forEach(f => console.log(`   ${f.name}: ${f.error}`));
+            }
+        }
+
+        if (options.reportPath) {
+            const report = importService.buildReport(actions, {
+                source: filePath,
+                department: config.department,
+                dryRun: options.dryRun,
+                removeMissing: options.removeMissing,
+                writeErrors: failures
+            });
+            fs.writeFileSync(options.reportPath, JSON.stringify(report, null, 2));
+            console.log(`\n📝 Report written to ${options.reportPath}`);
+        }
+
+        console.log(options.dryRun
+            ? '\n✅ Dry run complete. Re-run without --dry-run to apply.\n'
+            : '\n✅ Import complete!\n');
+        process.exit(failures.length > 0 ? 1 : 0);
+    } catch (error) {
+        console.error(`\n❌ Error: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+importProfessors();
@@ -0,0 +1,113 @@
+#!/usr/bin/env node
+
+/**
+ * Script to import professors' publications from a BibTeX, CSV or XLSX file
+ * Usage: node scripts/import-publications.js <file> [--professor <id>] [--department <name>] [--replace] [--dry-run]
+ *
+ * Options:
+ *   --professor <id>     Add every paper in the file to this professor (e.g. their Google Scholar BibTeX export)
+ *   --department <name>  Look up the professors a CSV's "Professor" column names in this department
+ *   --replace            Also remove papers on those professors' lists that the file doesn't have
+ *   --dry-run            Print what would change without writing to the database
+ *
+ * Without --professor, each CSV row needs a "Professor ID" or "Professor" (name) column.
+ * Other CSV columns: Title, Venue (or Journal/Publication), Year, Authors (separated by
+ * ";" or "and"), URL and DOI. Papers already on a professor's list (same DOI, or same
+ * title and year) are updated rather than added twice. A professor's paper count is
+ * taken from their publications once they have any.
+ *
+ * Examples:
+ * node scripts/import-publications.js barber.bib --professor 1 --dry-run
+ * node scripts/import-publications.js statistics-papers.csv --department statistics
+ */
+
+const db = require('../database');
+const publicationService = require('../publication-service');
+
+function printUsage() {
+    console.log('Usage: node scripts/import-publications.js <file> [--professor <id>] [--department <name>] [--replace] [--dry-run]');
+    console.log('\nExample:');
+    console.log('  node scripts/import-publications.js barber.bib --professor 1 --dry-run');
+}
+
+function parseArgs(argv) {
+    const options = { positional: [], professorId: null, department: null, replace: false, dryRun: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--dry-run') {
+            options.dryRun = true;
+        } else if (arg === '--replace') {
+            options.replace = true;
+        } else if (arg === '--professor') {
+            options.professorId = parseInt(argv[++i], 10);
+            if (!Number.isInteger(options.professorId) || options.professorId < 1) return null;
+        } else if (arg === '--department') {
+            options.department = argv[++i] ? argv[i].toLowerCase() : null;
+            if (!options.department) return null;
+        } else if (arg.startsWith('--')) {
+            return null;
+        } else {
+            options.positional.push(arg);
+        }
+    }
+
+    return options.positional.length === 1 ? options : null;
+}
+
+async function importPublications() {
+    const options = parseArgs(process.argv.slice(2));
+
+    if (!options) {
+        printUsage();
+        process.exit(1);
+    }
+
+    const [filePath] = options.positional;
+
+    try {
+        console.log(`\n📚 Reading ${filePath}\n`);
+        const records = publicationService.readPublicationFile(filePath);
+        if (records.length === 0) {
+            throw new Error('File has no publications');
+        }
+        console.log(`   Found ${records.length} publications\n`);
+
+        // Dry runs open the database read-only, so nothing (not even a migration) is written
+        if (options.dryRun) {
+            await db.openDatabase({ readOnly: true });
+        } else {
+            await db.initDatabase();
+        }
+
+        const actions = await publicationService.planPublicationImport(records, {
+            professorId: options.professorId,
+            department: options.department,
+            replace: options.replace
+        });
+
+        console.log(options.dryRun
+            ? '\n📋 Dry run - no changes will be written\n'
+            : '\n📋 Changes\n');
+        publicationService.formatPublicationReport(actions).forEach(line => console.log(line));
+
+        let failures = [];
+        if (!options.dryRun) {
+            failures = await publicationService.applyPublicationPlan(actions);
+            if (failures.length > 0) {
+                console.log(`\n❌ ${failures.length} change(s) could not be written:`);
+                failures.forEach(f => console.log(`   ${f.title}: ${f.error}`));
+            }
+        }
+
+        console.log(options.dryRun
+            ? '\n✅ Dry run complete. Re-run without --dry-run to apply.\n'
+            : '\n✅ Import complete!\n');
+        process.exit(failures.length > 0 ? 1 : 0);
+    } catch (error) {
+        console.error(`\n❌ Error: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+importPublications();
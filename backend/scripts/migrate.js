@@ -1,56 +1,116 @@
+#!/usr/bin/env node
+
+/**
+ * Script to import the legacy database.json data into SQLite
+ * Usage: node scripts/migrate.js [json-path] [--dry-run] [--report <file>]
+ *
+ * Professors go through the same planner as scripts/import-professors.js, so re-running
+ * updates existing records instead of adding duplicates. --dry-run prints the
+ * per-professor changes without writing; --report also saves them as JSON.
+ *
+ * The schema itself is managed by the migrations in ../migrations (see ../migrate.js);
+ * initDatabase() applies any pending ones before the import starts.
+ */
+
 const fs = require('fs').promises;
 const path = require('path');
 const db = require('../database');
+const importService = require('../import-service');
+const base = require('../import-configs/base');
+
+function parseArgs(argv) {
+    const options = { jsonPath: path.join(__dirname, '..', 'database.json'), dryRun: false, reportPath: null };
+
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--dry-run') {
+            options.dryRun = true;
+        } else if (argv[i] === '--report') {
+            options.reportPath = argv[++i];
+        } else {
+            options.jsonPath = argv[i];
+        }
+    }
+
+    return options;
+}
 
 async function migrate() {
-    console.log('🔄 Starting migration from JSON to SQLite...');
-    
-    // Initialize database
-    await db.initDatabase();
-    
+    const options = parseArgs(process.argv.slice(2));
+    console.log(`🔄 Starting migration from JSON to SQLite${options.dryRun ? ' (dry run)' : ''}...`);
+
     // Read JSON database
-    const jsonPath = path.join(__dirname, '..', 'database.json');
-    const jsonData = JSON.parse(await fs.readFile(jsonPath, 'utf8'));
-    
-    // Migrate departments and professors
-    console.log('📦 Migrating departments and professors...');
+    const jsonData = JSON.parse(await fs.readFile(options.jsonPath, 'utf8'));
+
+    // Dry runs open the database read-only; otherwise apply pending schema migrations first
+    if (options.dryRun) {
+        await db.openDatabase({ readOnly: true });
+    } else {
+        await db.initDatabase();
+    }
+
+    // Plan departments and professors
+    console.log('📦 Comparing departments and professors...');
     const departments = jsonData.departments || {};
-    
+    const actions = [];
+
     for (const [deptName, professors] of Object.entries(departments)) {
-        console.log(`  - Migrating ${deptName}: ${professors.length} professors`);
-        
-        for (const prof of professors) {
-            try {
-                await db.addProfessor(deptName, prof);
-            } catch (err) {
-                console.error(`    Error adding professor ${prof.name}:`, err.message);
-            }
-        }
+        console.log(`  - ${deptName}: ${professors.length} professors`);
+        const config = { department: deptName, columns: base.columns };
+        actions.push(...await importService.planImport(importService.rowsFromRecords(professors), config));
     }
-    
-    // Migrate trending labs
-    console.log('🔥 Migrating trending labs...');
+
+    console.log('');
+    importService.formatReport(actions).forEach(line => console.log(line));
+
     const trendingLabs = jsonData.trendingLabs || {};
-    
+    console.log(`\n🔥 Trending labs${options.dryRun ? ' (would be replaced)' : ''}:`);
     for (const [deptName, labs] of Object.entries(trendingLabs)) {
         if (labs.length > 0) {
-            console.log(`  - ${deptName}: ${labs.length} trending labs`);
-            try {
-                await db.setTrendingLabs(deptName, labs);
-            } catch (err) {
-                console.error(`    Error setting trending labs for ${deptName}:`, err.message);
+            console.log(`  - ${deptName}: ${labs.join(', ')}`);
+        }
+    }
+
+    let failures = [];
+    if (!options.dryRun) {
+        console.log('\n💾 Writing changes...');
+        failures = await importService.applyPlan(actions);
+        failures.forEach(f => console.error(`    Error saving professor ${f.name}:`, f.error));
+
+        for (const [deptName, labs] of Object.entries(trendingLabs)) {
+            if (labs.length > 0) {
+                try {
+                    await db.setTrendingLabs(deptName, labs);
+                } catch (err) {
+                    console.error(`    Error setting trending labs for ${deptName}:`, err.message);
+                }
             }
         }
     }
-    
+
+    if (options.reportPath) {
+        const report = importService.buildReport(actions, {
+            source: options.jsonPath,
+            dryRun: options.dryRun,
+            trendingLabs,
+            writeErrors: failures
+        });
+        await fs.writeFile(options.reportPath, JSON.stringify(report, null, 2));
+        console.log(`\n📝 Report written to ${options.reportPath}`);
+    }
+
+    if (options.dryRun) {
+        console.log('\n✅ Dry run complete. Re-run without --dry-run to apply.');
+        return;
+    }
+
     console.log('✅ Migration complete!');
-    console.log(`📊 Database saved to: ${path.join(__dirname, '..', 'database.db')}`);
-    
+    console.log(`📊 Database saved to: ${db.DB_PATH}`);
+
     // Verify migration
     const allDepts = await db.getAllDepartments();
     console.log(`\n📈 Verification:`);
     console.log(`   - Departments: ${allDepts.length}`);
-    
+
     for (const dept of allDepts) {
         const profs = await db.getProfessorsByDepartment(dept.name);
         console.log(`   - ${dept.name}: ${profs.length} professors`);
@@ -59,4 +119,3 @@ async function migrate() {
 
 // Run migration
 migrate().catch(console.error);
-
@@ -0,0 +1,82 @@
+#!/usr/bin/env node
+
+/**
+ * Script to refresh professor stats from lab websites, ORCID and Semantic Scholar
+ * Usage: node scripts/refresh-stats.js [--department <name>] [--provider <name>]... [--stale-only] [--dry-run]
+ *                                      [--fixtures <dir>] [--record-fixtures]
+ *
+ * Values are saved with the provider as their source. Stats entered by hand or
+ * imported from a spreadsheet are only replaced once they are stale.
+ *
+ * --fixtures <dir> replays recorded responses from <dir> instead of going to the
+ * network (professors with no recordings are skipped, not failed); add
+ * --record-fixtures to make live requests and save them there.
+ *
+ * Example:
+ * node scripts/refresh-stats.js --department statistics --dry-run
+ * node scripts/refresh-stats.js --provider orcid --fixtures stats-providers/fixtures --dry-run
+ */
+
+const db = require('../database');
+const statsProviders = require('../stats-providers');
+const { useFixtures } = require('../stats-providers/http-client');
+const { refreshStats } = require('../stats-refresh');
+
+function printUsage() {
+    console.log('Usage: node scripts/refresh-stats.js [--department <name>] [--provider <name>]... [--stale-only] [--dry-run]');
+    console.log('                                     [--fixtures <dir>] [--record-fixtures]');
+    console.log(`\nProviders: ${statsProviders.getProviderNames().join(', ')}`);
+    console.log('\nExample:');
+    console.log('  node scripts/refresh-stats.js --department statistics --dry-run');
+}
+
+function optionValues(args, flag) {
+    const values = [];
+    args.forEach((arg, index) => {
+        if (arg === flag) values.push(args[index + 1]);
+    });
+    return values;
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+    if (args.includes('--help')) {
+        printUsage();
+        process.exit(0);
+    }
+
+    const [department = null] = optionValues(args, '--department');
+    const providers = optionValues(args, '--provider');
+    const [fixturesDir = null] = optionValues(args, '--fixtures');
+    const dryRun = args.includes('--dry-run');
+
+    const unknown = providers.filter(name => !statsProviders.getProviderNames().includes(name));
+    if (unknown.length > 0 || providers.includes(undefined) || (args.includes('--record-fixtures') && !fixturesDir)) {
+        printUsage();
+        process.exit(1);
+    }
+    if (fixturesDir) {
+        useFixtures(fixturesDir, { record: args.includes('--record-fixtures') });
+    }
+
+    try {
+        await db.initDatabase();
+
+        console.log(`\n🔄 Refreshing stats${department ? ` for ${department}` : ''}${dryRun ? ' (dry run, nothing is saved)' : ''}...\n`);
+        const summary = await refreshStats({
+            department,
+            providers: providers.length > 0 ? providers : null,
+            staleOnly: args.includes('--stale-only'),
+            dryRun,
+            log: message => console.log(`   ${message}`)
+        });
+
+        console.log(`\n📊 Checked ${summary.checked} professors: ${summary.updated} ${dryRun ? 'would change' : 'updated'}, ${summary.unchanged} unchanged, ${summary.notFound} not found${fixturesDir ? `, ${summary.notRecorded} without recorded responses` : ''}, ${summary.failed} failed\n`);
+        process.exit(summary.failed > 0 ? 1 : 0);
+    } catch (error) {
+        console.error('❌ Error refreshing stats:', error.message);
+        process.exit(1);
+    }
+}
+
+main();
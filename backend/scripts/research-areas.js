@@ -0,0 +1,75 @@
+#!/usr/bin/env node
+
+/**
+ * Script to review and tidy the research area taxonomy
+ * Usage:
+ *   node scripts/research-areas.js list
+ *   node scripts/research-areas.js alias <area> <alias>
+ *   node scripts/research-areas.js merge <fromArea> <intoArea>
+ *   node scripts/research-areas.js parent <area> <parentArea|none>
+ *
+ * Areas can be given by canonical name or alias. Merging moves the first area's
+ * professors, aliases and child areas onto the second and keeps the old name as an
+ * alias, so imports that still use it are tagged with the canonical area.
+ *
+ * Example:
+ * node scripts/research-areas.js alias "Machine Learning" "Statistical Learning"
+ * node scripts/research-areas.js merge "Deep Nets" "Machine Learning"
+ */
+
+const db = require('../database');
+
+function printUsage() {
+    console.log('Usage:');
+    console.log('  node scripts/research-areas.js list');
+    console.log('  node scripts/research-areas.js alias <area> <alias>');
+    console.log('  node scripts/research-areas.js merge <fromArea> <intoArea>');
+    console.log('  node scripts/research-areas.js parent <area> <parentArea|none>');
+}
+
+function printTree(areas, parent = null, depth = 0) {
+    areas
+        .filter(area => area.parent === parent)
+        .forEach(area => {
+            const aliases = area.aliases.length > 0 ? ` (also: ${area.aliases.join(', ')})` : '';
+            console.log(`${'   '.repeat(depth + 1)}${area.name} - ${area.professorCount} professor(s)${aliases}`);
+            printTree(areas, area.name, depth + 1);
+        });
+}
+
+async function main() {
+    const [command, ...args] = process.argv.slice(2);
+
+    try {
+        await db.initDatabase();
+
+        if (command === 'list' || command === undefined) {
+            const areas = await db.getResearchAreas();
+            console.log(`\n📚 ${areas.length} research areas:\n`);
+            printTree(areas);
+            console.log('');
+        } else if (command === 'alias' && args.length === 2) {
+            const added = await db.addResearchAreaAlias(args[0], args[1]);
+            console.log(added
+                ? `\n✅ "${args[1]}" now refers to ${args[0]}\n`
+                : `\n✓ "${args[1]}" already refers to ${args[0]}\n`);
+        } else if (command === 'merge' && args.length === 2) {
+            const moved = await db.mergeResearchAreas(args[0], args[1]);
+            console.log(`\n✅ Merged "${args[0]}" into "${args[1]}" (${moved} professor(s) re-tagged)\n`);
+        } else if (command === 'parent' && args.length === 2) {
+            const parent = args[1].toLowerCase() === 'none' ? null : args[1];
+            await db.setResearchAreaParent(args[0], parent);
+            console.log(`\n✅ ${args[0]} is now ${parent ? `under ${parent}` : 'a top-level area'}\n`);
+        } else {
+            printUsage();
+            process.exit(1);
+        }
+
+        process.exit(0);
+    } catch (error) {
+        console.error(`❌ Error: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+main();
@@ -0,0 +1,53 @@
+#!/usr/bin/env node
+
+/**
+ * Script to email pending opening alerts (new openings and deadline reminders on starred professors)
+ * Usage: node scripts/send-alerts.js [--dry-run]
+ *
+ * Queues deadline reminders, then sends immediate alerts and any daily or weekly
+ * digests that are due. The server does the same every ALERTS_INTERVAL_MINUTES;
+ * run this from cron instead when the server's timer is off.
+ *
+ * Try it against the local SMTP stand-in (see scripts/smtp-sink.js):
+ * EMAIL_HOST=localhost EMAIL_PORT=2525 node scripts/send-alerts.js
+ */
+
+const db = require('../database');
+const { sendAlerts } = require('../opening-alerts');
+
+function printUsage() {
+    console.log('Usage: node scripts/send-alerts.js [--dry-run]');
+    console.log('\nExample:');
+    console.log('  EMAIL_HOST=localhost EMAIL_PORT=2525 node scripts/send-alerts.js');
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+    if (args.includes('--help')) {
+        printUsage();
+        process.exit(0);
+    }
+    if (args.some(arg => arg !== '--dry-run')) {
+        printUsage();
+        process.exit(1);
+    }
+    const dryRun = args.includes('--dry-run');
+
+    try {
+        await db.initDatabase();
+
+        console.log(`\n📬 Sending opening alerts${dryRun ? ' (dry run, nothing is sent)' : ''}...\n`);
+        const summary = await sendAlerts({
+            dryRun,
+            log: message => console.log(`   ${message}`)
+        });
+
+        console.log(`\n📊 Queued ${summary.queued} deadline reminder(s); ${dryRun ? 'would send' : 'sent'} ${summary.alerts} alert(s) in ${summary.emails} email(s), ${summary.failed} failed\n`);
+        process.exit(summary.failed > 0 ? 1 : 0);
+    } catch (error) {
+        console.error('❌ Error sending alerts:', error.message);
+        process.exit(1);
+    }
+}
+
+main();
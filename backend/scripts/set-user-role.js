@@ -0,0 +1,50 @@
+#!/usr/bin/env node
+
+/**
+ * Script to grant or revoke editor/admin access for a user
+ * Usage: node scripts/set-user-role.js <email> <role>
+ *
+ * Example:
+ * node scripts/set-user-role.js jane@uchicago.edu admin
+ * node scripts/set-user-role.js sam@uchicago.edu editor
+ * node scripts/set-user-role.js jane@uchicago.edu user
+ */
+
+const db = require('../database');
+
+const VALID_ROLES = ['user', 'editor', 'admin'];
+
+async function setUserRole() {
+    const args = process.argv.slice(2);
+
+    if (args.length < 2 || !VALID_ROLES.includes(args[1])) {
+        console.log('Usage: node scripts/set-user-role.js <email> <role>');
+        console.log(`\nRoles: ${VALID_ROLES.join(', ')}`);
+        console.log('\nExample:');
+        console.log('  node scripts/set-user-role.js jane@uchicago.edu admin');
+        process.exit(1);
+    }
+
+    const [email, role] = args;
+
+    try {
+        await db.initDatabase();
+
+        const user = await db.getUserByEmail(email);
+        if (!user) {
+            console.error(`❌ No user found with email: ${email}`);
+            console.log('   The user must sign up before they can be given a role.');
+            process.exit(1);
+        }
+
+        await db.setUserRole(user.id, role);
+
+        console.log(`✅ Updated role for ${email}: ${user.role || 'user'} → ${role}`);
+        process.exit(0);
+    } catch (error) {
+        console.error('❌ Error updating user role:', error.message);
+        process.exit(1);
+    }
+}
+
+setUserRole();
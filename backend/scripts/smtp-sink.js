@@ -0,0 +1,173 @@
+#!/usr/bin/env node
+
+/**
+ * Local SMTP stand-in for testing emails without a real mail server
+ * Usage: node scripts/smtp-sink.js [--port <port>] [--out <dir>] [--reject <address>]...
+ *
+ * Accepts every message without authentication and saves it to <dir> as a .eml
+ * file (default: research-board-mail in the system temp directory), printing its
+ * sender, recipients and subject. Point the backend at it with EMAIL_HOST and
+ * EMAIL_PORT, leaving EMAIL_USER and EMAIL_PASSWORD unset. Mail to a --reject
+ * address is refused, to see how failed sends are handled.
+ * The tests start it with startSmtpSink().
+ *
+ * Example:
+ * node scripts/smtp-sink.js --port 2525
+ * EMAIL_HOST=localhost EMAIL_PORT=2525 node scripts/send-alerts.js
+ */
+
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+function printUsage() {
+    console.log('Usage: node scripts/smtp-sink.js [--port <port>] [--out <dir>] [--reject <address>]...');
+    console.log('\nExample:');
+    console.log('  node scripts/smtp-sink.js --port 2525');
+}
+
+function optionValue(args, flag, fallback) {
+    const index = args.indexOf(flag);
+    return index === -1 ? fallback : args[index + 1];
+}
+
+/**
+ * Handle one SMTP connection: just enough of the protocol for nodemailer
+ * (no STARTTLS or AUTH is offered, so it sends in plain text)
+ */
+function handleConnection(socket, saveMessage, rejectRecipients) {
+    let envelope = { from: null, to: [] };
+    let buffer = '';
+    let data = null;
+
+    const reply = line => socket.write(`${line}\r\n`);
+    reply('220 localhost SMTP sink ready');
+
+    socket.on('data', chunk => {
+        buffer += chunk.toString('utf8');
+        let lineEnd;
+        while ((lineEnd = buffer.indexOf('\r\n')) !== -1) {
+            const line = buffer.slice(0, lineEnd);
+            buffer = buffer.slice(lineEnd + 2);
+
+            if (data !== null) {
+                if (line === '.') {
+                    saveMessage(envelope, data.join('\r\n'));
+                    envelope = { from: null, to: [] };
+                    data = null;
+                    reply('250 OK: message saved');
+                } else {
+                    // Undo dot-stuffing
+                    data.push(line.startsWith('..') ? line.slice(1) : line);
+                }
+                continue;
+            }
+
+            const command = line.slice(0, 4).toUpperCase();
+            if (command === 'EHLO' || command === 'HELO') {
+                reply('250 localhost');
+            } else if (command === 'MAIL') {
+                envelope.from = line.slice(line.indexOf(':') + 1).trim();
+                reply('250 OK');
+            } else if (command === 'RCPT') {
+                const recipient = line.slice(line.indexOf(':') + 1).trim();
+                if (rejectRecipients.has(recipient.replace(/^<|>$/g, '').toLowerCase())) {
+                    reply('550 Mailbox unavailable');
+                } else {
+                    envelope.to.push(recipient);
+                    reply('250 OK');
+                }
+            } else if (command === 'DATA') {
+                data = [];
+                reply('354 End data with <CR><LF>.<CR><LF>');
+            } else if (command === 'RSET') {
+                envelope = { from: null, to: [] };
+                reply('250 OK');
+            } else if (command === 'NOOP') {
+                reply('250 OK');
+            } else if (command === 'QUIT') {
+                reply('221 Bye');
+                socket.end();
+            } else {
+                reply('502 Command not implemented');
+            }
+        }
+    });
+    socket.on('error', error => {
+        console.error('❌ Connection error:', error.message);
+    });
+}
+
+/**
+ * Start the sink
+ * @param {Object} options - { port (0 picks a free one), rejectRecipients: addresses to refuse,
+ *   onMessage(envelope, message): called with each message accepted }
+ * @returns {Promise<Object>} { port, rejectRecipients (a Set that can be changed), close() }
+ */
+async function startSmtpSink({ port = 0, rejectRecipients = [], onMessage }) {
+    const rejected = new Set(rejectRecipients.map(address => address.toLowerCase()));
+    const sockets = new Set();
+    const server = net.createServer(socket => {
+        sockets.add(socket);
+        socket.on('close', () => sockets.delete(socket));
+        handleConnection(socket, onMessage, rejected);
+    });
+    await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, resolve);
+    });
+
+    return {
+        port: server.address().port,
+        rejectRecipients: rejected,
+        close() {
+            sockets.forEach(socket => socket.destroy());
+            return new Promise(resolve => server.close(resolve));
+        }
+    };
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+    if (args.includes('--help')) {
+        printUsage();
+        process.exit(0);
+    }
+
+    const port = parseInt(optionValue(args, '--port', '2525'), 10);
+    const outDir = optionValue(args, '--out', path.join(os.tmpdir(), 'research-board-mail'));
+    const rejectRecipients = args.filter((arg, index) => args[index - 1] === '--reject');
+    if (!(port > 0) || !outDir || rejectRecipients.includes(undefined)) {
+        printUsage();
+        process.exit(1);
+    }
+    fs.mkdirSync(outDir, { recursive: true });
+
+    let count = 0;
+    const saveMessage = (envelope, message) => {
+        count++;
+        const file = path.join(outDir, `${Date.now()}-${count}.eml`);
+        fs.writeFileSync(file, message);
+        const subject = (message.match(/^Subject: (.*)$/m) || [])[1] || '(no subject)';
+        console.log(`📨 ${envelope.from} → ${envelope.to.join(', ')}: ${subject}`);
+        console.log(`   Saved to ${file}`);
+    };
+
+    await startSmtpSink({ port, rejectRecipients, onMessage: saveMessage });
+    console.log(`📭 SMTP sink listening on port ${port}, saving messages to ${outDir}`);
+    if (rejectRecipients.length > 0) {
+        console.log(`   Refusing mail to ${rejectRecipients.join(', ')}`);
+    }
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error('❌ Error starting SMTP sink:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    startSmtpSink
+};
@@ -150,7 +150,6 @@ async function updateDataScienceDepartment() {
                     numUndergradResearchers: 0,
                     numLabMembers: 0,
                     numPublishedPapers: 0,
-                    isRecruiting: false,
                     isTranslucent: false
                 };
                 
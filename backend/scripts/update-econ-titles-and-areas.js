@@ -113,29 +113,34 @@ async function updateTitlesAndAreas() {
             }
 
             // Update research area if null or empty
+            let researchAreaChanged = false;
             if (!prof.research_area || prof.research_area === 'null' || prof.research_area.toLowerCase() === 'null') {
-                updates.push('research_area = ?');
-                values.push(data.researchArea);
+                researchAreaChanged = true;
                 needsUpdate = true;
                 console.log(`   📝 ${prof.name}: research_area NULL → "${data.researchArea}"`);
             } else if (prof.research_area !== data.researchArea) {
                 // Update to match our categorization
-                updates.push('research_area = ?');
-                values.push(data.researchArea);
+                researchAreaChanged = true;
                 needsUpdate = true;
                 console.log(`   📝 ${prof.name}: research_area "${prof.research_area}" → "${data.researchArea}"`);
             }
 
             if (needsUpdate) {
-                values.push(prof.id);
-                const query = `UPDATE professors SET ${updates.join(', ')} WHERE id = ?`;
-                
-                await new Promise((resolve, reject) => {
-                    dbInstance.run(query, values, (err) => {
-                        if (err) reject(err);
-                        else resolve();
+                if (updates.length > 0) {
+                    values.push(prof.id);
+                    const query = `UPDATE professors SET ${updates.join(', ')} WHERE id = ?`;
+                    
+                    await new Promise((resolve, reject) => {
+                        dbInstance.run(query, values, (err) => {
+                            if (err) reject(err);
+                            else resolve();
+                        });
                     });
-                });
+                }
+                // Also re-tags the professor's canonical research areas
+                if (researchAreaChanged) {
+                    await db.updateProfessorResearchAreaById(prof.id, data.researchArea);
+                }
                 updatedCount++;
             } else {
                 console.log(`   ✓ ${prof.name}: Already up to date`);
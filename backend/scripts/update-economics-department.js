@@ -140,7 +140,6 @@ async function updateEconomicsDepartment() {
                     numUndergradResearchers: 0,
                     numLabMembers: 0,
                     numPublishedPapers: 0,
-                    isRecruiting: false,
                     isTranslucent: false
                 };
                 
@@ -129,29 +129,11 @@ async function updatePhysicsResearchAreas() {
 
             // Update research area
             if (!prof.research_area || prof.research_area === 'null' || prof.research_area.toLowerCase() === 'null') {
-                await new Promise((resolve, reject) => {
-                    dbInstance.run(
-                        'UPDATE professors SET research_area = ? WHERE id = ?',
-                        [researchArea, prof.id],
-                        (err) => {
-                            if (err) reject(err);
-                            else resolve();
-                        }
-                    );
-                });
+                await db.updateProfessorResearchAreaById(prof.id, researchArea);
                 console.log(`   ✅ ${prof.name}: research_area NULL → "${researchArea}"`);
                 updatedCount++;
             } else if (prof.research_area !== researchArea) {
-                await new Promise((resolve, reject) => {
-                    dbInstance.run(
-                        'UPDATE professors SET research_area = ? WHERE id = ?',
-                        [researchArea, prof.id],
-                        (err) => {
-                            if (err) reject(err);
-                            else resolve();
-                        }
-                    );
-                });
+                await db.updateProfessorResearchAreaById(prof.id, researchArea);
                 console.log(`   ✅ ${prof.name}: research_area "${prof.research_area}" → "${researchArea}"`);
                 updatedCount++;
             } else {
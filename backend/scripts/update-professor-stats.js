@@ -2,10 +2,13 @@
 
 /**
  * Script to update professor stats (undergrads, lab members, published papers)
- * Usage: node scripts/update-professor-stats.js <department> <name> <undergrads> <labMembers> <publishedPapers>
+ * Usage: node scripts/update-professor-stats.js <department> <name> <undergrads> <labMembers> <publishedPapers> [sourceUrl]
+ * 
+ * The values are recorded as entered by hand and verified now; pass the page they
+ * were read from as sourceUrl.
  * 
  * Example:
- * node scripts/update-professor-stats.js statistics "Guillaume Bal" 5 12 45
+ * node scripts/update-professor-stats.js statistics "Guillaume Bal" 5 12 45 https://bal.uchicago.edu/group
  */
 
 const db = require('../database');
@@ -14,13 +17,13 @@ async function updateProfessorStats() {
     const args = process.argv.slice(2);
     
     if (args.length < 5) {
-        console.log('Usage: node scripts/update-professor-stats.js <department> <name> <undergrads> <labMembers> <publishedPapers>');
+        console.log('Usage: node scripts/update-professor-stats.js <department> <name> <undergrads> <labMembers> <publishedPapers> [sourceUrl]');
         console.log('\nExample:');
-        console.log('  node scripts/update-professor-stats.js statistics "Guillaume Bal" 5 12 45');
+        console.log('  node scripts/update-professor-stats.js statistics "Guillaume Bal" 5 12 45 https://bal.uchicago.edu/group');
         process.exit(1);
     }
     
-    const [department, name, undergrads, labMembers, publishedPapers] = args;
+    const [department, name, undergrads, labMembers, publishedPapers, sourceUrl = null] = args;
     
     try {
         await db.initDatabase();
@@ -38,7 +41,7 @@ async function updateProfessorStats() {
             numPublishedPapers: (publishedPapers === 'null' || publishedPapers === '') ? null : (isNaN(parseInt(publishedPapers)) ? null : parseInt(publishedPapers))
         };
         
-        await db.updateProfessorStats(name, department, stats);
+        await db.updateProfessorStats(name, department, stats, { source: 'manual', sourceUrl });
         
         console.log(`✅ Successfully updated professor stats:`);
         console.log(`   Name: ${name}`);
@@ -46,6 +49,7 @@ async function updateProfessorStats() {
         console.log(`   Undergraduate Researchers: ${stats.numUndergradResearchers || 'N/A'}`);
         console.log(`   Lab Members: ${stats.numLabMembers || 'N/A'}`);
         console.log(`   Published Papers: ${stats.numPublishedPapers || 'N/A'}`);
+        console.log(`   Source: ${sourceUrl || 'entered by hand'}`);
         
         process.exit(0);
     } catch (error) {
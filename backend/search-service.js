@@ -0,0 +1,176 @@
+/**
+ * Search Service
+ * Ranked full-text search over professor names, titles, labs, research areas and
+ * departments, with typo correction and highlighted matches
+ */
+
+const db = require('./database');
+const { normalizeName, levenshteinDistance } = require('./duplicate-service');
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 200;
+const MAX_QUERY_WORDS = 8;
+const MAX_CORRECTIONS = 3;
+
+// Abbreviations people type for departments and fields
+const SYNONYMS = {
+    stats: 'statistics',
+    stat: 'statistics',
+    math: 'mathematics',
+    cs: 'computer science',
+    ds: 'data science',
+    econ: 'economics',
+    comp: 'computational',
+    theor: 'theoretical',
+    appl: 'applied'
+};
+
+// Control characters never appear in professor data, so they are safe markers
+const HIGHLIGHT_START = '\u0002';
+const HIGHLIGHT_END = '\u0003';
+
+const HIGHLIGHT_FIELDS = {
+    name: 'name_highlight',
+    title: 'title_highlight',
+    lab: 'lab_highlight',
+    researchAreas: 'research_areas_highlight'
+};
+
+/**
+ * Split a query into the words the index uses: lowercase, no accents or punctuation
+ */
+function tokenize(query) {
+    return normalizeName(query)
+        .split(/[^a-z0-9]+/)
+        .filter(Boolean)
+        .slice(0, MAX_QUERY_WORDS);
+}
+
+function quote(term) {
+    return `"${term.replace(/"/g, '""')}"`;
+}
+
+/**
+ * Indexed words within a small edit distance of a word the index does not contain
+ * Longer words tolerate more typos; the most common words come first.
+ */
+function findCorrections(word, terms) {
+    const maxDistance = word.length < 4 ? 0 : (word.length < 8 ? 1 : 2);
+    if (maxDistance === 0) return [];
+
+    const candidates = [];
+    terms.forEach((count, term) => {
+        if (Math.abs(term.length - word.length) > maxDistance) return;
+        const distance = levenshteinDistance(word, term);
+        if (distance <= maxDistance) {
+            candidates.push({ term, distance, count });
+        }
+    });
+
+    return candidates
+        .sort((a, b) => a.distance - b.distance || b.count - a.count)
+        .slice(0, MAX_CORRECTIONS)
+        .map(candidate => candidate.term);
+}
+
+/**
+ * Build the FTS5 alternatives for one query word: the word itself, words it starts,
+ * its expansion and, when the index has nothing like it, the closest indexed words
+ */
+function expandWord(word, terms) {
+    const alternatives = [quote(word)];
+    let corrections = [];
+
+    const isPrefix = word.length >= 3 && [...terms.keys()].some(term => term.startsWith(word));
+    if (isPrefix) {
+        alternatives.push(`${quote(word)} *`);
+    }
+    if (SYNONYMS[word]) {
+        alternatives.push(quote(SYNONYMS[word]));
+    }
+    if (!terms.has(word) && !isPrefix && !SYNONYMS[word]) {
+        corrections = findCorrections(word, terms);
+        alternatives.push(...corrections.map(quote));
+    }
+
+    return { expression: `(${alternatives.join(' OR ')})`, corrections };
+}
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Matched fields as HTML-escaped text with matches wrapped in <mark>
+ */
+function formatHighlights(row) {
+    const highlights = {};
+    Object.entries(HIGHLIGHT_FIELDS).forEach(([field, column]) => {
+        const value = row[column];
+        if (value && value.includes(HIGHLIGHT_START)) {
+            highlights[field] = escapeHtml(value)
+                .split(HIGHLIGHT_START).join('<mark>')
+                .split(HIGHLIGHT_END).join('</mark>');
+        }
+    });
+    return highlights;
+}
+
+/**
+ * Search professors
+ * Every query word must match (by itself, as a prefix, an abbreviation or a typo
+ * correction); if nothing matches all of them, professors matching any are returned.
+ * @param {string} query - Free-text query
+ * @param {Object} options - { department, limit }
+ * @returns {Promise<Object>} { results, corrections, matchedAllWords }. Each result is a
+ *   formatted professor with `relevance` (0-1, relative to the best match) and `highlights`.
+ */
+async function search(query, { department = null, limit = DEFAULT_LIMIT } = {}) {
+    const words = tokenize(query);
+    if (words.length === 0) {
+        return { results: [], corrections: {}, matchedAllWords: true };
+    }
+
+    const terms = await db.getSearchTerms();
+    const corrections = {};
+    const expressions = words.map(word => {
+        const expanded = expandWord(word, terms);
+        if (expanded.corrections.length > 0) {
+            corrections[word] = expanded.corrections;
+        }
+        return expanded.expression;
+    });
+
+    const options = {
+        department,
+        limit: Math.min(Math.max(limit, 1), MAX_LIMIT),
+        highlightStart: HIGHLIGHT_START,
+        highlightEnd: HIGHLIGHT_END
+    };
+    let rows = await db.searchProfessors(expressions.join(' AND '), options);
+    const matchedAllWords = rows.length > 0 || expressions.length === 1;
+    if (!matchedAllWords) {
+        rows = await db.searchProfessors(expressions.join(' OR '), options);
+    }
+
+    // bm25 scores are negative, best first
+    const bestScore = rows.length > 0 ? rows[0].score : 0;
+    const results = rows.map(row => ({
+        ...db.formatProfessor(row),
+        relevance: bestScore < 0 ? Math.round((row.score / bestScore) * 1000) / 1000 : 1,
+        highlights: formatHighlights(row)
+    }));
+
+    return { results, corrections, matchedAllWords };
+}
+
+module.exports = {
+    DEFAULT_LIMIT,
+    MAX_LIMIT,
+    search,
+    tokenize
+};
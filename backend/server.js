@@ -11,6 +11,20 @@ const db = require('./database');
 const statsService = require('./stats-service');
 const auth = require('./auth-service');
 const emailService = require('./email-service');
+const { validateProfessorInput, STAT_FIELDS, STATS_PROVENANCE_FIELDS } = require('./professor-validation');
+const { validateLabInput } = require('./lab-validation');
+const { validateOpeningInput } = require('./opening-validation');
+const { validateApplicationInput, validateNoteInput } = require('./application-validation');
+const { validateTemplateInput } = require('./email-template-validation');
+const { validatePreferencesInput } = require('./notification-validation');
+const emailTemplates = require('./email-templates');
+const duplicateService = require('./duplicate-service');
+const searchService = require('./search-service');
+const { parseListingQuery, pageInfo } = require('./listing-query');
+const listingCache = require('./listing-cache');
+const exportService = require('./export-service');
+const { refreshStats } = require('./stats-refresh');
+const openingAlerts = require('./opening-alerts');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -52,7 +66,9 @@ app.use(cors({
     origin: process.env.NODE_ENV === 'production' 
         ? (process.env.FRONTEND_URL || '*') 
         : FRONTEND_URL,
-    credentials: true
+    credentials: true,
+    // Lets api-service.js read the validators for conditional requests
+    exposedHeaders: ['ETag', 'Last-Modified']
 }));
 app.use(express.json());
 
@@ -151,21 +167,70 @@ function getClientInfo(req) {
     };
 }
 
+// Helper to parse a numeric professor ID from a route parameter
+function parseProfessorId(value) {
+    const id = parseInt(value, 10);
+    return Number.isInteger(id) && id > 0 && String(id) === String(value) ? id : null;
+}
+
+// Lab, opening, note and template IDs take the same form
+const parseLabId = parseProfessorId;
+const parseOpeningId = parseProfessorId;
+const parseNoteId = parseProfessorId;
+const parseTemplateId = parseProfessorId;
+
+// Helper to validate listing query parameters (paging, sorting, filters)
+// Sends a 400 and returns null when they are invalid
+async function validateListingRequest(req, res) {
+    const { errors, options } = parseListingQuery(req.query);
+    if (errors) {
+        res.status(400).json({ error: 'Invalid query parameters', fields: errors });
+        return null;
+    }
+    
+    if (options.filters.researchArea && !await db.findResearchArea(options.filters.researchArea)) {
+        res.status(400).json({
+            error: 'Invalid query parameters',
+            fields: { researchArea: 'is not a known research area' }
+        });
+        return null;
+    }
+    
+    return options;
+}
+
 // API Routes
 
 // Get all departments data
+// Sorting, filters and paging apply within each department. Responses carry
+// ETag/Last-Modified, and unchanged data is answered with 304 Not Modified.
 app.get('/api/departments', async (req, res) => {
     try {
-        const allDepts = await db.getAllDepartments();
-        const departments = {};
+        const options = await validateListingRequest(req, res);
+        if (!options) return;
         
-        for (const dept of allDepts) {
-            departments[dept.name] = await db.getProfessorsByDepartment(dept.name);
+        const { listings, version, lastModified } = await listingCache.getDepartmentListings(options);
+        
+        res.set({
+            'ETag': `"${version}-${lastModified.getTime()}"`,
+            'Last-Modified': lastModified.toUTCString(),
+            'Cache-Control': 'no-cache'
+        });
+        if (req.fresh) {
+            return res.status(304).end();
         }
         
+        const departments = {};
+        const meta = {};
+        Object.entries(listings).forEach(([name, { professors, total }]) => {
+            departments[name] = professors;
+            meta[name] = pageInfo(options, total, professors.length);
+        });
+        
         res.json({
             departments: departments,
-            lastUpdated: new Date().toISOString()
+            meta: meta,
+            lastUpdated: lastModified.toISOString()
         });
     } catch (error) {
         console.error('Error fetching departments:', error);
@@ -182,18 +247,24 @@ app.post('/api/departments', async (req, res) => {
             return res.status(400).json({ error: 'Department name is required' });
         }
         
-        const departmentData = await db.getProfessorsByDepartment(department);
+        const options = await validateListingRequest(req, res);
+        if (!options) return;
         
-        // Track department view
-        const clientInfo = getClientInfo(req);
-        await db.trackDepartmentView(department, clientInfo.ipAddress, clientInfo.userAgent);
+        const { professors, total } = await db.queryDepartmentProfessors(department, options);
+        
+        // Track department view (once per listing, not per page)
+        if (options.offset === 0) {
+            const clientInfo = getClientInfo(req);
+            await db.trackDepartmentView(department, clientInfo.ipAddress, clientInfo.userAgent);
+        }
         
-        console.log(`[API] Returning data for ${department}: ${departmentData.length} professors/labs`);
+        console.log(`[API] Returning data for ${department}: ${professors.length} of ${total} professors/labs`);
         
         res.json({
             department: department,
-            data: departmentData,
-            count: departmentData.length,
+            data: professors,
+            count: professors.length,
+            ...pageInfo(options, total, professors.length),
             lastUpdated: new Date().toISOString()
         });
     } catch (error) {
@@ -202,6 +273,57 @@ app.post('/api/departments', async (req, res) => {
     }
 });
 
+// Export professors as a CSV, JSON or XLSX download
+// Takes ?format= and ?department= plus the listing sort and filter parameters;
+// paging is ignored so the file has every matching professor.
+app.get('/api/export', async (req, res) => {
+    try {
+        const format = (req.query.format || 'csv').toLowerCase();
+        if (!exportService.FORMATS[format]) {
+            return res.status(400).json({
+                error: 'Invalid query parameters',
+                fields: { format: `must be one of ${Object.keys(exportService.FORMATS).join(', ')}` }
+            });
+        }
+        
+        const listingOptions = await validateListingRequest(req, res);
+        if (!listingOptions) return;
+        const options = { ...listingOptions, limit: null, offset: 0, page: null };
+        
+        const department = req.query.department ? String(req.query.department).toLowerCase().trim() : null;
+        let professors;
+        if (department) {
+            if (!await db.getDepartmentByName(department)) {
+                return res.status(404).json({ error: 'Department not found' });
+            }
+            ({ professors } = await db.queryDepartmentProfessors(department, options));
+        } else {
+            // Jointly appointed professors are listed once, under their first department
+            const { listings } = await listingCache.getDepartmentListings(options);
+            const seen = new Set();
+            professors = Object.values(listings)
+                .flatMap(listing => listing.professors)
+                .filter(prof => !seen.has(prof.id) && seen.add(prof.id));
+        }
+        
+        const body = exportService.serialize(professors, format, {
+            exportedAt: new Date().toISOString(),
+            department,
+            filters: options.filters
+        });
+        
+        console.log(`[API] Exporting ${professors.length} professors as ${format}${department ? ` for ${department}` : ''}`);
+        res.set({
+            'Content-Type': exportService.FORMATS[format].contentType,
+            'Content-Disposition': `attachment; filename="${exportService.exportFilename(department, format)}"`
+        });
+        res.send(body);
+    } catch (error) {
+        console.error('Error exporting professors:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
 // Get all available department names
 app.get('/api/departments/list', async (req, res) => {
     try {
@@ -218,132 +340,1177 @@ app.get('/api/departments/list', async (req, res) => {
     }
 });
 
-// Get trending labs for a department
-app.post('/api/trending-labs', async (req, res) => {
+// Search professors by name, title, lab, research area and department (public)
+app.get('/api/search', async (req, res) => {
+    try {
+        const query = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+        if (!query) {
+            return res.status(400).json({ error: 'Search query (q) is required' });
+        }
+        if (query.length > 200) {
+            return res.status(400).json({ error: 'Search query must be at most 200 characters' });
+        }
+        
+        const limit = req.query.limit !== undefined ? parseInt(req.query.limit, 10) : searchService.DEFAULT_LIMIT;
+        if (!Number.isInteger(limit) || limit < 1 || limit > searchService.MAX_LIMIT) {
+            return res.status(400).json({ error: `limit must be an integer between 1 and ${searchService.MAX_LIMIT}` });
+        }
+        
+        const department = req.query.department ? req.query.department.toLowerCase().trim() : null;
+        const { results, corrections, matchedAllWords } = await searchService.search(query, { department, limit });
+        
+        res.json({
+            query,
+            results,
+            count: results.length,
+            corrections,
+            matchedAllWords
+        });
+    } catch (error) {
+        console.error('Error searching professors:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Get the research area taxonomy (canonical names, parents and aliases)
+app.get('/api/research-areas', async (req, res) => {
+    try {
+        const researchAreas = await db.getResearchAreas();
+
+        res.json({
+            researchAreas,
+            count: researchAreas.length
+        });
+    } catch (error) {
+        console.error('Error fetching research areas:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Get trending labs for a department (public)
+app.get('/api/trending-labs', async (req, res) => {
+    try {
+        const { department } = req.query;
+        
+        if (!department) {
+            return res.status(400).json({ error: 'Department name is required' });
+        }
+        
+        const labs = await db.getTrendingLabs(department);
+        
+        res.json({
+            trendingLabs: labs.map(lab => lab.name),
+            labs,
+            department: department,
+            lastUpdated: new Date().toISOString()
+        });
+    } catch (error) {
+        console.error('Error fetching trending labs:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Get trending labs for a department (admin endpoint)
+app.post('/api/trending-labs', auth.authenticateToken, auth.requireAdmin, async (req, res) => {
+    try {
+        const { department } = req.body;
+        
+        if (!department) {
+            return res.status(400).json({ error: 'Department name is required' });
+        }
+        
+        const labs = await db.getTrendingLabs(department);
+        
+        console.log(`[API] Returning trending labs for ${department}:`, labs.map(lab => lab.name));
+        
+        res.json({
+            trendingLabs: labs.map(lab => lab.name),
+            labs,
+            department: department,
+            lastUpdated: new Date().toISOString()
+        });
+    } catch (error) {
+        console.error('Error fetching trending labs:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Update trending labs for a department (admin endpoint)
+app.put('/api/trending-labs', auth.authenticateToken, auth.requireAdmin, async (req, res) => {
+    try {
+        const { department, trendingLabs } = req.body;
+        
+        if (!department || !Array.isArray(trendingLabs)) {
+            return res.status(400).json({ error: 'Department and trendingLabs array are required' });
+        }
+        
+        await db.setTrendingLabs(department, trendingLabs);
+        
+        res.json({
+            success: true,
+            message: `Trending labs updated for ${department}`,
+            trendingLabs: trendingLabs
+        });
+    } catch (error) {
+        console.error('Error updating trending labs:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Track professor view (name-based; prefer POST /api/professors/:id/views)
+app.post('/api/analytics/view', async (req, res) => {
+    try {
+        const { professorName, departmentName } = req.body;
+        
+        if (!professorName || !departmentName) {
+            return res.status(400).json({ error: 'Professor name and department name are required' });
+        }
+        
+        const professor = await db.getProfessorByNameAndDepartment(professorName, departmentName);
+        if (!professor) {
+            return res.status(404).json({ error: 'Professor not found' });
+        }
+        
+        const clientInfo = getClientInfo(req);
+        await db.trackProfessorView(professor.id, clientInfo.ipAddress, clientInfo.userAgent);
+        
+        res.json({ success: true, message: 'View tracked' });
+    } catch (error) {
+        console.error('Error tracking view:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Track professor click (name-based; prefer POST /api/professors/:id/clicks)
+app.post('/api/analytics/click', async (req, res) => {
+    try {
+        const { professorName, departmentName, clickType } = req.body;
+        
+        if (!professorName || !departmentName || !clickType) {
+            return res.status(400).json({ error: 'Professor name, department name, and click type are required' });
+        }
+        
+        const professor = await db.getProfessorByNameAndDepartment(professorName, departmentName);
+        if (!professor) {
+            return res.status(404).json({ error: 'Professor not found' });
+        }
+        
+        const clientInfo = getClientInfo(req);
+        await db.trackProfessorClick(professor.id, clickType, clientInfo.ipAddress, clientInfo.userAgent);
+        
+        res.json({ success: true, message: 'Click tracked' });
+    } catch (error) {
+        console.error('Error tracking click:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Get professor analytics (name-based; prefer GET /api/professors/:id/analytics)
+app.get('/api/analytics/professor/:professorName/:departmentName', async (req, res) => {
+    try {
+        const { professorName, departmentName } = req.params;
+        
+        const professor = await db.getProfessorByNameAndDepartment(professorName, departmentName);
+        if (!professor) {
+            return res.status(404).json({ error: 'Professor not found' });
+        }
+        
+        const analytics = await db.getProfessorAnalytics(professor.id);
+        
+        res.json({
+            professor: {
+                name: professor.name,
+                department: departmentName
+            },
+            analytics: analytics
+        });
+    } catch (error) {
+        console.error('Error fetching analytics:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Get all analytics (admin endpoint)
+app.get('/api/analytics/all', auth.authenticateToken, auth.requireAdmin, async (req, res) => {
+    try {
+        const analytics = await db.getAllAnalytics();
+        res.json(analytics);
+    } catch (error) {
+        console.error('Error fetching analytics:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Professor resource endpoints (stable IDs - preferred over the name-based routes above)
+
+// Get a professor by ID
+app.get('/api/professors/:id', async (req, res) => {
+    try {
+        const professorId = parseProfessorId(req.params.id);
+        if (!professorId) {
+            return res.status(400).json({ error: 'Invalid professor ID' });
+        }
+        
+        const professor = await db.getProfessorById(professorId);
+        if (!professor) {
+            return res.status(404).json({ error: 'Professor not found' });
+        }
+        
+        res.json({ professor: db.formatProfessor(professor) });
+    } catch (error) {
+        console.error('Error fetching professor:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Track professor view by ID
+app.post('/api/professors/:id/views', async (req, res) => {
+    try {
+        const professorId = parseProfessorId(req.params.id);
+        if (!professorId) {
+            return res.status(400).json({ error: 'Invalid professor ID' });
+        }
+        
+        const professor = await db.getProfessorById(professorId);
+        if (!professor) {
+            return res.status(404).json({ error: 'Professor not found' });
+        }
+        
+        const clientInfo = getClientInfo(req);
+        await db.trackProfessorView(professor.id, clientInfo.ipAddress, clientInfo.userAgent);
+        
+        res.json({ success: true, message: 'View tracked' });
+    } catch (error) {
+        console.error('Error tracking view:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Track professor click by ID
+app.post('/api/professors/:id/clicks', async (req, res) => {
+    try {
+        const professorId = parseProfessorId(req.params.id);
+        const { clickType } = req.body;
+        
+        if (!professorId) {
+            return res.status(400).json({ error: 'Invalid professor ID' });
+        }
+        if (!clickType) {
+            return res.status(400).json({ error: 'Click type is required' });
+        }
+        
+        const professor = await db.getProfessorById(professorId);
+        if (!professor) {
+            return res.status(404).json({ error: 'Professor not found' });
+        }
+        
+        const clientInfo = getClientInfo(req);
+        await db.trackProfessorClick(professor.id, clickType, clientInfo.ipAddress, clientInfo.userAgent);
+        
+        res.json({ success: true, message: 'Click tracked' });
+    } catch (error) {
+        console.error('Error tracking click:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Get professor analytics by ID
+app.get('/api/professors/:id/analytics', async (req, res) => {
+    try {
+        const professorId = parseProfessorId(req.params.id);
+        if (!professorId) {
+            return res.status(400).json({ error: 'Invalid professor ID' });
+        }
+        
+        const professor = await db.getProfessorById(professorId);
+        if (!professor) {
+            return res.status(404).json({ error: 'Professor not found' });
+        }
+        
+        const analytics = await db.getProfessorAnalytics(professor.id);
+        
+        res.json({
+            professor: {
+                id: professor.id,
+                name: professor.name,
+                department: professor.department
+            },
+            analytics: analytics
+        });
+    } catch (error) {
+        console.error('Error fetching analytics:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Get professor stats by ID
+app.get('/api/professors/:id/stats', async (req, res) => {
+    try {
+        const professorId = parseProfessorId(req.params.id);
+        if (!professorId) {
+            return res.status(400).json({ error: 'Invalid professor ID' });
+        }
+        
+        const professor = await db.getProfessorById(professorId);
+        if (!professor) {
+            return res.status(404).json({ error: 'Professor not found' });
+        }
+        
+        const { stats, provenance } = await statsService.getProfessorStats({
+            id: professor.id,
+            name: professor.name,
+            departmentName: professor.department,
+            title: professor.title,
+            lab: professor.lab,
+            labWebsite: professor.lab_website
+        }, db);
+        
+        res.json({
+            professor: {
+                id: professor.id,
+                name: professor.name,
+                department: professor.department
+            },
+            stats: stats,
+            provenance: provenance
+        });
+    } catch (error) {
+        console.error('Error fetching professor stats:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Get a professor's publications, newest first
+// Query: limit (1-MAX_PUBLICATIONS_LIMIT, default DEFAULT_PUBLICATIONS_LIMIT) and offset
+const DEFAULT_PUBLICATIONS_LIMIT = 20;
+const MAX_PUBLICATIONS_LIMIT = 100;
+app.get('/api/professors/:id/publications', async (req, res) => {
+    try {
+        const professorId = parseProfessorId(req.params.id);
+        if (!professorId) {
+            return res.status(400).json({ error: 'Invalid professor ID' });
+        }
+        
+        const fields = {};
+        const limit = req.query.limit !== undefined ? Number(req.query.limit) : DEFAULT_PUBLICATIONS_LIMIT;
+        const offset = req.query.offset !== undefined ? Number(req.query.offset) : 0;
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PUBLICATIONS_LIMIT) {
+            fields.limit = `must be an integer between 1 and ${MAX_PUBLICATIONS_LIMIT}`;
+        }
+        if (!Number.isInteger(offset) || offset < 0) {
+            fields.offset = 'must be a non-negative integer';
+        }
+        if (Object.keys(fields).length > 0) {
+            return res.status(400).json({ error: 'Invalid query parameters', fields });
+        }
+        
+        const professor = await db.getProfessorById(professorId);
+        if (!professor) {
+            return res.status(404).json({ error: 'Professor not found' });
+        }
+        
+        const { total, publications } = await db.getPublicationsByProfessor(professorId, { limit, offset });
+        res.json({
+            professor: {
+                id: professor.id,
+                name: professor.name,
+                department: professor.department
+            },
+            total,
+            limit,
+            offset,
+            publications
+        });
+    } catch (error) {
+        console.error('Error fetching publications:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Get stats for many professors in one request
+// Body: { ids: [1, 2] } and/or { professors: [{ name, department }] }, up to MAX_STATS_BATCH in total
+const MAX_STATS_BATCH = 200;
+app.post('/api/professors/stats', async (req, res) => {
+    try {
+        const { ids = [], professors = [] } = req.body || {};
+        const fields = {};
+        
+        if (!Array.isArray(ids) || ids.some(id => !parseProfessorId(id))) {
+            fields.ids = 'must be an array of professor IDs';
+        }
+        if (!Array.isArray(professors) || professors.some(prof => !prof || typeof prof.name !== 'string' || typeof prof.department !== 'string')) {
+            fields.professors = 'must be an array of { name, department } objects';
+        }
+        if (Object.keys(fields).length === 0) {
+            const count = ids.length + professors.length;
+            if (count === 0) {
+                fields.ids = 'provide ids or professors';
+            } else if (count > MAX_STATS_BATCH) {
+                fields.ids = `at most ${MAX_STATS_BATCH} professors per request`;
+            }
+        }
+        if (Object.keys(fields).length > 0) {
+            return res.status(400).json({ error: 'Validation failed', fields });
+        }
+        
+        const requestedIds = [...new Set(ids.map(id => parseProfessorId(id)))];
+        const found = await db.getProfessorsByIds(requestedIds);
+        const foundIds = new Set(found.map(prof => prof.id));
+        const notFound = requestedIds.filter(id => !foundIds.has(id));
+        
+        for (const { name, department } of professors) {
+            const prof = await db.getProfessorByNameAndDepartment(name, department.toLowerCase().trim());
+            if (!prof) {
+                notFound.push({ name, department });
+            } else if (!foundIds.has(prof.id)) {
+                foundIds.add(prof.id);
+                found.push(prof);
+            }
+        }
+        
+        const statsById = await statsService.getProfessorsStats(found, db);
+        res.json({
+            results: found.map(prof => ({
+                professor: {
+                    id: prof.id,
+                    name: prof.name,
+                    department: prof.department
+                },
+                ...statsById.get(prof.id)
+            })),
+            notFound
+        });
+    } catch (error) {
+        console.error('Error fetching professor stats batch:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Professor editing endpoints (editors and admins only)
+
+/**
+ * Run the shared checks for professor create/update requests
+ * Returns the normalized fields, or sends a 400 response and returns null
+ */
+async function validateProfessorRequest(req, res, { partial, existing = null }) {
+    const { errors, professor } = validateProfessorInput(req.body, { partial });
+    if (errors) {
+        res.status(400).json({ error: 'Validation failed', fields: errors });
+        return null;
+    }
+
+    // Provenance describes the stats sent with it
+    const sentProvenance = STATS_PROVENANCE_FIELDS.filter(field => professor[field] !== undefined);
+    if (sentProvenance.length > 0 && !STAT_FIELDS.some(field => professor[field] !== undefined && professor[field] !== null)) {
+        const fields = {};
+        sentProvenance.forEach(field => {
+            fields[field] = `can only be sent with ${STAT_FIELDS.join(', ')}`;
+        });
+        res.status(400).json({ error: 'Validation failed', fields });
+        return null;
+    }
+
+    if (professor.department !== undefined) {
+        const dept = await db.getDepartmentByName(professor.department);
+        if (!dept) {
+            res.status(400).json({
+                error: 'Validation failed',
+                fields: { department: 'is not a known department' }
+            });
+            return null;
+        }
+    }
+
+    if (professor.departments !== undefined) {
+        for (const name of professor.departments) {
+            if (!await db.getDepartmentByName(name)) {
+                res.status(400).json({
+                    error: 'Validation failed',
+                    fields: { departments: `"${name}" is not a known department` }
+                });
+                return null;
+            }
+        }
+    }
+
+    if (professor.researchAreas !== undefined) {
+        for (const name of professor.researchAreas) {
+            if (!await db.findResearchArea(name)) {
+                res.status(400).json({
+                    error: 'Validation failed',
+                    fields: { researchAreas: `"${name}" is not a known research area` }
+                });
+                return null;
+            }
+        }
+    }
+
+    if (professor.labIds !== undefined) {
+        for (const labId of professor.labIds) {
+            if (!await db.getLabById(labId)) {
+                res.status(400).json({
+                    error: 'Validation failed',
+                    fields: { labIds: `${labId} is not a known lab` }
+                });
+                return null;
+            }
+        }
+    }
+
+    // A professor with publications has their papers counted instead
+    if (professor.numPublishedPapers !== undefined && existing && existing.publication_count > 0) {
+        res.status(400).json({
+            error: 'Validation failed',
+            fields: { numPublishedPapers: 'is counted from the professor\'s publications and cannot be set directly' }
+        });
+        return null;
+    }
+
+    // Names must stay unique within every department the professor is listed in
+    const name = professor.name !== undefined ? professor.name : existing && existing.name;
+    const department = professor.department !== undefined ? professor.department : existing && existing.department;
+    const otherDepartments = professor.departments !== undefined
+        ? professor.departments
+        : (existing ? db.formatProfessor(existing).departments.filter(d => d !== existing.department) : []);
+    for (const dept of new Set([department, ...otherDepartments])) {
+        const duplicate = await db.getProfessorByNameAndDepartment(name, dept);
+        if (duplicate && (!existing || duplicate.id !== existing.id)) {
+            res.status(409).json({ error: `A professor named "${name}" already exists in ${dept}` });
+            return null;
+        }
+    }
+
+    return professor;
+}
+
+// Create a professor
+app.post('/api/professors', auth.authenticateToken, auth.requireEditor, async (req, res) => {
+    try {
+        const professor = await validateProfessorRequest(req, res, { partial: false });
+        if (!professor) return;
+        
+        const professorId = await db.addProfessor(professor.department, professor);
+        const created = await db.getProfessorById(professorId);
+        
+        console.log(`✅ Professor created by user ${req.user.userId}: ${created.name} (${created.department})`);
+        res.status(201).json({ professor: db.formatProfessor(created) });
+    } catch (error) {
+        console.error('Error creating professor:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Update some or all fields of a professor
+app.patch('/api/professors/:id', auth.authenticateToken, auth.requireEditor, async (req, res) => {
+    try {
+        const professorId = parseProfessorId(req.params.id);
+        if (!professorId) {
+            return res.status(400).json({ error: 'Invalid professor ID' });
+        }
+        
+        const existing = await db.getProfessorById(professorId);
+        if (!existing) {
+            return res.status(404).json({ error: 'Professor not found' });
+        }
+        
+        const updates = await validateProfessorRequest(req, res, { partial: true, existing });
+        if (!updates) return;
+        
+        await db.updateProfessorById(professorId, updates);
+        
+        const updated = await db.getProfessorById(professorId);
+        
+        console.log(`✅ Professor ${professorId} updated by user ${req.user.userId}: ${Object.keys(updates).join(', ')}`);
+        res.json({ professor: db.formatProfessor(updated) });
+    } catch (error) {
+        console.error('Error updating professor:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Delete a professor (also removes their stars, views and clicks)
+app.delete('/api/professors/:id', auth.authenticateToken, auth.requireEditor, async (req, res) => {
+    try {
+        const professorId = parseProfessorId(req.params.id);
+        if (!professorId) {
+            return res.status(400).json({ error: 'Invalid professor ID' });
+        }
+        
+        const professor = await db.getProfessorById(professorId);
+        if (!professor) {
+            return res.status(404).json({ error: 'Professor not found' });
+        }
+        
+        await db.deleteProfessorById(professorId);
+        
+        console.log(`🗑️  Professor ${professorId} deleted by user ${req.user.userId}: ${professor.name} (${professor.department})`);
+        res.json({ success: true, message: 'Professor deleted' });
+    } catch (error) {
+        console.error('Error deleting professor:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Labs (public reads, editor writes)
+
+// List labs, optionally those with a professor in one department
+app.get('/api/labs', async (req, res) => {
+    try {
+        const department = req.query.department ? String(req.query.department).toLowerCase().trim() : null;
+        const labs = await db.getLabs({ department });
+        res.json({ labs });
+    } catch (error) {
+        console.error('Error fetching labs:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Get a lab page: the lab, its professors and its active openings
+app.get('/api/labs/:id', async (req, res) => {
+    try {
+        const labId = parseLabId(req.params.id);
+        if (!labId) {
+            return res.status(400).json({ error: 'Invalid lab ID' });
+        }
+
+        const lab = await db.getLabById(labId);
+        if (!lab) {
+            return res.status(404).json({ error: 'Lab not found' });
+        }
+
+        res.json({
+            lab: db.formatLab(lab),
+            professors: await db.getLabProfessors(labId),
+            openings: await db.getOpenings({ labId })
+        });
+    } catch (error) {
+        console.error('Error fetching lab:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * Run the shared checks for lab create/update requests
+ * Returns the normalized fields, or sends a 400 response and returns null
+ */
+async function validateLabRequest(req, res, { partial }) {
+    const { errors, lab } = validateLabInput(req.body, { partial });
+    if (errors) {
+        res.status(400).json({ error: 'Validation failed', fields: errors });
+        return null;
+    }
+
+    if (lab.professorIds !== undefined) {
+        const found = await db.getProfessorsByIds(lab.professorIds);
+        const missing = lab.professorIds.filter(id => !found.some(prof => prof.id === id));
+        if (missing.length > 0) {
+            res.status(400).json({
+                error: 'Validation failed',
+                fields: { professorIds: `${missing.join(', ')} ${missing.length === 1 ? 'is not a known professor' : 'are not known professors'}` }
+            });
+            return null;
+        }
+    }
+
+    return lab;
+}
+
+// Create a lab
+app.post('/api/labs', auth.authenticateToken, auth.requireEditor, async (req, res) => {
+    try {
+        const lab = await validateLabRequest(req, res, { partial: false });
+        if (!lab) return;
+
+        const labId = await db.addLab(lab);
+        const created = await db.getLabById(labId);
+
+        console.log(`✅ Lab created by user ${req.user.userId}: ${created.name}`);
+        res.status(201).json({ lab: db.formatLab(created) });
+    } catch (error) {
+        console.error('Error creating lab:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Update some or all fields of a lab
+app.patch('/api/labs/:id', auth.authenticateToken, auth.requireEditor, async (req, res) => {
+    try {
+        const labId = parseLabId(req.params.id);
+        if (!labId) {
+            return res.status(400).json({ error: 'Invalid lab ID' });
+        }
+
+        if (!await db.getLabById(labId)) {
+            return res.status(404).json({ error: 'Lab not found' });
+        }
+
+        const updates = await validateLabRequest(req, res, { partial: true });
+        if (!updates) return;
+
+        await db.updateLabById(labId, updates);
+        const updated = await db.getLabById(labId);
+
+        console.log(`✅ Lab ${labId} updated by user ${req.user.userId}: ${Object.keys(updates).join(', ')}`);
+        res.json({ lab: db.formatLab(updated) });
+    } catch (error) {
+        console.error('Error updating lab:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Delete a lab (its professors are kept)
+app.delete('/api/labs/:id', auth.authenticateToken, auth.requireEditor, async (req, res) => {
+    try {
+        const labId = parseLabId(req.params.id);
+        if (!labId) {
+            return res.status(400).json({ error: 'Invalid lab ID' });
+        }
+
+        const lab = await db.getLabById(labId);
+        if (!lab) {
+            return res.status(404).json({ error: 'Lab not found' });
+        }
+
+        await db.deleteLabById(labId);
+
+        console.log(`🗑️  Lab ${labId} deleted by user ${req.user.userId}: ${lab.name}`);
+        res.json({ success: true, message: 'Lab deleted' });
+    } catch (error) {
+        console.error('Error deleting lab:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Research openings (public reads, editor writes)
+
+// List openings, earliest deadline first
+// Query: professorId, labId, department and status (active (default), open, closed or all)
+app.get('/api/openings', async (req, res) => {
+    try {
+        const fields = {};
+        const options = {};
+        ['professorId', 'labId'].forEach(param => {
+            if (req.query[param] !== undefined) {
+                options[param] = parseProfessorId(req.query[param]);
+                if (!options[param]) fields[param] = 'must be a positive integer';
+            }
+        });
+        if (req.query.status !== undefined) {
+            if (!db.OPENING_STATUS_FILTERS.includes(req.query.status)) {
+                fields.status = `must be one of ${db.OPENING_STATUS_FILTERS.join(', ')}`;
+            }
+            options.status = req.query.status;
+        }
+        if (Object.keys(fields).length > 0) {
+            return res.status(400).json({ error: 'Invalid query parameters', fields });
+        }
+        if (req.query.department) {
+            options.department = String(req.query.department).toLowerCase().trim();
+        }
+
+        const openings = await db.getOpenings(options);
+        res.json({ openings, count: openings.length });
+    } catch (error) {
+        console.error('Error fetching openings:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Get an opening by ID
+app.get('/api/openings/:id', async (req, res) => {
+    try {
+        const openingId = parseOpeningId(req.params.id);
+        if (!openingId) {
+            return res.status(400).json({ error: 'Invalid opening ID' });
+        }
+
+        const opening = await db.getOpeningById(openingId);
+        if (!opening) {
+            return res.status(404).json({ error: 'Opening not found' });
+        }
+
+        res.json({ opening });
+    } catch (error) {
+        console.error('Error fetching opening:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * Run the shared checks for opening create/update requests
+ * Returns the normalized fields, or sends a 400 response and returns null
+ */
+async function validateOpeningRequest(req, res, { partial, existing = null }) {
+    const { errors, opening } = validateOpeningInput(req.body, { partial, existing });
+    if (errors) {
+        res.status(400).json({ error: 'Validation failed', fields: errors });
+        return null;
+    }
+
+    if (opening.professorId && !await db.getProfessorById(opening.professorId)) {
+        res.status(400).json({ error: 'Validation failed', fields: { professorId: 'is not a known professor' } });
+        return null;
+    }
+    if (opening.labId && !await db.getLabById(opening.labId)) {
+        res.status(400).json({ error: 'Validation failed', fields: { labId: 'is not a known lab' } });
+        return null;
+    }
+
+    return opening;
+}
+
+// Post an opening
+app.post('/api/openings', auth.authenticateToken, auth.requireEditor, async (req, res) => {
+    try {
+        const opening = await validateOpeningRequest(req, res, { partial: false });
+        if (!opening) return;
+
+        const openingId = await db.addOpening(opening);
+        const created = await db.getOpeningById(openingId);
+        if (created.isActive) {
+            alertOnOpening(openingId);
+        }
+
+        console.log(`✅ Opening ${openingId} posted by user ${req.user.userId}: ${created.role}`);
+        res.status(201).json({ opening: created });
+    } catch (error) {
+        console.error('Error creating opening:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Update some or all fields of an opening (e.g. { "status": "closed" } once it is filled)
+app.patch('/api/openings/:id', auth.authenticateToken, auth.requireEditor, async (req, res) => {
+    try {
+        const openingId = parseOpeningId(req.params.id);
+        if (!openingId) {
+            return res.status(400).json({ error: 'Invalid opening ID' });
+        }
+
+        const existing = await db.getOpeningById(openingId);
+        if (!existing) {
+            return res.status(404).json({ error: 'Opening not found' });
+        }
+
+        const updates = await validateOpeningRequest(req, res, { partial: true, existing });
+        if (!updates) return;
+
+        await db.updateOpeningById(openingId, updates);
+        const updated = await db.getOpeningById(openingId);
+        // Reopening an opening (or extending its deadline) counts as a new opening
+        if (updated.isActive && !existing.isActive) {
+            alertOnOpening(openingId);
+        }
+
+        console.log(`✅ Opening ${openingId} updated by user ${req.user.userId}: ${Object.keys(updates).join(', ')}`);
+        res.json({ opening: updated });
+    } catch (error) {
+        console.error('Error updating opening:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Delete an opening
+app.delete('/api/openings/:id', auth.authenticateToken, auth.requireEditor, async (req, res) => {
+    try {
+        const openingId = parseOpeningId(req.params.id);
+        if (!openingId) {
+            return res.status(400).json({ error: 'Invalid opening ID' });
+        }
+
+        if (!await db.deleteOpeningById(openingId)) {
+            return res.status(404).json({ error: 'Opening not found' });
+        }
+
+        console.log(`🗑️  Opening ${openingId} deleted by user ${req.user.userId}`);
+        res.json({ success: true, message: 'Opening deleted' });
+    } catch (error) {
+        console.error('Error deleting opening:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Outreach email templates (per user)
+
+// List the user's templates, with the built-in default and the placeholders templates can use
+app.get('/api/email-templates', auth.authenticateToken, async (req, res) => {
+    try {
+        const templates = await db.getEmailTemplates(req.user.userId);
+        res.json({
+            templates,
+            defaultTemplate: emailTemplates.DEFAULT_TEMPLATE,
+            placeholders: Object.entries(emailTemplates.PLACEHOLDERS).map(([key, description]) => ({ key, description }))
+        });
+    } catch (error) {
+        console.error('Error getting email templates:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Save a new template
+app.post('/api/email-templates', auth.authenticateToken, async (req, res) => {
+    try {
+        const { errors, template } = validateTemplateInput(req.body);
+        if (errors) {
+            return res.status(400).json({ error: 'Validation failed', fields: errors });
+        }
+
+        const created = await db.addEmailTemplate(req.user.userId, template);
+        res.status(201).json({ template: created });
+    } catch (error) {
+        console.error('Error adding email template:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Update a template (only the fields provided)
+app.patch('/api/email-templates/:id', auth.authenticateToken, async (req, res) => {
+    try {
+        const templateId = parseTemplateId(req.params.id);
+        if (!templateId) {
+            return res.status(400).json({ error: 'Invalid template ID' });
+        }
+
+        const { errors, template } = validateTemplateInput(req.body, { partial: true });
+        if (errors) {
+            return res.status(400).json({ error: 'Validation failed', fields: errors });
+        }
+
+        const updated = await db.updateEmailTemplateById(req.user.userId, templateId, template);
+        if (!updated) {
+            return res.status(404).json({ error: 'Template not found' });
+        }
+        res.json({ template: updated });
+    } catch (error) {
+        console.error('Error updating email template:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Delete a template
+app.delete('/api/email-templates/:id', auth.authenticateToken, async (req, res) => {
+    try {
+        const templateId = parseTemplateId(req.params.id);
+        if (!templateId) {
+            return res.status(400).json({ error: 'Invalid template ID' });
+        }
+
+        const deleted = await db.deleteEmailTemplateById(req.user.userId, templateId);
+        if (!deleted) {
+            return res.status(404).json({ error: 'Template not found' });
+        }
+        res.json({ success: true, message: 'Template deleted' });
+    } catch (error) {
+        console.error('Error deleting email template:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Fill one of the user's templates (or the default, without templateId) for a professor
+app.get('/api/professors/:id/email-draft', auth.authenticateToken, async (req, res) => {
+    try {
+        const professorId = parseProfessorId(req.params.id);
+        if (!professorId) {
+            return res.status(400).json({ error: 'Invalid professor ID' });
+        }
+
+        let template = emailTemplates.DEFAULT_TEMPLATE;
+        if (req.query.templateId !== undefined) {
+            const templateId = parseTemplateId(req.query.templateId);
+            if (!templateId) {
+                return res.status(400).json({ error: 'Invalid query parameters', fields: { templateId: 'must be a positive integer' } });
+            }
+            template = await db.getEmailTemplateById(req.user.userId, templateId);
+            if (!template) {
+                return res.status(404).json({ error: 'Template not found' });
+            }
+        }
+
+        const [professor, user] = await Promise.all([
+            db.getProfessorById(professorId),
+            db.getUserById(req.user.userId)
+        ]);
+        if (!professor) {
+            return res.status(404).json({ error: 'Professor not found' });
+        }
+        if (!user) {
+            return res.status(401).json({ error: 'User not found' });
+        }
+
+        res.json({ draft: { templateId: template.id, ...emailTemplates.draftEmail(template, db.formatProfessor(professor), user) } });
+    } catch (error) {
+        console.error('Error drafting email:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Opening alert preferences and unsubscribe links
+
+// Get the user's alert preferences (alerts are off until the user turns them on)
+app.get('/api/notifications/preferences', auth.authenticateToken, async (req, res) => {
+    try {
+        res.json({ preferences: await db.getNotificationPreferences(req.user.userId) });
+    } catch (error) {
+        console.error('Error getting notification preferences:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Change the user's alert preferences (only the fields provided)
+app.patch('/api/notifications/preferences', auth.authenticateToken, async (req, res) => {
+    try {
+        const { errors, preferences } = validatePreferencesInput(req.body);
+        if (errors) {
+            return res.status(400).json({ error: 'Validation failed', fields: errors });
+        }
+
+        res.json({ preferences: await db.updateNotificationPreferences(req.user.userId, preferences) });
+    } catch (error) {
+        console.error('Error updating notification preferences:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Minimal page for unsubscribe links, which are opened from an inbox rather than the app
+function unsubscribePage(title, message, actionUrl = null) {
+    const form = actionUrl
+        ? `<form method="POST" action="${actionUrl}"><button type="submit">Unsubscribe</button></form>`
+        : `<p><a href="${FRONTEND_URL}">Back to UChicago Research Board</a></p>`;
+    return `<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><title>${title}</title></head>
+<body style="font-family: Arial, sans-serif; max-width: 600px; margin: 40px auto; color: #333;">
+    <h1 style="color: #800020;">${title}</h1>
+    <p>${message}</p>
+    ${form}
+</body>
+</html>`;
+}
+
+/**
+ * Unsubscribe links from alert emails
+ * GET asks to confirm (so link scanners don't unsubscribe anyone); POST turns alerts off,
+ * which is also what mail apps' one-click unsubscribe sends.
+ */
+app.get('/api/notifications/unsubscribe', async (req, res) => {
     try {
-        const { department } = req.body;
-        
-        if (!department) {
-            return res.status(400).json({ error: 'Department name is required' });
+        const token = typeof req.query.token === 'string' ? req.query.token : '';
+        const preferences = token ? await db.getNotificationPreferencesByToken(token) : null;
+        if (!preferences) {
+            return res.status(404).send(unsubscribePage('Link not recognized', 'This unsubscribe link is invalid.'));
         }
-        
-        const trendingLabs = await db.getTrendingLabs(department);
-        
-        console.log(`[API] Returning trending labs for ${department}:`, trendingLabs);
-        
-        res.json({
-            trendingLabs: trendingLabs,
-            department: department,
-            lastUpdated: new Date().toISOString()
-        });
+
+        res.send(unsubscribePage(
+            'Unsubscribe from opening alerts',
+            'You will stop getting emails about your starred professors\' openings. You can turn them back on from your starred professors.',
+            `?token=${encodeURIComponent(token)}`
+        ));
     } catch (error) {
-        console.error('Error fetching trending labs:', error);
+        console.error('Error showing unsubscribe page:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
-// Update trending labs for a department
-app.put('/api/trending-labs', async (req, res) => {
+app.post('/api/notifications/unsubscribe', async (req, res) => {
     try {
-        const { department, trendingLabs } = req.body;
-        
-        if (!department || !Array.isArray(trendingLabs)) {
-            return res.status(400).json({ error: 'Department and trendingLabs array are required' });
+        const token = typeof req.query.token === 'string' ? req.query.token : '';
+        if (!token || !await db.unsubscribeByToken(token)) {
+            return res.status(404).send(unsubscribePage('Link not recognized', 'This unsubscribe link is invalid.'));
         }
-        
-        await db.setTrendingLabs(department, trendingLabs);
-        
-        res.json({
-            success: true,
-            message: `Trending labs updated for ${department}`,
-            trendingLabs: trendingLabs
-        });
+
+        res.send(unsubscribePage('You are unsubscribed', 'You will no longer get opening alerts.'));
     } catch (error) {
-        console.error('Error updating trending labs:', error);
+        console.error('Error unsubscribing:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
-// Track professor view
-app.post('/api/analytics/view', async (req, res) => {
+// Duplicate detection and merging (admin only)
+
+// List likely duplicate professors
+app.get('/api/admin/duplicates', auth.authenticateToken, auth.requireAdmin, async (req, res) => {
     try {
-        const { professorName, departmentName } = req.body;
-        
-        if (!professorName || !departmentName) {
-            return res.status(400).json({ error: 'Professor name and department name are required' });
-        }
-        
-        const professor = await db.getProfessorByNameAndDepartment(professorName, departmentName);
-        if (!professor) {
-            return res.status(404).json({ error: 'Professor not found' });
+        const minScore = req.query.minScore !== undefined ? parseFloat(req.query.minScore) : duplicateService.DEFAULT_MIN_SCORE;
+        if (Number.isNaN(minScore) || minScore < 0 || minScore > 1) {
+            return res.status(400).json({ error: 'minScore must be a number between 0 and 1' });
         }
         
-        const clientInfo = getClientInfo(req);
-        await db.trackProfessorView(professor.id, clientInfo.ipAddress, clientInfo.userAgent);
+        const duplicates = await duplicateService.findDuplicates({
+            minScore,
+            crossDepartment: req.query.crossDepartment === 'true'
+        });
         
-        res.json({ success: true, message: 'View tracked' });
+        res.json({ duplicates, count: duplicates.length });
     } catch (error) {
-        console.error('Error tracking view:', error);
+        console.error('Error finding duplicates:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
-// Track professor click
-app.post('/api/analytics/click', async (req, res) => {
+// Merge a duplicate into the surviving professor
+app.post('/api/admin/duplicates/merge', auth.authenticateToken, auth.requireAdmin, async (req, res) => {
     try {
-        const { professorName, departmentName, clickType } = req.body;
+        const survivorId = parseProfessorId(req.body.survivorId);
+        const mergedId = parseProfessorId(req.body.mergedId);
         
-        if (!professorName || !departmentName || !clickType) {
-            return res.status(400).json({ error: 'Professor name, department name, and click type are required' });
+        if (!survivorId || !mergedId) {
+            return res.status(400).json({ error: 'survivorId and mergedId are required' });
+        }
+        if (survivorId === mergedId) {
+            return res.status(400).json({ error: 'Cannot merge a professor into itself' });
         }
         
-        const professor = await db.getProfessorByNameAndDepartment(professorName, departmentName);
-        if (!professor) {
+        const [survivor, merged] = await Promise.all([db.getProfessorById(survivorId), db.getProfessorById(mergedId)]);
+        if (!survivor || !merged) {
             return res.status(404).json({ error: 'Professor not found' });
         }
         
-        const clientInfo = getClientInfo(req);
-        await db.trackProfessorClick(professor.id, clickType, clientInfo.ipAddress, clientInfo.userAgent);
+        const merge = await db.mergeProfessors(survivorId, mergedId, req.user.userId);
         
-        res.json({ success: true, message: 'Click tracked' });
+        console.log(`🔀 Merge ${merge.id} by user ${req.user.userId}: ${merge.mergedName} (#${mergedId}) → ${merge.survivorName} (#${survivorId})`);
+        res.status(201).json({ merge });
     } catch (error) {
-        console.error('Error tracking click:', error);
+        console.error('Error merging professors:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
-// Get professor analytics
-app.get('/api/analytics/professor/:professorName/:departmentName', async (req, res) => {
+// List recent merges
+app.get('/api/admin/merges', auth.authenticateToken, auth.requireAdmin, async (req, res) => {
     try {
-        const { professorName, departmentName } = req.params;
-        
-        const professor = await db.getProfessorByNameAndDepartment(professorName, departmentName);
-        if (!professor) {
-            return res.status(404).json({ error: 'Professor not found' });
-        }
-        
-        const analytics = await db.getProfessorAnalytics(professor.id);
-        
-        res.json({
-            professor: {
-                name: professor.name,
-                department: departmentName
-            },
-            analytics: analytics
-        });
+        const merges = await db.getProfessorMerges();
+        res.json({ merges });
     } catch (error) {
-        console.error('Error fetching analytics:', error);
+        console.error('Error fetching merges:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
-// Get all analytics (admin endpoint)
-app.get('/api/analytics/all', async (req, res) => {
+// Undo a merge
+app.post('/api/admin/merges/:id/undo', auth.authenticateToken, auth.requireAdmin, async (req, res) => {
     try {
-        const analytics = await db.getAllAnalytics();
-        res.json(analytics);
+        const mergeId = parseProfessorId(req.params.id);
+        if (!mergeId) {
+            return res.status(400).json({ error: 'Invalid merge ID' });
+        }
+        
+        const existing = await db.getProfessorMerge(mergeId);
+        if (!existing) {
+            return res.status(404).json({ error: 'Merge not found' });
+        }
+        if (existing.undoneAt) {
+            return res.status(409).json({ error: 'Merge has already been undone' });
+        }
+        
+        const merge = await db.undoProfessorMerge(mergeId, req.user.userId);
+        
+        console.log(`↩️  Merge ${mergeId} undone by user ${req.user.userId}`);
+        res.json({ merge });
     } catch (error) {
-        console.error('Error fetching analytics:', error);
+        if (error.message.includes('no longer exists')) {
+            return res.status(409).json({ error: error.message });
+        }
+        console.error('Error undoing merge:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
 });
@@ -385,7 +1552,8 @@ app.post('/api/auth/signup', async (req, res) => {
             user: {
                 id: user.id,
                 email: user.email,
-                name: user.name
+                name: user.name,
+                role: user.role
             }
         });
     } catch (error) {
@@ -416,7 +1584,7 @@ app.post('/api/auth/login', async (req, res) => {
         }
         
         // Generate token
-        const token = auth.generateToken(user.id, user.email);
+        const token = auth.generateToken(user.id, user.email, user.session_version);
         
         res.json({
             success: true,
@@ -424,7 +1592,8 @@ app.post('/api/auth/login', async (req, res) => {
             user: {
                 id: user.id,
                 email: user.email,
-                name: user.name
+                name: user.name,
+                role: user.role
             }
         });
     } catch (error) {
@@ -433,6 +1602,77 @@ app.post('/api/auth/login', async (req, res) => {
     }
 });
 
+// Start a password reset: email a single-use reset link
+// The response is the same whether or not the email has an account, so it can't be used to find accounts.
+app.post('/api/auth/forgot-password', async (req, res) => {
+    try {
+        const { email } = req.body;
+        
+        if (!email || typeof email !== 'string') {
+            return res.status(400).json({ error: 'Email is required' });
+        }
+        
+        const user = await db.getUserByEmail(email.trim());
+        if (user) {
+            const { token, tokenHash } = auth.generateResetToken();
+            await db.createPasswordResetToken(user.id, tokenHash, auth.RESET_TOKEN_TTL_MINUTES);
+            
+            // Non-blocking, so the response takes as long for unknown emails
+            emailService.sendPasswordReset(user.email, user.name, token, auth.RESET_TOKEN_TTL_MINUTES).catch(err => {
+                console.error('Failed to send password reset email:', err);
+            });
+            console.log(`🔑 Password reset requested for user ${user.id}`);
+        }
+        
+        res.json({
+            success: true,
+            message: 'If an account exists for that email, we sent a link to reset the password.'
+        });
+    } catch (error) {
+        console.error('Error in forgot password:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Finish a password reset: set the new password and sign out every existing session
+// Logs the user in with a new token, like /api/auth/login.
+app.post('/api/auth/reset-password', async (req, res) => {
+    try {
+        const { token, password } = req.body;
+        
+        if (!token || typeof token !== 'string' || !password || typeof password !== 'string') {
+            return res.status(400).json({ error: 'Token and password are required' });
+        }
+        if (password.length < auth.MIN_PASSWORD_LENGTH) {
+            return res.status(400).json({ error: `Password must be at least ${auth.MIN_PASSWORD_LENGTH} characters` });
+        }
+        
+        const userId = await db.consumePasswordResetToken(auth.hashResetToken(token));
+        if (!userId) {
+            return res.status(400).json({ error: 'This reset link is invalid or has expired' });
+        }
+        
+        const passwordHash = await auth.hashPassword(password);
+        await db.resetUserPassword(userId, passwordHash);
+        const user = await db.getUserById(userId);
+        console.log(`🔑 Password reset for user ${userId}; existing sessions signed out`);
+        
+        res.json({
+            success: true,
+            token: auth.generateToken(user.id, user.email, user.session_version),
+            user: {
+                id: user.id,
+                email: user.email,
+                name: user.name,
+                role: user.role
+            }
+        });
+    } catch (error) {
+        console.error('Error in reset password:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
 // Google OAuth routes
 
 // Initiate Google OAuth
@@ -456,7 +1696,7 @@ if (GOOGLE_CLIENT_ID && GOOGLE_CLIENT_SECRET) {
                 console.log('OAuth callback: User authenticated successfully:', { id: user.id, email: user.email });
                 
                 // Generate JWT token
-                const token = auth.generateToken(user.id, user.email);
+                const token = auth.generateToken(user.id, user.email, user.session_version);
                 
                 // Redirect to frontend with token
                 res.redirect(`${FRONTEND_URL}?auth_token=${token}&user_id=${user.id}&email=${encodeURIComponent(user.email)}&name=${encodeURIComponent(user.name || '')}`);
@@ -498,7 +1738,8 @@ app.get('/api/auth/me', auth.authenticateToken, async (req, res) => {
             user: {
                 id: user.id,
                 email: user.email,
-                name: user.name
+                name: user.name,
+                role: user.role
             }
         });
     } catch (error) {
@@ -531,7 +1772,65 @@ app.get('/api/starred/ids', auth.authenticateToken, async (req, res) => {
     }
 });
 
-// Star a professor
+// Get starred professors whose follow-up reminder is due (today or earlier)
+app.get('/api/starred/follow-ups', auth.authenticateToken, async (req, res) => {
+    try {
+        const followUps = await db.getDueFollowUps(req.user.userId);
+        res.json({ followUps, count: followUps.length });
+    } catch (error) {
+        console.error('Error getting follow-ups:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Get starred labs for current user
+app.get('/api/starred/labs', auth.authenticateToken, async (req, res) => {
+    try {
+        const labs = await db.getStarredLabs(req.user.userId);
+        res.json({ labs });
+    } catch (error) {
+        console.error('Error getting starred labs:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Star a lab by ID
+app.post('/api/starred/labs/:labId', auth.authenticateToken, async (req, res) => {
+    try {
+        const labId = parseLabId(req.params.labId);
+        if (!labId) {
+            return res.status(400).json({ error: 'Invalid lab ID' });
+        }
+
+        if (!await db.getLabById(labId)) {
+            return res.status(404).json({ error: 'Lab not found' });
+        }
+
+        await db.starLabById(req.user.userId, labId);
+        res.json({ success: true, message: 'Lab starred' });
+    } catch (error) {
+        console.error('Error starring lab:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Unstar a lab by ID
+app.delete('/api/starred/labs/:labId', auth.authenticateToken, async (req, res) => {
+    try {
+        const labId = parseLabId(req.params.labId);
+        if (!labId) {
+            return res.status(400).json({ error: 'Invalid lab ID' });
+        }
+
+        await db.unstarLabById(req.user.userId, labId);
+        res.json({ success: true, message: 'Lab unstarred' });
+    } catch (error) {
+        console.error('Error unstarring lab:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Star a professor (name-based; prefer POST /api/starred/:professorId)
 app.post('/api/starred', auth.authenticateToken, async (req, res) => {
     try {
         const { professorName, departmentName } = req.body;
@@ -548,7 +1847,7 @@ app.post('/api/starred', auth.authenticateToken, async (req, res) => {
     }
 });
 
-// Unstar a professor
+// Unstar a professor (name-based; prefer DELETE /api/starred/:professorId)
 app.delete('/api/starred', auth.authenticateToken, async (req, res) => {
     try {
         const { professorName, departmentName } = req.body;
@@ -565,7 +1864,158 @@ app.delete('/api/starred', auth.authenticateToken, async (req, res) => {
     }
 });
 
-// Get professor stats
+// Star a professor by ID
+app.post('/api/starred/:professorId', auth.authenticateToken, async (req, res) => {
+    try {
+        const professorId = parseProfessorId(req.params.professorId);
+        if (!professorId) {
+            return res.status(400).json({ error: 'Invalid professor ID' });
+        }
+        
+        const professor = await db.getProfessorById(professorId);
+        if (!professor) {
+            return res.status(404).json({ error: 'Professor not found' });
+        }
+        
+        await db.starProfessorById(req.user.userId, professor.id);
+        res.json({ success: true, message: 'Professor starred' });
+    } catch (error) {
+        console.error('Error starring professor:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Unstar a professor by ID
+app.delete('/api/starred/:professorId', auth.authenticateToken, async (req, res) => {
+    try {
+        const professorId = parseProfessorId(req.params.professorId);
+        if (!professorId) {
+            return res.status(400).json({ error: 'Invalid professor ID' });
+        }
+        
+        await db.unstarProfessorById(req.user.userId, professorId);
+        res.json({ success: true, message: 'Professor unstarred' });
+    } catch (error) {
+        console.error('Error unstarring professor:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Update the application tracker on a starred professor (status and/or follow-up date)
+app.patch('/api/starred/:professorId', auth.authenticateToken, async (req, res) => {
+    try {
+        const professorId = parseProfessorId(req.params.professorId);
+        if (!professorId) {
+            return res.status(400).json({ error: 'Invalid professor ID' });
+        }
+
+        const { errors, application } = validateApplicationInput(req.body);
+        if (errors) {
+            return res.status(400).json({ error: 'Validation failed', fields: errors });
+        }
+
+        const updated = await db.updateStarredApplication(req.user.userId, professorId, application);
+        if (!updated) {
+            return res.status(404).json({ error: 'Professor is not starred' });
+        }
+        res.json({ application: updated });
+    } catch (error) {
+        console.error('Error updating application:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Notes on a starred professor (private to the user who starred them)
+
+// Get the user's notes on a starred professor
+app.get('/api/starred/:professorId/notes', auth.authenticateToken, async (req, res) => {
+    try {
+        const professorId = parseProfessorId(req.params.professorId);
+        if (!professorId) {
+            return res.status(400).json({ error: 'Invalid professor ID' });
+        }
+
+        const notes = await db.getStarNotes(req.user.userId, professorId);
+        if (!notes) {
+            return res.status(404).json({ error: 'Professor is not starred' });
+        }
+        res.json({ notes });
+    } catch (error) {
+        console.error('Error getting notes:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Add a note to a starred professor
+app.post('/api/starred/:professorId/notes', auth.authenticateToken, async (req, res) => {
+    try {
+        const professorId = parseProfessorId(req.params.professorId);
+        if (!professorId) {
+            return res.status(400).json({ error: 'Invalid professor ID' });
+        }
+
+        const { errors, note } = validateNoteInput(req.body);
+        if (errors) {
+            return res.status(400).json({ error: 'Validation failed', fields: errors });
+        }
+
+        const created = await db.addStarNote(req.user.userId, professorId, note.text);
+        if (!created) {
+            return res.status(404).json({ error: 'Professor is not starred' });
+        }
+        res.status(201).json({ note: created });
+    } catch (error) {
+        console.error('Error adding note:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Edit a note on a starred professor
+app.patch('/api/starred/:professorId/notes/:noteId', auth.authenticateToken, async (req, res) => {
+    try {
+        const professorId = parseProfessorId(req.params.professorId);
+        const noteId = parseNoteId(req.params.noteId);
+        if (!professorId || !noteId) {
+            return res.status(400).json({ error: 'Invalid professor or note ID' });
+        }
+
+        const { errors, note } = validateNoteInput(req.body);
+        if (errors) {
+            return res.status(400).json({ error: 'Validation failed', fields: errors });
+        }
+
+        const updated = await db.updateStarNote(req.user.userId, professorId, noteId, note.text);
+        if (!updated) {
+            return res.status(404).json({ error: 'Note not found' });
+        }
+        res.json({ note: updated });
+    } catch (error) {
+        console.error('Error updating note:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Delete a note on a starred professor
+app.delete('/api/starred/:professorId/notes/:noteId', auth.authenticateToken, async (req, res) => {
+    try {
+        const professorId = parseProfessorId(req.params.professorId);
+        const noteId = parseNoteId(req.params.noteId);
+        if (!professorId || !noteId) {
+            return res.status(400).json({ error: 'Invalid professor or note ID' });
+        }
+
+        const deleted = await db.deleteStarNote(req.user.userId, professorId, noteId);
+        if (!deleted) {
+            return res.status(404).json({ error: 'Note not found' });
+        }
+        res.json({ success: true, message: 'Note deleted' });
+    } catch (error) {
+        console.error('Error deleting note:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Get professor stats (name-based; prefer GET /api/professors/:id/stats)
 app.post('/api/professor/stats', async (req, res) => {
     try {
         const { professorName, departmentName } = req.body;
@@ -580,7 +2030,7 @@ app.post('/api/professor/stats', async (req, res) => {
         }
         
         // Get stats (will estimate if not available)
-        const stats = await statsService.getProfessorStats({
+        const { stats, provenance } = await statsService.getProfessorStats({
             name: professorName,
             departmentName: departmentName,
             title: professor.title,
@@ -593,7 +2043,8 @@ app.post('/api/professor/stats', async (req, res) => {
                 name: professorName,
                 department: departmentName
             },
-            stats: stats
+            stats: stats,
+            provenance: provenance
         });
     } catch (error) {
         console.error('Error fetching professor stats:', error);
@@ -679,6 +2130,105 @@ if (shouldServeStatic) {
     console.log(`✅ Serving static files from: ${absoluteStaticPath}`);
 }
 
+/**
+ * Refresh stale professor stats from the stats providers every
+ * STATS_REFRESH_INTERVAL_HOURS hours (off when unset); see scripts/refresh-stats.js
+ */
+function scheduleStatsRefresh() {
+    const intervalHours = parseFloat(process.env.STATS_REFRESH_INTERVAL_HOURS);
+    if (!(intervalHours > 0)) return;
+
+    let running = false;
+    const timer = setInterval(async () => {
+        if (running) return;
+        running = true;
+        try {
+            const summary = await refreshStats({ staleOnly: true });
+            console.log(`🔄 Stats refresh: checked ${summary.checked}, updated ${summary.updated}, failed ${summary.failed}`);
+        } catch (error) {
+            console.error('Error refreshing stats:', error);
+        } finally {
+            running = false;
+        }
+    }, intervalHours * 60 * 60 * 1000);
+    // Don't keep the process alive just for the timer
+    timer.unref();
+    console.log(`🔄 Refreshing stale stats every ${intervalHours} hours`);
+}
+
+// How often expired openings are closed
+const OPENINGS_EXPIRY_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * Close openings whose deadline has passed, now and then every hour, so cached
+ * listings stop showing them as recruiting
+ */
+function scheduleOpeningExpiry() {
+    const closeExpired = async () => {
+        try {
+            const closed = await db.closeExpiredOpenings();
+            if (closed > 0) {
+                console.log(`⏰ Closed ${closed} expired opening(s)`);
+            }
+        } catch (error) {
+            console.error('Error closing expired openings:', error);
+        }
+    };
+
+    closeExpired();
+    const timer = setInterval(closeExpired, OPENINGS_EXPIRY_INTERVAL_MS);
+    // Don't keep the process alive just for the timer
+    timer.unref();
+}
+
+// Whether the server emails opening alerts (set by scheduleOpeningAlerts once email is configured)
+let alertEmailsEnabled = false;
+
+/**
+ * Queue alerts about an opening that just became active, then send the immediate ones
+ * Runs in the background so posting an opening doesn't wait on email.
+ */
+function alertOnOpening(openingId) {
+    openingAlerts.queueOpeningAlerts(openingId).then(queued => {
+        if (queued > 0 && alertEmailsEnabled) {
+            return openingAlerts.sendAlerts();
+        }
+        return null;
+    }).catch(error => {
+        console.error('Error sending opening alerts:', error);
+    });
+}
+
+/**
+ * Send due opening alerts every ALERTS_INTERVAL_MINUTES (default 15; 0 turns the timer off,
+ * e.g. when scripts/send-alerts.js runs from cron instead)
+ */
+function scheduleOpeningAlerts() {
+    const intervalMinutes = process.env.ALERTS_INTERVAL_MINUTES === undefined
+        ? 15
+        : parseFloat(process.env.ALERTS_INTERVAL_MINUTES);
+    if (!(intervalMinutes > 0)) return;
+    if (!emailService.isEmailConfigured()) {
+        console.log('📭 Email not configured; opening alerts are queued but not sent');
+        return;
+    }
+
+    alertEmailsEnabled = true;
+    const timer = setInterval(async () => {
+        try {
+            const summary = await openingAlerts.sendAlerts();
+            if (summary.emails > 0 || summary.failed > 0) {
+                console.log(`📬 Opening alerts: sent ${summary.alerts} in ${summary.emails} email(s), ${summary.failed} failed`);
+            }
+        } catch (error) {
+            console.error('Error sending opening alerts:', error);
+        }
+    }, intervalMinutes * 60 * 1000);
+    // Don't keep the process alive just for the timer
+    timer.unref();
+    console.log(`📬 Sending opening alerts every ${intervalMinutes} minutes`);
+}
+
 // Start server
 async function startServer() {
     try {
@@ -692,6 +2242,9 @@ async function startServer() {
         db.initDatabase().then(() => {
             databaseReady = true;
             console.log('✅ Database initialized successfully');
+            scheduleStatsRefresh();
+            scheduleOpeningExpiry();
+            scheduleOpeningAlerts();
             console.log('🎉 Server fully ready - all systems operational!');
         }).catch((err) => {
             console.error('❌ Database initialization failed:', err);
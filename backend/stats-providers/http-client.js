@@ -0,0 +1,178 @@
+/**
+ * Stats Provider HTTP Client
+ * GET requests for the stats providers, each with a timeout, a per-source rate limit
+ * and a response cache. When a source is down (a 5xx, a 429 or a failed request), the
+ * last good response is used if one is cached, even past its TTL. When fixtures are enabled, responses are replayed from the
+ * recorded files in a fixtures directory (one <source>.json per provider) instead of
+ * going to the network, or recorded into them.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+
+const DEFAULT_TIMEOUT_MS = 10000;
+const DEFAULT_CACHE_TTL_MS = 24 * 60 * 60 * 1000; // 1 day
+const MAX_REDIRECTS = 3;
+const USER_AGENT = 'uchicago-research-board/1.0 (lab stats refresh)';
+
+let fixtures = null; // { dir, record }
+
+/**
+ * Replay (or with { record: true }, record) responses from a fixtures directory
+ * Pass null to go back to the network.
+ */
+function useFixtures(dir, { record = false } = {}) {
+    fixtures = dir ? { dir: path.resolve(dir), record } : null;
+}
+
+function fixtureFile(source) {
+    return path.join(fixtures.dir, `${source}.json`);
+}
+
+function readFixtures(source) {
+    const file = fixtureFile(source);
+    return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+}
+
+function writeFixture(source, url, response) {
+    const recorded = readFixtures(source);
+    recorded[url] = response;
+    fs.mkdirSync(fixtures.dir, { recursive: true });
+    fs.writeFileSync(fixtureFile(source), JSON.stringify(recorded, null, 2) + '\n');
+}
+
+// Replay mode has no recording for a URL; the refresh reports these as not recorded, not failed
+class MissingFixtureError extends Error {
+    constructor(source, url) {
+        super(`${source}: no recorded response for ${url} in ${fixtureFile(source)}`);
+        this.name = 'MissingFixtureError';
+    }
+}
+
+class HttpError extends Error {
+    constructor(source, url, status) {
+        super(`${source}: HTTP ${status} for ${url}`);
+        this.name = 'HttpError';
+        this.status = status;
+    }
+}
+
+/**
+ * One GET over the network, following redirects
+ * @returns {Promise<{status: number, body: string}>}
+ */
+function fetchUrl(url, { headers, timeoutMs }, redirects = 0) {
+    return new Promise((resolve, reject) => {
+        const transport = url.startsWith('https:') ? https : http;
+        const req = transport.get(url, { headers: { 'User-Agent': USER_AGENT, ...headers } }, res => {
+            if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location && redirects < MAX_REDIRECTS) {
+                res.resume();
+                resolve(fetchUrl(new URL(res.headers.location, url).toString(), { headers, timeoutMs }, redirects + 1));
+                return;
+            }
+            const chunks = [];
+            res.on('data', chunk => chunks.push(chunk));
+            res.on('end', () => resolve({ status: res.statusCode, body: Buffer.concat(chunks).toString('utf8') }));
+            res.on('error', reject);
+        });
+        req.setTimeout(timeoutMs, () => {
+            req.destroy(new Error(`Request timed out after ${timeoutMs}ms: ${url}`));
+        });
+        req.on('error', reject);
+    });
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Create a client for one source
+ * @param {Object} options - { source, minIntervalMs, timeoutMs, cacheTtlMs, headers }
+ *   minIntervalMs is the rate limit: requests to this source start at least that far apart.
+ */
+function createClient({ source, minIntervalMs = 1000, timeoutMs = DEFAULT_TIMEOUT_MS, cacheTtlMs = DEFAULT_CACHE_TTL_MS, headers = {} }) {
+    const cache = new Map();
+    let nextRequestAt = 0;
+
+    async function waitForTurn() {
+        const now = Date.now();
+        const startAt = Math.max(now, nextRequestAt);
+        nextRequestAt = startAt + minIntervalMs;
+        if (startAt > now) {
+            await sleep(startAt - now);
+        }
+    }
+
+    /**
+     * GET a URL
+     * @returns {Promise<{status: number, body: string}>}
+     */
+    async function get(url) {
+        const cached = cache.get(url);
+        if (cached && cached.expiresAt > Date.now()) {
+            return cached.response;
+        }
+
+        let response;
+        if (fixtures && !fixtures.record) {
+            response = readFixtures(source)[url];
+            if (!response) {
+                throw new MissingFixtureError(source, url);
+            }
+        } else {
+            await waitForTurn();
+            try {
+                response = await fetchUrl(url, { headers, timeoutMs });
+            } catch (error) {
+                if (cached) return cached.response;
+                throw error;
+            }
+            if (fixtures) {
+                writeFixture(source, url, response);
+            }
+        }
+
+        // Server errors and rate-limit responses are worth retrying later, so they are not cached
+        if (response.status >= 500 || response.status === 429) {
+            return cached ? cached.response : response;
+        }
+        cache.set(url, { response, expiresAt: Date.now() + cacheTtlMs });
+        return response;
+    }
+
+    /**
+     * GET a URL and parse it as JSON
+     * @returns {Promise<Object|null>} null for 404
+     */
+    async function getJson(url) {
+        const { status, body } = await get(url);
+        if (status === 404) return null;
+        if (status < 200 || status >= 300) {
+            throw new HttpError(source, url, status);
+        }
+        return JSON.parse(body);
+    }
+
+    /**
+     * GET a page's text
+     * @returns {Promise<string|null>} null for 404
+     */
+    async function getText(url) {
+        const { status, body } = await get(url);
+        if (status === 404) return null;
+        if (status < 200 || status >= 300) {
+            throw new HttpError(source, url, status);
+        }
+        return body;
+    }
+
+    return { get, getJson, getText };
+}
+
+module.exports = {
+    createClient,
+    useFixtures,
+    HttpError,
+    MissingFixtureError
+};
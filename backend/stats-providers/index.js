@@ -0,0 +1,85 @@
+/**
+ * Stats Providers
+ * Registry of the sources professor stats can be refreshed from. Each provider is
+ * { name, source, stats, client, appliesTo(professor), fetchStats(professor, client) }:
+ * `source` is what gets recorded in professor_stat_sources, `stats` the fields it can
+ * fill and `client` its rate limit and headers for http-client.js. fetchStats resolves
+ * to { stats, sourceUrl } or null when the professor could not be found.
+ *
+ * Providers are listed in priority order: when two return the same stat, the
+ * earlier one wins.
+ */
+
+const { createClient, MissingFixtureError } = require('./http-client');
+
+const PROVIDERS = [
+    require('./lab-roster'),
+    require('./orcid'),
+    require('./semantic-scholar')
+];
+
+// One client per provider, so rate limits and caches last across refreshes
+const clients = new Map();
+
+function clientFor(provider) {
+    if (!clients.has(provider.name)) {
+        clients.set(provider.name, createClient({ source: provider.name, ...provider.client }));
+    }
+    return clients.get(provider.name);
+}
+
+function getProviderNames() {
+    return PROVIDERS.map(provider => provider.name);
+}
+
+/**
+ * Fetch stats for a professor from every applicable provider
+ * @param {Object} professor - Formatted professor (db.formatProfessor)
+ * @param {Object} options - { providers: names to use (default all) }
+ * @returns {Promise<{stats: Object, sources: Array, errors: Array, unrecorded: Array}>} `sources`
+ *   groups the stats by where they came from: [{ source, sourceUrl, stats }]; `errors` has
+ *   { provider, message } for providers that failed; `unrecorded` names the providers that
+ *   had no recorded response when replaying fixtures
+ */
+async function fetchStats(professor, { providers = null } = {}) {
+    const stats = {};
+    const sources = [];
+    const errors = [];
+    const unrecorded = [];
+
+    for (const provider of PROVIDERS) {
+        if (providers && !providers.includes(provider.name)) continue;
+        if (!provider.appliesTo(professor)) continue;
+
+        let result;
+        try {
+            result = await provider.fetchStats(professor, clientFor(provider));
+        } catch (error) {
+            if (error instanceof MissingFixtureError) {
+                unrecorded.push(provider.name);
+                continue;
+            }
+            errors.push({ provider: provider.name, message: error.message });
+            continue;
+        }
+        if (!result) continue;
+
+        const newStats = {};
+        Object.entries(result.stats).forEach(([field, value]) => {
+            if (stats[field] === undefined && Number.isInteger(value) && value >= 0) {
+                newStats[field] = value;
+                stats[field] = value;
+            }
+        });
+        if (Object.keys(newStats).length > 0) {
+            sources.push({ source: provider.source, sourceUrl: result.sourceUrl || null, stats: newStats });
+        }
+    }
+
+    return { stats, sources, errors, unrecorded };
+}
+
+module.exports = {
+    getProviderNames,
+    fetchStats
+};
@@ -0,0 +1,99 @@
+/**
+ * Lab Roster Stats Provider
+ * Counts the people listed on the professor's lab website. The page is split into
+ * sections at its headings; people under member headings ("People", "Graduate
+ * Students", "Undergraduates", ...) are counted, and alumni or former members are not.
+ */
+
+const MEMBER_HEADING = /\b(people|members?|team|group|students?|post-?docs?|postdoctoral|researchers?|staff|scientists?|fellows?|undergrad\w*)\b/i;
+const UNDERGRAD_HEADING = /\bundergrad\w*\b/i;
+const EXCLUDED_HEADING = /\b(alumni|alums?|former|past|previous|visitors?|collaborators?|join|openings?|positions?)\b/i;
+
+function stripTags(html) {
+    return html.replace(/<[^>]*>/g, ' ').replace(/&nbsp;|&#160;/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Split a page into { level, title, body } sections at <h1>-<h6>
+ */
+function splitSections(html) {
+    const page = html
+        .replace(/<!--[\s\S]*?-->/g, '')
+        .replace(/<(script|style|nav|footer)\b[\s\S]*?<\/\1>/gi, '');
+    const headingPattern = /<h([1-6])\b[^>]*>([\s\S]*?)<\/h\1>/gi;
+    const sections = [];
+    let match;
+    let last = null;
+
+    while ((match = headingPattern.exec(page)) !== null) {
+        if (last) last.body = page.slice(last.bodyStart, match.index);
+        last = { level: Number(match[1]), title: stripTags(match[2]), bodyStart: headingPattern.lastIndex, body: '' };
+        sections.push(last);
+    }
+    if (last) last.body = page.slice(last.bodyStart);
+    return sections;
+}
+
+/**
+ * Count current lab members (and the undergraduates among them) on a roster page
+ * People are the list items under a member heading, or, for rosters with a heading per
+ * person, the headings nested under it. <h1> is skipped since it is usually the lab's
+ * name ("Smith Group"), not a section of the page.
+ * @returns {{members: number, undergrads: number}|null} null when no member section was found
+ */
+function countRoster(html) {
+    let members = 0;
+    let undergrads = 0;
+    let foundSection = false;
+    // The member heading a section falls under, e.g. "Graduate Students" above an <h4> per student
+    let current = null;
+
+    splitSections(html).forEach(section => {
+        if (current && section.level <= current.level) current = null;
+
+        let people = 0;
+        if (section.level > 1 && EXCLUDED_HEADING.test(section.title)) {
+            current = { level: section.level, counted: false, undergrad: false };
+        } else if (section.level > 1 && MEMBER_HEADING.test(section.title)) {
+            current = { level: section.level, counted: true, undergrad: UNDERGRAD_HEADING.test(section.title) };
+            foundSection = true;
+            people = (section.body.match(/<li\b/gi) || []).length;
+        } else if (current && current.counted) {
+            people = (section.body.match(/<li\b/gi) || []).length || 1;
+        }
+
+        members += people;
+        if (current && current.undergrad) undergrads += people;
+    });
+
+    return foundSection ? { members, undergrads } : null;
+}
+
+module.exports = {
+    name: 'lab-roster',
+    source: 'lab-website',
+    stats: ['numLabMembers', 'numUndergradResearchers'],
+    client: {
+        minIntervalMs: 1000
+    },
+
+    appliesTo(professor) {
+        return /^https?:\/\//i.test(professor.labWebsite || '');
+    },
+
+    /**
+     * @returns {Promise<{stats: Object, sourceUrl: string}|null>}
+     */
+    async fetchStats(professor, client) {
+        const html = await client.getText(professor.labWebsite);
+        const roster = html ? countRoster(html) : null;
+        if (!roster || roster.members === 0) return null;
+
+        return {
+            stats: { numLabMembers: roster.members, numUndergradResearchers: roster.undergrads },
+            sourceUrl: professor.labWebsite
+        };
+    },
+
+    countRoster
+};
@@ -0,0 +1,66 @@
+/**
+ * ORCID Stats Provider
+ * Finds the professor's ORCID record (a unique match by name and University of Chicago
+ * affiliation) and counts the works on it. ORCID groups duplicate copies of the same
+ * work, so the number of groups is the paper count.
+ */
+
+const { normalizeName } = require('../duplicate-service');
+
+const API_BASE = 'https://pub.orcid.org/v3.0';
+const AFFILIATION = 'University of Chicago';
+
+function searchUrl(professor) {
+    const parts = professor.name.trim().split(/\s+/);
+    const familyName = parts.pop();
+    const query = [
+        parts.length > 0 ? `given-names:${parts[0]}` : null,
+        `family-name:${familyName}`,
+        `affiliation-org-name:"${AFFILIATION}"`
+    ].filter(Boolean).join(' AND ');
+    return `${API_BASE}/expanded-search/?q=${encodeURIComponent(query)}&rows=10`;
+}
+
+/**
+ * The one search result whose full name matches, or null when there are none or several
+ */
+function findRecord(results, professor) {
+    const name = normalizeName(professor.name);
+    const matches = (results || []).filter(result => {
+        const fullName = normalizeName(`${result['given-names'] || ''} ${result['family-names'] || ''}`);
+        return fullName === name;
+    });
+    return matches.length === 1 ? matches[0] : null;
+}
+
+module.exports = {
+    name: 'orcid',
+    source: 'orcid',
+    stats: ['numPublishedPapers'],
+    client: {
+        minIntervalMs: 250, // ORCID's public API allows a few requests per second
+        headers: { Accept: 'application/json' }
+    },
+
+    appliesTo(professor) {
+        return Boolean(professor.name);
+    },
+
+    /**
+     * @returns {Promise<{stats: Object, sourceUrl: string}|null>}
+     */
+    async fetchStats(professor, client) {
+        const search = await client.getJson(searchUrl(professor));
+        const record = findRecord(search && search['expanded-result'], professor);
+        if (!record) return null;
+
+        const orcidId = record['orcid-id'];
+        const works = await client.getJson(`${API_BASE}/${orcidId}/works`);
+        if (!works) return null;
+
+        return {
+            stats: { numPublishedPapers: (works.group || []).length },
+            sourceUrl: `https://orcid.org/${orcidId}`
+        };
+    }
+};
@@ -0,0 +1,54 @@
+/**
+ * Semantic Scholar Stats Provider
+ * Looks the professor up with the author search and takes the paper count of the
+ * one author with a matching name, preferring authors affiliated with UChicago
+ * when the name is shared.
+ */
+
+const { normalizeName } = require('../duplicate-service');
+
+const API_BASE = 'https://api.semanticscholar.org/graph/v1';
+const AFFILIATION_PATTERN = /university of chicago|uchicago/i;
+
+function searchUrl(professor) {
+    return `${API_BASE}/author/search?query=${encodeURIComponent(professor.name)}&fields=name,affiliations,paperCount,url&limit=20`;
+}
+
+/**
+ * The one matching author, or null when there are none or it is ambiguous
+ */
+function findAuthor(authors, professor) {
+    const name = normalizeName(professor.name);
+    const matches = (authors || []).filter(author => normalizeName(author.name) === name);
+    if (matches.length === 1) return matches[0];
+
+    const atChicago = matches.filter(author => (author.affiliations || []).some(affiliation => AFFILIATION_PATTERN.test(affiliation)));
+    return atChicago.length === 1 ? atChicago[0] : null;
+}
+
+module.exports = {
+    name: 'semantic-scholar',
+    source: 'semantic-scholar',
+    stats: ['numPublishedPapers'],
+    client: {
+        minIntervalMs: 1100 // The unauthenticated API allows about one request per second
+    },
+
+    appliesTo(professor) {
+        return Boolean(professor.name);
+    },
+
+    /**
+     * @returns {Promise<{stats: Object, sourceUrl: string}|null>}
+     */
+    async fetchStats(professor, client) {
+        const search = await client.getJson(searchUrl(professor));
+        const author = findAuthor(search && search.data, professor);
+        if (!author || typeof author.paperCount !== 'number') return null;
+
+        return {
+            stats: { numPublishedPapers: author.paperCount },
+            sourceUrl: author.url || `https://www.semanticscholar.org/author/${author.authorId}`
+        };
+    }
+};
@@ -0,0 +1,98 @@
+/**
+ * Stats Refresh
+ * Refreshes professor stats from the stats providers (see stats-providers/) and saves
+ * them through db.updateProfessorStats with the provider as their source. Run by
+ * scripts/refresh-stats.js or on a timer by the server (STATS_REFRESH_INTERVAL_HOURS).
+ */
+
+const db = require('./database');
+const statsService = require('./stats-service');
+const { STAT_FIELDS } = require('./professor-validation');
+
+// Sources typed in or imported by people; a provider only replaces these once they are stale
+const HUMAN_SOURCES = ['manual', 'spreadsheet'];
+
+/**
+ * Stats a provider may overwrite: missing ones, stale ones and ones that came from a provider
+ * Paper counts of professors with publications are counted from them and never overwritten.
+ */
+function refreshableStats(professor, stats) {
+    const refreshable = {};
+    Object.entries(stats).forEach(([field, value]) => {
+        const current = professor.statsProvenance[field];
+        if (field === 'numPublishedPapers' && professor.publicationCount > 0) return;
+        if (current && !current.stale && HUMAN_SOURCES.includes(current.source)) return;
+        refreshable[field] = value;
+    });
+    return refreshable;
+}
+
+function hasStaleStats(professor) {
+    return STAT_FIELDS.some(field => {
+        const provenance = professor.statsProvenance[field];
+        return !provenance || provenance.stale;
+    });
+}
+
+/**
+ * Refresh stats for every professor (or one department's)
+ * @param {Object} options - { department, providers: provider names (default all),
+ *   staleOnly: skip professors whose stats are all fresh, dryRun: fetch but don't save,
+ *   log: per-professor progress function }
+ * @returns {Promise<Object>} Summary: { checked, updated, unchanged, notFound, notRecorded, failed, changes, errors }
+ *   notRecorded counts professors skipped because no provider had a recorded response (fixtures only)
+ */
+async function refreshStats({ department = null, providers = null, staleOnly = false, dryRun = false, log = () => {} } = {}) {
+    const rows = department ? await db.getProfessorsByDepartment(department) : (await db.getAllProfessors()).map(db.formatProfessor);
+    const professors = staleOnly ? rows.filter(hasStaleStats) : rows;
+    const summary = { checked: 0, updated: 0, unchanged: 0, notFound: 0, notRecorded: 0, failed: 0, changes: [], errors: [] };
+
+    for (const professor of professors) {
+        summary.checked++;
+        try {
+            const result = await statsService.fetchStatsFromWeb(professor, { providers });
+            result.errors.forEach(error => {
+                summary.errors.push({ professor: professor.name, ...error });
+                log(`⚠️  ${professor.name}: ${error.provider} failed - ${error.message}`);
+            });
+
+            const changed = [];
+            for (const { source, sourceUrl, stats } of result.sources) {
+                const refreshable = refreshableStats(professor, stats);
+                if (Object.keys(refreshable).length === 0) continue;
+
+                Object.entries(refreshable).forEach(([field, value]) => {
+                    if (professor[field] !== value) {
+                        changed.push({ field, from: professor[field], to: value, source });
+                    }
+                });
+                if (!dryRun) {
+                    // Unchanged values are saved too, so their verification date moves forward
+                    await db.updateProfessorStats(professor.name, professor.department, refreshable, { source, sourceUrl });
+                }
+            }
+
+            if (result.sources.length === 0 && result.errors.length > 0) {
+                summary.failed++;
+            } else if (result.sources.length === 0) {
+                summary[result.unrecorded.length > 0 ? 'notRecorded' : 'notFound']++;
+            } else if (changed.length > 0) {
+                summary.updated++;
+                summary.changes.push({ id: professor.id, name: professor.name, department: professor.department, changes: changed });
+                log(`✅ ${professor.name}: ${changed.map(change => `${change.field} ${change.from ?? '-'} → ${change.to} (${change.source})`).join(', ')}`);
+            } else {
+                summary.unchanged++;
+            }
+        } catch (error) {
+            summary.failed++;
+            summary.errors.push({ professor: professor.name, message: error.message });
+            log(`❌ ${professor.name}: ${error.message}`);
+        }
+    }
+
+    return summary;
+}
+
+module.exports = {
+    refreshStats
+};
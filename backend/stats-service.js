@@ -1,119 +1,88 @@
 /**
  * Stats Service
- * Attempts to fetch or estimate professor statistics
+ * Looks up professor statistics and where each value came from
  */
 
-const https = require('https');
-const http = require('http');
+const statsProviders = require('./stats-providers');
 
 /**
- * Estimate stats based on professor title and other factors
+ * Fetch stats from lab websites, ORCID and Semantic Scholar (see stats-providers/)
+ * This makes outside requests, so it is used by the scheduled refresh (stats-refresh.js)
+ * rather than when answering API requests.
+ * @param {Object} professor - Formatted professor (db.formatProfessor)
+ * @param {Object} options - { providers: provider names to use (default all) }
+ * @returns {Promise<{stats: Object, sources: Array, errors: Array}>} as stats-providers fetchStats
  */
-function estimateStats(professor) {
-    const title = (professor.title || '').toLowerCase();
-    const isProfessor = title.includes('professor') && !title.includes('assistant') && !title.includes('associate');
-    const isAssociate = title.includes('associate');
-    const isAssistant = title.includes('assistant');
-    const isEmeritus = title.includes('emeritus');
-    
-    // Base estimates
-    let numLabMembers = 0;
-    let numUndergradResearchers = 0;
-    let numPublishedPapers = 0;
-    
-    if (isEmeritus) {
-        // Emeritus professors typically have smaller labs
-        numLabMembers = Math.floor(Math.random() * 3) + 1; // 1-3
-        numUndergradResearchers = Math.floor(Math.random() * 2); // 0-1
-        numPublishedPapers = Math.floor(Math.random() * 50) + 100; // 100-150
-    } else if (isProfessor) {
-        // Full professors typically have larger labs
-        numLabMembers = Math.floor(Math.random() * 8) + 5; // 5-12
-        numUndergradResearchers = Math.floor(Math.random() * 5) + 2; // 2-6
-        numPublishedPapers = Math.floor(Math.random() * 100) + 50; // 50-150
-    } else if (isAssociate) {
-        // Associate professors
-        numLabMembers = Math.floor(Math.random() * 6) + 3; // 3-8
-        numUndergradResearchers = Math.floor(Math.random() * 4) + 1; // 1-4
-        numPublishedPapers = Math.floor(Math.random() * 60) + 20; // 20-80
-    } else if (isAssistant) {
-        // Assistant professors (newer, smaller labs)
-        numLabMembers = Math.floor(Math.random() * 4) + 2; // 2-5
-        numUndergradResearchers = Math.floor(Math.random() * 3) + 1; // 1-3
-        numPublishedPapers = Math.floor(Math.random() * 30) + 10; // 10-40
-    } else {
-        // Default estimates
-        numLabMembers = Math.floor(Math.random() * 5) + 2; // 2-6
-        numUndergradResearchers = Math.floor(Math.random() * 3) + 1; // 1-3
-        numPublishedPapers = Math.floor(Math.random() * 50) + 20; // 20-70
-    }
-    
-    return {
-        numLabMembers,
-        numUndergradResearchers,
-        numPublishedPapers
-    };
+function fetchStatsFromWeb(professor, options = {}) {
+    return statsProviders.fetchStats(professor, options);
 }
 
+const NO_STATS = {
+    numLabMembers: 0,
+    numUndergradResearchers: 0,
+    numPublishedPapers: 0
+};
+
 /**
- * Try to fetch stats from lab website (basic attempt)
- * This is a placeholder - in production, you'd want more sophisticated scraping
+ * Stats for a professor row already loaded from the database
+ * @returns {Promise<{stats: Object, provenance: Object}>} provenance as in db.formatProfessor
  */
-async function fetchStatsFromWeb(professor) {
-    // For now, return null to indicate we couldn't fetch
-    // In a real implementation, you might:
-    // 1. Scrape lab websites for member lists
-    // 2. Use Google Scholar API (if available)
-    // 3. Use ORCID API
-    // 4. Use Semantic Scholar API
+async function statsForRecord(prof, db) {
+    if (prof && (prof.num_lab_members !== null || prof.num_undergrad_researchers !== null || prof.num_published_papers !== null)) {
+        return {
+            stats: {
+                numLabMembers: prof.num_lab_members || 0,
+                numUndergradResearchers: prof.num_undergrad_researchers || 0,
+                numPublishedPapers: prof.num_published_papers || 0
+            },
+            provenance: db.formatProfessor(prof).statsProvenance
+        };
+    }
     
-    return null;
+    // Return null/0 values if no data available (don't generate fake estimates)
+    return { stats: { ...NO_STATS }, provenance: {} };
 }
 
 /**
- * Get stats for a professor
+ * Get stats for a professor, with where each value came from
  * Only returns real data from database - no estimates
+ * @returns {Promise<{stats: Object, provenance: Object}>}
  */
 async function getProfessorStats(professor, db) {
     try {
-        // Try to get from database first
-        const prof = await db.getProfessorByNameAndDepartment(professor.name, professor.departmentName);
-        if (prof && (prof.num_lab_members !== null || prof.num_undergrad_researchers !== null || prof.num_published_papers !== null)) {
-            return {
-                numLabMembers: prof.num_lab_members || 0,
-                numUndergradResearchers: prof.num_undergrad_researchers || 0,
-                numPublishedPapers: prof.num_published_papers || 0
-            };
-        }
-        
-        // If not in database, try to fetch from web
-        const webStats = await fetchStatsFromWeb(professor);
-        if (webStats) {
-            // Save to database for future use
-            await db.updateProfessorStats(professor.name, professor.departmentName, webStats);
-            return webStats;
-        }
-        
-        // Return null/0 values if no data available (don't generate fake estimates)
-        return {
-            numLabMembers: 0,
-            numUndergradResearchers: 0,
-            numPublishedPapers: 0
-        };
+        // Try to get from database first (prefer the stable ID when we have it)
+        const prof = professor.id
+            ? await db.getProfessorById(professor.id)
+            : await db.getProfessorByNameAndDepartment(professor.name, professor.departmentName);
+        return await statsForRecord(prof, db);
     } catch (error) {
         console.error('Error getting professor stats:', error);
         // Return zeros instead of estimates
-        return {
-            numLabMembers: 0,
-            numUndergradResearchers: 0,
-            numPublishedPapers: 0
-        };
+        return { stats: { ...NO_STATS }, provenance: {} };
+    }
+}
+
+/**
+ * Get stats for many professors at once
+ * @param {Array<Object>} profs - Professor rows from the database (e.g. db.getProfessorsByIds)
+ * @returns {Promise<Map<number, Object>>} { stats, provenance } keyed by professor ID
+ */
+async function getProfessorsStats(profs, db) {
+    const statsById = new Map();
+    for (const prof of profs) {
+        try {
+            statsById.set(prof.id, await statsForRecord(prof, db));
+        } catch (error) {
+            console.error('Error getting professor stats:', error);
+            statsById.set(prof.id, { stats: { ...NO_STATS }, provenance: {} });
+        }
     }
+    return statsById;
 }
 
 module.exports = {
     getProfessorStats,
-    estimateStats,
+    getProfessorsStats,
     fetchStatsFromWeb
 };
 
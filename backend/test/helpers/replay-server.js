@@ -0,0 +1,76 @@
+/**
+ * Replay Server
+ * Local HTTP server for the stats provider tests. It answers with the responses recorded
+ * in stats-providers/fixtures, so the adapters run over real HTTP (timeouts, caching and
+ * rate limits included) without touching the network. A test can override the response
+ * for a URL with another status or a delay, and count the requests that reached it.
+ */
+
+const http = require('http');
+const path = require('path');
+const { createClient } = require('../../stats-providers/http-client');
+
+const FIXTURES_DIR = path.join(__dirname, '..', '..', 'stats-providers', 'fixtures');
+
+/**
+ * Start a server replaying one provider's recordings
+ * @returns {Promise<Object>} { client(options), override(url, response), hits(url), requestTimes, close() }
+ */
+async function startReplayServer(source) {
+    const recorded = require(path.join(FIXTURES_DIR, `${source}.json`));
+    const overrides = new Map();
+    const hits = new Map();
+    const requestTimes = [];
+
+    const server = http.createServer((req, res) => {
+        const url = new URL(req.url, 'http://localhost').searchParams.get('url');
+        hits.set(url, (hits.get(url) || 0) + 1);
+        requestTimes.push(Date.now());
+
+        const response = overrides.get(url) || recorded[url];
+        if (!response) {
+            res.writeHead(500);
+            res.end(`No recorded response for ${url}`);
+            return;
+        }
+        if (response.delayMs) {
+            // Left hanging so the client's timeout fires first
+            setTimeout(() => res.end(), response.delayMs).unref();
+            return;
+        }
+        res.writeHead(response.status, { 'Content-Type': 'text/plain' });
+        res.end(response.body || '');
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const base = `http://127.0.0.1:${server.address().port}/`;
+
+    return {
+        /**
+         * A client for the provider that sends its requests here instead of to the real URLs
+         */
+        client(options = {}) {
+            const client = createClient({ source, ...options });
+            const local = url => `${base}?url=${encodeURIComponent(url)}`;
+            return {
+                get: url => client.get(local(url)),
+                getJson: url => client.getJson(local(url)),
+                getText: url => client.getText(local(url))
+            };
+        },
+        override(url, response) {
+            if (response) overrides.set(url, response);
+            else overrides.delete(url);
+        },
+        hits: url => hits.get(url) || 0,
+        requestTimes,
+        close() {
+            server.closeAllConnections();
+            return new Promise(resolve => server.close(resolve));
+        }
+    };
+}
+
+module.exports = {
+    FIXTURES_DIR,
+    startReplayServer
+};
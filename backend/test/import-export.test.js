@@ -0,0 +1,78 @@
+const { test, describe, before, after, mock } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Plan imports against a migrated scratch copy of the database, never the real file
+const scratchDir = fs.mkdtempSync(path.join(os.tmpdir(), 'import-export-'));
+process.env.DATABASE_PATH = path.join(scratchDir, 'database.db');
+fs.copyFileSync(path.join(__dirname, '..', 'database.db'), process.env.DATABASE_PATH);
+
+const db = require('../database');
+const exportService = require('../export-service');
+const importService = require('../import-service');
+
+const DEPARTMENT = 'computer science';
+
+/**
+ * Export professors in a format, then dry-run importing the file with a department's config
+ */
+async function planRoundTrip(professors, format) {
+    const file = path.join(scratchDir, `export.${format}`);
+    fs.writeFileSync(file, exportService.serialize(professors, format));
+    const config = importService.loadConfig(DEPARTMENT);
+    return importService.planImport(importService.readRows(file, config), config);
+}
+
+function countByType(actions) {
+    const counts = {};
+    actions.forEach(action => { counts[action.type] = (counts[action.type] || 0) + 1; });
+    return counts;
+}
+
+describe('importing exported files', () => {
+    let allProfessors;
+    let departmentProfessors;
+
+    before(async () => {
+        mock.method(console, 'log', () => {});
+        await db.initDatabase();
+
+        // Like GET /api/export without a department: everyone once, under their first department
+        const seen = new Set();
+        allProfessors = [];
+        for (const department of await db.getAllDepartments()) {
+            (await db.getProfessorsByDepartment(department.name)).forEach(professor => {
+                if (!seen.has(professor.id)) {
+                    seen.add(professor.id);
+                    allProfessors.push(professor);
+                }
+            });
+        }
+        departmentProfessors = await db.getProfessorsByDepartment(DEPARTMENT);
+    });
+
+    after(() => {
+        mock.restoreAll();
+        fs.rmSync(scratchDir, { recursive: true, force: true });
+    });
+
+    for (const format of Object.keys(exportService.FORMATS)) {
+        test(`a ${format} export of one department imports back unchanged`, async () => {
+            const actions = await planRoundTrip(departmentProfessors, format);
+            assert.deepStrictEqual(countByType(actions), { unchanged: departmentProfessors.length });
+        });
+
+        test(`a ${format} export of every department only imports the config's department`, async () => {
+            const actions = await planRoundTrip(allProfessors, format);
+            const others = allProfessors.length - departmentProfessors.length;
+            assert.ok(others > 0, 'the database has professors outside the department');
+            assert.deepStrictEqual(countByType(actions), { unchanged: departmentProfessors.length, skipped: others });
+            actions.filter(action => action.type === 'skipped').forEach(action => {
+                assert.match(action.reason, /^listed under /);
+                assert.notStrictEqual(action.reason, `listed under ${DEPARTMENT}`);
+            });
+        });
+    }
+});
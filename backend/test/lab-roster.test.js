@@ -0,0 +1,102 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+const labRoster = require('../stats-providers/lab-roster');
+const { HttpError } = require('../stats-providers/http-client');
+const { startReplayServer } = require('./helpers/replay-server');
+
+const DONNAT = { name: 'Claire Donnat', labWebsite: 'https://cdonnat.github.io/' };
+const CHEN = { name: 'Mengjie Chen', labWebsite: 'http://www.mengjiechen.com/team.html' };
+const GAO = { name: 'Chao Gao', labWebsite: 'https://www.stat.uchicago.edu/~chaogao/' };
+const BARBER = { name: 'Rina Foygel Barber', labWebsite: 'https://rinafb.github.io/' };
+
+describe('lab-roster provider', () => {
+    let replay;
+    before(async () => { replay = await startReplayServer('lab-roster'); });
+    after(() => replay.close());
+
+    test('counts members and undergraduates, skipping alumni, navigation and footers', async () => {
+        const result = await labRoster.fetchStats(DONNAT, replay.client({ minIntervalMs: 0 }));
+        assert.deepStrictEqual(result, {
+            stats: { numLabMembers: 5, numUndergradResearchers: 2 },
+            sourceUrl: DONNAT.labWebsite
+        });
+    });
+
+    test('counts a heading per person under member headings', async () => {
+        const result = await labRoster.fetchStats(CHEN, replay.client({ minIntervalMs: 0 }));
+        assert.deepStrictEqual(result.stats, { numLabMembers: 6, numUndergradResearchers: 1 });
+    });
+
+    test('returns null for a page without a roster or a missing page', async () => {
+        const client = replay.client({ minIntervalMs: 0 });
+        assert.strictEqual(await labRoster.fetchStats(GAO, client), null);
+        assert.strictEqual(await labRoster.fetchStats(BARBER, client), null);
+    });
+
+    test('only applies to professors with a lab website', () => {
+        assert.strictEqual(labRoster.appliesTo(DONNAT), true);
+        assert.strictEqual(labRoster.appliesTo({ name: 'No Site', labWebsite: null }), false);
+        assert.strictEqual(labRoster.appliesTo({ name: 'Bad Site', labWebsite: 'cdonnat.github.io' }), false);
+    });
+
+    test('times out on a page that does not respond', async () => {
+        replay.override(DONNAT.labWebsite, { delayMs: 2000 });
+        try {
+            await assert.rejects(
+                labRoster.fetchStats(DONNAT, replay.client({ minIntervalMs: 0, timeoutMs: 50 })),
+                /timed out after 50ms/
+            );
+        } finally {
+            replay.override(DONNAT.labWebsite, null);
+        }
+    });
+
+    test('serves a repeat request from the cache', async () => {
+        const client = replay.client({ minIntervalMs: 0 });
+        const before = replay.hits(CHEN.labWebsite);
+        const first = await labRoster.fetchStats(CHEN, client);
+        const second = await labRoster.fetchStats(CHEN, client);
+        assert.deepStrictEqual(second, first);
+        assert.strictEqual(replay.hits(CHEN.labWebsite) - before, 1);
+    });
+
+    test('spaces requests by the provider rate limit', async () => {
+        const client = replay.client(labRoster.client);
+        const start = replay.requestTimes.length;
+        await labRoster.fetchStats(DONNAT, client);
+        await labRoster.fetchStats(CHEN, client);
+        const [first, second] = replay.requestTimes.slice(start);
+        assert.ok(second - first >= labRoster.client.minIntervalMs - 10, `requests were ${second - first}ms apart`);
+    });
+
+    test('throws on 429 without caching it, so a later retry goes through', async () => {
+        const client = replay.client({ minIntervalMs: 0 });
+        replay.override(DONNAT.labWebsite, { status: 429, body: 'Too Many Requests' });
+        try {
+            await assert.rejects(labRoster.fetchStats(DONNAT, client), error => error instanceof HttpError && error.status === 429);
+        } finally {
+            replay.override(DONNAT.labWebsite, null);
+        }
+        const result = await labRoster.fetchStats(DONNAT, client);
+        assert.strictEqual(result.stats.numLabMembers, 5);
+    });
+
+    test('falls back to the last good response on 503, and throws when there is none', async () => {
+        const client = replay.client({ minIntervalMs: 0, cacheTtlMs: 0 });
+        const fresh = await labRoster.fetchStats(DONNAT, client);
+
+        replay.override(DONNAT.labWebsite, { status: 503, body: 'Service Unavailable' });
+        try {
+            const before = replay.hits(DONNAT.labWebsite);
+            assert.deepStrictEqual(await labRoster.fetchStats(DONNAT, client), fresh);
+            assert.strictEqual(replay.hits(DONNAT.labWebsite) - before, 1);
+
+            await assert.rejects(
+                labRoster.fetchStats(DONNAT, replay.client({ minIntervalMs: 0 })),
+                error => error instanceof HttpError && error.status === 503
+            );
+        } finally {
+            replay.override(DONNAT.labWebsite, null);
+        }
+    });
+});
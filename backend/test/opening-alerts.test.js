@@ -0,0 +1,171 @@
+const { test, describe, before, after, mock } = require('node:test');
+const assert = require('node:assert');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { startSmtpSink } = require('../scripts/smtp-sink');
+
+// Send against a migrated scratch copy of the database, never the real file
+const scratchDir = fs.mkdtempSync(path.join(os.tmpdir(), 'opening-alerts-'));
+process.env.DATABASE_PATH = path.join(scratchDir, 'database.db');
+fs.copyFileSync(path.join(__dirname, '..', 'database.db'), process.env.DATABASE_PATH);
+
+const HOUR_MS = 60 * 60 * 1000;
+const BOUNCE = 'bounce@alerts.test';
+
+function freePort() {
+    return new Promise(resolve => {
+        const probe = net.createServer().listen(0, () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        });
+    });
+}
+
+/**
+ * The API server, for following unsubscribe links (its own alert timer is off)
+ */
+async function startApiServer(port) {
+    const env = { ...process.env, PORT: String(port), ALERTS_INTERVAL_MINUTES: '0' };
+    delete env.EMAIL_HOST;
+    const server = spawn(process.execPath, ['server.js'], { cwd: path.join(__dirname, '..'), env, stdio: 'ignore' });
+
+    for (let attempt = 0; attempt < 100; attempt++) {
+        try {
+            const health = await (await fetch(`http://127.0.0.1:${port}/api/health`)).json();
+            if (health.database === 'ready') return server;
+        } catch (error) {
+            // Not listening yet
+        }
+        await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    server.kill();
+    throw new Error('API server did not start');
+}
+
+// Headers of a raw message, with folded lines joined
+function parseHeaders(message) {
+    const headers = {};
+    message.split(/\r\n\r\n/)[0].replace(/\r\n[ \t]+/g, ' ').split('\r\n').forEach(line => {
+        const colon = line.indexOf(':');
+        headers[line.slice(0, colon).toLowerCase()] = line.slice(colon + 1).trim();
+    });
+    return headers;
+}
+
+describe('opening alerts through a local SMTP server', () => {
+    const received = [];
+    let sink;
+    let apiServer;
+    let db;
+    let openingAlerts;
+    let professorId;
+    const users = {};
+    const start = Date.now();
+
+    const receivedBy = address => received.filter(({ envelope }) => envelope.to.some(to => to.includes(address)));
+    const run = hoursLater => openingAlerts.sendAlerts({ now: new Date(start + hoursLater * HOUR_MS) });
+
+    async function postOpening(role) {
+        const openingId = await db.addOpening({ professorId, role });
+        await openingAlerts.queueOpeningAlerts(openingId);
+    }
+
+    before(async () => {
+        mock.method(console, 'log', () => {});
+        mock.method(console, 'error', () => {});
+
+        sink = await startSmtpSink({
+            rejectRecipients: [BOUNCE],
+            onMessage: (envelope, message) => received.push({ envelope, message, headers: parseHeaders(message) })
+        });
+        const apiPort = await freePort();
+        process.env.EMAIL_HOST = '127.0.0.1';
+        process.env.EMAIL_PORT = String(sink.port);
+        process.env.PUBLIC_API_URL = `http://127.0.0.1:${apiPort}/api`;
+
+        db = require('../database');
+        openingAlerts = require('../opening-alerts');
+        await db.initDatabase();
+        apiServer = await startApiServer(apiPort);
+
+        professorId = await db.addProfessor('statistics', { name: 'Alert Test Professor' });
+        for (const [key, frequency] of [['immediate', 'immediate'], ['daily', 'daily'], ['bounce', 'immediate']]) {
+            const email = key === 'bounce' ? BOUNCE : `${key}@alerts.test`;
+            await db.createUser(email, 'unused-hash', null);
+            users[key] = { id: (await db.getUserByEmail(email)).id, email };
+            await db.updateNotificationPreferences(users[key].id, { frequency });
+            await db.starProfessorById(users[key].id, professorId);
+        }
+        // The daily digest was just sent, so the next one is due in a day
+        await db.markDigestSent(users.daily.id);
+    });
+
+    after(async () => {
+        if (apiServer) apiServer.kill();
+        if (sink) await sink.close();
+        mock.restoreAll();
+        fs.rmSync(scratchDir, { recursive: true, force: true });
+    });
+
+    test('immediate alerts go out on the next run, digests once their period is up', async () => {
+        await postOpening('Summer Research Assistant');
+        const first = await run(0);
+        assert.strictEqual(receivedBy(users.immediate.email).length, 1);
+        assert.match(receivedBy(users.immediate.email)[0].headers.subject, /Alert Test Professor/);
+        assert.strictEqual(receivedBy(users.daily.email).length, 0);
+        assert.strictEqual(first.emails, 1);
+
+        await postOpening('Data Analyst');
+        await run(1);
+        assert.strictEqual(receivedBy(users.immediate.email).length, 2);
+        assert.strictEqual(receivedBy(users.daily.email).length, 0, 'the digest is not due an hour later');
+
+        await run(25);
+        const digests = receivedBy(users.daily.email);
+        assert.strictEqual(digests.length, 1);
+        assert.strictEqual(digests[0].headers.subject, 'Your daily research openings digest (2 updates)');
+        assert.strictEqual(receivedBy(users.immediate.email).length, 2, 'nothing is sent twice');
+    });
+
+    test('alerts that fail to send stay queued until a run delivers them', async () => {
+        const pendingFor = async userId => (await db.getPendingAlerts()).filter(alert => alert.user.id === userId);
+        assert.strictEqual(receivedBy(BOUNCE).length, 0);
+        assert.strictEqual((await pendingFor(users.bounce.id)).length, 2);
+
+        const failed = await run(26);
+        assert.strictEqual(failed.failed, 1);
+        assert.strictEqual((await pendingFor(users.bounce.id)).length, 2);
+
+        sink.rejectRecipients.delete(BOUNCE);
+        const delivered = await run(27);
+        assert.deepStrictEqual({ emails: delivered.emails, alerts: delivered.alerts, failed: delivered.failed }, { emails: 1, alerts: 2, failed: 0 });
+        assert.strictEqual(receivedBy(BOUNCE).length, 1);
+        assert.strictEqual((await pendingFor(users.bounce.id)).length, 0);
+    });
+
+    test('every email has a working unsubscribe link', async () => {
+        assert.ok(received.length >= 4);
+        received.forEach(({ headers, message }) => {
+            const link = (headers['list-unsubscribe'] || '').replace(/^<|>$/g, '');
+            assert.match(link, /\/api\/notifications\/unsubscribe\?token=/);
+            assert.strictEqual(headers['list-unsubscribe-post'], 'List-Unsubscribe=One-Click');
+            assert.ok(message.replace(/=\r\n/g, '').includes(link.split('token=')[1]), 'the body links to it too');
+        });
+
+        const link = receivedBy(users.immediate.email)[0].headers['list-unsubscribe'].replace(/^<|>$/g, '');
+        const page = await fetch(link);
+        assert.strictEqual(page.status, 200);
+        assert.match(await page.text(), /Unsubscribe from opening alerts/);
+
+        const unsubscribed = await fetch(link, { method: 'POST' });
+        assert.strictEqual(unsubscribed.status, 200);
+        assert.strictEqual((await db.getNotificationPreferences(users.immediate.id)).frequency, 'off');
+
+        await postOpening('Lab Manager');
+        await run(28);
+        assert.strictEqual(receivedBy(users.immediate.email).length, 2, 'no alerts after unsubscribing');
+    });
+});
@@ -0,0 +1,112 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const orcid = require('../stats-providers/orcid');
+const statsProviders = require('../stats-providers');
+const { HttpError, useFixtures } = require('../stats-providers/http-client');
+const { FIXTURES_DIR, startReplayServer } = require('./helpers/replay-server');
+
+const DONNAT = { name: 'Claire Donnat' };
+const SEARCH_URL = 'https://pub.orcid.org/v3.0/expanded-search/?q=given-names%3AClaire%20AND%20family-name%3ADonnat%20AND%20affiliation-org-name%3A%22University%20of%20Chicago%22&rows=10';
+const WORKS_URL = 'https://pub.orcid.org/v3.0/0000-0002-0000-0001/works';
+
+describe('orcid provider', () => {
+    let replay;
+    before(async () => { replay = await startReplayServer('orcid'); });
+    after(() => replay.close());
+
+    test('counts the work groups on the one matching record', async () => {
+        const result = await orcid.fetchStats(DONNAT, replay.client({ minIntervalMs: 0 }));
+        assert.deepStrictEqual(result, {
+            stats: { numPublishedPapers: 14 },
+            sourceUrl: 'https://orcid.org/0000-0002-0000-0001'
+        });
+    });
+
+    test('returns null when the name matches several records or none', async () => {
+        const client = replay.client({ minIntervalMs: 0 });
+        assert.strictEqual(await orcid.fetchStats({ name: 'Mengjie Chen' }, client), null);
+        assert.strictEqual(await orcid.fetchStats({ name: 'Chao Gao' }, client), null);
+    });
+
+    test('times out on a search that does not respond', async () => {
+        replay.override(SEARCH_URL, { delayMs: 2000 });
+        try {
+            await assert.rejects(
+                orcid.fetchStats(DONNAT, replay.client({ minIntervalMs: 0, timeoutMs: 50 })),
+                /timed out after 50ms/
+            );
+        } finally {
+            replay.override(SEARCH_URL, null);
+        }
+    });
+
+    test('serves repeat requests from the cache', async () => {
+        const client = replay.client({ minIntervalMs: 0 });
+        const searches = replay.hits(SEARCH_URL);
+        const works = replay.hits(WORKS_URL);
+        await orcid.fetchStats(DONNAT, client);
+        await orcid.fetchStats(DONNAT, client);
+        assert.strictEqual(replay.hits(SEARCH_URL) - searches, 1);
+        assert.strictEqual(replay.hits(WORKS_URL) - works, 1);
+    });
+
+    test('spaces requests by the provider rate limit', async () => {
+        const client = replay.client(orcid.client);
+        const start = replay.requestTimes.length;
+        await orcid.fetchStats(DONNAT, client);
+        const [search, works] = replay.requestTimes.slice(start);
+        assert.ok(works - search >= orcid.client.minIntervalMs - 10, `requests were ${works - search}ms apart`);
+    });
+
+    test('throws on 429 without caching it, so a later retry goes through', async () => {
+        const client = replay.client({ minIntervalMs: 0 });
+        replay.override(WORKS_URL, { status: 429, body: '{"error":"Too Many Requests"}' });
+        try {
+            await assert.rejects(orcid.fetchStats(DONNAT, client), error => error instanceof HttpError && error.status === 429);
+        } finally {
+            replay.override(WORKS_URL, null);
+        }
+        const result = await orcid.fetchStats(DONNAT, client);
+        assert.strictEqual(result.stats.numPublishedPapers, 14);
+    });
+
+    test('falls back to the last good response on 503, and throws when there is none', async () => {
+        const client = replay.client({ minIntervalMs: 0, cacheTtlMs: 0 });
+        const fresh = await orcid.fetchStats(DONNAT, client);
+
+        replay.override(SEARCH_URL, { status: 503, body: 'Service Unavailable' });
+        try {
+            assert.deepStrictEqual(await orcid.fetchStats(DONNAT, client), fresh);
+            await assert.rejects(
+                orcid.fetchStats(DONNAT, replay.client({ minIntervalMs: 0 })),
+                error => error instanceof HttpError && error.status === 503
+            );
+        } finally {
+            replay.override(SEARCH_URL, null);
+        }
+    });
+
+    test('a 503 from ORCID leaves the paper count to the next provider', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'orcid-fixtures-'));
+        const recorded = JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, 'orcid.json'), 'utf8'));
+        recorded[SEARCH_URL] = { status: 503, body: 'Service Unavailable' };
+        fs.writeFileSync(path.join(dir, 'orcid.json'), JSON.stringify(recorded));
+        fs.copyFileSync(path.join(FIXTURES_DIR, 'semantic-scholar.json'), path.join(dir, 'semantic-scholar.json'));
+
+        useFixtures(dir);
+        try {
+            const result = await statsProviders.fetchStats(DONNAT, { providers: ['orcid', 'semantic-scholar'] });
+            assert.deepStrictEqual(result.stats, { numPublishedPapers: 19 });
+            assert.deepStrictEqual(result.sources.map(source => source.source), ['semantic-scholar']);
+            assert.strictEqual(result.errors.length, 1);
+            assert.strictEqual(result.errors[0].provider, 'orcid');
+            assert.match(result.errors[0].message, /HTTP 503/);
+        } finally {
+            useFixtures(null);
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});
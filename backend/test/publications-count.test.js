@@ -0,0 +1,74 @@
+const { test, describe, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const sqlite3 = require('sqlite3');
+const migrationRunner = require('../migration-runner');
+
+function query(db, method, sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db[method](sql, params, (err, result) => (err ? reject(err) : resolve(result)));
+    });
+}
+
+describe('num_published_papers triggers', () => {
+    let db;
+    const run = (sql, params) => query(db, 'run', sql, params);
+    const get = (sql, params) => query(db, 'get', sql, params);
+
+    async function addProfessor(name, numPublishedPapers) {
+        await run(`INSERT INTO professors (department_id, name, num_published_papers) VALUES (1, ?, ?)`, [name, numPublishedPapers]);
+        return (await get('SELECT id FROM professors WHERE name = ?', [name])).id;
+    }
+
+    async function addPublication(professorId, title) {
+        await run('INSERT INTO publications (professor_id, title, match_key) VALUES (?, ?, ?)', [professorId, title, title.toLowerCase()]);
+    }
+
+    async function paperCount(professorId) {
+        const professor = await get('SELECT num_published_papers FROM professors WHERE id = ?', [professorId]);
+        const source = await get(`SELECT source, value FROM professor_stat_sources WHERE professor_id = ? AND stat = 'num_published_papers'`, [professorId]);
+        return { count: professor.num_published_papers, source: source ? source.source : null };
+    }
+
+    beforeEach(async () => {
+        mock.method(console, 'log', () => {});
+        db = new sqlite3.Database(':memory:');
+        await migrationRunner.migrateUp(db);
+        await run(`INSERT INTO departments (name) VALUES ('statistics')`);
+    });
+
+    afterEach(async () => {
+        await new Promise(resolve => db.close(resolve));
+        mock.restoreAll();
+    });
+
+    test('follows the publication count, down to 0 when the last one is deleted', async () => {
+        const id = await addProfessor('Pub Count', 50);
+        await addPublication(id, 'First Paper');
+        await addPublication(id, 'Second Paper');
+        assert.deepStrictEqual(await paperCount(id), { count: 2, source: 'publications' });
+
+        await run(`DELETE FROM publications WHERE title = 'First Paper'`);
+        assert.deepStrictEqual(await paperCount(id), { count: 1, source: 'publications' });
+
+        await run(`DELETE FROM publications WHERE title = 'Second Paper'`);
+        assert.deepStrictEqual(await paperCount(id), { count: 0, source: null });
+    });
+
+    test('recounts both professors when the last publication moves', async () => {
+        const from = await addProfessor('Pub From', 7);
+        const to = await addProfessor('Pub To', 30);
+        await addPublication(from, 'Moved Paper');
+
+        await run('UPDATE publications SET professor_id = ? WHERE professor_id = ?', [to, from]);
+        assert.deepStrictEqual(await paperCount(from), { count: 0, source: null });
+        assert.deepStrictEqual(await paperCount(to), { count: 1, source: 'publications' });
+    });
+
+    test('leaves the count of professors without publications alone', async () => {
+        const manual = await addProfessor('Pub Manual', 12);
+        const other = await addProfessor('Pub Other', 3);
+        await addPublication(other, 'Other Paper');
+        await run('DELETE FROM publications');
+        assert.deepStrictEqual(await paperCount(manual), { count: 12, source: null });
+    });
+});
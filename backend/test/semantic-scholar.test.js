@@ -0,0 +1,102 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+const semanticScholar = require('../stats-providers/semantic-scholar');
+const statsProviders = require('../stats-providers');
+const { HttpError, useFixtures } = require('../stats-providers/http-client');
+const { FIXTURES_DIR, startReplayServer } = require('./helpers/replay-server');
+
+const GAO = { name: 'Chao Gao' };
+const SEARCH_URL = 'https://api.semanticscholar.org/graph/v1/author/search?query=Chao%20Gao&fields=name,affiliations,paperCount,url&limit=20';
+
+describe('semantic-scholar provider', () => {
+    let replay;
+    before(async () => { replay = await startReplayServer('semantic-scholar'); });
+    after(() => replay.close());
+
+    test('takes the paper count of the one matching author', async () => {
+        const result = await semanticScholar.fetchStats({ name: 'Claire Donnat' }, replay.client({ minIntervalMs: 0 }));
+        assert.deepStrictEqual(result, {
+            stats: { numPublishedPapers: 19 },
+            sourceUrl: 'https://www.semanticscholar.org/author/3000001'
+        });
+    });
+
+    test('prefers the UChicago author when the name is shared', async () => {
+        const result = await semanticScholar.fetchStats(GAO, replay.client({ minIntervalMs: 0 }));
+        assert.strictEqual(result.stats.numPublishedPapers, 71);
+    });
+
+    test('throws on the recorded 429', async () => {
+        await assert.rejects(
+            semanticScholar.fetchStats({ name: 'Rina Foygel Barber' }, replay.client({ minIntervalMs: 0 })),
+            error => error instanceof HttpError && error.status === 429
+        );
+    });
+
+    test('times out on a search that does not respond', async () => {
+        replay.override(SEARCH_URL, { delayMs: 2000 });
+        try {
+            await assert.rejects(
+                semanticScholar.fetchStats(GAO, replay.client({ minIntervalMs: 0, timeoutMs: 50 })),
+                /timed out after 50ms/
+            );
+        } finally {
+            replay.override(SEARCH_URL, null);
+        }
+    });
+
+    test('serves a repeat request from the cache', async () => {
+        const client = replay.client({ minIntervalMs: 0 });
+        const before = replay.hits(SEARCH_URL);
+        await semanticScholar.fetchStats(GAO, client);
+        await semanticScholar.fetchStats(GAO, client);
+        assert.strictEqual(replay.hits(SEARCH_URL) - before, 1);
+    });
+
+    test('spaces requests by the provider rate limit', async () => {
+        const client = replay.client(semanticScholar.client);
+        const start = replay.requestTimes.length;
+        await semanticScholar.fetchStats(GAO, client);
+        await semanticScholar.fetchStats({ name: 'Mengjie Chen' }, client);
+        const [first, second] = replay.requestTimes.slice(start);
+        assert.ok(second - first >= semanticScholar.client.minIntervalMs - 10, `requests were ${second - first}ms apart`);
+    });
+
+    test('does not cache a 429, so a later retry goes through', async () => {
+        const client = replay.client({ minIntervalMs: 0 });
+        replay.override(SEARCH_URL, { status: 429, body: '{"message":"Too Many Requests"}' });
+        try {
+            await assert.rejects(semanticScholar.fetchStats(GAO, client), error => error instanceof HttpError && error.status === 429);
+        } finally {
+            replay.override(SEARCH_URL, null);
+        }
+        const result = await semanticScholar.fetchStats(GAO, client);
+        assert.strictEqual(result.stats.numPublishedPapers, 71);
+    });
+
+    test('falls back to the last good response on 503, and throws when there is none', async () => {
+        const client = replay.client({ minIntervalMs: 0, cacheTtlMs: 0 });
+        const fresh = await semanticScholar.fetchStats(GAO, client);
+
+        replay.override(SEARCH_URL, { status: 503, body: 'Service Unavailable' });
+        try {
+            assert.deepStrictEqual(await semanticScholar.fetchStats(GAO, client), fresh);
+            await assert.rejects(
+                semanticScholar.fetchStats(GAO, replay.client({ minIntervalMs: 0 })),
+                error => error instanceof HttpError && error.status === 503
+            );
+        } finally {
+            replay.override(SEARCH_URL, null);
+        }
+    });
+
+    test('reports professors without recordings as unrecorded when replaying fixtures', async () => {
+        useFixtures(FIXTURES_DIR);
+        try {
+            const result = await statsProviders.fetchStats({ name: 'Nobody Recorded' }, { providers: ['semantic-scholar'] });
+            assert.deepStrictEqual(result, { stats: {}, sources: [], errors: [], unrecorded: ['semantic-scholar'] });
+        } finally {
+            useFixtures(null);
+        }
+    });
+});
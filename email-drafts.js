@@ -0,0 +1,248 @@
+// Email Drafts Module
+// Fills the user's outreach email templates for a professor, then opens the email in a mailto or copies it
+
+// The signed-in user's templates, the built-in default and the placeholders templates can use
+let emailTemplateState = {
+    templates: [],
+    defaultTemplate: null,
+    placeholders: []
+};
+
+// Professor the draft modal is open for, and the template picked last (kept for the next draft)
+let draftProfessorId = null;
+let lastTemplateId = '';
+
+/**
+ * Call an email template endpoint as the signed-in user
+ * @returns {Promise<Object>} The response body
+ * @throws {Error} With the validation messages (or the API error) when the request fails
+ */
+async function emailApiRequest(path, { method = 'GET', body = null } = {}) {
+    const API_BASE = window.API_BASE_URL || 'http://localhost:3001/api';
+    const token = window.authService.getAuthToken();
+
+    const response = await fetch(`${API_BASE}${path}`, {
+        method,
+        headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${token}`
+        },
+        body: body ? JSON.stringify(body) : undefined
+    });
+    const data = await response.json();
+    if (!response.ok) {
+        const fieldErrors = data.fields
+            ? Object.entries(data.fields).map(([field, message]) => `${field} ${message}`).join('; ')
+            : '';
+        throw new Error(fieldErrors || data.error || 'Request failed');
+    }
+    return data;
+}
+
+async function loadEmailTemplates() {
+    const data = await emailApiRequest('/email-templates');
+    emailTemplateState = {
+        templates: data.templates,
+        defaultTemplate: data.defaultTemplate,
+        placeholders: data.placeholders
+    };
+}
+
+// The template picked in the modal (the built-in default has no ID)
+function getSelectedTemplate() {
+    const templateId = document.getElementById('draftTemplate').value;
+    return emailTemplateState.templates.find(template => String(template.id) === templateId)
+        || emailTemplateState.defaultTemplate;
+}
+
+function renderTemplateOptions(selectedId) {
+    const select = document.getElementById('draftTemplate');
+    select.innerHTML = '';
+    [emailTemplateState.defaultTemplate, ...emailTemplateState.templates].forEach(template => {
+        const option = document.createElement('option');
+        option.value = template.id ? String(template.id) : '';
+        option.textContent = template.id ? template.name : `${template.name} (built in)`;
+        select.appendChild(option);
+    });
+    // Fall back to the default when the template is gone
+    select.value = selectedId && emailTemplateState.templates.some(t => String(t.id) === String(selectedId))
+        ? String(selectedId)
+        : '';
+    lastTemplateId = select.value;
+}
+
+// Show the picked template, placeholders and all, in the editor; only saved templates can be changed or deleted
+function showTemplateInEditor() {
+    const template = getSelectedTemplate();
+    document.getElementById('templateName').value = template.id ? template.name : '';
+    document.getElementById('templateSubject').value = template.subject;
+    document.getElementById('templateBody').value = template.body;
+    document.getElementById('templateUpdate').disabled = !template.id;
+    document.getElementById('templateDelete').disabled = !template.id;
+    document.getElementById('templateError').textContent = '';
+}
+
+// Fill the picked template for the professor
+async function refreshDraft() {
+    const templateId = document.getElementById('draftTemplate').value;
+    const query = templateId ? `?templateId=${templateId}` : '';
+    const { draft } = await emailApiRequest(`/professors/${draftProfessorId}/email-draft${query}`);
+
+    document.getElementById('draftTo').value = draft.to || '';
+    document.getElementById('draftSubject').value = draft.subject;
+    document.getElementById('draftBody').value = draft.body;
+    showTemplateInEditor();
+}
+
+// Say why the draft could not be opened, under the card's "Draft email" button (empty message clears it)
+function showDraftButtonError(button, message) {
+    let errorElement = button.parentElement.querySelector('.draft-email-error');
+    if (!errorElement) {
+        if (!message) return;
+        errorElement = document.createElement('div');
+        errorElement.className = 'draft-email-error';
+        errorElement.setAttribute('role', 'alert');
+        button.after(errorElement);
+    }
+    errorElement.textContent = message;
+}
+
+/**
+ * Open the draft modal for a professor (the "Draft email" button on cards)
+ * The click is tracked as an `email` click, like the card's email link.
+ * @param {HTMLElement} button - The button clicked; errors are shown under it
+ */
+async function openDraftEmail(professorId, button) {
+    if (!window.authService || !window.authService.isAuthenticated()) {
+        // Templates are per user, so drafting needs an account
+        document.getElementById('authModal').style.display = 'flex';
+        return;
+    }
+
+    trackClick(professorId, 'email').catch(err => {
+        console.error('Error tracking email click:', err);
+    });
+
+    draftProfessorId = professorId;
+    showDraftButtonError(button, '');
+    try {
+        await loadEmailTemplates();
+        renderTemplateOptions(lastTemplateId);
+        document.getElementById('draftPlaceholders').textContent = emailTemplateState.placeholders
+            .map(placeholder => `{{${placeholder.key}}}`)
+            .join(', ');
+        await refreshDraft();
+
+        document.getElementById('draftEmailModal').style.display = 'flex';
+        document.body.style.overflow = 'hidden';
+    } catch (error) {
+        console.error('Error drafting email:', error);
+        showDraftButtonError(button, `Could not draft the email: ${error.message}`);
+    }
+}
+
+function closeDraftEmail() {
+    document.getElementById('draftEmailModal').style.display = 'none';
+    document.body.style.overflow = '';
+}
+
+// Open the draft in the user's email app
+function openDraftInMailApp() {
+    const to = document.getElementById('draftTo').value;
+    const subject = document.getElementById('draftSubject').value;
+    // Line breaks in mailto bodies are CRLF
+    const body = document.getElementById('draftBody').value.replace(/\r?\n/g, '\r\n');
+
+    window.location.href = `mailto:${to}?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body)}`;
+}
+
+// Copy the subject and message, for pasting into webmail
+async function copyDraft(button) {
+    const subject = document.getElementById('draftSubject').value;
+    const body = document.getElementById('draftBody').value;
+    const text = `Subject: ${subject}\n\n${body}`;
+
+    try {
+        await navigator.clipboard.writeText(text);
+    } catch (error) {
+        // Older browsers and non-secure origins: copy from a selected textarea
+        const textarea = document.createElement('textarea');
+        textarea.value = text;
+        document.body.appendChild(textarea);
+        textarea.select();
+        document.execCommand('copy');
+        textarea.remove();
+    }
+
+    const label = button.textContent;
+    button.textContent = 'Copied!';
+    setTimeout(() => {
+        button.textContent = label;
+    }, 2000);
+}
+
+/**
+ * Save, update or delete a template from the editor, then redraft with the result
+ * @param {string} action - 'create', 'update' or 'delete'
+ */
+async function saveTemplate(action) {
+    const errorElement = document.getElementById('templateError');
+    errorElement.textContent = '';
+    const template = getSelectedTemplate();
+    const fields = {
+        name: document.getElementById('templateName').value,
+        subject: document.getElementById('templateSubject').value,
+        body: document.getElementById('templateBody').value
+    };
+
+    try {
+        let selectedId = template.id;
+        if (action === 'create') {
+            const { template: created } = await emailApiRequest('/email-templates', { method: 'POST', body: fields });
+            selectedId = created.id;
+        } else if (action === 'update') {
+            await emailApiRequest(`/email-templates/${template.id}`, { method: 'PATCH', body: fields });
+        } else {
+            if (!confirm(`Delete the template "${template.name}"?`)) return;
+            await emailApiRequest(`/email-templates/${template.id}`, { method: 'DELETE' });
+            selectedId = null;
+        }
+
+        await loadEmailTemplates();
+        renderTemplateOptions(selectedId);
+        await refreshDraft();
+    } catch (error) {
+        errorElement.textContent = error.message;
+    }
+}
+
+function setupDraftEmailModal() {
+    const modal = document.getElementById('draftEmailModal');
+    if (!modal) {
+        console.warn('Draft email modal not found');
+        return;
+    }
+
+    modal.querySelector('.draft-email-close').addEventListener('click', closeDraftEmail);
+    window.addEventListener('click', (e) => {
+        if (e.target === modal) {
+            closeDraftEmail();
+        }
+    });
+
+    document.getElementById('draftTemplate').addEventListener('change', (e) => {
+        lastTemplateId = e.target.value;
+        document.getElementById('templateError').textContent = '';
+        refreshDraft().catch(err => {
+            console.error('Error drafting email:', err);
+            document.getElementById('templateError').textContent = `Could not draft the email: ${err.message}`;
+        });
+    });
+    document.getElementById('draftOpenMail').addEventListener('click', openDraftInMailApp);
+    document.getElementById('draftCopy').addEventListener('click', (e) => copyDraft(e.currentTarget));
+    document.getElementById('templateSaveNew').addEventListener('click', () => saveTemplate('create'));
+    document.getElementById('templateUpdate').addEventListener('click', () => saveTemplate('update'));
+    document.getElementById('templateDelete').addEventListener('click', () => saveTemplate('delete'));
+}
+
+document.addEventListener('DOMContentLoaded', setupDraftEmailModal);
@@ -5,9 +5,14 @@ let resultsContainer;
 let filterButtons;
 
 // Starred professors state
-let starredProfessors = new Set(); // Store as "name|department" keys
+let starredProfessors = new Set(); // Store professor IDs
+let starredLabs = new Set(); // Store lab IDs
 let isViewingStarred = false;
 
+// "Open positions" filter, and the last search so toggling it can re-show the results
+let showOpenPositionsOnly = false;
+let lastSearch = null;
+
 // Global debounce for all button handlers (shared across all buttons)
 let globalLastHandlerTime = 0;
 
@@ -339,6 +344,21 @@ document.addEventListener('DOMContentLoaded', () => {
         });
     });
     
+    // "Open positions" filter: show the current results again with or without it
+    const openPositionsFilter = document.getElementById('openPositionsFilter');
+    if (openPositionsFilter) {
+        addMobileFriendlyListener(openPositionsFilter, () => {
+            showOpenPositionsOnly = !showOpenPositionsOnly;
+            openPositionsFilter.classList.toggle('active', showOpenPositionsOnly);
+            openPositionsFilter.setAttribute('aria-pressed', String(showOpenPositionsOnly));
+            if (lastSearch && !isViewingStarred) {
+                displayResults(lastSearch.query, lastSearch.results).catch(err => {
+                    console.error('Error filtering results:', err);
+                });
+            }
+        });
+    }
+    
     // Starred professors tab (mobile-friendly)
     const starredTab = document.getElementById('starredTab');
     if (starredTab) {
@@ -348,10 +368,13 @@ document.addEventListener('DOMContentLoaded', () => {
     // Listen for auth events
     window.addEventListener('userLoggedIn', () => {
         loadStarredProfessors();
+        loadStarredLabs();
     });
     
     window.addEventListener('userLoggedOut', () => {
         starredProfessors.clear();
+        starredLabs.clear();
+        updateLabStarButtons();
         isViewingStarred = false;
         if (starredTab) starredTab.classList.remove('active');
     });
@@ -359,8 +382,21 @@ document.addEventListener('DOMContentLoaded', () => {
     // Load starred professors if already logged in
     if (window.authService && window.authService.isAuthenticated()) {
         loadStarredProfessors();
+        loadStarredLabs();
     }
     
+    // Show the lab page in the URL (#lab/<id>), now and whenever it changes
+    const showLabFromHash = () => {
+        const match = window.location.hash.match(/^#lab\/(\d+)$/);
+        if (match) {
+            displayLabPage(match[1]).catch(err => {
+                console.error('Error displaying lab page:', err);
+            });
+        }
+    };
+    window.addEventListener('hashchange', showLabFromHash);
+    showLabFromHash();
+    
     // Setup About Modal
     setupAboutModal();
     
@@ -463,6 +499,7 @@ async function handleSearch() {
     try {
         const signal = currentSearchController.signal;
         const results = await searchDepartments(query, signal);
+        lastSearch = { query, results };
         await displayResults(query, results, signal);
     } catch (error) {
         // Don't show error if it was aborted
@@ -500,298 +537,9 @@ async function handleSearch() {
 }
 
 /**
- * Calculate Levenshtein distance between two strings (for fuzzy matching)
- * @param {string} str1 - First string
- * @param {string} str2 - Second string
- * @returns {number} - Edit distance
- */
-function levenshteinDistance(str1, str2) {
-    const len1 = str1.length;
-    const len2 = str2.length;
-    
-    // Create a matrix
-    const matrix = Array(len1 + 1).fill(null).map(() => Array(len2 + 1).fill(0));
-    
-    // Initialize first row and column
-    for (let i = 0; i <= len1; i++) matrix[i][0] = i;
-    for (let j = 0; j <= len2; j++) matrix[0][j] = j;
-    
-    // Fill the matrix
-    for (let i = 1; i <= len1; i++) {
-        for (let j = 1; j <= len2; j++) {
-            const cost = str1[i - 1] === str2[j - 1] ? 0 : 1;
-            matrix[i][j] = Math.min(
-                matrix[i - 1][j] + 1,      // deletion
-                matrix[i][j - 1] + 1,      // insertion
-                matrix[i - 1][j - 1] + cost // substitution
-            );
-        }
-    }
-    
-    return matrix[len1][len2];
-}
-
-/**
- * Calculate similarity score between two strings (0-1, where 1 is identical)
- * @param {string} str1 - First string
- * @param {string} str2 - Second string
- * @returns {number} - Similarity score (0-1)
- */
-function similarityScore(str1, str2) {
-    const maxLen = Math.max(str1.length, str2.length);
-    if (maxLen === 0) return 1;
-    const distance = levenshteinDistance(str1, str2);
-    return 1 - (distance / maxLen);
-}
-
-/**
- * Calculate relevance score for a match (0-1, where 1 is perfect match)
- * Handles abbreviations by checking both original query and expanded forms
- * @param {string} query - Search query
- * @param {string} target - Target string to match against
- * @param {boolean} useAbbreviations - Whether to expand abbreviations (default: true)
- * @returns {number} - Relevance score (0-1)
- */
-function calculateRelevance(query, target, useAbbreviations = true) {
-    if (!query || !target) return 0;
-    
-    const queryLower = query.toLowerCase().trim();
-    const targetLower = target.toLowerCase().trim();
-    
-    // If using abbreviations, check expanded forms and take the best match
-    if (useAbbreviations) {
-        const expansions = expandAbbreviations(queryLower);
-        let bestScore = 0;
-        
-        for (const expandedQuery of expansions) {
-            const score = calculateRelevance(expandedQuery, targetLower, false);
-            if (score > bestScore) {
-                bestScore = score;
-            }
-        }
-        
-        // If expanded query matches better, boost the score slightly to prefer exact abbreviation matches
-        // This ensures "applied stats" matches "applied statistics" better than "applied math"
-        if (bestScore > 0 && expansions.length > 1) {
-            // Check if any expansion matches exactly
-            const exactExpansionMatch = expansions.some(exp => {
-                const expScore = calculateRelevance(exp, targetLower, false);
-                return expScore >= 0.9 && exp !== queryLower;
-            });
-            
-            if (exactExpansionMatch) {
-                // Slight boost for abbreviation matches that expand correctly
-                return Math.min(1.0, bestScore * 1.05);
-            }
-        }
-        
-        return bestScore;
-    }
-    
-    // Exact match (highest priority) - score 1.0
-    if (targetLower === queryLower) return 1.0;
-    
-    // Check if query is a prefix of target (for partial queries like "applied")
-    if (targetLower.startsWith(queryLower)) {
-        // Longer matches are more relevant
-        const prefixScore = queryLower.length / targetLower.length;
-        return 0.9 + (prefixScore * 0.1); // 0.9-1.0 range
-    }
-    
-    // Check if target starts with query as a word (for "applied statistics" matching "applied")
-    const targetWords = targetLower.split(/\s+/);
-    const queryWords = queryLower.split(/\s+/);
-    
-    // If query is a single word and matches the first word of target
-    if (queryWords.length === 1 && targetWords.length > 0 && targetWords[0].startsWith(queryWords[0])) {
-        return 0.85;
-    }
-    
-    // For multi-word queries, check if all words appear in order (phrase match)
-    if (queryWords.length > 1) {
-        // Check if query appears as a phrase in target
-        if (targetLower.includes(queryLower)) {
-            // Exact phrase match - very high relevance
-            return 0.95;
-        }
-        
-        // Check if all query words appear in target in order (allowing gaps)
-        let wordIndex = 0;
-        let allWordsFound = true;
-        let wordsInOrder = true;
-        let exactWordMatches = 0;
-        
-        for (let i = 0; i < targetWords.length && wordIndex < queryWords.length; i++) {
-            const tWord = targetWords[i];
-            const qWord = queryWords[wordIndex];
-            
-            if (tWord === qWord) {
-                exactWordMatches++;
-                wordIndex++;
-            } else if (tWord.startsWith(qWord)) {
-                wordIndex++;
-            } else if (tWord.includes(qWord)) {
-                wordIndex++;
-            }
-        }
-        
-        if (wordIndex === queryWords.length) {
-            // All words found in order
-            const orderScore = exactWordMatches / queryWords.length;
-            return 0.75 + (orderScore * 0.15); // 0.75-0.9 range
-        }
-        
-        // Check if all words appear but not necessarily in order
-        let allWordsPresent = true;
-        let wordMatchScore = 0;
-        for (const qWord of queryWords) {
-            let found = false;
-            let bestMatch = 0;
-            for (const tWord of targetWords) {
-                if (tWord === qWord) {
-                    found = true;
-                    bestMatch = 1.0;
-                    break;
-                } else if (tWord.startsWith(qWord)) {
-                    found = true;
-                    bestMatch = Math.max(bestMatch, 0.8);
-                } else if (tWord.includes(qWord)) {
-                    found = true;
-                    bestMatch = Math.max(bestMatch, 0.6);
-                }
-            }
-            if (!found) allWordsPresent = false;
-            wordMatchScore += bestMatch;
-        }
-        
-        if (allWordsPresent) {
-            // All words present but not in order - moderate relevance
-            return 0.5 + (wordMatchScore / queryWords.length) * 0.2; // 0.5-0.7 range
-        }
-    }
-    
-    // For single-word queries, check word matches
-    if (queryWords.length === 1) {
-        const qWord = queryWords[0];
-        for (const tWord of targetWords) {
-            if (tWord === qWord) {
-                return 0.8;
-            } else if (tWord.startsWith(qWord)) {
-                return 0.75;
-            } else if (tWord.includes(qWord)) {
-                return 0.6;
-            }
-        }
-    }
-    
-    // Substring match (moderate priority)
-    if (targetLower.includes(queryLower)) {
-        const position = targetLower.indexOf(queryLower);
-        // Earlier in string = more relevant
-        const positionScore = 1 - (position / Math.max(targetLower.length, 1));
-        return 0.5 + (positionScore * 0.2); // 0.5-0.7 range
-    }
-    
-    if (queryLower.includes(targetLower)) {
-        return 0.4;
-    }
-    
-    // Fuzzy match on full strings (lower priority)
-    const fuzzyScore = similarityScore(queryLower, targetLower);
-    if (fuzzyScore >= 0.7) {
-        return 0.3 + (fuzzyScore - 0.7) * 0.67; // 0.3-0.5 range for 0.7-1.0 fuzzy scores
-    }
-    
-    // Word-level fuzzy match
-    let maxWordScore = 0;
-    for (const qWord of queryWords) {
-        for (const tWord of targetWords) {
-            const wordScore = similarityScore(qWord, tWord);
-            if (wordScore > maxWordScore) {
-                maxWordScore = wordScore;
-            }
-        }
-    }
-    
-    if (maxWordScore >= 0.6) {
-        return 0.2 + (maxWordScore - 0.6) * 0.25; // 0.2-0.3 range
-    }
-    
-    return 0;
-}
-
-/**
- * Expand abbreviations in query to their full forms
- * @param {string} query - Search query
- * @returns {Array<string>} - Array of possible query expansions (original + expanded)
- */
-function expandAbbreviations(query) {
-    const normalized = query.toLowerCase().trim();
-    const queryWords = normalized.split(/\s+/);
-    const expansions = [normalized]; // Always include original query
-    
-    // Common abbreviation mappings
-    const abbreviations = {
-        'stats': 'statistics',
-        'stat': 'statistics',
-        'math': 'mathematics',
-        'cs': 'computer science',
-        'ds': 'data science',
-        'econ': 'economics',
-        'ml': 'machine learning',
-        'ai': 'artificial intelligence',
-        'nlp': 'natural language processing',
-        'cv': 'computer vision',
-        'bio': 'biology',
-        'bioinfo': 'bioinformatics',
-        'neuro': 'neuroscience',
-        'neurobio': 'neurobiology',
-        'comp': 'computational',
-        'theor': 'theoretical',
-        'appl': 'applied'
-    };
-    
-    // Try expanding each word
-    const expandedQueries = new Set([normalized]);
-    
-    // Generate all combinations of expanded words
-    function generateExpansions(words, index = 0, current = []) {
-        if (index >= words.length) {
-            expandedQueries.add(current.join(' '));
-            return;
-        }
-        
-        const word = words[index];
-        const expansion = abbreviations[word];
-        
-        // Try with original word
-        generateExpansions(words, index + 1, [...current, word]);
-        
-        // Try with expanded word if abbreviation exists
-        if (expansion) {
-            generateExpansions(words, index + 1, [...current, expansion]);
-        }
-    }
-    
-    generateExpansions(queryWords);
-    
-    return Array.from(expandedQueries);
-}
-
-/**
- * Check if query matches a string with fuzzy matching
- * @param {string} query - Search query
- * @param {string} target - Target string to match against
- * @param {number} threshold - Minimum similarity threshold (0-1)
- * @returns {boolean} - True if match
- */
-function fuzzyMatch(query, target, threshold = 0.6) {
-    return calculateRelevance(query, target) >= threshold;
-}
-
-/**
- * Unified search function that searches across departments, professors, and research areas
- * Uses fuzzy matching for typo tolerance and filters out low-relevance results
+ * Unified search across departments, professors, and research areas
+ * Ranking, typo tolerance and match highlighting happen on the server (GET /api/search)
+ * @returns {Promise<Array>} Professors, best match first, with `relevance` (0-1) and `highlights`
  */
 async function searchDepartments(query, signal = null) {
     const normalizedQuery = query.toLowerCase().trim();
@@ -803,285 +551,13 @@ async function searchDepartments(query, signal = null) {
         throw new Error('Search was cancelled');
     }
     
-    // Get all departments data
-    const allDepartmentsData = await getAllDepartmentsData();
+    const { results } = await searchProfessors(normalizedQuery, signal);
     
     if (signal && signal.aborted) {
         throw new Error('Search was cancelled');
     }
-    const allDepartments = Object.keys(allDepartmentsData);
-    
-    // Build search results with relevance scores
-    const searchResults = [];
-    const seenProfessors = new Set(); // Track by "name|department" to avoid duplicates
-    
-    // 1. Search departments (exact and fuzzy match)
-    for (const dept of allDepartments) {
-        const deptRelevance = calculateRelevance(normalizedQuery, dept);
-        if (deptRelevance >= 0.3) {
-            // If department matches, add all professors from that department
-            const professors = allDepartmentsData[dept] || [];
-            professors.forEach(prof => {
-                const key = `${prof.name}|${dept}`;
-                if (!seenProfessors.has(key)) {
-                    seenProfessors.add(key);
-                    // Add department info and relevance score
-                    searchResults.push({ 
-                        ...prof, 
-                        department: dept,
-                        relevance: deptRelevance,
-                        matchType: 'department'
-                    });
-                }
-            });
-        }
-    }
-    
-    // 2. Search professors by name, lab, and title
-    for (const dept of allDepartments) {
-        const professors = allDepartmentsData[dept] || [];
-        professors.forEach(prof => {
-            const key = `${prof.name}|${dept}`;
-            
-            // Calculate relevance for different fields
-            const nameRelevance = calculateRelevance(normalizedQuery, prof.name);
-            const labRelevance = prof.lab ? calculateRelevance(normalizedQuery, prof.lab) : 0;
-            const titleRelevance = prof.title ? calculateRelevance(normalizedQuery, prof.title) : 0;
-            
-            // Get the best relevance score
-            const bestRelevance = Math.max(nameRelevance, labRelevance, titleRelevance);
-            const matchType = bestRelevance === nameRelevance ? 'name' : 
-                            (bestRelevance === labRelevance ? 'lab' : 'title');
-            
-            if (bestRelevance >= 0.3) {
-                if (!seenProfessors.has(key)) {
-                    seenProfessors.add(key);
-                    searchResults.push({ 
-                        ...prof, 
-                        department: dept,
-                        relevance: bestRelevance,
-                        matchType: matchType
-                    });
-                } else {
-                    // Update if this match is more relevant
-                    const existingIndex = searchResults.findIndex(r => 
-                        r.name === prof.name && r.department === dept
-                    );
-                    if (existingIndex >= 0 && searchResults[existingIndex].relevance < bestRelevance) {
-                        searchResults[existingIndex].relevance = bestRelevance;
-                        searchResults[existingIndex].matchType = matchType;
-                    }
-                }
-            }
-        });
-    }
-    
-    // 3. Search by research area/subfield
-    for (const dept of allDepartments) {
-        const professors = allDepartmentsData[dept] || [];
-        professors.forEach(prof => {
-            if (prof.researchArea) {
-                const key = `${prof.name}|${dept}`;
-                const areaRelevance = calculateRelevance(normalizedQuery, prof.researchArea);
-                
-                if (areaRelevance >= 0.3) {
-                    if (!seenProfessors.has(key)) {
-                        seenProfessors.add(key);
-                        searchResults.push({ 
-                            ...prof, 
-                            department: dept,
-                            relevance: areaRelevance,
-                            matchType: 'researchArea'
-                        });
-                    } else {
-                        // Update if this match is more relevant
-                        const existingIndex = searchResults.findIndex(r => 
-                            r.name === prof.name && r.department === dept
-                        );
-                        if (existingIndex >= 0 && searchResults[existingIndex].relevance < areaRelevance) {
-                            searchResults[existingIndex].relevance = areaRelevance;
-                            searchResults[existingIndex].matchType = 'researchArea';
-                        }
-                    }
-                }
-            }
-        });
-    }
-    
-    // Sort results by relevance (highest first)
-    searchResults.sort((a, b) => b.relevance - a.relevance);
-    
-    // Filter out low-relevance results when we have high-relevance matches
-    if (searchResults.length > 0) {
-        const topRelevance = searchResults[0].relevance;
-        const queryWords = normalizedQuery.split(/\s+/).filter(w => w.length > 0);
-        const isMultiWordQuery = queryWords.length >= 2;
-        
-        // For multi-word queries, be more aggressive with filtering
-        if (isMultiWordQuery) {
-            // If we have very high relevance matches (>= 0.85), only keep very relevant results
-            if (topRelevance >= 0.85) {
-                // Keep only results with relevance >= 0.7 (require all words to match well)
-                return searchResults.filter(r => r.relevance >= 0.7);
-            }
-            // If we have good matches (>= 0.7), filter aggressively
-            if (topRelevance >= 0.7) {
-                // Keep only results with relevance >= 0.5 or within 0.2 of the top result
-                const minRelevance = Math.max(0.5, topRelevance - 0.2);
-                return searchResults.filter(r => r.relevance >= minRelevance);
-            }
-            // For moderate matches, still filter
-            if (topRelevance >= 0.5) {
-                const minRelevance = Math.max(0.4, topRelevance - 0.15);
-                return searchResults.filter(r => r.relevance >= minRelevance);
-            }
-        } else {
-            // Single-word queries - less aggressive filtering
-            // If we have very high relevance matches (>= 0.8), filter out low relevance ones
-            if (topRelevance >= 0.8) {
-                // Keep only results with relevance >= 0.6 or within 0.3 of the top result
-                const minRelevance = Math.max(0.6, topRelevance - 0.3);
-                return searchResults.filter(r => r.relevance >= minRelevance);
-            }
-            
-            // If we have good matches (>= 0.6), filter more aggressively
-            if (topRelevance >= 0.6) {
-                // Keep only results with relevance >= 0.4 or within 0.25 of the top result
-                const minRelevance = Math.max(0.4, topRelevance - 0.25);
-                return searchResults.filter(r => r.relevance >= minRelevance);
-            }
-            
-            // For lower relevance matches, be more lenient but still filter
-            if (topRelevance >= 0.4) {
-                // Keep only results with relevance >= 0.3 or within 0.2 of the top result
-                const minRelevance = Math.max(0.3, topRelevance - 0.2);
-                return searchResults.filter(r => r.relevance >= minRelevance);
-            }
-        }
-    }
-    
-    // Return all results if relevance is low (no good matches found)
-    return searchResults;
-}
-
-/**
- * Merge duplicate professors (same name) into a single entry
- * Takes the maximum of all stats and combines other fields intelligently
- * @param {Array} professors - Array of professor objects
- * @returns {Array} - Array of merged professor objects
- */
-function mergeDuplicateProfessors(professors) {
-    const mergedMap = new Map();
-    
-    professors.forEach(prof => {
-        const name = prof.name;
-        
-        if (!mergedMap.has(name)) {
-            // First occurrence - add to map
-            mergedMap.set(name, { ...prof });
-        } else {
-            // Duplicate found - merge with existing
-            const existing = mergedMap.get(name);
-            
-            // Take maximum of all stats
-            existing.numLabMembers = Math.max(
-                existing.numLabMembers || 0,
-                prof.numLabMembers || 0
-            );
-            existing.numUndergradResearchers = Math.max(
-                existing.numUndergradResearchers || 0,
-                prof.numUndergradResearchers || 0
-            );
-            existing.numPublishedPapers = Math.max(
-                existing.numPublishedPapers || 0,
-                prof.numPublishedPapers || 0
-            );
-            
-            // Take the best relevance score
-            existing.relevance = Math.max(
-                existing.relevance || 0,
-                prof.relevance || 0
-            );
-            
-            // Combine departments (if different)
-            if (prof.department && existing.department) {
-                if (prof.department !== existing.department) {
-                    // If different departments, keep both (comma-separated)
-                    const depts = [existing.department, prof.department];
-                    existing.department = [...new Set(depts)].join(', ');
-                }
-            } else if (prof.department && !existing.department) {
-                existing.department = prof.department;
-            }
-            
-            // Take non-empty values for other fields (prefer existing if both have values)
-            if (!existing.title && prof.title) existing.title = prof.title;
-            if (!existing.lab && prof.lab) existing.lab = prof.lab;
-            if (!existing.labWebsite && prof.labWebsite) existing.labWebsite = prof.labWebsite;
-            if (!existing.email && prof.email) existing.email = prof.email;
-            if (!existing.researchArea && prof.researchArea) existing.researchArea = prof.researchArea;
-            
-            // If both have research areas and they're different, combine them intelligently
-            if (existing.researchArea && prof.researchArea && 
-                existing.researchArea !== prof.researchArea) {
-                // Split both into individual areas (handle comma-separated)
-                const existingAreas = existing.researchArea.split(',').map(a => a.trim()).filter(Boolean);
-                const profAreas = prof.researchArea.split(',').map(a => a.trim()).filter(Boolean);
-                
-                // Combine all areas
-                const allAreas = [...existingAreas, ...profAreas];
-                
-                // Remove duplicates and subsumed areas
-                const uniqueAreas = [];
-                for (const area of allAreas) {
-                    const areaLower = area.toLowerCase();
-                    let isSubsumed = false;
-                    
-                    // Check if this area is subsumed by any other area
-                    for (const otherArea of allAreas) {
-                        if (area === otherArea) continue;
-                        const otherLower = otherArea.toLowerCase();
-                        
-                        // If other area contains this area and is longer, this area is subsumed
-                        if (otherLower.includes(areaLower) && otherArea.length > area.length) {
-                            isSubsumed = true;
-                            break;
-                        }
-                    }
-                    
-                    if (!isSubsumed && !uniqueAreas.some(a => a.toLowerCase() === areaLower)) {
-                        uniqueAreas.push(area);
-                    }
-                }
-                
-                // If we have unique areas, join them; otherwise keep the more specific one
-                if (uniqueAreas.length > 0) {
-                    existing.researchArea = uniqueAreas.join(', ');
-                } else {
-                    // Fallback: use the longer one
-                    existing.researchArea = existing.researchArea.length > prof.researchArea.length 
-                        ? existing.researchArea 
-                        : prof.researchArea;
-                }
-            }
-            
-            // Take the better match type (prefer name > lab > title > researchArea > department)
-            const matchTypePriority = {
-                'name': 5,
-                'lab': 4,
-                'title': 3,
-                'researchArea': 2,
-                'department': 1
-            };
-            const existingPriority = matchTypePriority[existing.matchType] || 0;
-            const profPriority = matchTypePriority[prof.matchType] || 0;
-            if (profPriority > existingPriority) {
-                existing.matchType = prof.matchType;
-            }
-        }
-    });
     
-    return Array.from(mergedMap.values());
+    return results;
 }
 
 function showLoading() {
@@ -1104,6 +580,7 @@ function showLoading() {
 }
 
 function showWelcomeMessage() {
+    lastSearch = null;
     resultsContainer.innerHTML = `
         <div class="welcome-message">
             <p>👋 Welcome! Search for departments, professors, or research areas to discover research opportunities and connect with leading researchers at the University of Chicago.</p>
@@ -1116,31 +593,41 @@ async function displayResults(query, professors, signal = null) {
         return;
     }
     
+    // "Open positions" keeps professors with an active opening
+    if (showOpenPositionsOnly) {
+        const recruiting = professors.filter(prof => (prof.openings || []).length > 0);
+        if (recruiting.length === 0 && professors.length > 0) {
+            resultsContainer.innerHTML = `
+                <div class="no-results">
+                    <h3>No open positions</h3>
+                    <p>None of the professors matching "${escapeHtml(query)}" have open positions right now.</p>
+                    <p>Turn off the "Open positions" filter to see all of them.</p>
+                </div>
+            `;
+            return;
+        }
+        professors = recruiting;
+    }
+    
     if (professors.length === 0) {
         resultsContainer.innerHTML = `
             <div class="no-results">
                 <h3>No results found</h3>
-                <p>We couldn't find any professors matching "${query}".</p>
+                <p>We couldn't find any professors matching "${escapeHtml(query)}".</p>
                 <p>Try searching for: Statistics, Mathematics, Computer Science, Data Science, or Economics</p>
             </div>
         `;
         return;
     }
     
-    // Merge duplicate professors (same name appearing multiple times)
-    professors = mergeDuplicateProfessors(professors);
-    
-    // Determine if results are from a single department or multiple departments
-    // For merged professors, use the first department for grouping purposes
-    const uniqueDepartments = new Set(professors.map(p => {
-        const dept = p.department || '';
-        // If department is comma-separated, use the first one
-        return dept.split(',')[0].trim();
-    }).filter(Boolean));
-    const isSingleDepartment = uniqueDepartments.size === 1;
+    // A jointly appointed professor is a single result listed in several departments,
+    // so the results come from one department when they all share it
+    const sharedDepartments = professors
+        .map(getProfessorDepartments)
+        .reduce((shared, depts) => shared.filter(dept => depts.includes(dept)));
+    const isSingleDepartment = sharedDepartments.length > 0;
     
     // Determine department name for display
-    // Always use the first department from the first unique department (not combined)
     const normalizedQuery = query.toLowerCase().trim();
     let departmentName = query;
     let normalizedDepartmentName = normalizedQuery; // For API calls
@@ -1155,12 +642,11 @@ async function displayResults(query, professors, signal = null) {
     };
     
     // If we have a single department, always use that department name
-    if (uniqueDepartments.size === 1) {
-        const dept = Array.from(uniqueDepartments)[0];
-        const firstDept = dept.split(',')[0].trim();
-        const deptLower = firstDept.toLowerCase();
-        departmentName = allDepartments[deptLower] || firstDept.charAt(0).toUpperCase() + firstDept.slice(1);
-        normalizedDepartmentName = deptLower;
+    // (the searched one, if the results share more than one)
+    if (isSingleDepartment) {
+        const dept = sharedDepartments.includes(normalizedQuery) ? normalizedQuery : sharedDepartments[0];
+        departmentName = allDepartments[dept] || formatDepartmentLabel(dept);
+        normalizedDepartmentName = dept;
     } else if (allDepartments[normalizedQuery]) {
         // Query matches a known department, but results might be from multiple departments
         departmentName = allDepartments[normalizedQuery];
@@ -1168,22 +654,31 @@ async function displayResults(query, professors, signal = null) {
     } else {
         // Multiple departments or no clear match - use generic header
         departmentName = 'Search Results';
-        // For trending labs, we'll skip it or use the first department
-        const firstDept = Array.from(uniqueDepartments)[0];
-        normalizedDepartmentName = firstDept ? firstDept.split(',')[0].trim().toLowerCase() : normalizedQuery;
+        // For trending labs, use the first result's primary department
+        const firstDept = getProfessorDepartments(professors[0])[0];
+        normalizedDepartmentName = firstDept || normalizedQuery;
     }
     
+    // Cards belong to the department being shown when the professor is listed there,
+    // otherwise to their primary department
+    const cardDepartment = prof => {
+        const depts = getProfessorDepartments(prof);
+        return depts.includes(normalizedDepartmentName) ? normalizedDepartmentName : (depts[0] || normalizedDepartmentName);
+    };
+    
     // Get trending labs dynamically based on click analytics
     // IMPORTANT: Only fetch trending labs for the department the user searched for,
     // NOT for all departments that appear in the results
-    let trendingLabNames = [];
+    let trendingLabs = [];
     if (signal && signal.aborted) {
         return;
     }
     
     // Always use the searched department name, not the departments in results
     // This prevents fetching trending labs for multiple departments when user searches for one
-    trendingLabNames = await getTrendingLabs(normalizedDepartmentName, signal);
+    trendingLabs = await getTrendingLabs(normalizedDepartmentName, signal);
+    // Every PI of a trending lab is shown under Trending Labs
+    const trendingProfessorIds = new Set(trendingLabs.flatMap(lab => lab.professorIds));
     
     if (signal && signal.aborted) {
         return;
@@ -1224,12 +719,8 @@ async function displayResults(query, professors, signal = null) {
     
     // Filter trending labs to only include those that match the search query
     // This ensures trending labs are relevant to the current search
-    const trendingLabs = professors.filter(prof => {
-        const labName = prof.lab || '';
-        const profName = prof.name || '';
-        const isTrending = trendingLabNames.includes(labName) || trendingLabNames.includes(profName);
-        
-        if (!isTrending) return false;
+    const trendingProfessors = professors.filter(prof => {
+        if (!trendingProfessorIds.has(prof.id)) return false;
         
         // Check if this professor matches the search query
         // Use the relevance score that was already calculated during search
@@ -1240,9 +731,7 @@ async function displayResults(query, professors, signal = null) {
     });
     
     const regularProfessors = professors.filter(prof => {
-        const labName = prof.lab || '';
-        const profName = prof.name || '';
-        const isTrending = trendingLabNames.includes(labName) || trendingLabNames.includes(profName);
+        const isTrending = trendingProfessorIds.has(prof.id);
         const relevance = prof.relevance || 0;
         
         // Regular professors are those that are either:
@@ -1324,11 +813,8 @@ async function displayResults(query, professors, signal = null) {
         `;
     }
     
-    // Check if this is data science department - only show if it's exclusively data science
-    // Must be: single department AND that department is data science
-    const isDataScienceDept = (uniqueDepartments.size === 1 && 
-                               Array.from(uniqueDepartments)[0].toLowerCase().trim() === 'data science') ||
-                               normalizedDepartmentName.toLowerCase().trim() === 'data science';
+    // Check if this is data science department - only show if the results are data science ones
+    const isDataScienceDept = normalizedDepartmentName === 'data science';
     
     if (isDataScienceDept) {
         resultsHTML += `
@@ -1348,17 +834,12 @@ async function displayResults(query, professors, signal = null) {
     }
     
     // 4. Trending Labs
-    if (trendingLabs.length > 0) {
+    if (trendingProfessors.length > 0) {
         resultsHTML += `
             <div class="research-area-section trending-labs-section">
                 <h3 class="research-area-header trending-labs-header">🔥 Trending Labs</h3>
                 <div class="professors-grid">
-                    ${trendingLabs.map(prof => {
-                        // Use first department if comma-separated
-                        const dept = prof.department || normalizedDepartmentName;
-                        const displayDept = dept.includes(',') ? dept.split(',')[0].trim() : dept;
-                        return createProfessorCard(prof, displayDept);
-                    }).join('')}
+                    ${trendingProfessors.map(prof => createProfessorCard(prof, cardDepartment(prof))).join('')}
                 </div>
             </div>
         `;
@@ -1374,12 +855,7 @@ async function displayResults(query, professors, signal = null) {
                 <div class="research-area-section">
                     <h3 class="research-area-header">${area}</h3>
                     <div class="professors-grid">
-                        ${groupedByArea[area].map(prof => {
-                            // Use first department if comma-separated
-                            const dept = prof.department || normalizedDepartmentName;
-                            const displayDept = dept.includes(',') ? dept.split(',')[0].trim() : dept;
-                            return createProfessorCard(prof, displayDept);
-                        }).join('')}
+                        ${groupedByArea[area].map(prof => createProfessorCard(prof, cardDepartment(prof))).join('')}
                     </div>
                 </div>
             `;
@@ -1388,12 +864,7 @@ async function displayResults(query, professors, signal = null) {
         // Fallback to uniform grid if no research areas
         resultsHTML += `
             <div class="professors-grid">
-                ${regularProfessors.map(prof => {
-                    // Use first department if comma-separated
-                    const dept = prof.department || normalizedDepartmentName;
-                    const displayDept = dept.includes(',') ? dept.split(',')[0].trim() : dept;
-                    return createProfessorCard(prof, displayDept);
-                }).join('')}
+                ${regularProfessors.map(prof => createProfessorCard(prof, cardDepartment(prof))).join('')}
             </div>
         `;
     }
@@ -1571,10 +1042,9 @@ function setupClickTracking() {
     document.querySelectorAll('.email-link').forEach(link => {
         link.addEventListener('click', async (e) => {
             try {
-                const professorName = link.getAttribute('data-professor');
-                const departmentName = link.getAttribute('data-department');
+                const professorId = link.getAttribute('data-professor-id');
                 // Don't await - fire and forget to prevent blocking link navigation
-                trackClick(professorName, departmentName, 'email').catch(err => {
+                trackClick(professorId, 'email').catch(err => {
                     console.error('Error tracking email click:', err);
                 });
             } catch (error) {
@@ -1587,10 +1057,9 @@ function setupClickTracking() {
     document.querySelectorAll('.lab-link').forEach(link => {
         link.addEventListener('click', async (e) => {
             try {
-                const professorName = link.getAttribute('data-professor');
-                const departmentName = link.getAttribute('data-department');
+                const professorId = link.getAttribute('data-professor-id');
                 // Don't await - fire and forget to prevent blocking link navigation
-                trackClick(professorName, departmentName, 'lab-website').catch(err => {
+                trackClick(professorId, 'lab-website').catch(err => {
                     console.error('Error tracking lab link click:', err);
                 });
             } catch (error) {
@@ -1603,10 +1072,9 @@ function setupClickTracking() {
     document.querySelectorAll('.website-link').forEach(link => {
         link.addEventListener('click', async (e) => {
             try {
-                const professorName = link.getAttribute('data-professor');
-                const departmentName = link.getAttribute('data-department');
+                const professorId = link.getAttribute('data-professor-id');
                 // Don't await - fire and forget to prevent blocking link navigation
-                trackClick(professorName, departmentName, 'personal-website').catch(err => {
+                trackClick(professorId, 'personal-website').catch(err => {
                     console.error('Error tracking website link click:', err);
                 });
             } catch (error) {
@@ -1615,10 +1083,50 @@ function setupClickTracking() {
         });
     });
     
+    // Track clicks on opening application links (lab-level openings on lab pages have no professor)
+    document.querySelectorAll('.opening-apply-link[data-professor-id]').forEach(link => {
+        link.addEventListener('click', () => {
+            trackClick(link.getAttribute('data-professor-id'), 'apply').catch(err => {
+                console.error('Error tracking apply click:', err);
+            });
+        });
+    });
+    
+    // Expand "Recent papers" on the back of cards
+    // (touch-aware like the star, since the card's own touch handler swallows clicks)
+    document.querySelectorAll('.recent-papers-toggle').forEach(button => {
+        addMobileFriendlyListener(button, () => {
+            toggleRecentPapers(button.closest('.recent-papers')).catch(err => {
+                console.error('Error loading recent papers:', err);
+            });
+        });
+    });
+    
+    // "Draft email" on cards fills one of the user's outreach templates (see email-drafts.js)
+    document.querySelectorAll('.draft-email-button').forEach(button => {
+        addMobileFriendlyListener(button, () => openDraftEmail(button.getAttribute('data-professor-id'), button));
+    });
+    
+    // Lab page links on cards and the starred view, and lab star buttons
+    document.querySelectorAll('.lab-page-link').forEach(button => {
+        addMobileFriendlyListener(button, () => openLabPage(button.getAttribute('data-lab-id')));
+    });
+    document.querySelectorAll('.lab-star-button').forEach(button => {
+        addMobileFriendlyListener(button, () => {
+            toggleLabStar(button).catch(err => {
+                console.error('Error toggling lab star:', err);
+            });
+        });
+    });
+    updateLabStarButtons();
+    
     // Track clicks on professor cards and handle flip
     const cards = document.querySelectorAll('.professor-card');
     console.log(`🔍 Setting up click tracking for ${cards.length} cards (mobile: ${isMobile})`);
     
+    // Fetch stats for all cards at once so flipping a card shows them immediately
+    loadStatsForCards(cards);
+    
     // Batch event listener setup to prevent overwhelming mobile browsers
     // Process in smaller chunks on mobile
     const batchSize = isMobile ? 10 : 50;
@@ -1646,16 +1154,18 @@ function setupClickTracking() {
                 // Don't flip if clicking on links or star icon
                 const clickedLink = e.target.closest('a');
                 const clickedStar = e.target.closest('.star-icon-container');
-                if (clickedLink || clickedStar) {
-                    return; // Let the link/star handle its own click
+                const clickedPapers = e.target.closest('.recent-papers');
+                const clickedLabPage = e.target.closest('.lab-page-link');
+                const clickedDraft = e.target.closest('.draft-email-button');
+                if (clickedLink || clickedStar || clickedPapers || clickedLabPage || clickedDraft) {
+                    return; // Let the link/star/papers list/lab page link/draft button handle its own click
                 }
                 
-                const professorName = card.getAttribute('data-professor');
-                const departmentName = card.getAttribute('data-department');
+                const professorId = card.getAttribute('data-professor-id');
                 
-                if (professorName && departmentName) {
+                if (professorId) {
                     // Track the click (don't await - fire and forget to prevent blocking)
-                    trackClick(professorName, departmentName, 'card').catch(err => {
+                    trackClick(professorId, 'card').catch(err => {
                         console.error('Error tracking click:', err);
                     });
                     
@@ -1678,7 +1188,7 @@ function setupClickTracking() {
                             } else {
                                 cardInner.classList.add('flipped');
                             }
-                            loadProfessorStats(card, professorName, departmentName).catch(err => {
+                            loadProfessorStats(card, professorId).catch(err => {
                                 console.error('Error loading professor stats:', err);
                             });
                         } else {
@@ -1819,8 +1329,7 @@ function setupStarIcons() {
                     return;
                 }
                 
-                const professorName = container.getAttribute('data-professor');
-                const departmentName = container.getAttribute('data-department');
+                const professorId = parseInt(container.getAttribute('data-professor-id'), 10);
                 const starIcon = container.querySelector('.star-icon');
                 const isStarred = starIcon.classList.contains('starred');
                 
@@ -1830,39 +1339,47 @@ function setupStarIcons() {
                     
                     if (isStarred) {
                         // Unstar
-                        const response = await fetch(`${API_BASE}/starred`, {
+                        const response = await fetch(`${API_BASE}/starred/${professorId}`, {
                             method: 'DELETE',
                             headers: {
-                                'Content-Type': 'application/json',
                                 'Authorization': `Bearer ${token}`
-                            },
-                            body: JSON.stringify({ professorName, departmentName })
+                            }
                         });
                         
                         if (response.ok) {
                             starIcon.classList.remove('starred');
-                            const key = `${professorName}|${departmentName}`;
-                            starredProfessors.delete(key);
+                            starredProfessors.delete(professorId);
                             
                             // If viewing starred professors, refresh the view or remove the card
                             if (isViewingStarred) {
-                                // Remove the card with a fade-out animation
-                                const card = container.closest('.professor-card');
+                                // Remove the card (with its tracker) with a fade-out animation
+                                const card = container.closest('.application-item') || container.closest('.professor-card');
                                 if (card) {
                                     card.style.transition = 'opacity 0.3s ease, transform 0.3s ease';
                                     card.style.opacity = '0';
                                     card.style.transform = 'scale(0.9)';
                                     setTimeout(() => {
+                                        const section = card.closest('.application-status-section');
                                         card.remove();
+                                        // Update or drop its status section
+                                        if (section) {
+                                            const remainingInSection = section.querySelectorAll('.application-item').length;
+                                            if (remainingInSection === 0) {
+                                                section.remove();
+                                            } else {
+                                                section.querySelector('.application-status-count').textContent = remainingInSection;
+                                            }
+                                        }
+                                        updateFollowUpBadge();
                                         // Update the count in the header
                                         const remainingCards = resultsContainer.querySelectorAll('.professor-card');
-                                        const countElement = resultsContainer.querySelector('.results-count');
+                                        const countElement = resultsContainer.querySelector('[data-starred-count="professors"]');
                                         if (countElement) {
                                             const count = remainingCards.length;
                                             countElement.textContent = `${count} starred professor${count !== 1 ? 's' : ''}`;
                                         }
-                                        // If no more starred professors, show empty state
-                                        if (remainingCards.length === 0) {
+                                        // If no more starred professors or labs, show empty state
+                                        if (remainingCards.length === 0 && starredLabs.size === 0) {
                                             resultsContainer.innerHTML = `
                                                 <div class="no-results">
                                                     <h3>No starred professors</h3>
@@ -1879,19 +1396,16 @@ function setupStarIcons() {
                         }
                     } else {
                         // Star
-                        const response = await fetch(`${API_BASE}/starred`, {
+                        const response = await fetch(`${API_BASE}/starred/${professorId}`, {
                             method: 'POST',
                             headers: {
-                                'Content-Type': 'application/json',
                                 'Authorization': `Bearer ${token}`
-                            },
-                            body: JSON.stringify({ professorName, departmentName })
+                            }
                         });
                         
                         if (response.ok) {
                             starIcon.classList.add('starred');
-                            const key = `${professorName}|${departmentName}`;
-                            starredProfessors.add(key);
+                            starredProfessors.add(professorId);
                         }
                     }
                 } catch (error) {
@@ -1942,12 +1456,10 @@ function setupStarIcons() {
 // Update star icons based on starred state
 function updateStarIcons() {
     document.querySelectorAll('.star-icon-container').forEach(container => {
-        const professorName = container.getAttribute('data-professor');
-        const departmentName = container.getAttribute('data-department');
+        const professorId = parseInt(container.getAttribute('data-professor-id'), 10);
         const starIcon = container.querySelector('.star-icon');
-        const key = `${professorName}|${departmentName}`;
         
-        if (starredProfessors.has(key)) {
+        if (starredProfessors.has(professorId)) {
             starIcon.classList.add('starred');
         } else {
             starIcon.classList.remove('starred');
@@ -1974,32 +1486,20 @@ async function loadStarredProfessors() {
         if (response.ok) {
             const data = await response.json();
             starredProfessors.clear();
-            Object.keys(data.starred).forEach(key => {
-                starredProfessors.add(key);
+            // data.starred maps "name|department" to professor ID
+            Object.values(data.starred).forEach(professorId => {
+                starredProfessors.add(professorId);
             });
             updateStarIcons();
+            updateFollowUpBadge();
         }
     } catch (error) {
         console.error('Error loading starred professors:', error);
     }
 }
 
-// Handle starred professors tab click
-async function handleStarredTab() {
-    const starredTab = document.getElementById('starredTab');
-    isViewingStarred = !isViewingStarred;
-    
-    if (isViewingStarred) {
-        starredTab.classList.add('active');
-        await displayStarredProfessors();
-    } else {
-        starredTab.classList.remove('active');
-        showWelcomeMessage();
-    }
-}
-
-// Display starred professors
-async function displayStarredProfessors() {
+// Load starred lab IDs
+async function loadStarredLabs() {
     if (!window.authService || !window.authService.isAuthenticated()) {
         return;
     }
@@ -2008,41 +1508,642 @@ async function displayStarredProfessors() {
         const API_BASE = window.API_BASE_URL || 'http://localhost:3001/api';
         const token = window.authService.getAuthToken();
         
-        const response = await fetch(`${API_BASE}/starred`, {
+        const response = await fetch(`${API_BASE}/starred/labs`, {
             headers: {
                 'Authorization': `Bearer ${token}`
             }
         });
         
-        if (!response.ok) {
-            throw new Error('Failed to load starred professors');
+        if (response.ok) {
+            const data = await response.json();
+            starredLabs = new Set(data.labs.map(lab => lab.id));
+            updateLabStarButtons();
         }
-        
-        const data = await response.json();
-        const professors = data.starred || [];
-        
-        if (professors.length === 0) {
-            resultsContainer.innerHTML = `
-                <div class="no-results">
-                    <h3>No starred professors</h3>
-                    <p>You haven't starred any professors yet. Click the star icon on any professor card to add them to your favorites.</p>
-                </div>
-            `;
-            return;
+    } catch (error) {
+        console.error('Error loading starred labs:', error);
+    }
+}
+
+// Show the starred state on lab star buttons
+function updateLabStarButtons() {
+    document.querySelectorAll('.lab-star-button').forEach(button => {
+        const isStarred = starredLabs.has(parseInt(button.getAttribute('data-lab-id'), 10));
+        button.classList.toggle('starred', isStarred);
+        button.setAttribute('aria-pressed', String(isStarred));
+        button.textContent = isStarred ? '★ Starred' : '☆ Star lab';
+    });
+}
+
+// Star or unstar the lab a button belongs to
+async function toggleLabStar(button) {
+    if (!window.authService || !window.authService.isAuthenticated()) {
+        // Show login modal
+        document.getElementById('authModal').style.display = 'flex';
+        return;
+    }
+    
+    const labId = parseInt(button.getAttribute('data-lab-id'), 10);
+    const isStarred = starredLabs.has(labId);
+    const API_BASE = window.API_BASE_URL || 'http://localhost:3001/api';
+    const token = window.authService.getAuthToken();
+    
+    const response = await fetch(`${API_BASE}/starred/labs/${labId}`, {
+        method: isStarred ? 'DELETE' : 'POST',
+        headers: {
+            'Authorization': `Bearer ${token}`
         }
+    });
+    if (!response.ok) {
+        throw new Error(`API error: ${response.status}`);
+    }
+    
+    if (isStarred) {
+        starredLabs.delete(labId);
+    } else {
+        starredLabs.add(labId);
+    }
+    updateLabStarButtons();
+    
+    // An unstarred lab leaves the starred view
+    if (isViewingStarred && isStarred) {
+        await displayStarredProfessors();
+    }
+}
+
+// Lab pages live at #lab/<id>, so they can be linked to and left with the back button
+function openLabPage(labId) {
+    if (window.location.hash === `#lab/${labId}`) {
+        displayLabPage(labId);
+    } else {
+        window.location.hash = `lab/${labId}`;
+    }
+}
+
+// Show a lab's page: its details, a star button and its professors' cards
+async function displayLabPage(labId) {
+    const data = await getLab(labId);
+    
+    isViewingStarred = false;
+    const starredTab = document.getElementById('starredTab');
+    if (starredTab) starredTab.classList.remove('active');
+    
+    if (!data) {
+        resultsContainer.innerHTML = `
+            <div class="no-results">
+                <h3>Lab not found</h3>
+                <p>This lab may have been removed. Try searching for its department instead.</p>
+            </div>
+        `;
+        return;
+    }
+    
+    lastSearch = null;
+    const { lab, professors, openings = [] } = data;
+    const details = [
+        lab.memberCount !== null ? `${lab.memberCount} lab member${lab.memberCount !== 1 ? 's' : ''}` : null,
+        lab.departments.map(department => escapeHtml(formatDepartmentLabel(department))).join(' · ')
+    ].filter(Boolean).join(' · ');
+    
+    resultsContainer.innerHTML = `
+        <div class="results-header lab-page-header">
+            <h2>
+                <span class="department-name">${escapeHtml(lab.name)}</span>
+                <button type="button" class="lab-star-button" data-lab-id="${lab.id}" aria-pressed="false">☆ Star lab</button>
+            </h2>
+            <div class="results-count">${details}</div>
+            ${lab.website ? `<a href="${escapeHtml(lab.website)}" target="_blank" rel="noopener noreferrer" class="lab-page-website">Visit lab website</a>` : ''}
+            <p class="lab-description" hidden></p>
+        </div>
+        ${openings.length > 0 ? `
+        <div class="research-area-section lab-openings-section">
+            <h3 class="research-area-header">Open Positions</h3>
+            <ul class="openings-list lab-openings-list">${openings.map(opening => renderOpeningItem(opening)).join('')}</ul>
+        </div>` : ''}
+        <div class="research-area-section">
+            <h3 class="research-area-header">${professors.length === 1 ? 'Principal Investigator' : 'Principal Investigators'}</h3>
+            <div class="professors-grid">
+                ${professors.map(prof => createProfessorCard(prof, prof.department || 'unknown')).join('')}
+            </div>
+        </div>
+    `;
+    
+    // Descriptions are free text, so set them as text rather than HTML
+    if (lab.description) {
+        const description = resultsContainer.querySelector('.lab-description');
+        description.textContent = lab.description;
+        description.hidden = false;
+    }
+    
+    clickTrackingSetup = false;
+    setupClickTracking();
+    updateStarIcons();
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+}
+
+// A starred lab in the starred view: name (opens the lab page), its PIs and a star button
+function createStarredLabItem(lab) {
+    return `
+        <div class="starred-lab" data-lab-id="${lab.id}">
+            <button type="button" class="lab-page-link starred-lab-name" data-lab-id="${lab.id}">${escapeHtml(lab.name)}</button>
+            <div class="starred-lab-professors">${lab.professors.map(prof => escapeHtml(prof.name)).join(', ')}</div>
+            <button type="button" class="lab-star-button" data-lab-id="${lab.id}" aria-pressed="true">★ Starred</button>
+        </div>
+    `;
+}
+
+// Application tracker statuses, in pipeline order (see backend/application-validation.js)
+const APPLICATION_STATUSES = [
+    { value: 'interested', label: 'Interested' },
+    { value: 'emailed', label: 'Emailed' },
+    { value: 'replied', label: 'Replied' },
+    { value: 'interviewing', label: 'Interviewing' },
+    { value: 'joined', label: 'Joined' },
+    { value: 'declined', label: 'Declined' }
+];
+
+/**
+ * SQLite timestamp (UTC, "2025-10-03 14:20:00") -> "Oct 3"
+ */
+function formatTimestampDay(timestamp) {
+    return new Date(`${timestamp.replace(' ', 'T')}Z`).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+}
+
+/**
+ * A starred professor on the tracker board: their card, then the status select,
+ * the follow-up date and the status history
+ */
+function createApplicationItem(professor) {
+    const application = professor.application || { status: 'interested', followUpOn: null, followUpDue: false, history: [] };
+    const options = APPLICATION_STATUSES.map(({ value, label }) =>
+        `<option value="${value}"${value === application.status ? ' selected' : ''}>${label}</option>`
+    ).join('');
+    const history = application.history.map(change => {
+        const status = APPLICATION_STATUSES.find(({ value }) => value === change.status);
+        return `${status ? status.label : change.status} ${formatTimestampDay(change.changedAt)}`;
+    }).join(' → ');
+    
+    return `
+        <div class="application-item${application.followUpDue ? ' follow-up-due' : ''}" data-professor-id="${professor.id}">
+            ${createProfessorCard(professor, professor.department || 'unknown')}
+            <div class="application-tracker">
+                <label class="application-field">
+                    <span>Status</span>
+                    <select class="application-status" data-professor-id="${professor.id}">${options}</select>
+                </label>
+                <label class="application-field">
+                    <span>Follow up on</span>
+                    <input type="date" class="application-follow-up" data-professor-id="${professor.id}" value="${application.followUpOn || ''}">
+                </label>
+                <div class="application-follow-up-due">Follow-up due</div>
+                <div class="application-error" role="alert"></div>
+                ${history ? `<div class="application-history">${history}</div>` : ''}
+                <div class="star-notes" data-professor-id="${professor.id}">
+                    <div class="star-notes-label">Notes</div>
+                    <ul class="star-notes-list">${(professor.notes || []).map(renderStarNote).join('')}</ul>
+                    <form class="star-note-form">
+                        <textarea class="star-note-input" rows="2" maxlength="5000" placeholder="What you read, questions to ask, the email you sent..."></textarea>
+                        <button type="submit" class="star-note-save">Add note</button>
+                    </form>
+                    <div class="star-note-error" role="alert"></div>
+                </div>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * One private note on a starred professor, with edit and delete buttons
+ */
+function renderStarNote(note) {
+    const edited = note.updatedAt && note.updatedAt !== note.createdAt ? ' (edited)' : '';
+    return `
+        <li class="star-note" data-note-id="${note.id}">
+            <div class="star-note-text">${escapeHtml(note.text)}</div>
+            <div class="star-note-meta">
+                ${formatTimestampDay(note.createdAt)}${edited}
+                <button type="button" class="star-note-edit">Edit</button>
+                <button type="button" class="star-note-delete">Delete</button>
+            </div>
+        </li>
+    `;
+}
+
+/**
+ * Create, edit or delete a note on a starred professor
+ * @param {string} method - POST (new note), PATCH or DELETE
+ * @param {number|null} noteId - Note to edit or delete
+ * @returns {Promise<Object>} The response body
+ */
+async function saveStarNote(method, professorId, noteId = null, text = null) {
+    const API_BASE = window.API_BASE_URL || 'http://localhost:3001/api';
+    const token = window.authService.getAuthToken();
+    
+    const response = await fetch(`${API_BASE}/starred/${professorId}/notes${noteId ? `/${noteId}` : ''}`, {
+        method,
+        headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${token}`
+        },
+        body: text !== null ? JSON.stringify({ text }) : undefined
+    });
+    const data = await response.json();
+    if (!response.ok) {
+        throw new Error(data.error || 'Failed to save note');
+    }
+    return data;
+}
+
+// Note forms and edit/delete buttons on one starred professor's tracker
+function setupStarNotes(notes) {
+    const professorId = notes.dataset.professorId;
+    const list = notes.querySelector('.star-notes-list');
+    const form = notes.querySelector('.star-note-form');
+    const input = form.querySelector('.star-note-input');
+    const errorMessage = notes.querySelector('.star-note-error');
+    
+    // Typed text stays in its textarea when a save fails, so it can be retried
+    const showError = (action, error) => {
+        errorMessage.textContent = `Could not ${action} the note: ${error.message}`;
+    };
+    
+    form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        if (!input.value.trim()) return;
+        errorMessage.textContent = '';
+        try {
+            const { note } = await saveStarNote('POST', professorId, null, input.value);
+            list.insertAdjacentHTML('beforeend', renderStarNote(note));
+            input.value = '';
+        } catch (error) {
+            console.error('Error adding note:', error);
+            showError('add', error);
+        }
+    });
+    
+    list.addEventListener('click', async (e) => {
+        const item = e.target.closest('.star-note');
+        if (!item) return;
+        const noteId = item.dataset.noteId;
+        
+        if (e.target.classList.contains('star-note-delete')) {
+            if (!confirm('Delete this note?')) return;
+            errorMessage.textContent = '';
+            try {
+                await saveStarNote('DELETE', professorId, noteId);
+                item.remove();
+            } catch (error) {
+                console.error('Error deleting note:', error);
+                showError('delete', error);
+            }
+        } else if (e.target.classList.contains('star-note-edit')) {
+            // Swap the text for a textarea until the edit is saved or cancelled
+            const original = item.querySelector('.star-note-text').textContent;
+            const originalHTML = item.innerHTML;
+            const editor = document.createElement('form');
+            editor.className = 'star-note-form';
+            editor.innerHTML = `
+                <textarea class="star-note-input" rows="3" maxlength="5000"></textarea>
+                <button type="submit" class="star-note-save">Save</button>
+                <button type="button" class="star-note-cancel">Cancel</button>
+            `;
+            editor.querySelector('textarea').value = original;
+            item.replaceChildren(editor);
+            
+            editor.querySelector('.star-note-cancel').addEventListener('click', () => {
+                item.innerHTML = originalHTML;
+                errorMessage.textContent = '';
+            });
+            editor.addEventListener('submit', async (event) => {
+                event.preventDefault();
+                const text = editor.querySelector('textarea').value;
+                if (!text.trim()) return;
+                errorMessage.textContent = '';
+                try {
+                    const { note } = await saveStarNote('PATCH', professorId, noteId, text);
+                    item.outerHTML = renderStarNote(note);
+                } catch (error) {
+                    console.error('Error updating note:', error);
+                    showError('save', error);
+                }
+            });
+        }
+    });
+}
+
+// Filter the tracker board to starred professors whose card or notes mention the query
+function filterStarredProfessors(query) {
+    const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+    let shown = 0;
+    
+    resultsContainer.querySelectorAll('.application-status-section').forEach(section => {
+        let shownInSection = 0;
+        section.querySelectorAll('.application-item').forEach(item => {
+            // The card and the notes, not the status picker (which lists every status)
+            const text = `${item.querySelector('.professor-card').textContent} ${item.querySelector('.star-notes-list').textContent}`.toLowerCase();
+            const matches = terms.every(term => text.includes(term));
+            item.hidden = !matches;
+            if (matches) shownInSection++;
+        });
+        section.hidden = shownInSection === 0;
+        shown += shownInSection;
+    });
+    
+    const empty = resultsContainer.querySelector('.starred-search-empty');
+    if (empty) empty.hidden = shown > 0;
+}
+
+/**
+ * Save application tracker fields for a starred professor
+ * @returns {Promise<Object>} The updated application
+ */
+async function updateApplication(professorId, fields) {
+    const API_BASE = window.API_BASE_URL || 'http://localhost:3001/api';
+    const token = window.authService.getAuthToken();
+    
+    const response = await fetch(`${API_BASE}/starred/${professorId}`, {
+        method: 'PATCH',
+        headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${token}`
+        },
+        body: JSON.stringify(fields)
+    });
+    const data = await response.json();
+    if (!response.ok) {
+        throw new Error(data.error || 'Failed to update application');
+    }
+    return data.application;
+}
+
+// Status selects, follow-up dates, notes and search on the tracker board
+function setupApplicationTrackers() {
+    resultsContainer.querySelectorAll('.star-notes').forEach(setupStarNotes);
+    
+    const search = resultsContainer.querySelector('.starred-search');
+    if (search) {
+        search.addEventListener('input', () => filterStarredProfessors(search.value));
+    }
+    
+    // Failed saves put the last saved value back and say why under the tracker controls
+    const errorFor = control => control.closest('.application-tracker').querySelector('.application-error');
+    
+    resultsContainer.querySelectorAll('.application-status').forEach(select => {
+        const previous = select.value;
+        select.addEventListener('change', async () => {
+            errorFor(select).textContent = '';
+            try {
+                await updateApplication(select.dataset.professorId, { status: select.value });
+                // Re-render so the professor moves to their new status section
+                await displayStarredProfessors();
+            } catch (error) {
+                console.error('Error updating application status:', error);
+                select.value = previous;
+                errorFor(select).textContent = `Could not change the status: ${error.message}`;
+            }
+        });
+    });
+    
+    resultsContainer.querySelectorAll('.application-follow-up').forEach(input => {
+        let saved = input.value;
+        input.addEventListener('change', async () => {
+            errorFor(input).textContent = '';
+            try {
+                const application = await updateApplication(input.dataset.professorId, { followUpOn: input.value || null });
+                saved = input.value;
+                input.closest('.application-item').classList.toggle('follow-up-due', application.followUpDue);
+                updateFollowUpBadge();
+            } catch (error) {
+                console.error('Error updating follow-up date:', error);
+                input.value = saved;
+                errorFor(input).textContent = `Could not save the follow-up date: ${error.message}`;
+            }
+        });
+    });
+}
+
+// How often opening alerts can be emailed, and how early deadline reminders can come
+const ALERT_FREQUENCIES = [
+    { value: 'off', label: 'Off' },
+    { value: 'immediate', label: 'Right away' },
+    { value: 'daily', label: 'Daily digest' },
+    { value: 'weekly', label: 'Weekly digest' }
+];
+const DEADLINE_REMINDER_DAYS = [1, 3, 7, 14];
+
+// Email alert settings for openings of starred professors, shown above the tracker board
+function createAlertPreferencesPanel(preferences) {
+    const checkbox = (field, label) => `
+        <label class="alert-preferences-option">
+            <input type="checkbox" data-field="${field}" ${preferences[field] ? 'checked' : ''}>
+            ${label}
+        </label>`;
+    
+    return `
+        <details class="alert-preferences">
+            <summary>📬 Email alerts: ${ALERT_FREQUENCIES.find(f => f.value === preferences.frequency).label}</summary>
+            <div class="alert-preferences-body">
+                <label class="alert-preferences-option">
+                    Email me
+                    <select data-field="frequency">
+                        ${ALERT_FREQUENCIES.map(({ value, label }) => `<option value="${value}" ${value === preferences.frequency ? 'selected' : ''}>${label}</option>`).join('')}
+                    </select>
+                </label>
+                ${checkbox('recruiting', 'When a starred professor starts recruiting')}
+                ${checkbox('newOpenings', 'When they post another opening')}
+                ${checkbox('deadlines', 'When a deadline is')}
+                <select data-field="deadlineDays" aria-label="Days before a deadline">
+                    ${DEADLINE_REMINDER_DAYS.map(days => `<option value="${days}" ${days === preferences.deadlineDays ? 'selected' : ''}>${days} day${days !== 1 ? 's' : ''} away</option>`).join('')}
+                </select>
+                <span class="alert-preferences-status" aria-live="polite"></span>
+            </div>
+        </details>
+    `;
+}
+
+// Save each alert setting as soon as it changes
+function setupAlertPreferences() {
+    const panel = resultsContainer.querySelector('.alert-preferences');
+    if (!panel) return;
+    
+    const status = panel.querySelector('.alert-preferences-status');
+    panel.querySelectorAll('[data-field]').forEach(control => {
+        control.addEventListener('change', async () => {
+            const { field } = control.dataset;
+            let value = control.type === 'checkbox' ? control.checked : control.value;
+            if (field === 'deadlineDays') value = Number(value);
+            
+            try {
+                const API_BASE = window.API_BASE_URL || 'http://localhost:3001/api';
+                const token = window.authService.getAuthToken();
+                
+                const response = await fetch(`${API_BASE}/notifications/preferences`, {
+                    method: 'PATCH',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'Authorization': `Bearer ${token}`
+                    },
+                    body: JSON.stringify({ [field]: value })
+                });
+                if (!response.ok) {
+                    throw new Error('Failed to save alert preferences');
+                }
+                
+                const { preferences } = await response.json();
+                panel.querySelector('summary').textContent = `📬 Email alerts: ${ALERT_FREQUENCIES.find(f => f.value === preferences.frequency).label}`;
+                status.textContent = 'Saved';
+            } catch (error) {
+                console.error('Error saving alert preferences:', error);
+                status.textContent = 'Could not save. Please try again.';
+            }
+        });
+    });
+}
+
+// Show how many follow-ups are due on the starred tab
+async function updateFollowUpBadge() {
+    const starredTab = document.getElementById('starredTab');
+    if (!starredTab || !window.authService || !window.authService.isAuthenticated()) {
+        return;
+    }
+    
+    try {
+        const API_BASE = window.API_BASE_URL || 'http://localhost:3001/api';
+        const token = window.authService.getAuthToken();
+        
+        const response = await fetch(`${API_BASE}/starred/follow-ups`, {
+            headers: {
+                'Authorization': `Bearer ${token}`
+            }
+        });
+        
+        if (response.ok) {
+            const { count } = await response.json();
+            let badge = starredTab.querySelector('.follow-up-badge');
+            if (count > 0) {
+                if (!badge) {
+                    badge = document.createElement('span');
+                    badge.className = 'follow-up-badge';
+                    starredTab.appendChild(badge);
+                }
+                badge.textContent = count;
+                badge.title = `${count} follow-up${count !== 1 ? 's' : ''} due`;
+            } else if (badge) {
+                badge.remove();
+            }
+        }
+    } catch (error) {
+        console.error('Error loading follow-ups:', error);
+    }
+}
+
+// Handle starred professors tab click
+async function handleStarredTab() {
+    const starredTab = document.getElementById('starredTab');
+    isViewingStarred = !isViewingStarred;
+    
+    if (isViewingStarred) {
+        starredTab.classList.add('active');
+        await displayStarredProfessors();
+    } else {
+        starredTab.classList.remove('active');
+        showWelcomeMessage();
+    }
+}
+
+// Display starred professors
+async function displayStarredProfessors() {
+    if (!window.authService || !window.authService.isAuthenticated()) {
+        return;
+    }
+    
+    try {
+        const API_BASE = window.API_BASE_URL || 'http://localhost:3001/api';
+        const token = window.authService.getAuthToken();
+        
+        const [response, labsResponse, preferencesResponse] = await Promise.all([
+            fetch(`${API_BASE}/starred`, {
+                headers: {
+                    'Authorization': `Bearer ${token}`
+                }
+            }),
+            fetch(`${API_BASE}/starred/labs`, {
+                headers: {
+                    'Authorization': `Bearer ${token}`
+                }
+            }),
+            fetch(`${API_BASE}/notifications/preferences`, {
+                headers: {
+                    'Authorization': `Bearer ${token}`
+                }
+            })
+        ]);
+        
+        if (!response.ok || !labsResponse.ok) {
+            throw new Error('Failed to load starred professors');
+        }
+        
+        const data = await response.json();
+        const professors = data.starred || [];
+        const labs = (await labsResponse.json()).labs || [];
+        // The alerts panel is left out if preferences fail to load
+        const preferences = preferencesResponse.ok ? (await preferencesResponse.json()).preferences : null;
+        starredLabs = new Set(labs.map(lab => lab.id));
+        
+        if (professors.length === 0 && labs.length === 0) {
+            resultsContainer.innerHTML = `
+                <div class="no-results">
+                    <h3>No starred professors</h3>
+                    <p>You haven't starred any professors yet. Click the star icon on any professor card to add them to your favorites.</p>
+                </div>
+            `;
+            return;
+        }
+        
+        const labsCount = labs.length > 0
+            ? ` · <span data-starred-count="labs">${labs.length} starred lab${labs.length !== 1 ? 's' : ''}</span>`
+            : '';
+        const labsSection = labs.length > 0
+            ? `<div class="research-area-section starred-labs-section">
+                <h3 class="research-area-header">Starred Labs</h3>
+                <div class="starred-labs-grid">
+                    ${labs.map(createStarredLabItem).join('')}
+                </div>
+            </div>`
+            : '';
+        
+        // One section per application status, in pipeline order; empty statuses are left out
+        const statusSections = APPLICATION_STATUSES.map(({ value, label }) => {
+            const group = professors.filter(prof => (prof.application ? prof.application.status : 'interested') === value);
+            if (group.length === 0) return '';
+            return `
+                <div class="research-area-section application-status-section" data-status="${value}">
+                    <h3 class="research-area-header">${label} <span class="application-status-count">${group.length}</span></h3>
+                    <div class="professors-grid">
+                        ${group.map(createApplicationItem).join('')}
+                    </div>
+                </div>
+            `;
+        }).join('');
+        
+        let resultsHTML = `
+            <div class="results-header">
+                <h2>
+                    <span class="department-name">Starred Professors</span>
+                </h2>
+                <div class="results-count"><span data-starred-count="professors">${professors.length} starred professor${professors.length !== 1 ? 's' : ''}</span>${labsCount}</div>
+            </div>
+            ${professors.length > 0 && preferences ? createAlertPreferencesPanel(preferences) : ''}
+            ${labsSection}
+            ${professors.length > 0 ? `
+                <div class="starred-search-container">
+                    <input type="search" class="starred-search" placeholder="Search starred professors and your notes" aria-label="Search starred professors and your notes">
+                </div>
+                <div class="no-results starred-search-empty" hidden>
+                    <p>No starred professors or notes match your search.</p>
+                </div>` : ''}
+            ${statusSections}
+        `;
         
-        let resultsHTML = `
-            <div class="results-header">
-                <h2>
-                    <span class="department-name">Starred Professors</span>
-                </h2>
-                <div class="results-count">${professors.length} starred professor${professors.length !== 1 ? 's' : ''}</div>
-            </div>
-            <div class="professors-grid">
-                ${professors.map(prof => createProfessorCard(prof, prof.department || 'unknown')).join('')}
-            </div>
-        `;
-        
         resultsContainer.style.opacity = '0';
         resultsContainer.style.transform = 'translateY(20px)';
         resultsContainer.style.transition = 'opacity 0.3s ease, transform 0.3s ease';
@@ -2068,6 +2169,8 @@ async function displayStarredProfessors() {
                 setTimeout(() => {
                     setupClickTracking();
                     updateStarIcons();
+                    setupApplicationTrackers();
+                    setupAlertPreferences();
                 }, 100);
             }, 50);
         }, 150);
@@ -2082,96 +2185,191 @@ async function displayStarredProfessors() {
     }
 }
 
-// Load professor stats and display them
-async function loadProfessorStats(card, professorName, departmentName) {
+// Stats request for the cards currently on the page (see loadStatsForCards)
+let cardStatsRequest = null;
+
+// Card stat elements and the API fields they show
+const CARD_STAT_FIELDS = {
+    'lab-members': 'numLabMembers',
+    'undergrad': 'numUndergradResearchers',
+    'papers': 'numPublishedPapers'
+};
+
+const STAT_SOURCE_LABELS = {
+    'manual': 'Entered by hand',
+    'spreadsheet': 'Department spreadsheet',
+    'lab-website': 'Lab website',
+    'orcid': 'ORCID',
+    'semantic-scholar': 'Semantic Scholar',
+    'publications': 'Counted from the publication list'
+};
+
+// "as of" line under a stat: when it was verified, where it came from, and whether it is stale
+function renderStatAsOf(element, source) {
+    element.textContent = '';
+    element.classList.toggle('stale', Boolean(source && source.stale));
+    if (!source) return;
+    
+    if (!source.verifiedAt) {
+        element.textContent = 'Source unknown';
+        element.title = 'This number has not been verified';
+        return;
+    }
+    
+    const verified = new Date(source.verifiedAt);
+    const asOf = verified.toLocaleDateString(undefined, { month: 'short', year: 'numeric' });
+    const label = STAT_SOURCE_LABELS[source.source] || source.source;
+    element.textContent = `as of ${asOf}${source.stale ? ' · may be out of date' : ''}`;
+    element.title = `${label}, verified ${verified.toLocaleDateString()}`;
+    
+    if (source.sourceUrl) {
+        const link = document.createElement('a');
+        link.href = source.sourceUrl;
+        link.target = '_blank';
+        link.rel = 'noopener noreferrer';
+        link.textContent = 'source';
+        element.append(' · ', link);
+    }
+}
+
+// Fill in the back of a card and show it
+function showProfessorStats(card, { stats, provenance = {} }) {
     const statsContent = card.querySelector('.stats-content');
     const statsLoading = card.querySelector('.stats-loading');
     
     if (!statsContent || !statsLoading) return;
     
-    // Get API base URL from config.js
-    const API_BASE = window.API_BASE_URL || 'http://localhost:3001/api';
+    Object.entries(CARD_STAT_FIELDS).forEach(([stat, field]) => {
+        const valueEl = card.querySelector(`[data-stat="${stat}"]`);
+        const asOfEl = card.querySelector(`[data-stat-as-of="${stat}"]`);
+        if (valueEl) valueEl.textContent = stats[field] || 0;
+        if (asOfEl) renderStatAsOf(asOfEl, provenance[field]);
+    });
     
-    try {
-        // Fetch stats from API
-        const response = await fetch(`${API_BASE}/professor/stats`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-                professorName: professorName,
-                departmentName: departmentName.toLowerCase()
-            })
-        });
-        
-        if (response.ok) {
-            const data = await response.json();
-            const stats = data.stats || {
-                numLabMembers: 0,
-                numUndergradResearchers: 0,
-                numPublishedPapers: 0
-            };
-            
-            // Update stat values
-            const labMembersEl = card.querySelector('[data-stat="lab-members"]');
-            const undergradEl = card.querySelector('[data-stat="undergrad"]');
-            const papersEl = card.querySelector('[data-stat="papers"]');
-            
-            if (labMembersEl) {
-                labMembersEl.textContent = stats.numLabMembers || 0;
-            }
-            if (undergradEl) {
-                undergradEl.textContent = stats.numUndergradResearchers || 0;
-            }
-            if (papersEl) {
-                papersEl.textContent = stats.numPublishedPapers || 0;
+    // Hide loading, show content
+    statsLoading.style.display = 'none';
+    statsContent.style.display = 'block';
+    card.setAttribute('data-stats-loaded', 'true');
+}
+
+// Load stats for every rendered card with a single request
+function loadStatsForCards(cards) {
+    const professorIds = [...new Set(Array.from(cards)
+        .map(card => card.getAttribute('data-professor-id'))
+        .filter(Boolean))];
+    
+    if (professorIds.length === 0) {
+        cardStatsRequest = null;
+        return;
+    }
+    
+    cardStatsRequest = getProfessorsStats(professorIds).then(statsById => {
+        cards.forEach(card => {
+            const result = statsById[card.getAttribute('data-professor-id')];
+            if (result) {
+                showProfessorStats(card, result);
             }
-        } else {
-            // If API fails, show zeros
-            const labMembersEl = card.querySelector('[data-stat="lab-members"]');
-            const undergradEl = card.querySelector('[data-stat="undergrad"]');
-            const papersEl = card.querySelector('[data-stat="papers"]');
-            
-            if (labMembersEl) labMembersEl.textContent = 0;
-            if (undergradEl) undergradEl.textContent = 0;
-            if (papersEl) papersEl.textContent = 0;
-        }
-    } catch (error) {
+        });
+    }).catch(error => {
         console.error('Error loading professor stats:', error);
-        // On error, show zeros
-        const labMembersEl = card.querySelector('[data-stat="lab-members"]');
-        const undergradEl = card.querySelector('[data-stat="undergrad"]');
-        const papersEl = card.querySelector('[data-stat="papers"]');
-        
-        if (labMembersEl) labMembersEl.textContent = 0;
-        if (undergradEl) undergradEl.textContent = 0;
-        if (papersEl) papersEl.textContent = 0;
-    } finally {
-        // Hide loading, show content
-        statsLoading.style.display = 'none';
-        statsContent.style.display = 'block';
+    });
+}
+
+// Load professor stats and display them
+// Usually already filled in by loadStatsForCards; otherwise fetch this card's stats alone
+async function loadProfessorStats(card, professorId) {
+    if (card.getAttribute('data-stats-loaded')) return;
+    
+    if (cardStatsRequest) {
+        await cardStatsRequest;
+        if (card.getAttribute('data-stats-loaded')) return;
+    }
+    
+    const statsById = await getProfessorsStats([professorId]);
+    // If the API fails, show zeros
+    showProfessorStats(card, statsById[professorId] || {
+        stats: {
+            numLabMembers: 0,
+            numUndergradResearchers: 0,
+            numPublishedPapers: 0
+        }
+    });
+}
+
+// How many papers the "Recent papers" section on a card lists
+const RECENT_PAPERS_LIMIT = 5;
+
+// One paper in a card's "Recent papers" list: linked title, then venue and year
+function renderRecentPaper(paper) {
+    const item = document.createElement('li');
+    const title = document.createElement(paper.url ? 'a' : 'span');
+    title.className = 'recent-paper-title';
+    title.textContent = paper.title;
+    if (paper.url) {
+        title.href = paper.url;
+        title.target = '_blank';
+        title.rel = 'noopener noreferrer';
+    }
+    item.appendChild(title);
+    
+    const details = [paper.venue, paper.year].filter(Boolean).join(' · ');
+    if (details) {
+        const meta = document.createElement('div');
+        meta.className = 'recent-paper-meta';
+        meta.textContent = details;
+        item.appendChild(meta);
+    }
+    return item;
+}
+
+// Expand or collapse a card's "Recent papers" section, loading the papers the first time
+async function toggleRecentPapers(section) {
+    const button = section.querySelector('.recent-papers-toggle');
+    const list = section.querySelector('.recent-papers-list');
+    const expand = button.getAttribute('aria-expanded') !== 'true';
+    
+    button.setAttribute('aria-expanded', String(expand));
+    list.hidden = !expand;
+    // Let the back of the card scroll from the top while the list is open
+    const cardBack = section.closest('.card-back');
+    if (cardBack) cardBack.classList.toggle('papers-open', expand);
+    
+    if (!expand || section.getAttribute('data-papers-loaded')) return;
+    
+    list.innerHTML = '<li class="recent-papers-status">Loading papers...</li>';
+    const result = await getProfessorPublications(section.getAttribute('data-professor-id'), RECENT_PAPERS_LIMIT);
+    if (!result) {
+        list.innerHTML = '<li class="recent-papers-status">Could not load papers</li>';
+        return;
+    }
+    
+    list.replaceChildren(...result.publications.map(renderRecentPaper));
+    if (result.total > result.publications.length) {
+        const more = document.createElement('li');
+        more.className = 'recent-papers-status';
+        more.textContent = `and ${result.total - result.publications.length} more`;
+        list.appendChild(more);
     }
+    section.setAttribute('data-papers-loaded', 'true');
 }
 
 // Track click analytics
-async function trackClick(professorName, departmentName, clickType) {
+async function trackClick(professorId, clickType) {
     try {
-        // Normalize department name to lowercase (matching database)
-        const normalizedDept = departmentName.toLowerCase().trim();
+        if (!professorId) {
+            throw new Error('Missing professor ID');
+        }
         
         // Get API base URL from config.js
         const API_BASE = window.API_BASE_URL || 'http://localhost:3001/api';
         
-        console.log('Sending click tracking:', { professorName, departmentName: normalizedDept, clickType });
-        const response = await fetch(`${API_BASE}/analytics/click`, {
+        console.log('Sending click tracking:', { professorId, clickType });
+        const response = await fetch(`${API_BASE}/professors/${professorId}/clicks`, {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json'
             },
             body: JSON.stringify({
-                professorName: professorName,
-                departmentName: normalizedDept,
                 clickType: clickType
             })
         });
@@ -2194,11 +2392,15 @@ async function trackClick(professorName, departmentName, clickType) {
     }
 }
 
+/**
+ * Group professors under their first canonical research area, so "ML" and
+ * "Machine Learning" end up in the same section
+ */
 function groupProfessorsByArea(professors) {
     const grouped = {};
     
     professors.forEach(prof => {
-        const area = prof.researchArea || 'Other';
+        const area = getProfessorResearchAreas(prof)[0] || 'Other';
         if (!grouped[area]) {
             grouped[area] = [];
         }
@@ -2206,10 +2408,22 @@ function groupProfessorsByArea(professors) {
     });
     
     // Only return grouped data if we have research areas
-    const hasAreas = professors.some(prof => prof.researchArea);
+    const hasAreas = professors.some(prof => getProfessorResearchAreas(prof).length > 0);
     return hasAreas ? grouped : null;
 }
 
+/**
+ * Canonical research area tags for a professor, falling back to the free-text field
+ * @param {Object} professor - Professor object from the API
+ * @returns {Array<string>} Area names, most relevant first
+ */
+function getProfessorResearchAreas(professor) {
+    if (Array.isArray(professor.researchAreas) && professor.researchAreas.length > 0) {
+        return professor.researchAreas;
+    }
+    return professor.researchArea ? [professor.researchArea] : [];
+}
+
 /**
  * Extract lab name from URL or return the original string if it's not a URL
  * For URLs like "airlab.cs.uchicago.edu", extracts "airlab"
@@ -2252,18 +2466,99 @@ function extractLabNameFromUrl(labValue) {
     return trimmed;
 }
 
+/**
+ * Departments a professor is listed in, primary first
+ * (falls back to the single `department` field)
+ */
+function getProfessorDepartments(professor) {
+    if (Array.isArray(professor.departments) && professor.departments.length > 0) {
+        return professor.departments;
+    }
+    return professor.department ? [professor.department] : [];
+}
+
+/**
+ * "computer science" -> "Computer Science"
+ */
+function formatDepartmentLabel(departmentName) {
+    return departmentName.replace(/\b\w/g, letter => letter.toUpperCase());
+}
+
+/**
+ * Escape free text (such as opening details entered by editors) for use in HTML
+ */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * "2025-11-01" -> "Nov 1, 2025"
+ */
+function formatDeadline(deadline) {
+    return new Date(`${deadline}T00:00:00`).toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' });
+}
+
+/**
+ * One research opening: its role (linked to the application when there is a link),
+ * then spots, quarter and deadline, and its requirements when we have them
+ * @param {Object} opening - Opening from the API (cards get a summary without requirements)
+ * @param {number|null} professorId - Professor whose card it is on, for click tracking
+ */
+function renderOpeningItem(opening, professorId = null) {
+    const role = escapeHtml(opening.role);
+    const tracking = professorId ? ` data-professor-id="${professorId}"` : '';
+    const title = opening.applyUrl
+        ? `<a href="${escapeHtml(opening.applyUrl)}" target="_blank" rel="noopener noreferrer" class="opening-apply-link"${tracking}>${role}</a>`
+        : `<span class="opening-role">${role}</span>`;
+    const details = [
+        opening.spots ? `${opening.spots} spot${opening.spots !== 1 ? 's' : ''}` : null,
+        opening.quarter,
+        opening.deadline ? `Apply by ${formatDeadline(opening.deadline)}` : null
+    ].filter(Boolean).map(escapeHtml).join(' · ');
+    
+    return `
+        <li class="opening-item">
+            ${title}
+            ${details ? `<div class="opening-meta">${details}</div>` : ''}
+            ${opening.requirements ? `<div class="opening-requirements">${escapeHtml(opening.requirements)}</div>` : ''}
+        </li>
+    `;
+}
+
+/**
+ * Render a professor card
+ * @param {Object} professor - Professor from the API
+ * @param {string} departmentName - Department the card is shown under (used for click tracking)
+ */
 function createProfessorCard(professor, departmentName) {
-    // Handle comma-separated departments (use first one for display)
-    const displayDept = departmentName.includes(',') ? departmentName.split(',')[0].trim() : departmentName;
-    const cardId = `prof-${professor.name.replace(/\s+/g, '-').toLowerCase()}-${displayDept.replace(/\s+/g, '-').toLowerCase()}`;
+    const cardId = `prof-${professor.name.replace(/\s+/g, '-').toLowerCase()}-${departmentName.replace(/\s+/g, '-').toLowerCase()}`;
+    const departments = getProfessorDepartments(professor);
+    // Names, labs and URLs can be set through the editor API, so they are escaped before going into HTML
+    const name = escapeHtml(professor.name);
+    const department = escapeHtml(departmentName);
     
     // Check if mathematics department - use "Group" instead of "Lab"
-    // Check if any department in the list is mathematics
-    const deptList = departmentName.toLowerCase().split(',').map(d => d.trim());
-    const isMathematics = deptList.includes('mathematics');
+    // Jointly appointed professors count if any of their departments is mathematics
+    const isMathematics = departments.includes('mathematics') || departmentName === 'mathematics';
     const groupType = isMathematics ? 'Group' : 'Lab';
     const groupLabel = isMathematics ? 'Research Group' : 'Research Lab';
     
+    // Joint appointments list every department on the card, primary first
+    const departmentsLine = departments.length > 1
+        ? `<div class="professor-departments">${departments.map(dept => escapeHtml(formatDepartmentLabel(dept))).join(' · ')}</div>`
+        : '';
+    
+    // Search results carry server-side highlights (already HTML-escaped, matches in <mark>)
+    const highlights = professor.highlights || {};
+    const researchMatchLine = highlights.researchAreas
+        ? `<div class="professor-research-match">${highlights.researchAreas}</div>`
+        : '';
+    
     // Get lab/group name, or generate from last name if null/empty
     // First, extract lab name from URL if it's a URL
     let labName = extractLabNameFromUrl(professor.lab);
@@ -2284,22 +2579,33 @@ function createProfessorCard(professor, departmentName) {
     // Professors without labWebsite will show lab name as grey text (no link)
     let labWebsiteUrl = professor.labWebsite || null;
     
+    // Only highlight the lab when it is shown as stored (not derived from a URL or last name)
+    const labText = highlights.lab && labName === professor.lab ? highlights.lab : escapeHtml(labName);
     const labLink = labWebsiteUrl
-        ? `<a href="${labWebsiteUrl}" target="_blank" rel="noopener noreferrer" class="lab-link" data-click-type="lab-website" data-professor="${professor.name}" data-department="${displayDept}">${labName}</a>`
-        : `<span class="lab-name">${labName}</span>`;
+        ? `<a href="${escapeHtml(labWebsiteUrl)}" target="_blank" rel="noopener noreferrer" class="lab-link" data-click-type="lab-website" data-professor-id="${professor.id}" data-professor="${name}" data-department="${department}">${labText}</a>`
+        : `<span class="lab-name">${labText}</span>`;
+    
+    // Lab pages for the professor's labs: their first lab, then any others by name
+    const labs = professor.labs || [];
+    const labPageLinks = labs.length > 0
+        ? `<div class="lab-page-links">${labs.map((lab, index) =>
+            `<button type="button" class="lab-page-link" data-lab-id="${lab.id}">${index === 0 ? `${groupType} page` : escapeHtml(lab.name)}</button>`
+        ).join('')}</div>`
+        : '';
     
     // Personal website section
     const personalWebsiteSection = professor.personalWebsite && professor.personalWebsite.trim() !== ''
         ? `<div class="website-section">
             <div class="website-label">Personal Website</div>
-            <a href="${professor.personalWebsite}" target="_blank" rel="noopener noreferrer" class="website-link" data-click-type="personal-website" data-professor="${professor.name}" data-department="${displayDept}">Visit Website</a>
+            <a href="${escapeHtml(professor.personalWebsite)}" target="_blank" rel="noopener noreferrer" class="website-link" data-click-type="personal-website" data-professor-id="${professor.id}" data-professor="${name}" data-department="${department}">Visit Website</a>
         </div>`
         : '';
     
     const emailSection = professor.email && professor.email.trim() !== ''
         ? `<div class="email-section">
             <div class="email-label">Email</div>
-            <a href="mailto:${professor.email}" class="email-link" data-click-type="email" data-professor="${professor.name}" data-department="${displayDept}">${professor.email}</a>
+            <a href="mailto:${escapeHtml(professor.email)}" class="email-link" data-click-type="email" data-professor-id="${professor.id}" data-professor="${name}" data-department="${department}">${escapeHtml(professor.email)}</a>
+            <button type="button" class="draft-email-button" data-professor-id="${professor.id}">Draft email</button>
         </div>`
         : '';
     
@@ -2321,30 +2627,44 @@ function createProfessorCard(professor, departmentName) {
         });
     }
     
-    // Check if professor is explicitly recruiting (from database flag or hardcoded names for backwards compatibility)
-    const nameLower = professor.name.toLowerCase();
-    const isRecruiting = professor.isRecruiting || 
-                        (nameLower.includes('claire') && nameLower.includes('donnat')) ||
-                        (nameLower.includes('dacheng') && nameLower.includes('xiu')) ||
-                        (nameLower.includes('mihai') && nameLower.includes('anitescu'));
-    const recruitingStripe = isRecruiting ? '<div class="recruiting-stripe"></div>' : '';
+    // Active openings (the professor's own and their labs') show the recruiting stripe and are listed on the card
+    const openings = professor.openings || [];
+    const recruitingStripe = openings.length > 0 ? '<div class="recruiting-stripe"></div>' : '';
+    const openingsSection = openings.length > 0
+        ? `<div class="openings-section">
+            <div class="openings-label">Open positions</div>
+            <ul class="openings-list">${openings.map(opening => renderOpeningItem(opening, professor.id)).join('')}</ul>
+        </div>`
+        : '';
+    
+    // Expandable list of the professor's latest papers, when we have their publications
+    const recentPapersSection = professor.publicationCount > 0
+        ? `<div class="recent-papers" data-professor-id="${professor.id}">
+            <button type="button" class="recent-papers-toggle" aria-expanded="false">Recent papers (${professor.publicationCount})</button>
+            <ol class="recent-papers-list" hidden></ol>
+        </div>`
+        : '';
     
     return `
-        <div class="professor-card ${translucentClass}" data-professor="${professor.name}" data-department="${displayDept}" data-click-type="card" id="${cardId}">
+        <div class="professor-card ${translucentClass}" data-professor-id="${professor.id}" data-professor="${name}" data-department="${department}" data-click-type="card" id="${escapeHtml(cardId)}">
             ${recruitingStripe}
-            <div class="star-icon-container" data-professor="${professor.name}" data-department="${displayDept}">
+            <div class="star-icon-container" data-professor-id="${professor.id}" data-professor="${name}" data-department="${department}">
                 <svg class="star-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                     <path d="M12 2l3.09 6.26L22 9.27l-5 4.87 1.18 6.88L12 17.77l-6.18 3.25L7 14.14 2 9.27l6.91-1.01L12 2z"/>
                 </svg>
             </div>
             <div class="card-inner">
                 <div class="card-front">
-                    <div class="professor-name">${professor.name}</div>
-                    <div class="professor-title">${professor.title}</div>
+                    <div class="professor-name">${highlights.name || name}</div>
+                    <div class="professor-title">${highlights.title || escapeHtml(professor.title || '')}</div>
+                    ${departmentsLine}
+                    ${researchMatchLine}
                     <div class="lab-section">
                         <div class="lab-label">${groupLabel}</div>
                         ${labLink}
+                        ${labPageLinks}
                     </div>
+                    ${openingsSection}
                     ${personalWebsiteSection}
                     ${emailSection}
                 </div>
@@ -2355,15 +2675,19 @@ function createProfessorCard(professor, departmentName) {
                         <div class="stat-item">
                             <div class="stat-label">Lab Members</div>
                             <div class="stat-value" data-stat="lab-members">-</div>
+                            <div class="stat-as-of" data-stat-as-of="lab-members"></div>
                         </div>
                         <div class="stat-item">
                             <div class="stat-label">Undergraduate Researchers</div>
                             <div class="stat-value" data-stat="undergrad">-</div>
+                            <div class="stat-as-of" data-stat-as-of="undergrad"></div>
                         </div>
                         <div class="stat-item">
                             <div class="stat-label">Published Papers</div>
                             <div class="stat-value" data-stat="papers">-</div>
+                            <div class="stat-as-of" data-stat-as-of="papers"></div>
                         </div>
+                        ${recentPapersSection}
                         <div class="flip-hint">Click to flip back</div>
                     </div>
                 </div>
@@ -12,7 +12,7 @@ let trendingLabsCache = {
  * Get trending labs for a department from backend database
  * @param {string} departmentName - Name of the department
  * @param {AbortSignal} signal - Optional abort signal to cancel the request
- * @returns {Promise<Array<string>>} Array of lab names or professor names that are trending
+ * @returns {Promise<Array<Object>>} Trending labs as { labId, name, professorIds }
  */
 async function getTrendingLabs(departmentName, signal = null) {
     if (signal && signal.aborted) {
@@ -69,7 +69,7 @@ function clearTrendingLabsCache() {
  * Fetch trending labs from backend API
  * @param {string} departmentName - Name of the department
  * @param {AbortSignal} signal - Optional abort signal to cancel the request
- * @returns {Promise<Array<string>>} Array of trending lab names
+ * @returns {Promise<Array<Object>>} Trending labs as { labId, name, professorIds }
  */
 async function fetchTrendingLabsFromBackend(departmentName, signal = null) {
     try {
@@ -80,14 +80,11 @@ async function fetchTrendingLabsFromBackend(departmentName, signal = null) {
         const normalizedDept = departmentName.toLowerCase().trim();
         const API_BASE = window.API_BASE_URL || 'http://localhost:3001/api';
         
-        const response = await fetch(`${API_BASE}/trending-labs`, {
-            method: 'POST',
+        const response = await fetch(`${API_BASE}/trending-labs?department=${encodeURIComponent(normalizedDept)}`, {
+            method: 'GET',
             headers: {
                 'Content-Type': 'application/json'
             },
-            body: JSON.stringify({
-                department: normalizedDept
-            }),
             signal: signal || undefined
         });
         
@@ -96,7 +93,7 @@ async function fetchTrendingLabsFromBackend(departmentName, signal = null) {
         }
         
         const data = await response.json();
-        return data.trendingLabs || [];
+        return data.labs || [];
     } catch (error) {
         if (error.name === 'AbortError') {
             return [];